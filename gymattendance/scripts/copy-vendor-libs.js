@@ -0,0 +1,35 @@
+/**
+ * Copy browser builds of third-party libraries into www/lib
+ * Runs after npm install and as a Cordova before_prepare hook,
+ * so the app never has to load them from the network.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const LIB_DIR = path.join(ROOT, 'www', 'lib');
+
+// Package file to copy, and the name it gets in www/lib
+const VENDOR_FILES = [
+    { from: 'qrcode-generator/dist/qrcode.js', to: 'qrcode.js' },
+    { from: 'jsqr/dist/jsQR.js', to: 'jsQR.js' }
+];
+
+function copyVendorLibs() {
+    fs.mkdirSync(LIB_DIR, { recursive: true });
+
+    VENDOR_FILES.forEach(file => {
+        const source = path.join(ROOT, 'node_modules', file.from);
+        if (!fs.existsSync(source)) {
+            throw new Error(`Missing ${file.from}. Run npm install first.`);
+        }
+        fs.copyFileSync(source, path.join(LIB_DIR, file.to));
+    });
+}
+
+module.exports = copyVendorLibs;
+
+if (require.main === module) {
+    copyVendorLibs();
+}
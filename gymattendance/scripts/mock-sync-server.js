@@ -0,0 +1,130 @@
+/**
+ * Minimal sync server for trying out and testing device sync locally
+ * Keeps the latest version of every record in memory and speaks the protocol described in
+ * www/js/sync.js. Point Settings > Sync Server Address at http://localhost:8787 (or the
+ * port given) on each device.
+ *
+ *   node scripts/mock-sync-server.js [port]
+ *
+ * Set SYNC_TOKEN to require "Authorization: Bearer <token>" on every request.
+ */
+
+const http = require('http');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_LIMIT = 100;
+
+function createSyncServer(options = {}) {
+    const token = options.token || null;
+
+    // Latest change for each record, keyed by "store/id"
+    const records = new Map();
+    let sequence = 0;
+
+    function getChanges(since, limit) {
+        const pending = Array.from(records.values())
+            .filter(change => change.seq > since)
+            .sort((a, b) => a.seq - b.seq);
+        const changes = pending.slice(0, limit);
+
+        return {
+            changes: changes,
+            cursor: changes.length > 0 ? changes[changes.length - 1].seq : since,
+            hasMore: pending.length > changes.length
+        };
+    }
+
+    // Only accept a change based on the version held here; anything else is a conflict
+    function postChanges(body) {
+        const accepted = [];
+        const conflicts = [];
+
+        (body.changes || []).forEach(change => {
+            const key = `${change.store}/${change.id}`;
+            const current = records.get(key);
+            const currentVersion = current ? current.version : 0;
+
+            if (change.baseVersion !== currentVersion) {
+                conflicts.push({ store: change.store, id: change.id, version: currentVersion });
+                return;
+            }
+
+            const stored = {
+                seq: ++sequence,
+                store: change.store,
+                id: change.id,
+                version: currentVersion + 1,
+                deleted: !!change.deleted,
+                record: change.deleted ? null : change.record,
+                modifiedAt: change.modifiedAt,
+                deviceId: body.deviceId
+            };
+            records.set(key, stored);
+            accepted.push({ store: stored.store, id: stored.id, version: stored.version });
+        });
+
+        return { accepted, conflicts };
+    }
+
+    function send(res, status, body) {
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+        });
+        res.end(body === undefined ? '' : JSON.stringify(body));
+    }
+
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'OPTIONS') {
+            send(res, 204);
+            return;
+        }
+
+        if (token && req.headers.authorization !== `Bearer ${token}`) {
+            send(res, 401, { error: 'Unauthorized' });
+            return;
+        }
+
+        if (!url.pathname.replace(/\/+$/, '').endsWith('/changes')) {
+            send(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        if (req.method === 'GET') {
+            const since = parseInt(url.searchParams.get('since'), 10) || 0;
+            const limit = parseInt(url.searchParams.get('limit'), 10) || DEFAULT_LIMIT;
+            send(res, 200, getChanges(since, limit));
+            return;
+        }
+
+        if (req.method === 'POST') {
+            let raw = '';
+            req.on('data', chunk => {
+                raw += chunk;
+            });
+            req.on('end', () => {
+                try {
+                    send(res, 200, postChanges(JSON.parse(raw)));
+                } catch (error) {
+                    send(res, 400, { error: 'Invalid JSON' });
+                }
+            });
+            return;
+        }
+
+        send(res, 405, { error: 'Method not allowed' });
+    });
+}
+
+module.exports = createSyncServer;
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+    createSyncServer({ token: process.env.SYNC_TOKEN }).listen(port, () => {
+        console.log(`Mock sync server listening on http://localhost:${port}`);
+    });
+}
@@ -0,0 +1,514 @@
+/**
+ * Attendance is kept as one session per visit: check-ins and check-outs from older versions
+ * are paired up on upgrade and on import, new sessions get unique IDs, and managers can correct visits
+ */
+
+process.env.TZ = 'America/New_York';
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { IDBFactory } = require('fake-indexeddb');
+const { loadApp, setUpOwner } = require('./helpers/load-app');
+
+const MORNING = new Date(2026, 5, 15, 9, 0);
+
+/**
+ * Build a check-in or check-out record as version 10 stored them
+ * @param {string} id - Record ID
+ * @param {string} memberId - Member ID
+ * @param {string} type - 'check-in' or 'check-out'
+ * @param {Date} time - Event time
+ * @returns {Object} Attendance record
+ */
+function legacyRecord(id, memberId, type, time) {
+    return { id, memberId, type, timestamp: time.toISOString(), date: time.toLocaleDateString(), branchId: null, performedBy: null };
+}
+
+/**
+ * Build a member as version 10 stored them
+ * @param {string} id - Member ID
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Member
+ */
+function legacyMember(id, fields = {}) {
+    return {
+        id,
+        name: `Member ${id}`,
+        email: `member${id}@example.com`,
+        phone: `555000${id}`,
+        membershipType: 'monthly',
+        membershipStartDate: new Date(2026, 5, 1).toISOString(),
+        membershipEndDate: new Date(2026, 6, 1).toISOString(),
+        registrationDate: new Date(2026, 5, 1).toISOString(),
+        lastCheckIn: null,
+        lastCheckOut: null,
+        hasPhoto: false,
+        ...fields
+    };
+}
+
+/**
+ * Create a database laid out as version 10 left it, holding the given members and attendance
+ * @param {Array} members - Members to store
+ * @param {Array} records - Attendance records to store
+ * @param {Array} [metaEntries] - Extra meta store entries, e.g. a sync device ID
+ * @returns {Promise<IDBFactory>} Factory holding the database
+ */
+function createVersion10Database(members, records, metaEntries = []) {
+    const factory = new IDBFactory();
+
+    return new Promise((resolve, reject) => {
+        const request = factory.open('gym_attendance', 10);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const keyed = (name, keyPath, indexes = []) => {
+                const store = db.createObjectStore(name, keyPath);
+                indexes.forEach(index => store.createIndex(index, index));
+                return store;
+            };
+            const numbered = (name, indexes) => {
+                const store = keyed(name, { keyPath: 'id', autoIncrement: true }, indexes);
+                store.createIndex('syncId', '_sync.id');
+            };
+
+            const membersStore = keyed('members', { keyPath: 'id' });
+            const attendance = keyed('attendance', { keyPath: 'id' }, ['memberId', 'date', 'timestamp']);
+            keyed('photos', { keyPath: 'memberId' });
+            const meta = keyed('meta', { keyPath: 'key' });
+            numbered('membershipHistory', ['memberId']);
+            keyed('plans', { keyPath: 'id' }).put({ id: 'monthly', name: 'Monthly', durationValue: 30, durationUnit: 'days', price: 0 });
+            db.createObjectStore('staff', { keyPath: 'id' }).createIndex('username', 'username', { unique: true });
+            numbered('auditLog', ['memberId', 'timestamp']);
+            numbered('payments', ['memberId', 'date']);
+            keyed('classes', { keyPath: 'id' });
+            numbered('bookings', ['memberId', 'sessionDate']);
+            numbered('ptSessions', ['memberId', 'timestamp']);
+            keyed('syncQueue', { keyPath: 'key' });
+            keyed('branches', { keyPath: 'id' });
+
+            members.forEach(member => membersStore.put(member));
+            records.forEach(record => attendance.put(record));
+            meta.put({ key: 'migrated_from_local_storage', value: new Date().toISOString() });
+            metaEntries.forEach(entry => meta.put(entry));
+        };
+        request.onsuccess = () => {
+            request.result.close();
+            resolve(factory);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+describe('attendance sessions', () => {
+    let app;
+
+    afterEach(() => app.close());
+
+    test('upgrading pairs existing check-ins and check-outs and keeps checked-in members checked in', async () => {
+        const day = (hours, minutes = 0) => new Date(2026, 5, 14, hours, minutes);
+        const indexedDB = await createVersion10Database(
+            [
+                legacyMember('1001', { lastCheckIn: day(18).toISOString(), lastCheckOut: day(19, 30).toISOString() }),
+                legacyMember('1002', { lastCheckIn: day(22).toISOString(), lastCheckOut: null })
+            ],
+            [
+                legacyRecord('1718370000000', '1001', 'check-in', day(7)),
+                legacyRecord('1718370000001', '1001', 'check-out', day(8)),
+                legacyRecord('1718390000000', '1001', 'check-in', day(18)),
+                legacyRecord('1718395400000', '1001', 'check-out', day(19, 30)),
+                legacyRecord('1718400000000', '1002', 'check-in', day(22)),
+                legacyRecord('1718300000000', '1002', 'check-out', day(5))
+            ]
+        );
+
+        // Open the app the same evening, before the open session would be closed automatically
+        app = await loadApp({ indexedDB, now: day(23, 30) });
+        const storage = app.window.StorageService;
+
+        const sessions = await app.waitFor(() => storage.getAttendance());
+        assert.deepEqual(sessions.map(session => [session.id, session.memberId, session.date, session.end && new Date(session.end).getHours()]), [
+            ['1718370000000', '1001', '2026-06-14', 8],
+            ['1718390000000', '1001', '2026-06-14', 19],
+            ['1718400000000', '1002', '2026-06-14', null]
+        ]);
+
+        const [first, second] = await Promise.all([storage.getMemberById('1001'), storage.getMemberById('1002')]);
+        assert.equal(first.openSessionId, null);
+        assert.equal(storage.getMemberStatus(first), 'checked-out');
+        assert.equal(second.openSessionId, '1718400000000');
+        assert.equal(storage.getMemberStatus(second), 'checked-in');
+
+        // Checking out after midnight closes the session it started, which keeps its date
+        app.window.Clock.set(new Date(2026, 5, 15, 0, 45));
+        const closed = await storage.checkOut('1002');
+        assert.equal(closed.id, '1718400000000');
+        assert.equal(closed.date, '2026-06-14');
+        assert.equal((await storage.getMemberById('1002')).openSessionId, null);
+    });
+
+    test('upgrading a device that syncs queues the old records for deletion and the sessions for pushing', async () => {
+        const day = (hours, minutes = 0) => new Date(2026, 5, 14, hours, minutes);
+        const synced = (record, version) => ({ ...record, _sync: { id: record.id, version } });
+        const indexedDB = await createVersion10Database(
+            [synced(legacyMember('1001', { lastCheckIn: day(7).toISOString(), lastCheckOut: day(8).toISOString() }), 1)],
+            [
+                synced(legacyRecord('in-1', '1001', 'check-in', day(7)), 1),
+                synced(legacyRecord('out-1', '1001', 'check-out', day(8)), 1),
+                legacyRecord('out-2', '1001', 'check-out', day(9))
+            ],
+            [{ key: 'device_id', value: 'device-test' }]
+        );
+
+        app = await loadApp({ indexedDB, now: day(23) });
+        const storage = app.window.StorageService;
+        await app.waitFor(() => storage.getAttendance());
+
+        const queued = await storage.getQueuedChanges(null, 50);
+        const changes = Array.from(queued, change => [change.store, change.id, change.baseVersion, change.deleted]);
+        assert.deepEqual(changes.filter(([store]) => store !== 'auditLog' && store !== 'staff').sort(), [
+            ['attendance', 'in-1', 1, false],
+            ['attendance', 'out-1', 1, true],
+            ['attendance', 'out-2', 0, true],
+            ['members', '1001', 1, false]
+        ]);
+
+        const session = queued.find(change => change.id === 'in-1').record;
+        assert.equal(session.start, day(7).toISOString());
+        assert.equal(session.end, day(8).toISOString());
+        assert.equal(session.type, undefined);
+    });
+
+    test('visits started in the same millisecond get different IDs', async () => {
+        app = await loadApp({ now: MORNING });
+        await setUpOwner(app);
+        const storage = app.window.StorageService;
+
+        const members = [];
+        for (const name of ['Ann Able', 'Ben Baker']) {
+            members.push(await storage.addMember(legacyMember(null, { name, email: `${name[0]}@example.com`, phone: name === 'Ann Able' ? '5551110000' : '5552220000' })));
+        }
+
+        const sessions = await Promise.all(members.map(member => storage.checkIn(member.id)));
+        assert.equal(sessions[0].start, sessions[1].start);
+        assert.notEqual(sessions[0].id, sessions[1].id);
+        assert.deepEqual(sessions.map(session => session.date), ['2026-06-15', '2026-06-15']);
+
+        const stored = await storage.getAttendance();
+        assert.equal(stored.length, 2);
+        for (const member of members) {
+            const updated = await storage.getMemberById(member.id);
+            assert.equal(storage.getMemberStatus(updated), 'checked-in');
+            assert.ok(sessions.some(session => session.id === updated.openSessionId));
+        }
+    });
+
+    test('two check-ins racing for the same member start only one session', async () => {
+        app = await loadApp({ now: MORNING });
+        await setUpOwner(app);
+        const storage = app.window.StorageService;
+        const member = await storage.addMember(legacyMember(null, { name: 'Rae Race', email: 'rae@example.com', phone: '5554440000' }));
+
+        const results = await Promise.all([storage.checkIn(member.id), storage.checkIn(member.id)]);
+        const started = results.filter(Boolean);
+        assert.equal(started.length, 1);
+        assert.equal(results.filter(result => result === null).length, 1);
+
+        const sessions = await storage.getMemberAttendance(member.id);
+        assert.deepEqual(sessions.map(session => session.id), [started[0].id]);
+        assert.equal((await storage.getMemberById(member.id)).openSessionId, started[0].id);
+
+        // Checking out closes that session, and the member can check in again
+        assert.equal((await storage.checkOut(member.id)).id, started[0].id);
+        assert.ok(await storage.checkIn(member.id));
+        assert.equal((await storage.getMemberAttendance(member.id)).filter(session => !session.end).length, 1);
+    });
+
+    test('checking out of a visit that has not synced here yet says so and is audited', async () => {
+        app = await loadApp({ now: MORNING });
+        await setUpOwner(app);
+        const storage = app.window.StorageService;
+        const member = await storage.addMember(legacyMember(null, { name: 'Sam Synced', email: 'sam@example.com', phone: '5553330000' }));
+
+        // Checked in on another device: the member has synced here, the session not yet
+        await storage.updateMember(member.id, { openSessionId: 'session-elsewhere', lastCheckIn: MORNING.toISOString() });
+
+        app.fill('#member-id', member.id);
+        app.click('#check-out-btn');
+        const notification = await app.waitFor(() => app.$('#notification').textContent);
+        assert.match(notification, /has not synced/);
+        assert.equal(app.$('#notification').className, 'notification warning');
+
+        assert.equal(storage.getMemberStatus(await storage.getMemberById(member.id)), 'checked-out');
+        const [entry] = await storage.getAuditLog({ memberId: member.id, action: storage.AUDIT_ACTIONS.CHECK_OUT });
+        assert.equal(entry.entityId, 'session-elsewhere');
+        assert.equal(entry.note, 'visit not synced here yet');
+        assert.equal(entry.timestamp, MORNING.toISOString());
+
+        // Nothing left to close
+        assert.equal(await storage.checkOut(member.id), null);
+    });
+
+    test('a check-in that cannot be saved is reported, whether typed, scanned or at the kiosk', async () => {
+        app = await loadApp({ now: MORNING });
+        await setUpOwner(app);
+        const storage = app.window.StorageService;
+        const member = await storage.addMember(legacyMember(null, { name: 'Flo Fail', email: 'flo@example.com', phone: '5556660000' }));
+
+        const logged = [];
+        app.window.console.error = message => logged.push(message);
+        storage.checkIn = async () => {
+            throw new Error('The disk is full');
+        };
+
+        const notification = app.$('#notification');
+        const attempt = async start => {
+            notification.textContent = '';
+            app.fill('#member-id', member.id);
+            start();
+            return app.waitFor(() => notification.textContent);
+        };
+
+        assert.equal(await attempt(() => app.click('#check-in-btn')), 'Check-in failed. Please try again.');
+        assert.equal(await attempt(() => app.window.QrService.handleScan(member.id)), 'Check-in failed. Please try again.');
+        app.window.KioskService.active = true;
+        assert.equal(await attempt(() => app.window.KioskService.handleEntry()), 'Check-in failed. Please try again.');
+
+        assert.deepEqual(logged, ['Check-in failed', 'Check-in failed', 'Check-in failed']);
+        assert.equal(storage.getMemberStatus(await storage.getMemberById(member.id)), 'not-checked-in');
+    });
+
+    test('a backup from an older version is imported as sessions', async () => {
+        app = await loadApp({ now: MORNING });
+        await setUpOwner(app);
+
+        const day = (hours, minutes = 0) => new Date(2026, 5, 14, hours, minutes);
+        const backup = {
+            format: 'gym-attendance-backup',
+            version: 1,
+            members: [
+                legacyMember('2001', { lastCheckIn: day(7).toISOString(), lastCheckOut: day(8).toISOString() }),
+                legacyMember('2002', { lastCheckIn: day(21).toISOString(), lastCheckOut: null })
+            ],
+            attendance: [
+                legacyRecord('1718370000000', '2001', 'check-in', day(7)),
+                legacyRecord('1718370000000', '2002', 'check-out', day(6)),
+                legacyRecord('', '2001', 'check-out', day(8)),
+                legacyRecord('', '2002', 'check-in', day(21))
+            ]
+        };
+
+        app.chooseFile('#import-file', 'backup.json', JSON.stringify(backup), 'application/json');
+        app.submit('#import-form');
+        await app.waitFor(() => app.$('#import-result').textContent);
+
+        const errors = app.$$('#import-result .import-errors li').map(item => item.textContent);
+        assert.deepEqual(errors, ['attendance[1]: check-out has no matching check-in']);
+
+        const storage = app.window.StorageService;
+        const sessions = await storage.getAttendance();
+        assert.equal(sessions.length, 2);
+        assert.equal(sessions[0].id, '1718370000000');
+        assert.equal(sessions[0].memberId, '2001');
+        assert.equal(sessions[0].end, day(8).toISOString());
+        assert.equal(sessions[1].memberId, '2002');
+        assert.equal(sessions[1].end, null);
+
+        const [first, second] = await Promise.all([storage.getMemberById('2001'), storage.getMemberById('2002')]);
+        assert.equal(first.openSessionId, null);
+        assert.equal(second.openSessionId, sessions[1].id);
+
+        // Exporting and importing again brings nothing new
+        const exported = await app.window.DataTransferService.buildBackup();
+        assert.equal(exported.version, 2);
+        assert.deepEqual(exported.attendance.map(session => session.id), sessions.map(session => session.id));
+
+        app.$('#import-result').textContent = '';
+        app.chooseFile('#import-file', 'backup.json', JSON.stringify(exported), 'application/json');
+        app.submit('#import-form');
+        await app.waitFor(() => app.$('#import-result').textContent);
+        assert.equal((await storage.getAttendance()).length, 2);
+    });
+});
+
+describe('visit corrections', () => {
+    let app;
+    let member;
+
+    /**
+     * Fill in and submit the visit form in the member detail view
+     * @param {Object} fields - { date, start, end, reason }
+     * @returns {Promise<string>} The notification shown
+     */
+    async function saveVisit(fields) {
+        const notification = app.$('#notification');
+        notification.textContent = '';
+        if (fields.date) app.fill('#visit-date', fields.date);
+        if (fields.start) app.fill('#visit-start', fields.start);
+        if (fields.end !== undefined) app.fill('#visit-end', fields.end);
+        app.fill('#visit-reason', fields.reason);
+        app.submit('#visit-form');
+        return app.waitFor(() => notification.textContent);
+    }
+
+    /**
+     * Read the member's visit history as shown in the member detail view
+     * @returns {Array<string>} One line per visit, newest first
+     */
+    function history() {
+        return app.$$('#visit-list li').map(item => item.textContent);
+    }
+
+    beforeEach(async () => {
+        app = await loadApp({ now: MORNING });
+        await setUpOwner(app);
+        member = await app.window.StorageService.addMember(legacyMember(null, { name: 'Cora Correct', email: 'cora@example.com', phone: '5553330000' }));
+        await app.window.MemberDetailService.open(member.id);
+    });
+
+    afterEach(() => app.close());
+
+    test('a manager adds a back-dated visit with a reason, and it counts in reports', async () => {
+        assert.equal(await saveVisit({ date: '2026-06-14', start: '07:00', end: '08:15', reason: '' }), 'Please give a reason for the correction.');
+        assert.equal(await saveVisit({ date: '2026-06-15', start: '09:30', end: '', reason: 'Forgot' }), 'Visits cannot be recorded in the future.');
+
+        assert.equal(await saveVisit({ date: '2026-06-14', start: '07:00', end: '08:15', reason: 'Tablet was down' }), 'Visit added');
+        const [line] = await app.waitFor(() => app.$('#visit-list .visit-flag') && history());
+        assert.match(line, /1h 15m Corrected: Tablet was down Edit$/);
+
+        // A visit overnight ends the next morning
+        assert.equal(await saveVisit({ date: '2026-06-13', start: '23:00', end: '01:00', reason: 'Tablet was down' }), 'Visit added');
+        const sessions = await app.window.StorageService.getMemberAttendance(member.id);
+        assert.deepEqual(sessions.map(session => [session.date, session.end]), [
+            ['2026-06-13', new Date(2026, 5, 14, 1, 0).toISOString()],
+            ['2026-06-14', new Date(2026, 5, 14, 8, 15).toISOString()]
+        ]);
+
+        app.fill('#report-from', '2026-06-13');
+        app.fill('#report-to', '2026-06-15');
+        app.fill('#report-member-id', member.id);
+        await app.window.ReportsService.generate();
+        assert.equal(app.$('#report-total-visits').textContent, '2');
+        const notes = app.$$('#report-timeline tbody tr').map(row => row.lastElementChild.textContent);
+        assert.deepEqual(notes, ['Corrected: Tablet was down', 'Corrected: Tablet was down']);
+
+        const [entry] = await app.window.StorageService.getAuditLog({ memberId: member.id, action: 'create' })
+            .then(entries => entries.filter(e => e.entityType === 'attendance'));
+        assert.equal(entry.note, 'Tablet was down');
+        assert.equal(entry.actorName, 'Olive Owner');
+    });
+
+    test('editing and voiding the open visit keeps the check-in status in step', async () => {
+        const storage = app.window.StorageService;
+        const session = await storage.checkIn(member.id);
+        app.window.Clock.set(new Date(2026, 5, 15, 10, 0));
+        await app.window.MemberDetailService.open(member.id);
+
+        app.click(`#visit-list button[data-session-id="${session.id}"]`);
+        await app.waitFor(() => app.$('#visit-id').value === session.id);
+        assert.equal(app.$('#visit-start').value, '09:00');
+        assert.ok(!app.$('#visit-void-btn').classList.contains('hidden'));
+
+        // Moving the check-in earlier leaves the member checked in to the same session
+        assert.equal(await saveVisit({ start: '08:45', reason: 'Arrived before scanning' }), 'Visit corrected');
+        let updated = await storage.getMemberById(member.id);
+        assert.equal(updated.openSessionId, session.id);
+        assert.equal(updated.lastCheckIn, new Date(2026, 5, 15, 8, 45).toISOString());
+        assert.equal(storage.getMemberStatus(updated), 'checked-in');
+
+        // Voiding it needs a reason too, then checks the member out without a visit
+        app.click(`#visit-list button[data-session-id="${session.id}"]`);
+        await app.waitFor(() => app.$('#visit-id').value === session.id);
+        app.$('#notification').textContent = '';
+        app.click('#visit-void-btn');
+        assert.equal(await app.waitFor(() => app.$('#notification').textContent), 'Please give a reason for the correction.');
+
+        app.fill('#visit-reason', 'Scanned the wrong card');
+        app.$('#notification').textContent = '';
+        app.click('#visit-void-btn');
+        assert.equal(await app.waitFor(() => app.$('#notification').textContent), 'Visit voided');
+
+        updated = await storage.getMemberById(member.id);
+        assert.equal(updated.openSessionId, null);
+        assert.equal(storage.getMemberStatus(updated), 'not-checked-in');
+
+        const item = await app.waitFor(() => app.$('#visit-list li.voided'));
+        assert.match(item.textContent, /Voided: Scanned the wrong card$/);
+        assert.equal(item.querySelector('button'), null);
+
+        // The voided visit is kept, but no longer counts
+        assert.equal((await storage.getMemberAttendance(member.id)).length, 1);
+        app.fill('#report-from', '2026-06-15');
+        app.fill('#report-to', '2026-06-15');
+        await app.window.ReportsService.generate();
+        assert.equal(app.$('#report-total-visits').textContent, '0');
+
+        const actions = (await storage.getAuditLog({ memberId: member.id }))
+            .filter(entry => entry.entityType === 'attendance')
+            .map(entry => [entry.action, entry.note]);
+        assert.deepEqual(actions, [
+            ['void', 'Scanned the wrong card'],
+            ['correct', 'Arrived before scanning'],
+            ['check-in', null]
+        ]);
+    });
+
+    test('training is logged only against the member\'s own visits, and voiding the visit gives the session back', async () => {
+        const storage = app.window.StorageService;
+        const trainer = await app.window.AuthService.createStaff({ name: 'Tara Trainer', username: 'tara', role: 'trainer', pin: '5678' });
+        const other = await storage.addMember(legacyMember(null, { name: 'Otto Other', email: 'otto@example.com', phone: '5554440000' }));
+
+        // Packs add to what is stored, even when sold from a stale copy of the member
+        await app.window.MembershipService.sellPtPack(member, 1, 40);
+        assert.equal((await app.window.MembershipService.sellPtPack(member, 1, 40)).ptSessionsRemaining, 2);
+
+        const visit = await storage.checkIn(member.id);
+        const elsewhere = await storage.checkIn(other.id);
+        const log = attendanceId => storage.logPtSession({
+            memberId: member.id, trainerId: trainer.id, attendanceId, durationMinutes: 45, notes: ''
+        });
+
+        assert.match((await log(elsewhere.id)).error, /not one of this member's/);
+        assert.match((await log('session-missing')).error, /not one of this member's/);
+        assert.equal((await log(visit.id)).member.ptSessionsRemaining, 1);
+
+        const result = await storage.voidVisit(visit.id, { reason: 'Scanned the wrong card' });
+        assert.equal(result.member.ptSessionsRemaining, 2);
+        assert.equal((await storage.getMemberPtSessions(member.id)).length, 0);
+        assert.match((await log(visit.id)).error, /has been voided/);
+
+        const [removed] = await storage.getAuditLog({ memberId: member.id, action: 'delete' });
+        assert.equal(removed.entityType, 'pt-session');
+        assert.equal(removed.note, 'Scanned the wrong card');
+    });
+
+    test('a visit that cannot be saved is reported', async () => {
+        const logged = [];
+        app.window.console.error = message => logged.push(message);
+        app.window.StorageService.addVisit = async () => {
+            throw new Error('The disk is full');
+        };
+
+        assert.equal(
+            await saveVisit({ date: '2026-06-14', start: '07:00', end: '08:00', reason: 'Tablet was down' }),
+            'Could not save the visit. No changes were made.'
+        );
+        assert.deepEqual(logged, ['Failed to save visit']);
+    });
+
+    test('front desk staff see the history but cannot correct it', async () => {
+        const storage = app.window.StorageService;
+        await storage.checkIn(member.id);
+
+        const auth = app.window.AuthService;
+        const frontDesk = await auth.createStaff({ name: 'Fred Desk', username: 'fred', role: 'front-desk', pin: '5678' });
+        auth.startSession(frontDesk);
+        await app.window.MemberDetailService.open(member.id);
+
+        assert.equal(history().length, 1);
+        assert.equal(app.$('#visit-list button'), null);
+        assert.ok(app.$('#visit-form').classList.contains('no-permission'));
+
+        assert.equal(await saveVisit({ date: '2026-06-14', start: '07:00', end: '08:00', reason: 'Tablet was down' }), 'You do not have permission to do that.');
+        assert.equal((await storage.getMemberAttendance(member.id)).length, 1);
+    });
+});
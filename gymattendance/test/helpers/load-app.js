@@ -0,0 +1,149 @@
+/**
+ * Load the app into jsdom for tests
+ * Runs www/index.html with its scripts against an in-memory IndexedDB, much as the browser
+ * platform does, and exposes the app's services so tests can drive and inspect it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { webcrypto } = require('crypto');
+const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const WWW = path.join(__dirname, '..', '..', 'www');
+
+// Scripts that only exist in a Cordova build
+const SKIPPED_SCRIPTS = ['cordova.js'];
+
+/**
+ * List the script files index.html loads, in order
+ * @param {string} html - Contents of index.html
+ * @returns {Array<string>} Script paths relative to www
+ */
+function listScripts(html) {
+    return Array.from(html.matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1])
+        .filter(src => !SKIPPED_SCRIPTS.includes(src));
+}
+
+/**
+ * Build code that copies each service declared with a top-level const onto window
+ * Consts declared inside eval'd code aren't globals, so tests couldn't reach them otherwise.
+ * @param {Array<string>} sources - Script contents
+ * @returns {string} Code to run after the scripts, in the same eval
+ */
+function exposeServices(sources) {
+    const names = new Set();
+    sources.forEach(source => {
+        for (const match of source.matchAll(/^const (\w+) =/gm)) names.add(match[1]);
+    });
+    return Array.from(names, name => `window.${name} = ${name};`).join('\n');
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns truthy when done; may be async
+ * @param {number} [timeout] - Milliseconds before giving up
+ * @returns {Promise<*>} The condition's value
+ */
+async function waitFor(condition, timeout = 2000) {
+    const started = Date.now();
+    while (true) {
+        const value = await condition();
+        if (value) return value;
+        if (Date.now() - started > timeout) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Start the app in a fresh jsdom window
+ * @param {Object} [options] - Load options
+ * @param {IDBFactory} [options.indexedDB] - Database to reuse between loads
+ * @param {Date|string} [options.now] - Time to stop the app's clock at before it starts
+ * @returns {Promise<Object>} { window, document, $, $$, fill, submit, click, chooseFile, waitFor, close }
+ */
+async function loadApp(options = {}) {
+    const indexHtml = fs.readFileSync(path.join(WWW, 'index.html'), 'utf8');
+    const dom = new JSDOM(indexHtml.replace(/<script src="[^"]+"><\/script>/g, ''), {
+        url: 'http://localhost/index.html',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+
+    window.indexedDB = options.indexedDB || new IDBFactory();
+    window.IDBKeyRange = IDBKeyRange;
+    Object.defineProperty(window, 'crypto', { value: webcrypto });
+    window.TextEncoder = TextEncoder;
+    // jsdom has no layout, so scrolling has nothing to do
+    window.Element.prototype.scrollIntoView = () => {};
+    window.alert = () => {};
+    window.confirm = () => true;
+
+    const sources = listScripts(indexHtml).map(src => fs.readFileSync(path.join(WWW, src), 'utf8'));
+    window.eval(`${sources.join(';\n')};\n${exposeServices(sources)}`);
+
+    if (options.now) {
+        window.Clock.set(options.now);
+    }
+
+    // jsdom fires DOMContentLoaded itself unless parsing has already finished
+    if (window.document.readyState !== 'loading') {
+        window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    }
+
+    // Cordova's deviceready starts the tabs; there is no Cordova here, so start them directly
+    window.App.init();
+
+    // Canvas isn't available in jsdom, so member cards are left without a QR image
+    window.QrService.showCard = () => {};
+
+    const document = window.document;
+    const $ = selector => document.querySelector(selector);
+
+    const app = {
+        window,
+        document,
+        $,
+        $$: selector => Array.from(document.querySelectorAll(selector)),
+        waitFor,
+
+        fill: (selector, value) => {
+            $(selector).value = value;
+        },
+
+        submit: selector => {
+            $(selector).dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+        },
+
+        click: selector => $(selector).click(),
+
+        chooseFile: (selector, name, content, type) => {
+            const file = new window.File([content], name, { type: type });
+            Object.defineProperty($(selector), 'files', { value: [file], configurable: true });
+        },
+
+        // Let startup and any refreshes still in flight finish before the window goes away
+        close: async () => {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            window.close();
+        }
+    };
+
+    return app;
+}
+
+/**
+ * Create the owner account on a fresh install and wait until it is signed in
+ * @param {Object} app - App from loadApp
+ */
+async function setUpOwner(app) {
+    await waitFor(() => !app.$('#setup-form').classList.contains('hidden'));
+    app.fill('#setup-name', 'Olive Owner');
+    app.fill('#setup-username', 'olive');
+    app.fill('#setup-pin', '1234');
+    app.submit('#setup-form');
+    await waitFor(() => app.window.AuthService.currentStaff);
+}
+
+module.exports = { loadApp, setUpOwner, waitFor };
@@ -0,0 +1,91 @@
+/**
+ * Kiosk mode: leaving it takes a staff member's own username and PIN,
+ * and repeated wrong PINs lock the prompt for longer each time
+ */
+
+process.env.TZ = 'America/New_York';
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, setUpOwner } = require('./helpers/load-app');
+
+const OPENING = new Date(2026, 5, 15, 9, 0);
+
+describe('kiosk mode', () => {
+    let app;
+
+    /**
+     * Try to leave kiosk mode and wait for the result
+     * @param {string} username - Username typed
+     * @param {string} pin - PIN typed
+     * @returns {Promise<string>} The notification shown
+     */
+    async function tryExit(username, pin) {
+        const notification = app.$('#notification');
+        notification.textContent = '';
+        app.click('#kiosk-exit-btn');
+        app.fill('#kiosk-username', username);
+        app.fill('#kiosk-pin', pin);
+        app.submit('#kiosk-pin-form');
+        return app.waitFor(() => notification.textContent);
+    }
+
+    /**
+     * Move the app's clock on
+     * @param {number} seconds - Seconds to move forward
+     */
+    function advance(seconds) {
+        app.window.Clock.set(app.window.Clock.now().getTime() + seconds * 1000);
+    }
+
+    beforeEach(async () => {
+        app = await loadApp({ now: OPENING });
+        await setUpOwner(app);
+        await app.window.AuthService.createStaff({ name: 'Fred Desk', username: 'fred', role: 'front-desk', pin: '5678' });
+
+        app.click('#kiosk-start-btn');
+        await app.waitFor(() => app.window.KioskService.active);
+        assert.equal(app.window.AuthService.currentStaff, null);
+    });
+
+    afterEach(() => app.close());
+
+    test('any staff member leaves with their own PIN and is logged in', async () => {
+        assert.equal(await tryExit('olive', '5678'), 'Incorrect username or PIN');
+        assert.equal(await tryExit('fred', '5678'), 'Kiosk mode ended');
+
+        assert.equal(app.window.KioskService.active, false);
+        assert.equal(app.window.AuthService.currentStaff.username, 'fred');
+        assert.equal(await app.window.SettingsService.get('kioskActive'), false);
+    });
+
+    test('repeated wrong PINs lock the prompt, longer each time', async () => {
+        assert.equal(await tryExit('olive', '0000'), 'Incorrect username or PIN');
+        assert.equal(await tryExit('olive', '0001'), 'Incorrect username or PIN');
+        assert.equal(await tryExit('olive', '0002'), 'Incorrect username or PIN. Try again in 30 seconds.');
+
+        // Even the right PIN is refused until the lockout ends
+        advance(20);
+        assert.equal(await tryExit('olive', '1234'), 'Too many incorrect PINs. Try again in 10 seconds.');
+        assert.equal(app.window.KioskService.active, true);
+
+        advance(10);
+        assert.equal(await tryExit('olive', '0003'), 'Incorrect username or PIN. Try again in 60 seconds.');
+        const lockout = () => app.window.AuthService.getLockout(app.window.StorageService.META.KIOSK_LOCKOUT);
+        assert.equal((await lockout()).failures, 4);
+
+        advance(60);
+        assert.equal(await tryExit('olive', '1234'), 'Kiosk mode ended');
+        assert.deepEqual({ ...await lockout() }, { failures: 0, lockedUntil: null });
+
+        // Wrong PINs stay on this device, out of the audit log that syncs
+        const settingsChanges = await app.window.StorageService.getAuditLog({ action: 'update' })
+            .then(entries => entries.filter(entry => entry.entityType === 'settings'));
+        assert.ok(settingsChanges.every(entry => !/failures|lockedUntil/i.test(JSON.stringify(entry.after))));
+    });
+
+    test('lockouts double up to a maximum', () => {
+        const auth = app.window.AuthService;
+        assert.deepEqual([1, 2, 3, 4, 5, 8, 20].map(failures => auth.lockoutSeconds(failures)), [0, 0, 30, 60, 120, 900, 900]);
+    });
+});
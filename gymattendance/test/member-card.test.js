@@ -0,0 +1,272 @@
+/**
+ * Member cards must show typed and imported data as text only, and only display allowed photo sources
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, setUpOwner } = require('./helpers/load-app');
+
+// Markup that runs script if it ever reaches innerHTML
+const HOSTILE_NAME = '<img src=x onerror="window.injected = true">Eve <script>window.injected = true</script>';
+const HOSTILE_PLAN = '"><svg onload="window.injected = true">';
+
+// A 1x1 transparent PNG
+const PNG_PHOTO = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const HOSTILE_PHOTOS = [
+    'javascript:window.injected = true',
+    'data:text/html,<script>window.injected = true</script>',
+    'data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9ImFsZXJ0KDEpIi8+',
+    'data:image/png;base64,AAAA" onerror="window.injected = true',
+    'https://tracker.example.com/pixel.png',
+    '//tracker.example.com/pixel.png',
+    '../../etc/passwd.png'
+];
+
+/**
+ * Check that nothing from a hostile payload turned into live markup
+ * @param {Object} app - App from loadApp
+ * @param {HTMLElement} container - Element holding the rendered cards
+ */
+function assertInert(app, container) {
+    assert.equal(app.window.injected, undefined, 'injected script ran');
+    assert.equal(container.querySelectorAll('script, svg, [onerror], [onload]').length, 0);
+    container.querySelectorAll('img').forEach(img => {
+        assert.ok(app.window.PhotoService.isAllowedSource(img.getAttribute('src')), `unexpected src ${img.getAttribute('src')}`);
+    });
+}
+
+/**
+ * Build a JSON backup file in the export format
+ * @param {Array} members - Members to include
+ * @param {Array} [plans] - Plans to include
+ * @returns {string} Backup file content
+ */
+function backupFile(members, plans = []) {
+    return JSON.stringify({ format: 'gym-attendance-backup', version: 1, members, plans, attendance: [] });
+}
+
+/**
+ * A member record as it appears in a backup
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Member record
+ */
+function backupMember(fields) {
+    const now = new Date();
+    return {
+        id: '2001',
+        name: 'Imported Member',
+        email: 'imported@example.com',
+        phone: '5550001111',
+        membershipType: 'monthly',
+        membershipStartDate: now.toISOString(),
+        membershipEndDate: new Date(now.getTime() + 30 * 86400000).toISOString(),
+        ...fields
+    };
+}
+
+describe('PhotoService.isAllowedSource', () => {
+    let app;
+
+    beforeEach(async () => {
+        app = await loadApp();
+    });
+
+    afterEach(() => app.close());
+
+    test('allows raster data URLs and images shipped with the app', () => {
+        const photos = app.window.PhotoService;
+        assert.equal(photos.isAllowedSource(PNG_PHOTO), true);
+        assert.equal(photos.isAllowedSource('data:image/jpeg;base64,/9j/4AAQ'), true);
+        assert.equal(photos.isAllowedSource('img/default-profile.png'), true);
+        assert.equal(photos.isAllowedSource('./img/logo.svg'), true);
+    });
+
+    test('refuses scripts, markup, remote URLs and paths outside the app', () => {
+        const photos = app.window.PhotoService;
+        HOSTILE_PHOTOS.forEach(src => assert.equal(photos.isAllowedSource(src), false, src));
+        assert.equal(photos.isAllowedSource(null), false);
+        assert.equal(photos.isAllowedSource({ toString: () => PNG_PHOTO }), false);
+        assert.equal(photos.safeSource(HOSTILE_PHOTOS[0]), 'img/default-profile.png');
+    });
+});
+
+describe('member cards', () => {
+    let app;
+
+    beforeEach(async () => {
+        app = await loadApp();
+        await setUpOwner(app);
+    });
+
+    afterEach(() => app.close());
+
+    test('a hostile name typed at registration shows as text in the list, search and attendance card', async () => {
+        await app.waitFor(() => app.$('#membership-type').options.length > 1);
+
+        app.fill('#new-name', HOSTILE_NAME);
+        app.fill('#new-email', 'eve@example.com');
+        app.fill('#new-phone', '5551234567');
+        app.$('#membership-type').selectedIndex = 1;
+        app.submit('#register-form');
+
+        const list = app.$('#members-list');
+        const card = await app.waitFor(() => list.querySelector('.member-item'));
+        assert.equal(card.querySelector('h3').textContent, HOSTILE_NAME.replace(/\s+/g, ' '));
+        assert.equal(card.querySelector('img').alt, HOSTILE_NAME.replace(/\s+/g, ' '));
+        assertInert(app, list);
+
+        const search = app.$('#search-member');
+        search.value = 'eve';
+        search.dispatchEvent(new app.window.Event('input', { bubbles: true }));
+        await app.waitFor(() => list.querySelector('.member-item') !== card && list.querySelector('.member-item'));
+        assertInert(app, list);
+
+        const memberId = card.getAttribute('data-member-id');
+        app.fill('#member-id', memberId);
+        app.click('#check-in-btn');
+        const info = app.$('#member-info');
+        await app.waitFor(() => info.querySelector('.member-card'));
+        assert.match(info.textContent, /<img src=x onerror=/);
+        assert.equal(info.querySelector('.member-status').textContent, 'Checked In');
+        assertInert(app, info);
+    });
+
+    test('trainers can neither see nor search by a member\'s email and phone', async () => {
+        const storage = app.window.StorageService;
+        const member = await storage.addMember(backupMember({ id: null, name: 'Ann Able', email: 'ann@example.com', phone: '(555) 123-0000' }));
+
+        const auth = app.window.AuthService;
+        const members = app.window.MembersService;
+        const search = term => members.filterMembers(
+            [member],
+            { search: term, plan: '', status: '', expiry: '', archived: members.ARCHIVED_FILTERS.ACTIVE, sort: members.SORTS.NAME }
+        ).map(found => found.name);
+
+        auth.startSession(await auth.createStaff({ name: 'Tara Trainer', username: 'tara', role: 'trainer', pin: '5678' }));
+        await app.window.MemberDetailService.open(member.id);
+
+        assert.equal(app.$('#edit-name').value, 'Ann Able');
+        assert.equal(app.$('#edit-email').value, '');
+        assert.equal(app.$('#edit-phone').value, '');
+        assert.doesNotMatch(app.document.body.innerHTML, /ann@example\.com|123-0000/);
+
+        assert.deepEqual(search('ann'), ['Ann Able']);
+        assert.deepEqual(search(member.id), ['Ann Able']);
+        assert.deepEqual(search('example.com'), []);
+        assert.deepEqual(search('555-1230'), []);
+
+        // Front desk staff contact members, so they can still find them that way
+        auth.startSession(await auth.createStaff({ name: 'Fred Desk', username: 'fred', role: 'front-desk', pin: '5678' }));
+        assert.deepEqual(search('example.com'), ['Ann Able']);
+        assert.deepEqual(search('555-1230'), ['Ann Able']);
+    });
+
+    test('imported members with hostile names and plans render as text, and hostile photos are refused', async () => {
+        const members = [
+            backupMember({ id: '2001', name: HOSTILE_NAME, membershipType: 'plan-hostile', photo: PNG_PHOTO }),
+            ...HOSTILE_PHOTOS.map((photo, index) => backupMember({
+                id: String(2100 + index),
+                name: `Photo Test ${index}`,
+                email: `photo${index}@example.com`,
+                phone: `555000${2100 + index}`,
+                photo
+            }))
+        ];
+        const plans = [{ id: 'plan-hostile', name: HOSTILE_PLAN, durationValue: 30, durationUnit: 'days', price: 10 }];
+
+        app.chooseFile('#import-file', 'backup.json', backupFile(members, plans), 'application/json');
+        app.submit('#import-form');
+        await app.waitFor(() => app.$('#import-result').textContent);
+
+        const errors = app.$$('#import-result .import-errors li').map(item => item.textContent);
+        assert.equal(errors.length, HOSTILE_PHOTOS.length);
+        errors.forEach(error => assert.match(error, /photo must be/));
+
+        const stored = await app.window.StorageService.getMembers();
+        assert.deepEqual(stored.map(member => member.name), [HOSTILE_NAME]);
+
+        const list = app.$('#members-list');
+        const card = await app.waitFor(() => list.querySelector('.member-item'));
+        assert.equal(card.querySelector('h3').textContent, HOSTILE_NAME);
+        assert.match(card.textContent, /Membership: "><svg onload=/);
+        await app.waitFor(() => card.querySelector('img').getAttribute('src') === PNG_PHOTO);
+        assertInert(app, list);
+    });
+
+    test('a malformed backup is reported row by row, and only known fields are imported', async () => {
+        const parse = content => app.window.DataTransferService.parseImport('backup.json', JSON.stringify({
+            format: 'gym-attendance-backup', version: 2, ...content
+        }));
+
+        assert.deepEqual(Array.from(parse({ members: {} }).errors), ['members is not a list']);
+        assert.deepEqual(Array.from(parse({ members: [null, 'Ann'] }).errors), ['members[0]: not a record', 'members[1]: not a record']);
+
+        const data = parse({
+            members: [backupMember({ isOwner: true, pinHash: 'x', ptSessionsRemaining: 2 })],
+            membershipHistory: [
+                { memberId: '2001', action: 'renewal', timestamp: new Date().toISOString(), charge: 30 },
+                { memberId: '2001', action: 'refund-everything', timestamp: 'yesterday' }
+            ],
+            plans: [
+                { id: 'plan-ok', name: 'Okay', durationValue: 30, durationUnit: 'days', price: 10 },
+                { id: 'plan-bad', name: 'Bad', durationValue: -1, durationUnit: 'fortnights', price: 'free' }
+            ]
+        });
+        assert.equal(data.members.length, 1);
+        assert.equal(data.members[0].ptSessionsRemaining, 2);
+        assert.equal(data.members[0].isOwner, undefined);
+        assert.equal(data.members[0].pinHash, undefined);
+        assert.equal(data.membershipHistory.length, 1);
+        assert.deepEqual(Array.from(data.plans, plan => plan.id), ['plan-ok']);
+        assert.equal(data.errors.length, 5);
+
+        // A file that fails to parse is reported instead of breaking the form
+        app.window.DataTransferService.parseImport = () => {
+            throw new Error('unreadable');
+        };
+        app.chooseFile('#import-file', 'backup.json', '{}', 'application/json');
+        app.submit('#import-form');
+        await app.waitFor(() => /Could not read this file/.test(app.$('#notification').textContent));
+        assert.equal(app.$('#import-result').textContent, '');
+    });
+
+    test('exported CSVs keep formula-like values as text, and importing them gives the values back', async () => {
+        const transfer = app.window.DataTransferService;
+        const formula = '=HYPERLINK("https://evil.example.com","Click")';
+        const csv = transfer.toCsv([backupMember({ name: formula, phone: '+15551234567', email: '@ann@example.com' })], transfer.MEMBER_COLUMNS);
+
+        const [, row] = transfer.parseCsv(csv);
+        assert.equal(row[transfer.MEMBER_COLUMNS.indexOf('name')], `'${formula}`);
+        assert.equal(row[transfer.MEMBER_COLUMNS.indexOf('phone')], "'+15551234567");
+        assert.equal(row[transfer.MEMBER_COLUMNS.indexOf('email')], "'@ann@example.com");
+
+        const [member] = transfer.parseImport('members.csv', csv).members;
+        assert.equal(member.name, formula);
+        assert.equal(member.phone, '+15551234567');
+    });
+
+    test('a hostile photo that reaches storage some other way is never displayed', async () => {
+        const storage = app.window.StorageService;
+        const now = new Date();
+        const member = await storage.addMember({
+            name: 'Synced Member',
+            email: 'synced@example.com',
+            phone: '5559876543',
+            membershipType: 'monthly',
+            membershipStartDate: now.toISOString(),
+            membershipEndDate: new Date(now.getTime() + 30 * 86400000).toISOString()
+        });
+        await storage.savePhoto(member.id, 'data:text/html,<script>window.injected = true</script>');
+
+        await app.window.MembersService.loadMembersList();
+        const list = app.$('#members-list');
+        const img = await app.waitFor(() => list.querySelector('img[data-photo-member-id]'));
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(img.getAttribute('src'), 'img/default-profile.png');
+
+        await app.window.MemberDetailService.open(member.id);
+        assert.equal(app.$('#detail-photo').getAttribute('src'), 'img/default-profile.png');
+        assertInert(app, list);
+    });
+});
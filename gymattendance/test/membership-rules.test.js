@@ -0,0 +1,532 @@
+/**
+ * Membership date math and attendance rules, checked against fixed times
+ * Runs in New York time so the tests cross real daylight saving changes.
+ */
+
+process.env.TZ = 'America/New_York';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const Rules = require('../www/js/membership-rules.js');
+const Clock = require('../www/js/clock.js');
+
+const { STATUS } = Rules;
+
+/**
+ * Build a local time
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [time] - HH:MM
+ * @returns {Date} Local time
+ */
+function at(date, time = '00:00') {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(year, month - 1, day, hours, minutes);
+}
+
+/**
+ * A member whose membership ends at a given time
+ * @param {Date} end - Membership end date
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} Member
+ */
+function memberEnding(end, fields = {}) {
+    return { id: '1001', name: 'Test Member', membershipEndDate: end.toISOString(), ...fields };
+}
+
+describe('days remaining and expiry', () => {
+    const now = at('2026-06-15', '10:00');
+
+    test('a membership ending later today has expired', () => {
+        const member = memberEnding(at('2026-06-15', '23:59'));
+        assert.equal(Rules.daysRemaining(member, now), 0);
+        assert.equal(Rules.isExpired(member, now), true);
+    });
+
+    test('a membership ending tomorrow has one day left, however early tomorrow it ends', () => {
+        const member = memberEnding(at('2026-06-16', '00:01'));
+        assert.equal(Rules.daysRemaining(member, at('2026-06-15', '23:59')), 1);
+        assert.equal(Rules.isExpired(member, at('2026-06-15', '23:59')), false);
+    });
+
+    test('the day ticks over at local midnight', () => {
+        const member = memberEnding(at('2026-06-20', '09:00'));
+        assert.equal(Rules.daysRemaining(member, at('2026-06-15', '23:59')), 5);
+        assert.equal(Rules.daysRemaining(member, at('2026-06-16', '00:00')), 4);
+    });
+
+    test('a lapsed membership never goes below zero', () => {
+        assert.equal(Rules.daysRemaining(memberEnding(at('2026-06-14', '12:00')), now), 0);
+        assert.equal(Rules.daysRemaining(memberEnding(at('2025-01-01')), now), 0);
+    });
+
+    test('members without an end date have no days left', () => {
+        assert.equal(Rules.daysRemaining({ id: '1001' }, now), 0);
+        assert.equal(Rules.daysRemaining(null, now), 0);
+    });
+
+    test('the short day when clocks go forward counts as one day', () => {
+        // Clocks went forward at 02:00 on 8 March 2026
+        const member = memberEnding(at('2026-03-09', '10:00'));
+        assert.equal(Rules.daysRemaining(member, at('2026-03-07', '10:00')), 2);
+        assert.equal(Rules.daysRemaining(member, at('2026-03-08', '03:00')), 1);
+    });
+
+    test('the long day when clocks go back counts as one day', () => {
+        // Clocks go back at 02:00 on 1 November 2026
+        const member = memberEnding(at('2026-11-02', '10:00'));
+        assert.equal(Rules.daysRemaining(member, at('2026-10-31', '10:00')), 2);
+        assert.equal(Rules.daysRemaining(member, at('2026-10-31', '00:00')), 2);
+        assert.equal(Rules.daysRemaining(member, at('2026-11-01', '23:30')), 1);
+    });
+
+    test('calendar days between dates are whole days in either direction', () => {
+        assert.equal(Rules.calendarDaysBetween(at('2026-03-01'), at('2026-04-01')), 31);
+        assert.equal(Rules.calendarDaysBetween(at('2026-11-30'), at('2026-10-01')), -60);
+        assert.equal(Rules.calendarDaysBetween(at('2026-12-31', '23:59'), at('2027-01-01', '00:00')), 1);
+    });
+});
+
+describe('membership end dates', () => {
+    const days = value => ({ durationValue: value, durationUnit: Rules.UNITS.DAYS });
+    const months = value => ({ durationValue: value, durationUnit: Rules.UNITS.MONTHS });
+
+    test('day plans keep the time of day across a clock change', () => {
+        const end = Rules.calculateEndDate(days(30), at('2026-02-20', '09:00'));
+        assert.deepEqual(end, at('2026-03-22', '09:00'));
+        assert.equal(Rules.daysRemaining(memberEnding(end), at('2026-02-20', '09:00')), 30);
+    });
+
+    test('month plans end on the same day of the month', () => {
+        assert.deepEqual(Rules.calculateEndDate(months(1), at('2026-03-15', '18:30')), at('2026-04-15', '18:30'));
+        assert.deepEqual(Rules.calculateEndDate(months(12), at('2026-10-19')), at('2027-10-19'));
+    });
+
+    test('month plans clamp to the end of shorter months', () => {
+        assert.deepEqual(Rules.calculateEndDate(months(1), at('2026-01-31')), at('2026-02-28'));
+        assert.deepEqual(Rules.calculateEndDate(months(1), at('2028-01-31')), at('2028-02-29'));
+        assert.deepEqual(Rules.calculateEndDate(months(3), at('2026-08-31')), at('2026-11-30'));
+        assert.deepEqual(Rules.calculateEndDate(months(13), at('2026-01-31')), at('2027-02-28'));
+    });
+
+    test('renewals extend an active membership from its end date and a lapsed one from now', () => {
+        const now = at('2026-06-15', '10:00');
+        const active = memberEnding(at('2026-06-20'));
+        const lapsed = memberEnding(at('2026-06-15', '08:00'));
+        assert.deepEqual(Rules.renewalStartDate(active, now), at('2026-06-20'));
+        assert.deepEqual(Rules.renewalStartDate(lapsed, now), now);
+        assert.notEqual(Rules.renewalStartDate(lapsed, now), now);
+    });
+
+    test('a change of plan starts now, even with days left on the old one', () => {
+        const now = at('2026-06-15', '10:00');
+        const active = memberEnding(at('2026-06-20'), { membershipType: 'monthly' });
+        assert.deepEqual(Rules.renewalStartDate(active, now, 'monthly'), at('2026-06-20'));
+        assert.deepEqual(Rules.renewalStartDate(active, now, 'off-peak'), now);
+    });
+});
+
+/**
+ * Start a session for a member and apply it, as the attendance desk does
+ * @param {Object} member - Member checking in
+ * @param {Date} now - Check-in time
+ * @returns {Object} { member, session }
+ */
+function checkIn(member, now) {
+    const session = Rules.startSession({ id: `session-${now.getTime()}`, memberId: member.id, start: now });
+    return { member: { ...member, ...Rules.checkInUpdates(session) }, session };
+}
+
+/**
+ * Close a member's session and apply it
+ * @param {Object} member - Member checking out
+ * @param {Object} session - Their open session
+ * @param {Date} now - Check-out time
+ * @returns {Object} { member, session }
+ */
+function checkOut(member, session, now) {
+    const closed = Rules.endSession(session, now);
+    return { member: { ...member, ...Rules.checkOutUpdates(closed) }, session: closed };
+}
+
+describe('sessions', () => {
+    test('record UTC start and end times and the local date the visit started on', () => {
+        // 23:30 in New York is already the next day in UTC
+        const session = Rules.startSession({ id: 's1', memberId: '1001', start: at('2026-06-15', '23:30'), branchId: 'north' });
+        assert.deepEqual(session, {
+            id: 's1',
+            memberId: '1001',
+            start: '2026-06-16T03:30:00.000Z',
+            end: null,
+            date: '2026-06-15',
+            branchId: 'north',
+            checkedInBy: null,
+            checkedOutBy: null,
+            automatic: false
+        });
+
+        const closed = Rules.endSession(session, at('2026-06-16', '01:00'), { checkedOutBy: 'staff-1' });
+        assert.equal(closed.end, '2026-06-16T05:00:00.000Z');
+        assert.equal(closed.date, '2026-06-15');
+        assert.equal(closed.checkedOutBy, 'staff-1');
+        assert.equal(session.end, null);
+    });
+
+    test('durations are real time, including the hour repeated when clocks go back', () => {
+        const session = Rules.startSession({ id: 's1', memberId: '1001', start: at('2026-10-31', '23:00') });
+        assert.equal(Rules.sessionDuration(session), null);
+        assert.equal(Rules.sessionDuration(Rules.endSession(session, at('2026-11-01', '02:00'))), 4 * 3600000);
+    });
+
+    test('only the latest session can be open', () => {
+        const old = Rules.startSession({ id: 'old', memberId: '1001', start: at('2026-06-01', '09:00') });
+        const done = Rules.endSession(Rules.startSession({ id: 'done', memberId: '1001', start: at('2026-06-10', '09:00') }), at('2026-06-10', '10:00'));
+        const current = Rules.startSession({ id: 'current', memberId: '1001', start: at('2026-06-15', '09:00') });
+
+        assert.equal(Rules.findOpenSession([old, done]), null);
+        assert.equal(Rules.findOpenSession([current, old, done]), current);
+        assert.equal(Rules.findOpenSession([]), null);
+    });
+});
+
+describe('pairing older check-in and check-out records', () => {
+    const record = (id, memberId, type, time, fields = {}) => ({ id, memberId, type, timestamp: time.toISOString(), ...fields });
+
+    test('pairs each check-out with the member\'s open check-in, keeping the check-in ID', () => {
+        const { sessions, unpaired } = Rules.pairRecords([
+            record('4', '1002', 'check-out', at('2026-06-15', '11:00')),
+            record('1', '1001', 'check-in', at('2026-06-15', '09:00'), { branchId: 'north', performedBy: 'staff-1' }),
+            record('3', '1002', 'check-in', at('2026-06-15', '09:30')),
+            record('2', '1001', 'check-out', at('2026-06-15', '10:00'), { automatic: true })
+        ]);
+
+        assert.deepEqual(unpaired, []);
+        assert.deepEqual(sessions.map(session => [session.id, session.memberId, session.start, session.end]), [
+            ['1', '1001', at('2026-06-15', '09:00').toISOString(), at('2026-06-15', '10:00').toISOString()],
+            ['3', '1002', at('2026-06-15', '09:30').toISOString(), at('2026-06-15', '11:00').toISOString()]
+        ]);
+        assert.equal(sessions[0].branchId, 'north');
+        assert.equal(sessions[0].checkedInBy, 'staff-1');
+        assert.equal(sessions[0].automatic, true);
+        assert.equal(sessions[0].date, '2026-06-15');
+    });
+
+    test('overnight visits are paired and dated by the day they started', () => {
+        const { sessions } = Rules.pairRecords([
+            record('1', '1001', 'check-in', at('2026-10-31', '23:00')),
+            record('2', '1001', 'check-out', at('2026-11-01', '03:30'))
+        ]);
+        assert.equal(sessions.length, 1);
+        assert.equal(sessions[0].date, '2026-10-31');
+
+        // The clocks went back during the visit, so it lasted an hour longer than the clock times suggest
+        assert.equal(Rules.sessionDuration(sessions[0]), 5.5 * 3600000);
+    });
+
+    test('check-ins and check-outs in the same millisecond pair up in order', () => {
+        const time = at('2026-06-15', '09:00');
+        const { sessions, unpaired } = Rules.pairRecords([
+            record('2', '1001', 'check-out', time),
+            record('1', '1001', 'check-in', time),
+            record('3', '1002', 'check-in', time)
+        ]);
+        assert.deepEqual(unpaired, []);
+        assert.deepEqual(sessions.map(session => [session.id, session.end]), [['1', time.toISOString()], ['3', null]]);
+    });
+
+    test('a check-out with no check-in is left unpaired and a check-in with no check-out stays open', () => {
+        const { sessions, unpaired } = Rules.pairRecords([
+            record('1', '1001', 'check-out', at('2026-06-14', '10:00')),
+            record('2', '1001', 'check-in', at('2026-06-15', '09:00')),
+            record('3', '1001', 'check-in', at('2026-06-16', '09:00'))
+        ]);
+        assert.deepEqual(unpaired.map(entry => entry.id), ['1']);
+        assert.deepEqual(sessions.map(session => [session.id, session.end]), [['2', null], ['3', null]]);
+        assert.equal(Rules.findOpenSession(sessions).id, '3');
+    });
+
+    test('records without an ID get one from the member and time', () => {
+        const { sessions } = Rules.pairRecords([
+            record('', '1001', 'check-in', at('2026-06-15', '09:00')),
+            record('', '1002', 'check-in', at('2026-06-15', '09:00'))
+        ]);
+        assert.notEqual(sessions[0].id, sessions[1].id);
+    });
+});
+
+describe('attendance status', () => {
+    test('moves from not checked in, to checked in, to checked out', () => {
+        let member = memberEnding(at('2026-07-01'));
+        assert.equal(Rules.getStatus(member, at('2026-06-15', '09:00')), STATUS.NOT_CHECKED_IN);
+
+        let session;
+        ({ member, session } = checkIn(member, at('2026-06-15', '09:00')));
+        assert.equal(member.openSessionId, session.id);
+        assert.equal(Rules.getStatus(member, at('2026-06-15', '09:00')), STATUS.CHECKED_IN);
+
+        ({ member } = checkOut(member, session, at('2026-06-15', '10:30')));
+        assert.equal(member.openSessionId, null);
+        assert.equal(Rules.getStatus(member, at('2026-06-15', '10:30')), STATUS.CHECKED_OUT);
+        assert.equal(Rules.getStatus(member, at('2026-06-15', '23:59')), STATUS.CHECKED_OUT);
+    });
+
+    test('a check-out only shows until local midnight', () => {
+        const member = { openSessionId: null, lastCheckOut: at('2026-06-15', '23:59').toISOString() };
+        assert.equal(Rules.getStatus(member, at('2026-06-15', '23:59')), STATUS.CHECKED_OUT);
+        assert.equal(Rules.getStatus(member, at('2026-06-16', '00:00')), STATUS.NOT_CHECKED_IN);
+    });
+
+    test('a check-out late on the night clocks go back still counts as that day', () => {
+        const member = { openSessionId: null, lastCheckOut: at('2026-11-01', '23:30').toISOString() };
+        assert.equal(Rules.getStatus(member, at('2026-11-01', '23:45')), STATUS.CHECKED_OUT);
+        assert.equal(Rules.getStatus(member, at('2026-11-02', '00:15')), STATUS.NOT_CHECKED_IN);
+    });
+
+    test('a session left open overnight is still checked in', () => {
+        const { member } = checkIn(memberEnding(at('2026-07-01')), at('2026-06-15', '22:00'));
+        assert.equal(Rules.getStatus(member, at('2026-06-16', '00:01')), STATUS.CHECKED_IN);
+        assert.equal(Rules.getStatus(member, at('2026-06-17', '08:00')), STATUS.CHECKED_IN);
+    });
+
+    test('check-in and check-out times alone do not make a member checked in', () => {
+        const member = { lastCheckIn: at('2026-06-15', '22:00').toISOString(), lastCheckOut: null, openSessionId: null };
+        assert.equal(Rules.getStatus(member, at('2026-06-15', '22:30')), STATUS.NOT_CHECKED_IN);
+    });
+
+    test('statuses format for display', () => {
+        assert.equal(Rules.formatStatus(STATUS.CHECKED_IN), 'Checked In');
+        assert.equal(Rules.formatStatus(STATUS.CHECKED_OUT), 'Checked Out');
+        assert.equal(Rules.formatStatus(STATUS.NOT_CHECKED_IN), 'Not Checked In');
+        assert.equal(Rules.formatStatus('unknown'), 'unknown');
+    });
+});
+
+describe('check-in and check-out sequences', () => {
+    /**
+     * Apply a sequence of check-ins and check-outs, as the attendance desk does
+     * @param {Object} member - Starting member
+     * @param {Array} steps - [action, Date] pairs, action 'in' or 'out'
+     * @returns {Object} { member, sessions, errors } with one error (or null) per step
+     */
+    function run(member, steps) {
+        const sessions = [];
+        const errors = steps.map(([action, now]) => {
+            const error = action === 'in' ? Rules.checkInError(member, now) : Rules.checkOutError(member, now);
+            if (error) return error;
+
+            if (action === 'in') {
+                const result = checkIn(member, now);
+                member = result.member;
+                sessions.push(result.session);
+            } else {
+                const result = checkOut(member, sessions[sessions.length - 1], now);
+                member = result.member;
+                sessions[sessions.length - 1] = result.session;
+            }
+            return null;
+        });
+        return { member, sessions, errors };
+    }
+
+    test('alternating visits are all accepted, one session each', () => {
+        const { member, sessions, errors } = run(memberEnding(at('2026-07-01')), [
+            ['in', at('2026-06-15', '07:00')],
+            ['out', at('2026-06-15', '08:15')],
+            ['in', at('2026-06-15', '18:00')],
+            ['out', at('2026-06-15', '19:00')]
+        ]);
+        assert.deepEqual(errors, [null, null, null, null]);
+        assert.deepEqual(sessions.map(Rules.sessionDuration), [75 * 60000, 60 * 60000]);
+        assert.equal(member.lastCheckIn, at('2026-06-15', '18:00').toISOString());
+        assert.equal(Rules.getStatus(member, at('2026-06-15', '19:00')), STATUS.CHECKED_OUT);
+    });
+
+    test('checking in twice or out twice is refused', () => {
+        const { member, sessions, errors } = run(memberEnding(at('2026-07-01')), [
+            ['out', at('2026-06-15', '06:59')],
+            ['in', at('2026-06-15', '07:00')],
+            ['in', at('2026-06-15', '07:05')],
+            ['out', at('2026-06-15', '08:00')],
+            ['out', at('2026-06-15', '08:01')]
+        ]);
+        assert.deepEqual(errors, [
+            'Member is not currently checked in.',
+            null,
+            'Member is already checked in.',
+            null,
+            'Member is not currently checked in.'
+        ]);
+        assert.equal(sessions.length, 1);
+        assert.equal(member.lastCheckOut, at('2026-06-15', '08:00').toISOString());
+    });
+
+    test('a member can check in on the last evening before their end date but not on it', () => {
+        const member = memberEnding(at('2026-06-16', '09:00'));
+        assert.equal(Rules.checkInError(member, at('2026-06-15', '23:59')), null);
+        assert.equal(Rules.checkInError(member, at('2026-06-16', '00:00')), 'Membership has expired. Please renew to continue.');
+    });
+
+    test('a member checked in before expiry can still check out after it', () => {
+        const { sessions, errors } = run(memberEnding(at('2026-06-16', '09:00')), [
+            ['in', at('2026-06-15', '23:00')],
+            ['out', at('2026-06-16', '00:30')]
+        ]);
+        assert.deepEqual(errors, [null, null]);
+        assert.equal(sessions[0].date, '2026-06-15');
+    });
+
+    test('archived and frozen members are refused', () => {
+        const now = at('2026-06-15', '10:00');
+        const active = memberEnding(at('2026-07-01'));
+        assert.match(Rules.checkInError({ ...active, archived: true }, now), /archived/);
+        assert.match(Rules.checkInError({ ...active, frozenUntil: at('2026-06-20').toISOString() }, now), /frozen until/);
+        assert.equal(Rules.checkInError({ ...active, frozenUntil: at('2026-06-15', '09:59').toISOString() }, now), null);
+    });
+});
+
+describe('corrections', () => {
+    const now = at('2026-06-15', '12:00');
+    const manager = { correctedBy: 'staff-1', correctedAt: now };
+
+    /**
+     * A session between two local times
+     * @param {string} id - Session ID
+     * @param {Date} start - Check-in time
+     * @param {Date|null} end - Check-out time, or null if still open
+     * @returns {Object} Session
+     */
+    function visit(id, start, end) {
+        const session = Rules.startSession({ id, memberId: '1001', start });
+        return end ? Rules.endSession(session, end) : session;
+    }
+
+    test('a reason is always required', () => {
+        const change = { start: at('2026-06-15', '07:00'), end: at('2026-06-15', '08:00') };
+        assert.equal(Rules.correctionError({ ...change, reason: ' ' }, [], now), 'Please give a reason for the correction.');
+        assert.equal(Rules.correctionError({ reason: '' }, [], now), 'Please give a reason for the correction.');
+        assert.equal(Rules.correctionError({ reason: 'Duplicate scan' }, [], now), null);
+        assert.equal(Rules.correctionError({ ...change, reason: 'Tablet was down' }, [], now), null);
+    });
+
+    test('times must be in order and not in the future', () => {
+        const reason = 'Forgot to check in';
+        const error = (start, end) => Rules.correctionError({ start, end, reason }, [], now);
+
+        assert.equal(error(new Date(NaN), null), 'Please enter when the visit started and ended.');
+        assert.equal(error(at('2026-06-15', '08:00'), at('2026-06-15', '08:00')), 'The visit must end after it starts.');
+        assert.equal(error(at('2026-06-15', '11:00'), at('2026-06-15', '12:30')), 'Visits cannot be recorded in the future.');
+        assert.equal(error(at('2026-06-15', '12:01'), null), 'Visits cannot be recorded in the future.');
+        assert.equal(error(at('2026-06-14', '23:00'), at('2026-06-15', '01:00')), null);
+    });
+
+    test('a corrected visit cannot overlap another, but voided and abandoned ones take no time', () => {
+        const reason = 'Forgot to check in';
+        const others = [
+            visit('a', at('2026-06-14', '07:00'), at('2026-06-14', '08:00')),
+            visit('b', at('2026-06-14', '18:00'), null),
+            { ...visit('c', at('2026-06-15', '06:00'), at('2026-06-15', '07:00')), voidedAt: now.toISOString() },
+            visit('d', at('2026-06-15', '09:00'), null)
+        ];
+        const error = (start, end) => Rules.correctionError({ start, end, reason }, others, now);
+
+        assert.match(error(at('2026-06-14', '07:30'), at('2026-06-14', '08:30')), /^That overlaps another visit/);
+        assert.equal(error(at('2026-06-14', '08:00'), at('2026-06-14', '09:00')), null);
+        assert.equal(error(at('2026-06-14', '17:00'), at('2026-06-14', '19:00')), 'That overlaps another visit on ' + at('2026-06-14', '18:00').toLocaleString() + '.');
+        assert.equal(error(at('2026-06-14', '19:00'), at('2026-06-14', '20:00')), null);
+        assert.equal(error(at('2026-06-15', '06:00'), at('2026-06-15', '07:00')), null);
+
+        // The member is in the gym now, so nothing can start after they arrived
+        assert.match(error(at('2026-06-15', '10:00'), at('2026-06-15', '11:00')), /^That overlaps/);
+        assert.match(error(at('2026-06-15', '07:00'), null), /^That overlaps/);
+        assert.equal(error(at('2026-06-15', '07:00'), at('2026-06-15', '08:30')), null);
+    });
+
+    test('correcting a session moves its date and marks it, keeping its ID', () => {
+        const original = { ...visit('a', at('2026-06-14', '23:00'), at('2026-06-15', '02:00')), automatic: true };
+        const corrected = Rules.correctSession(original, {
+            start: at('2026-06-15', '00:30'),
+            end: at('2026-06-15', '01:45'),
+            reason: ' Wrong time entered '
+        }, manager);
+
+        assert.equal(corrected.id, 'a');
+        assert.equal(corrected.date, '2026-06-15');
+        assert.equal(corrected.automatic, false);
+        assert.equal(Rules.sessionDuration(corrected), 75 * 60000);
+        assert.equal(corrected.correctionReason, 'Wrong time entered');
+        assert.equal(corrected.correctedBy, 'staff-1');
+        assert.equal(corrected.correctedAt, now.toISOString());
+    });
+
+    test('a voided session no longer counts and the member follows their remaining visits', () => {
+        const earlier = visit('a', at('2026-06-14', '07:00'), at('2026-06-14', '08:00'));
+        const open = visit('b', at('2026-06-15', '09:00'), null);
+        const voided = Rules.voidSession(open, { reason: 'Scanned the wrong card' }, { voidedBy: 'staff-1', voidedAt: now });
+
+        assert.equal(Rules.isCounted(open), true);
+        assert.equal(Rules.isCounted(voided), false);
+        assert.equal(voided.voidReason, 'Scanned the wrong card');
+        assert.equal(Rules.findOpenSession([earlier, voided]), null);
+        assert.equal(Rules.latestSession([earlier, voided]), earlier);
+
+        assert.deepEqual(Rules.attendanceFields([earlier, open]), Rules.checkInUpdates(open));
+        const fields = Rules.attendanceFields([earlier, voided]);
+        assert.deepEqual(fields, { openSessionId: null, lastCheckIn: earlier.start, lastCheckOut: earlier.end });
+        assert.equal(Rules.getStatus({ ...memberEnding(at('2026-07-01')), ...fields }, now), STATUS.NOT_CHECKED_IN);
+        assert.deepEqual(Rules.attendanceFields([voided]), { openSessionId: null, lastCheckIn: null, lastCheckOut: null });
+    });
+});
+
+describe('plan hours and session cutoffs', () => {
+    test('allowed hours include the start and exclude the end', () => {
+        const plan = { allowedHours: { start: '06:00', end: '12:00' } };
+        assert.equal(Rules.isWithinAllowedHours(plan, at('2026-06-15', '05:59')), false);
+        assert.equal(Rules.isWithinAllowedHours(plan, at('2026-06-15', '06:00')), true);
+        assert.equal(Rules.isWithinAllowedHours(plan, at('2026-06-15', '11:59')), true);
+        assert.equal(Rules.isWithinAllowedHours(plan, at('2026-06-15', '12:00')), false);
+        assert.equal(Rules.isWithinAllowedHours({}, at('2026-06-15', '03:00')), true);
+    });
+
+    test('allowed hours can wrap past midnight', () => {
+        const plan = { allowedHours: { start: '22:00', end: '06:00' } };
+        assert.equal(Rules.isWithinAllowedHours(plan, at('2026-06-15', '23:30')), true);
+        assert.equal(Rules.isWithinAllowedHours(plan, at('2026-06-16', '00:00')), true);
+        assert.equal(Rules.isWithinAllowedHours(plan, at('2026-06-16', '06:00')), false);
+        assert.equal(Rules.isWithinAllowedHours(plan, at('2026-06-16', '12:00')), false);
+    });
+
+    test('sessions close at the earlier of closing time and the maximum length', () => {
+        const checkIn = at('2026-06-15', '19:00').toISOString();
+        assert.deepEqual(Rules.sessionCutoff(checkIn, { closingTime: '22:00', maxSessionHours: 4 }), at('2026-06-15', '22:00'));
+        assert.deepEqual(Rules.sessionCutoff(checkIn, { closingTime: '22:00', maxSessionHours: 2 }), at('2026-06-15', '21:00'));
+        assert.equal(Rules.sessionCutoff(checkIn, {}), null);
+    });
+
+    test('a check-in after closing time runs to the next closing', () => {
+        const checkIn = at('2026-06-15', '22:30').toISOString();
+        assert.deepEqual(Rules.sessionCutoff(checkIn, { closingTime: '22:00' }), at('2026-06-16', '22:00'));
+    });
+
+    test('closing time stays at local time across a clock change', () => {
+        const checkIn = at('2026-10-31', '23:00').toISOString();
+        assert.deepEqual(Rules.sessionCutoff(checkIn, { closingTime: '22:00' }), at('2026-11-01', '22:00'));
+
+        // The maximum length is real hours, so the extra hour that night is counted
+        assert.deepEqual(Rules.sessionCutoff(checkIn, { maxSessionHours: 4 }), at('2026-11-01', '02:00'));
+    });
+});
+
+describe('Clock', () => {
+    test('follows the system clock until set, then stays put', () => {
+        Clock.set(null);
+        assert.ok(Math.abs(Clock.now() - Date.now()) < 1000);
+
+        Clock.set('2026-06-15T10:00:00Z');
+        const first = Clock.now();
+        first.setFullYear(2000);
+        assert.equal(Clock.now().toISOString(), '2026-06-15T10:00:00.000Z');
+
+        Clock.set(null);
+        assert.ok(Math.abs(Clock.now() - Date.now()) < 1000);
+    });
+});
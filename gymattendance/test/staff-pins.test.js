@@ -0,0 +1,118 @@
+/**
+ * Staff PINs are stored as slow salted hashes, since staff records are shared through sync, repeated
+ * wrong PINs lock the login form, and sync only sends data over https:// unless the server is on this machine
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, setUpOwner } = require('./helpers/load-app');
+
+describe('staff PINs', () => {
+    let app;
+
+    beforeEach(async () => {
+        app = await loadApp();
+        await setUpOwner(app);
+    });
+
+    afterEach(() => app.close());
+
+    test('new accounts store a PBKDF2 hash with its own salt', async () => {
+        const auth = app.window.AuthService;
+        const [owner] = await app.window.StorageService.getStaff();
+
+        assert.equal(owner.pinIterations, auth.PIN_ITERATIONS);
+        assert.equal(owner.pinHash, await auth.hashPin('1234', owner.salt));
+        assert.notEqual(owner.pinHash, await auth.legacyHashPin('1234', owner.salt));
+
+        const other = await auth.createStaff({ name: 'Fred Desk', username: 'fred', role: 'front-desk', pin: '1234' });
+        assert.notEqual(other.salt, owner.salt);
+        assert.notEqual(other.pinHash, owner.pinHash);
+    });
+
+    test('an account from before PBKDF2 still logs in, and is moved over when it does', async () => {
+        const auth = app.window.AuthService;
+        const storage = app.window.StorageService;
+        await storage.saveStaff({
+            id: 'staff-old',
+            name: 'Olga Older',
+            username: 'olga',
+            role: 'front-desk',
+            salt: 'abcd',
+            pinHash: await auth.legacyHashPin('4321', 'abcd'),
+            active: true
+        });
+
+        assert.equal(await auth.verifyPin(await storage.getStaffByUsername('olga'), '0000'), false);
+        assert.equal((await storage.getStaffByUsername('olga')).pinIterations, undefined);
+
+        assert.equal(await auth.verifyPin(await storage.getStaffByUsername('olga'), '4321'), true);
+        const upgraded = await storage.getStaffByUsername('olga');
+        assert.equal(upgraded.pinIterations, auth.PIN_ITERATIONS);
+        assert.notEqual(upgraded.salt, 'abcd');
+        assert.equal(await auth.verifyPin(upgraded, '4321'), true);
+
+        const [entry] = await storage.getAuditLog();
+        assert.equal(entry.note, 'PIN hash upgraded');
+        assert.equal(entry.after.pinHash, '(hidden)');
+    });
+
+    test('repeated wrong PINs lock the login form on this device, as at the kiosk', async () => {
+        const auth = app.window.AuthService;
+        const login = async pin => {
+            const notification = app.$('#notification');
+            notification.textContent = '';
+            app.fill('#login-username', 'olive');
+            app.fill('#login-pin', pin);
+            app.submit('#login-form');
+            return app.waitFor(() => notification.textContent);
+        };
+        const advance = seconds => app.window.Clock.set(app.window.Clock.now().getTime() + seconds * 1000);
+
+        app.window.Clock.set(new Date(2026, 5, 15, 9, 0));
+        await auth.logout();
+        assert.equal(await login('0000'), 'Incorrect username or PIN');
+        assert.equal(await login('0001'), 'Incorrect username or PIN');
+        assert.equal(await login('0002'), 'Incorrect username or PIN. Try again in 30 seconds.');
+        assert.equal(await login('1234'), 'Too many incorrect PINs. Try again in 30 seconds.');
+        assert.equal(auth.currentStaff, null);
+
+        // The kiosk keeps its own count
+        const kiosk = await auth.getLockout(app.window.StorageService.META.KIOSK_LOCKOUT);
+        assert.equal(kiosk.failures, 0);
+
+        advance(30);
+        app.fill('#login-username', 'olive');
+        app.fill('#login-pin', '1234');
+        app.submit('#login-form');
+        await app.waitFor(() => auth.currentStaff);
+        assert.equal((await auth.getLockout(app.window.StorageService.META.LOGIN_LOCKOUT)).failures, 0);
+        assert.equal((await app.window.StorageService.getAuditLog()).some(entry => /lockout|failures/.test(JSON.stringify(entry))), false);
+    });
+
+    test('sync addresses must use https unless they are on this machine', async () => {
+        const sync = app.window.SyncService;
+        assert.equal(sync.isAllowedUrl('https://sync.example.com/api'), true);
+        assert.equal(sync.isAllowedUrl('http://localhost:8787'), true);
+        assert.equal(sync.isAllowedUrl('http://127.0.0.1:8787/api'), true);
+        assert.equal(sync.isAllowedUrl('http://sync.example.com/api'), false);
+        assert.equal(sync.isAllowedUrl('http://localhost.example.com'), false);
+        assert.equal(sync.isAllowedUrl('ftp://localhost'), false);
+        assert.equal(sync.isAllowedUrl('not a url'), false);
+
+        app.click('.tab-btn[data-tab="settings"]');
+        app.fill('#setting-sync-url', 'http://sync.example.com/api');
+        app.submit('#settings-form');
+        assert.equal(
+            await app.waitFor(() => app.$('#notification').textContent),
+            'Sync server address must start with https:// (http:// only for localhost)'
+        );
+        assert.equal(await app.window.SettingsService.get('syncUrl'), '');
+
+        // An insecure address saved before this check is not synced to
+        await app.window.SettingsService.save({ syncUrl: 'http://sync.example.com/api' });
+        await sync.configure();
+        assert.equal(app.window.StorageService.syncTracking, false);
+        assert.equal(sync.status, sync.STATUS.ERROR);
+    });
+});
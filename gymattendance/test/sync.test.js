@@ -0,0 +1,327 @@
+/**
+ * Device sync: two copies of the app sync through the mock server in scripts/,
+ * and the newer change wins when both devices change the same record
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const createSyncServer = require('../scripts/mock-sync-server');
+const { loadApp, setUpOwner, waitFor } = require('./helpers/load-app');
+
+/**
+ * Member fields as the registration form would save them
+ * @param {string} name - Member name
+ * @returns {Object} Member object without ID
+ */
+function newMember(name) {
+    return {
+        name,
+        email: `${name.split(' ')[0].toLowerCase()}@example.com`,
+        phone: '5550001111',
+        membershipType: 'monthly',
+        membershipStartDate: new Date(2026, 5, 1).toISOString(),
+        membershipEndDate: new Date(2026, 6, 1).toISOString()
+    };
+}
+
+/**
+ * Let the clock tick, so the next change is strictly newer than the last
+ * @returns {Promise<void>}
+ */
+function tick() {
+    return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+describe('sync', () => {
+    let server;
+    let syncUrl;
+    let devices;
+
+    /**
+     * Start a device with its own database and an owner account
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.connect] - Point it at the sync server straight away
+     * @returns {Promise<Object>} App from loadApp
+     */
+    async function startDevice({ connect = true } = {}) {
+        const app = await loadApp();
+        devices.push(app);
+        // jsdom has no fetch of its own
+        app.window.fetch = fetch;
+        await setUpOwner(app);
+        if (connect) await connectDevice(app);
+        return app;
+    }
+
+    /**
+     * Point a device at the sync server, which pushes everything on it
+     * @param {Object} app - App from loadApp
+     */
+    async function connectDevice(app) {
+        await app.window.SettingsService.save({ syncUrl });
+        await app.window.SyncService.configure();
+        assert.equal(app.window.SyncService.status, app.window.SyncService.STATUS.SYNCED);
+    }
+
+    /**
+     * Sync each device in turn
+     * @param {...Object} apps - Apps from loadApp
+     */
+    async function syncAll(...apps) {
+        for (const app of apps) {
+            await app.window.SyncService.sync();
+        }
+    }
+
+    /**
+     * Set whether a device's browser reports a connection
+     * @param {Object} app - App from loadApp
+     * @param {boolean} online - Whether it is online
+     */
+    function setOnline(app, online) {
+        Object.defineProperty(app.window.navigator, 'onLine', { value: online, configurable: true });
+        app.window.dispatchEvent(new app.window.Event(online ? 'online' : 'offline'));
+    }
+
+    beforeEach(async () => {
+        devices = [];
+        server = createSyncServer();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        syncUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+        await Promise.all(devices.map(app => app.close()));
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('when both devices edit a member, the later edit wins on both', async () => {
+        const front = await startDevice();
+        const back = await startDevice();
+        const member = await front.window.StorageService.addMember(newMember('Ann Able'));
+        await syncAll(front, back);
+        assert.equal((await back.window.StorageService.getMemberById(member.id)).name, 'Ann Able');
+
+        await back.window.StorageService.updateMember(member.id, { email: 'ann@back.example.com' });
+        await tick();
+        await front.window.StorageService.updateMember(member.id, { email: 'ann@front.example.com' });
+
+        // The older edit reaches the server first, but doesn't overwrite the newer one
+        await syncAll(back, front, back);
+
+        for (const app of [front, back]) {
+            assert.equal((await app.window.StorageService.getMemberById(member.id)).email, 'ann@front.example.com');
+            assert.equal(await app.window.StorageService.countQueuedChanges(), 0);
+        }
+    });
+
+    test('a member ID and username already taken on another device are given up', async () => {
+        const front = await startDevice({ connect: false });
+        const back = await startDevice({ connect: false });
+
+        // Registered before either device joined, so both hand out the first ID
+        const ann = await front.window.StorageService.addMember(newMember('Ann Able'));
+        const ben = await back.window.StorageService.addMember(newMember('Ben Bell'));
+        assert.equal(ann.id, ben.id);
+
+        await connectDevice(front);
+        await connectDevice(back);
+        await syncAll(front);
+
+        for (const app of [front, back]) {
+            const members = await app.window.StorageService.getMembers();
+            const byName = Object.fromEntries(members.map(member => [member.name, member.id]));
+            assert.deepEqual(Object.keys(byName).sort(), ['Ann Able', 'Ben Bell']);
+            assert.equal(byName['Ann Able'], ann.id);
+            assert.notEqual(byName['Ben Bell'], ann.id);
+
+            const usernames = (await app.window.StorageService.getStaff()).map(staff => staff.username).sort();
+            assert.equal(usernames.length, 2);
+            assert.equal(usernames[0], 'olive');
+            assert.match(usernames[1], /^olive-\w{4}$/);
+        }
+
+        // New registrations carry on after the highest ID either device has seen
+        await front.window.StorageService.addMember(newMember('Cy Cole'));
+        const ids = (await front.window.StorageService.getMembers()).map(member => member.id);
+        assert.equal(new Set(ids).size, 3);
+    });
+
+    test('a delete and an edit of the same member: the later one wins', async () => {
+        const front = await startDevice();
+        const back = await startDevice();
+        const kept = await front.window.StorageService.addMember(newMember('Ann Able'));
+        const removed = await front.window.StorageService.addMember(newMember('Ben Bell'));
+        await syncAll(front, back);
+
+        // Deleted, then edited elsewhere: the edit brings the member back
+        await back.window.StorageService.deleteMember(kept.id);
+        await tick();
+        await front.window.StorageService.updateMember(kept.id, { phone: '5552223333' });
+
+        // Edited, then deleted elsewhere: the member stays deleted
+        await front.window.StorageService.updateMember(removed.id, { phone: '5554445555' });
+        await tick();
+        await back.window.StorageService.deleteMember(removed.id);
+
+        await syncAll(back, front, back);
+
+        for (const app of [front, back]) {
+            assert.equal((await app.window.StorageService.getMemberById(kept.id)).phone, '5552223333');
+            assert.equal(await app.window.StorageService.getMemberById(removed.id), null);
+        }
+    });
+
+    test('receipts issued on two devices between syncs never share a number', async () => {
+        const front = await startDevice();
+        const back = await startDevice();
+        const member = await front.window.StorageService.addMember(newMember('Ann Able'));
+        await syncAll(front, back);
+
+        const pay = app => app.window.StorageService.addPayment({ memberId: member.id, amount: 50, method: 'cash', date: '2026-06-01' });
+        const [fromFront, fromBack] = [await pay(front), await pay(back)];
+        assert.equal(fromFront.receiptNumber, fromBack.receiptNumber);
+        await syncAll(front, back, front);
+
+        const payments = await front.window.StorageService.getMemberPayments(member.id);
+        const receipts = payments.map(payment => front.window.PaymentsService.formatReceipt(payment));
+        assert.equal(new Set(receipts).size, 2);
+        receipts.forEach(receipt => assert.match(receipt, /^[0-9A-F]{6}-1$/));
+    });
+
+    test('the audit log is kept whole, whatever another device pushes', async () => {
+        const front = await startDevice();
+        const back = await startDevice();
+        const member = await front.window.StorageService.addMember(newMember('Ann Able'));
+        await syncAll(front, back);
+
+        const [logged] = await back.window.StorageService.getAuditLog({ memberId: member.id });
+        const syncId = logged._sync.id;
+        const tampered = { ...logged, action: 'delete', note: 'rewritten' };
+        delete tampered._sync;
+        delete tampered.id;
+
+        // Another device edits the entry, then deletes it
+        for (const change of [
+            { baseVersion: logged._sync.version, deleted: false, record: tampered },
+            { baseVersion: logged._sync.version + 1, deleted: true, record: null }
+        ]) {
+            await fetch(`${syncUrl}/changes`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    deviceId: 'device-other',
+                    changes: [{ store: 'auditLog', id: syncId, modifiedAt: new Date().toISOString(), ...change }]
+                })
+            });
+            await syncAll(back);
+
+            const [kept] = await back.window.StorageService.getAuditLog({ memberId: member.id });
+            assert.equal(kept.id, logged.id);
+            assert.equal(kept.action, logged.action);
+            assert.equal(kept.note, logged.note);
+        }
+    });
+
+    test('a backup carries no sync details, so importing one never overwrites other records on the server', async () => {
+        const front = await startDevice();
+        const back = await startDevice();
+        const ann = await front.window.StorageService.addMember(newMember('Ann Able'));
+        await syncAll(front, back);
+
+        const backup = await front.window.DataTransferService.buildBackup();
+        assert.ok(backup.members.length > 0);
+        assert.doesNotMatch(JSON.stringify(backup), /_sync/);
+
+        // A backup from another gym's synced device, with an ID already used here
+        const ben = { ...newMember('Ben Bell'), id: ann.id, registrationDate: new Date(2026, 4, 1).toISOString() };
+        const other = {
+            format: 'gym-attendance-backup',
+            version: 2,
+            members: [{ ...ben, _sync: { id: ann.id, version: 3 } }],
+            attendance: [],
+            payments: [{
+                memberId: ann.id, amount: 50, method: 'cash', date: '2026-05-01', receiptNumber: 7,
+                _sync: { id: 'device-elsewhere:1', version: 2 }
+            }]
+        };
+        const data = back.window.DataTransferService.parseImport('other.json', JSON.stringify(other));
+        const summary = await back.window.StorageService.importData(data, 'merge');
+        assert.equal(summary.membersRenumbered, 1);
+        await syncAll(back, front);
+
+        for (const app of [front, back]) {
+            const members = await app.window.StorageService.getMembers();
+            const byName = Object.fromEntries(members.map(member => [member.name, member.id]));
+            assert.equal(byName['Ann Able'], ann.id);
+            assert.ok(byName['Ben Bell'] && byName['Ben Bell'] !== ann.id);
+            assert.equal((await app.window.StorageService.getMemberPayments(byName['Ben Bell'])).length, 1);
+        }
+    });
+
+    test('check-ins and check-outs pushed before visits were sessions are pulled as sessions', async () => {
+        const day = (hours, minutes = 0) => new Date(2026, 5, 14, hours, minutes).toISOString();
+        const record = (id, type, timestamp) => ({
+            store: 'attendance', id, baseVersion: 0, modifiedAt: timestamp,
+            record: { id, memberId: '1001', type, timestamp, date: timestamp.slice(0, 10), branchId: null, performedBy: null }
+        });
+
+        // What a device on the old format left on the server
+        await fetch(`${syncUrl}/changes`, {
+            method: 'POST',
+            body: JSON.stringify({
+                deviceId: 'device-old',
+                changes: [
+                    {
+                        store: 'members', id: '1001', baseVersion: 0, modifiedAt: day(6),
+                        record: { ...newMember('Ann Able'), id: '1001', registrationDate: day(6), lastCheckIn: day(18), lastCheckOut: null }
+                    },
+                    record('in-1', 'check-in', day(7)),
+                    record('out-1', 'check-out', day(8)),
+                    record('in-2', 'check-in', day(18))
+                ]
+            })
+        });
+
+        const front = await startDevice();
+        const sessions = await front.window.StorageService.getMemberAttendance('1001');
+        assert.deepEqual(sessions.map(session => [session.id, session.start, session.end]), [
+            ['in-1', day(7), day(8)],
+            ['in-2', day(18), null]
+        ]);
+        assert.equal((await front.window.StorageService.getMemberById('1001')).openSessionId, 'in-2');
+        assert.equal(await front.window.StorageService.countQueuedChanges(), 0);
+
+        // The server now holds sessions, so a device joining later never sees the old records
+        const back = await startDevice();
+        const pulled = await back.window.StorageService.getAttendance();
+        assert.deepEqual(pulled.map(session => [session.id, session.end]), [['in-1', day(8)], ['in-2', null]]);
+        assert.ok(pulled.every(session => session.type === undefined));
+        assert.equal((await back.window.StorageService.getMemberById('1001')).openSessionId, 'in-2');
+    });
+
+    test('changes made offline wait in the queue and are pushed once back online', async () => {
+        const front = await startDevice();
+        const back = await startDevice();
+        const member = await front.window.StorageService.addMember(newMember('Ann Able'));
+        await syncAll(front, back);
+
+        setOnline(front, false);
+        await front.window.StorageService.updateMember(member.id, { name: 'Ann Able-Baker' });
+        await syncAll(front, back);
+
+        assert.equal(front.window.SyncService.status, front.window.SyncService.STATUS.OFFLINE);
+        // The member and its audit entry
+        assert.equal(await front.window.StorageService.countQueuedChanges(), 2);
+        await waitFor(() => front.$('#sync-status').textContent === 'Offline · 2 waiting');
+        assert.equal((await back.window.StorageService.getMemberById(member.id)).name, 'Ann Able');
+
+        // Coming back online syncs straight away
+        setOnline(front, true);
+        await waitFor(() => front.window.SyncService.status === front.window.SyncService.STATUS.SYNCED);
+        await syncAll(front, back);
+
+        assert.equal(await front.window.StorageService.countQueuedChanges(), 0);
+        assert.equal((await back.window.StorageService.getMemberById(member.id)).name, 'Ann Able-Baker');
+    });
+});
@@ -0,0 +1,280 @@
+/**
+ * Front desk flows across the tabs: register a member, find them in the list,
+ * check them in and out, then see the visit in the reports
+ */
+
+process.env.TZ = 'America/New_York';
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, setUpOwner } = require('./helpers/load-app');
+
+// A Saturday morning, the day before the clocks go back
+const OPENING = new Date(2026, 9, 31, 9, 0);
+
+/**
+ * Move the app's clock on
+ * @param {Object} app - App from loadApp
+ * @param {number} minutes - Minutes to move forward
+ */
+function advance(app, minutes) {
+    app.window.Clock.set(app.window.Clock.now().getTime() + minutes * 60000);
+}
+
+/**
+ * Open a tab by clicking its button
+ * @param {Object} app - App from loadApp
+ * @param {string} name - Tab name, as in data-tab
+ */
+function openTab(app, name) {
+    app.click(`.tab-btn[data-tab="${name}"]`);
+    assert.ok(app.$(`#${name}-tab`).classList.contains('active'), `${name} tab did not open`);
+}
+
+/**
+ * Register a member on the Monthly plan through the registration form
+ * @param {Object} app - App from loadApp
+ * @param {string} name - Member name
+ * @returns {Promise<HTMLElement>} The member's card in the Members List
+ */
+async function register(app, name) {
+    openTab(app, 'register');
+    await app.waitFor(() => app.$('#membership-type option[value="monthly"]'));
+
+    const firstName = name.split(' ')[0].toLowerCase();
+    app.fill('#new-name', name);
+    app.fill('#new-email', `${firstName}@example.com`);
+    app.fill('#new-phone', '5551234567');
+    app.fill('#membership-type', 'monthly');
+    app.submit('#register-form');
+
+    await app.waitFor(() => /registered successfully/.test(app.$('#notification').textContent));
+    openTab(app, 'members');
+    return app.waitFor(() => app.$$('#members-list .member-item').find(card => card.querySelector('h3').textContent === name));
+}
+
+/**
+ * Read a labelled line from a member card
+ * @param {HTMLElement} card - Member card
+ * @param {string} label - Line label
+ * @returns {string} The line's value
+ */
+function cardValue(card, label) {
+    const line = Array.from(card.querySelectorAll('p')).find(p => p.textContent.startsWith(`${label}: `));
+    return line.querySelector('span').textContent;
+}
+
+/**
+ * Check a member in or out from the Attendance tab and wait for the result
+ * @param {Object} app - App from loadApp
+ * @param {string} memberId - Member ID
+ * @param {string} button - 'check-in' or 'check-out'
+ * @returns {Promise<string>} The notification shown
+ */
+async function desk(app, memberId, button) {
+    openTab(app, 'attendance');
+    const notification = app.$('#notification');
+    notification.textContent = '';
+    app.fill('#member-id', memberId);
+    app.click(`#${button}-btn`);
+    return app.waitFor(() => notification.textContent);
+}
+
+describe('tab flows', () => {
+    let app;
+
+    beforeEach(async () => {
+        app = await loadApp({ now: OPENING });
+        await setUpOwner(app);
+    });
+
+    afterEach(() => app.close());
+
+    test('each tab button opens its own tab and closes the others', () => {
+        const buttons = app.$$('.tab-btn');
+        assert.ok(buttons.length > 5);
+
+        buttons.forEach(button => {
+            const name = button.getAttribute('data-tab');
+            openTab(app, name);
+            assert.ok(button.classList.contains('active'));
+            assert.deepEqual(app.$$('.tab-content.active').map(tab => tab.id), [`${name}-tab`]);
+            assert.deepEqual(app.$$('.tab-btn.active'), [button]);
+        });
+    });
+
+    test('register, check in and out, and see the visit in reports', async () => {
+        const card = await register(app, 'Dana Desk');
+        const memberId = card.getAttribute('data-member-id');
+        assert.equal(cardValue(card, 'Days Remaining'), '30');
+        assert.equal(cardValue(card, 'Status'), 'Not Checked In');
+
+        assert.match(await desk(app, memberId, 'check-in'), /Check-in successful/);
+        const info = await app.waitFor(() => app.$('#member-info .member-card'));
+        assert.equal(cardValue(info, 'Status'), 'Checked In');
+
+        assert.equal(await desk(app, memberId, 'check-in'), 'Member is already checked in.');
+
+        advance(app, 95);
+        assert.equal(await desk(app, memberId, 'check-out'), 'Check-out successful!');
+        await app.waitFor(() => cardValue(app.$('#member-info .member-card'), 'Status') === 'Checked Out');
+
+        assert.equal(await desk(app, memberId, 'check-out'), 'Member is not currently checked in.');
+
+        openTab(app, 'members');
+        await app.window.MembersService.loadMembersList();
+        assert.equal(cardValue(app.$('#members-list .member-item'), 'Status'), 'Checked Out');
+
+        openTab(app, 'reports');
+        await app.waitFor(() => app.$('#report-total-visits').textContent === '1');
+        assert.equal(app.$('#report-to').value, '2026-10-31');
+        assert.equal(app.$('#report-unique-members').textContent, '1');
+        assert.equal(app.$('#report-average-duration').textContent, '1h 35m');
+    });
+
+    test('a check-out shows until midnight, and the days count down across the clock change', async () => {
+        const card = await register(app, 'Nora Night');
+        const memberId = card.getAttribute('data-member-id');
+
+        // Check in late on Saturday and out after midnight, as the clocks go back
+        advance(app, 14 * 60);
+        assert.match(await desk(app, memberId, 'check-in'), /Check-in successful/);
+        advance(app, 3 * 60);
+        assert.equal(await desk(app, memberId, 'check-out'), 'Check-out successful!');
+
+        openTab(app, 'members');
+        await app.window.MembersService.loadMembersList();
+        let listCard = app.$('#members-list .member-item');
+        assert.equal(cardValue(listCard, 'Status'), 'Checked Out');
+        assert.equal(cardValue(listCard, 'Days Remaining'), '29');
+
+        // Sunday is 25 hours long; Monday morning is two calendar days after registration
+        app.window.Clock.set(new Date(2026, 10, 2, 9, 0));
+        await app.window.MembersService.loadMembersList();
+        listCard = app.$('#members-list .member-item');
+        assert.equal(cardValue(listCard, 'Status'), 'Not Checked In');
+        assert.equal(cardValue(listCard, 'Days Remaining'), '28');
+    });
+
+    test('an expired membership is refused at the desk and cannot be frozen until renewed', async () => {
+        const card = await register(app, 'Ezra Expired');
+        const memberId = card.getAttribute('data-member-id');
+
+        // The Monthly plan is 30 days, so it runs out at the start of its last day
+        app.window.Clock.set(new Date(2026, 10, 29, 23, 59));
+        assert.match(await desk(app, memberId, 'check-in'), /Check-in successful/);
+        assert.equal(await desk(app, memberId, 'check-out'), 'Check-out successful!');
+
+        app.window.Clock.set(new Date(2026, 10, 30, 0, 0));
+        assert.equal(await desk(app, memberId, 'check-in'), 'Membership has expired. Please renew to continue.');
+        const info = await app.waitFor(() => app.$('#member-info .member-card'));
+        assert.equal(cardValue(info, 'Days Remaining'), '0');
+
+        const member = await app.window.StorageService.getMemberById(memberId);
+        assert.equal(await app.window.MembershipService.freeze(member, 7), null);
+        const renewed = await app.window.MembershipService.renew(member);
+        assert.equal(app.window.StorageService.calculateDaysRemaining(renewed), 30);
+        const [renewal] = await app.window.StorageService.getMembershipHistory(memberId);
+        assert.equal(renewal.timestamp, new Date(2026, 10, 30, 0, 0).toISOString());
+        assert.match(await desk(app, memberId, 'check-in'), /Check-in successful/);
+    });
+
+    test('merging duplicates booked into the same session keeps one booking and frees the other place', async () => {
+        const storage = app.window.StorageService;
+        const status = storage.BOOKING_STATUS;
+        const addMember = name => storage.addMember({
+            name,
+            email: `${name.toLowerCase()}@example.com`,
+            phone: '5551234567',
+            membershipType: 'monthly',
+            membershipStartDate: OPENING.toISOString(),
+            membershipEndDate: new Date(2026, 10, 30, 9, 0).toISOString()
+        });
+        const [keep, duplicate, other, waiting] = [
+            await addMember('Kim'), await addMember('Kimberly'), await addMember('Omar'), await addMember('Wes')
+        ];
+        const yoga = await storage.saveClass({ id: 'class-yoga', name: 'Yoga', dayOfWeek: 6, startTime: '10:00', durationMinutes: 60, capacity: 2 });
+
+        // Both booked the first session, and the duplicate holds the place the kept member is waiting for in the second
+        await storage.bookSession(yoga, '2026-11-07', keep.id);
+        await storage.bookSession(yoga, '2026-11-07', duplicate.id);
+        await storage.bookSession(yoga, '2026-11-07', waiting.id);
+        await storage.bookSession(yoga, '2026-11-14', other.id);
+        await storage.bookSession(yoga, '2026-11-14', duplicate.id);
+        await storage.bookSession(yoga, '2026-11-14', keep.id);
+
+        await storage.mergeMembers(keep.id, duplicate.id);
+
+        const bookings = await storage.getBookings();
+        assert.ok(bookings.every(booking => booking.memberId !== duplicate.id));
+        const held = bookings
+            .filter(booking => booking.status !== status.CANCELLED)
+            .map(booking => `${booking.sessionDate} ${booking.memberId} ${booking.status}`)
+            .sort();
+        assert.deepEqual(held, [
+            `2026-11-07 ${keep.id} ${status.BOOKED}`,
+            `2026-11-07 ${waiting.id} ${status.BOOKED}`,
+            `2026-11-14 ${keep.id} ${status.BOOKED}`,
+            `2026-11-14 ${other.id} ${status.BOOKED}`
+        ].sort());
+    });
+
+    test('payments, training and class changes that cannot be saved are reported', async () => {
+        const card = await register(app, 'Dee Disk');
+        const memberId = card.getAttribute('data-member-id');
+        const storage = app.window.StorageService;
+        await storage.saveClass({ id: 'class-yoga', name: 'Yoga', dayOfWeek: 6, startTime: '10:00', durationMinutes: 60, capacity: 10 });
+        await app.window.ClassesService.refresh();
+        await app.window.MemberDetailService.open(memberId);
+
+        const logged = [];
+        app.window.console.error = message => logged.push(message);
+        ['addPayment', 'updateMember', 'updateMembership', 'logPtSession', 'bookSession', 'cancelBooking', 'saveClass'].forEach(name => {
+            storage[name] = async () => {
+                throw new Error('The disk is full');
+            };
+        });
+
+        const notification = app.$('#notification');
+        const attempt = async run => {
+            notification.textContent = '';
+            await run({ preventDefault: () => {} });
+            return notification.textContent;
+        };
+
+        app.fill('#payment-amount', '25');
+        app.fill('#payment-method', 'cash');
+        app.fill('#payment-date', '2026-10-31');
+        assert.equal(await attempt(event => app.window.PaymentsService.handlePayment(event)), 'Could not record the payment. Please try again.');
+
+        const trainers = app.window.TrainersService;
+        assert.equal(await attempt(event => trainers.handleAssign(event)), 'Could not update member. Please try again.');
+        app.fill('#pt-pack-sessions', '5');
+        app.fill('#pt-pack-price', '100');
+        assert.equal(await attempt(event => trainers.handleSellPack(event)), 'Could not sell session pack. Please try again.');
+        app.$('#pt-visit').innerHTML = '<option value="session-1">Today</option>';
+        app.$('#pt-trainer').innerHTML = '<option value="staff-1">Tara</option>';
+        app.fill('#pt-duration', '45');
+        assert.equal(await attempt(event => trainers.handleLogSession(event)), 'Could not log the training session. Please try again.');
+
+        const classes = app.window.ClassesService;
+        assert.equal(await attempt(() => classes.handleBooking('class-yoga', memberId)), 'Could not book the session. Please try again.');
+        assert.equal(await attempt(() => classes.handleCancel(1)), 'Could not cancel the booking. Please try again.');
+        app.fill('#class-name', 'Spin');
+        app.fill('#class-day', '6');
+        app.fill('#class-start', '11:00');
+        app.fill('#class-duration', '45');
+        app.fill('#class-capacity', '12');
+        assert.equal(await attempt(event => classes.handleSave(event)), 'Could not save the class. Please try again.');
+
+        assert.deepEqual(logged, [
+            'Failed to record payment',
+            'Failed to assign trainer',
+            'Failed to sell session pack',
+            'Failed to log training session',
+            'Failed to book session',
+            'Failed to cancel booking',
+            'Failed to save class'
+        ]);
+    });
+});
@@ -31,7 +31,12 @@ const AttendanceService = {
         const memberIdInput = document.getElementById('member-id');
         if (memberIdInput) {
             memberIdInput.addEventListener('keypress', (event) => {
-                if (event.key === 'Enter') {
+                if (event.key !== 'Enter') return;
+                
+                // In kiosk mode one entry toggles between check-in and check-out
+                if (KioskService.active) {
+                    KioskService.handleEntry();
+                } else {
                     this.handleCheckIn(event);
                 }
             });
@@ -40,98 +45,190 @@ const AttendanceService = {
 
     /**
      * Handle member check-in
+     * Never rejects, since scans and the kiosk call this without waiting on it.
      * @param {Event} event - Click or keypress event
+     * @returns {Promise<Object|null>} Updated member, or null if check-in was refused or failed
      */
-    handleCheckIn: function(event) {
+    handleCheckIn: async function(event) {
+        try {
+            return await this.checkIn();
+        } catch (error) {
+            console.error('Check-in failed', error);
+            App.showNotification('Check-in failed. Please try again.', 'error');
+            return null;
+        }
+    },
+
+    /**
+     * Check in the member whose ID is entered
+     * @returns {Promise<Object|null>} Updated member, or null if check-in was refused
+     */
+    checkIn: async function() {
         const memberId = document.getElementById('member-id').value.trim();
         
         if (!memberId) {
-            this.showNotification('Please enter a member ID', 'error');
-            return;
+            App.showNotification('Please enter a member ID', 'error');
+            return null;
         }
         
         // Get member by ID
-        const member = StorageService.getMemberById(memberId);
+        let member = await StorageService.getMemberById(memberId);
         
         if (!member) {
-            this.showNotification('Member not found. Please check the ID and try again.', 'error');
-            return;
+            App.showNotification('Member not found. Please check the ID and try again.', 'error');
+            return null;
         }
         
-        // Check if membership is expired
-        const daysRemaining = StorageService.calculateDaysRemaining(member);
-        if (daysRemaining <= 0) {
-            this.showNotification('Membership has expired. Please renew to continue.', 'error');
+        // Close a forgotten session before deciding what to do
+        member = await AutoCheckoutService.closeIfStale(member);
+        
+        // Check the membership is usable: not archived, expired, frozen or already checked in
+        const membershipError = MembershipRules.checkInError(member, Clock.now());
+        if (membershipError) {
+            App.showNotification(membershipError, 'error');
             this.displayMemberInfo(member); // Still show member info
-            return;
+            return null;
+        }
+        
+        // Check plan rules such as allowed hours and visit caps
+        const planError = await PlansService.validateCheckIn(member);
+        if (planError) {
+            App.showNotification(planError, 'error');
+            this.displayMemberInfo(member);
+            return null;
+        }
+        
+        // Check for unpaid dues if the gym has asked to
+        const duesCheckMode = await SettingsService.get('duesCheckMode');
+        const due = duesCheckMode === 'off' ? 0 : (await PaymentsService.getBalance(memberId)).due;
+        if (due > 0 && duesCheckMode === 'block') {
+            App.showNotification(`Outstanding dues of ${PaymentsService.formatAmount(due)}. Please pay at the desk to check in.`, 'error');
+            this.displayMemberInfo(member);
+            return null;
         }
         
-        // Check if already checked in
-        const status = StorageService.getMemberStatus(member);
-        if (status === 'checked-in') {
-            this.showNotification('Member is already checked in.', 'error');
+        // Check the gym has room
+        const [occupancy, capacityMode] = await Promise.all([OccupancyService.getStatus(), SettingsService.get('capacityMode')]);
+        if (occupancy.full && capacityMode === 'block') {
+            App.showNotification(`The gym is full (${OccupancyService.formatHeadcount(occupancy)}). Please wait for someone to check out.`, 'error');
             this.displayMemberInfo(member);
-            return;
+            return null;
         }
         
-        // Record check-in
-        StorageService.checkIn(memberId);
+        // Start the member's session; null if another check-in got there first
+        const session = await StorageService.checkIn(memberId);
+        if (!session) {
+            App.showNotification('Member is already checked in.', 'error');
+            this.displayMemberInfo(member);
+            return null;
+        }
         
         // Get updated member data after check-in
-        const updatedMember = StorageService.getMemberById(memberId);
+        const updatedMember = await StorageService.getMemberById(memberId);
+        const occupancyAfter = OccupancyService.summarize(occupancy.count + 1, occupancy.capacity);
+        
+        // Checking in during a booked class slot counts as attending the class
+        const classes = await ClassesService.markAttendance(memberId, new Date(session.start));
         
         // Show success notification
-        this.showNotification('Check-in successful!', 'success');
+        const notes = classes.map(cls => `Marked present for ${cls.name}.`);
+        const warnings = [];
+        if (due > 0) {
+            warnings.push(`Outstanding dues: ${PaymentsService.formatAmount(due)}`);
+        }
+        if (occupancyAfter.full) {
+            warnings.push(`The gym is at capacity (${OccupancyService.formatHeadcount(occupancyAfter)})`);
+        }
+        
+        if (warnings.length > 0) {
+            App.showNotification(['Check-in successful!', ...notes, warnings.join('. ')].join(' '), 'warning');
+        } else {
+            App.showNotification(['Check-in successful!', ...notes].join(' '), 'success');
+        }
+        OccupancyService.render();
         
         // Display updated member info
         this.displayMemberInfo(updatedMember, 'checked-in');
         
         // Clear input field
         document.getElementById('member-id').value = '';
+        
+        return updatedMember;
     },
 
     /**
      * Handle member check-out
+     * Never rejects, since scans and the kiosk call this without waiting on it.
      * @param {Event} event - Click event
+     * @returns {Promise<Object|null>} Updated member, or null if check-out was refused or failed
+     */
+    handleCheckOut: async function(event) {
+        try {
+            return await this.checkOut();
+        } catch (error) {
+            console.error('Check-out failed', error);
+            App.showNotification('Check-out failed. Please try again.', 'error');
+            return null;
+        }
+    },
+
+    /**
+     * Check out the member whose ID is entered
+     * @returns {Promise<Object|null>} Updated member, or null if check-out was refused
      */
-    handleCheckOut: function(event) {
+    checkOut: async function() {
         const memberId = document.getElementById('member-id').value.trim();
         
         if (!memberId) {
-            this.showNotification('Please enter a member ID', 'error');
-            return;
+            App.showNotification('Please enter a member ID', 'error');
+            return null;
         }
         
         // Get member by ID
-        const member = StorageService.getMemberById(memberId);
+        let member = await StorageService.getMemberById(memberId);
         
         if (!member) {
-            this.showNotification('Member not found. Please check the ID and try again.', 'error');
-            return;
+            App.showNotification('Member not found. Please check the ID and try again.', 'error');
+            return null;
         }
         
+        // Close a forgotten session before deciding what to do
+        member = await AutoCheckoutService.closeIfStale(member);
+        
         // Check if already checked out or not checked in
-        const status = StorageService.getMemberStatus(member);
-        if (status !== 'checked-in') {
-            this.showNotification('Member is not currently checked in.', 'error');
+        const checkOutError = MembershipRules.checkOutError(member, Clock.now());
+        if (checkOutError) {
+            App.showNotification(checkOutError, 'error');
             this.displayMemberInfo(member);
-            return;
+            return null;
         }
         
-        // Record check-out
-        StorageService.checkOut(memberId);
+        // Record check-out; null if another check-out got there first
+        const closed = await StorageService.checkOut(memberId);
+        if (!closed) {
+            App.showNotification('Member is not currently checked in.', 'error');
+            this.displayMemberInfo(member);
+            return null;
+        }
         
         // Get updated member data after check-out
-        const updatedMember = StorageService.getMemberById(memberId);
+        const updatedMember = await StorageService.getMemberById(memberId);
         
         // Show success notification
-        this.showNotification('Check-out successful!', 'success');
+        if (closed.unsynced) {
+            App.showNotification('Checked out, but this visit has not synced from the device it started on yet.', 'warning');
+        } else {
+            App.showNotification('Check-out successful!', 'success');
+        }
+        OccupancyService.render();
         
         // Display updated member info
         this.displayMemberInfo(updatedMember, 'checked-out');
         
         // Clear input field
         document.getElementById('member-id').value = '';
+        
+        return updatedMember;
     },
 
     /**
@@ -139,87 +236,17 @@ const AttendanceService = {
      * @param {Object} member - Member object
      * @param {string} [status] - Override status if needed
      */
-    displayMemberInfo: function(member, status = null) {
+    displayMemberInfo: async function(member, status = null) {
         // Get the most up-to-date member data
-        const updatedMember = StorageService.getMemberById(member.id);
+        const [updatedMember] = await Promise.all([StorageService.getMemberById(member.id), PlansService.load()]);
         if (!updatedMember) return;
         
-        // Get elements
+        // Replace the previous member's card; the photo follows once loaded
         const memberInfo = document.getElementById('member-info');
-        const memberPhoto = document.getElementById('member-photo-display');
-        const memberName = document.getElementById('member-name-display');
-        const memberIdDisplay = document.getElementById('member-id-display');
-        const membershipType = document.getElementById('membership-type-display');
-        const daysRemaining = document.getElementById('days-remaining-display');
-        const attendanceStatus = document.getElementById('attendance-status-display');
-        
-        // Update elements with member data
-        memberPhoto.src = updatedMember.photo || 'img/default-profile.png';
-        memberName.textContent = updatedMember.name;
-        memberIdDisplay.textContent = updatedMember.id;
-        membershipType.textContent = this.formatMembershipType(updatedMember.membershipType);
-        
-        // Calculate and display days remaining
-        const remainingDays = StorageService.calculateDaysRemaining(updatedMember);
-        daysRemaining.textContent = remainingDays;
-        
-        // Set status
-        const memberStatus = status || StorageService.getMemberStatus(updatedMember);
-        attendanceStatus.textContent = this.formatStatus(memberStatus);
-        
-        // Apply status styling
-        attendanceStatus.className = memberStatus;
+        memberInfo.replaceChildren(MemberCard.create(updatedMember, { className: 'member-card', status, lazy: false }));
         
         // Show member info
         memberInfo.classList.remove('hidden');
-    },
-
-    /**
-     * Format membership type for display
-     * @param {string} type - Membership type code
-     * @returns {string} Formatted membership type
-     */
-    formatMembershipType: function(type) {
-        switch (type) {
-            case 'monthly': return 'Monthly (30 days)';
-            case 'quarterly': return 'Quarterly (90 days)';
-            case 'halfyearly': return 'Half Yearly (180 days)';
-            case 'annual': return 'Annual (365 days)';
-            default: return type;
-        }
-    },
-
-    /**
-     * Format member status for display
-     * @param {string} status - Member status code
-     * @returns {string} Formatted status
-     */
-    formatStatus: function(status) {
-        switch (status) {
-            case 'checked-in': return 'Checked In';
-            case 'checked-out': return 'Checked Out';
-            case 'not-checked-in': return 'Not Checked In';
-            default: return status;
-        }
-    },
-
-    /**
-     * Show a notification message
-     * @param {string} message - Message to display
-     * @param {string} type - Notification type ('success' or 'error')
-     */
-    showNotification: function(message, type = 'success') {
-        const notification = document.getElementById('notification');
-        notification.textContent = message;
-        notification.className = `notification ${type}`;
-        
-        // Show notification
-        notification.classList.remove('hidden');
-        
-        // Hide after 3 seconds
-        setTimeout(() => {
-            notification.classList.add('hidden');
-        }, 3000);
     }
 };
 
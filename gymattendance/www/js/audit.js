@@ -0,0 +1,185 @@
+/**
+ * Audit Service
+ * Handles the audit log viewer and export
+ */
+
+const AuditService = {
+    // Most entries shown at once; the export always has everything matching the filters
+    MAX_ROWS: 500,
+
+    // CSV columns, in export order
+    COLUMNS: [
+        'id', 'timestamp', 'actorId', 'actorName', 'action', 'entityType',
+        'entityId', 'memberId', 'note', 'before', 'after'
+    ],
+
+    // Bookkeeping fields left out of change summaries
+    IGNORED_FIELDS: ['updatedBy', '_sync'],
+
+    /**
+     * Initialize the audit service
+     */
+    init: function() {
+        this.setupEventListeners();
+    },
+
+    /**
+     * Set up event listeners for the audit log tab
+     */
+    setupEventListeners: function() {
+        // Reload whenever the tab is opened so new changes show up
+        const auditTabBtn = document.querySelector('.tab-btn[data-tab="audit"]');
+        if (auditTabBtn) {
+            auditTabBtn.addEventListener('click', this.render.bind(this));
+        }
+
+        const filterForm = document.getElementById('audit-filter-form');
+        if (filterForm) {
+            filterForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.render();
+            });
+        }
+
+        const exportBtn = document.getElementById('audit-export-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', this.exportCsv.bind(this));
+        }
+    },
+
+    /**
+     * Read the selected filters
+     * @returns {Object} { memberId, action }
+     */
+    getFilters: function() {
+        return {
+            memberId: document.getElementById('audit-member-id').value.trim(),
+            action: document.getElementById('audit-action').value
+        };
+    },
+
+    /**
+     * Render the audit log for the selected filters, newest first
+     */
+    render: async function() {
+        if (!AuthService.require(AuthService.PERMISSIONS.AUDIT)) return;
+
+        const entries = await StorageService.getAuditLog(this.getFilters());
+        const container = document.getElementById('audit-log');
+        container.innerHTML = '';
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="no-members">No matching entries.</p>';
+            return;
+        }
+
+        if (entries.length > this.MAX_ROWS) {
+            const note = document.createElement('p');
+            note.textContent = `Showing the latest ${this.MAX_ROWS} of ${entries.length} entries. Export to see them all.`;
+            container.appendChild(note);
+        }
+
+        const table = document.createElement('table');
+        table.className = 'report-table audit-table';
+        const header = table.createTHead().insertRow();
+        ['Time', 'Staff', 'Action', 'Record', 'Changes'].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        entries.slice(0, this.MAX_ROWS).forEach(entry => {
+            const row = body.insertRow();
+            row.insertCell().textContent = new Date(entry.timestamp).toLocaleString();
+            row.insertCell().textContent = entry.actorName || 'System';
+            row.insertCell().textContent = entry.note ? `${entry.action} (${entry.note})` : entry.action;
+            row.insertCell().textContent = entry.entityId ? `${entry.entityType} ${entry.entityId}` : entry.entityType;
+
+            const changes = row.insertCell();
+            this.describeChanges(entry).forEach(text => {
+                const line = document.createElement('div');
+                line.textContent = text;
+                changes.appendChild(line);
+            });
+        });
+        container.appendChild(table);
+    },
+
+    /**
+     * Summarise a check-in, check-out or correction to a visit
+     * Entries written before visits were kept as sessions hold a single check-in or check-out record.
+     * @param {Object} entry - Audit log entry about attendance
+     * @returns {string} Description
+     */
+    describeVisit: function(entry) {
+        const { before, after } = entry;
+        if (after.type) return `${after.type} at ${new Date(after.timestamp).toLocaleString()}`;
+
+        const span = session =>
+            `${new Date(session.start).toLocaleString()} - ${session.end ? new Date(session.end).toLocaleString() : 'open'}`;
+
+        switch (entry.action) {
+            case StorageService.AUDIT_ACTIONS.CHECK_IN: return `check-in at ${new Date(after.start).toLocaleString()}`;
+            case StorageService.AUDIT_ACTIONS.CHECK_OUT: return `check-out at ${new Date(after.end).toLocaleString()}`;
+            case StorageService.AUDIT_ACTIONS.VOID: return `voided visit ${span(after)}`;
+            case StorageService.AUDIT_ACTIONS.CORRECT: return `visit ${span(before)} → ${span(after)}`;
+            default: return `added visit ${span(after)}`;
+        }
+    },
+
+    /**
+     * Summarise what an entry changed
+     * @param {Object} entry - Audit log entry
+     * @returns {Array<string>} One line per changed field
+     */
+    describeChanges: function(entry) {
+        const { before, after } = entry;
+
+        if (!before && !after) return [];
+        if (entry.entityType === 'attendance') return [this.describeVisit(entry)];
+        if (!before) return [`Created ${after.name || entry.entityId || ''}`.trim()];
+        if (!after) return [`Deleted ${before.name || entry.entityId || ''}`.trim()];
+
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        return [...keys]
+            .filter(key => !this.IGNORED_FIELDS.includes(key))
+            .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+            .map(key => `${key}: ${this.formatValue(before[key])} → ${this.formatValue(after[key])}`);
+    },
+
+    /**
+     * Format a field value for a change summary
+     * @param {*} value - Field value
+     * @returns {string} Display text
+     */
+    formatValue: function(value) {
+        if (value === null || value === undefined || value === '') return '(none)';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    },
+
+    /**
+     * Export audit log entries matching the filters as CSV
+     */
+    exportCsv: async function() {
+        if (!AuthService.require(AuthService.PERMISSIONS.EXPORT)) return;
+
+        const entries = await StorageService.getAuditLog(this.getFilters());
+        const rows = entries.map(entry => ({
+            ...entry,
+            before: entry.before ? JSON.stringify(entry.before) : '',
+            after: entry.after ? JSON.stringify(entry.after) : ''
+        }));
+
+        DataTransferService.download(
+            DataTransferService.toCsv(rows, this.COLUMNS),
+            `audit-log-${DataTransferService.timestamp()}.csv`,
+            'text/csv'
+        );
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    AuditService.init();
+});
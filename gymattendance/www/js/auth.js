@@ -0,0 +1,456 @@
+/**
+ * Auth Service
+ * Handles staff login, roles and permission checks
+ */
+
+const AuthService = {
+    // Staff roles
+    ROLES: {
+        FRONT_DESK: 'front-desk',
+        TRAINER: 'trainer',
+        MANAGER: 'manager',
+        OWNER: 'owner'
+    },
+
+    // Actions that need a permission
+    PERMISSIONS: {
+        REGISTER: 'register',
+        RENEW: 'renew',
+        PAYMENTS: 'payments',
+        REMINDERS: 'reminders',
+        BOOKINGS: 'bookings',
+        TRAINING: 'training',
+        EDIT: 'edit',
+        ARCHIVE: 'archive',
+        PLANS: 'plans',
+        CLASSES: 'classes',
+        REPORTS: 'reports',
+        EXPORT: 'export',
+        IMPORT: 'import',
+        SETTINGS: 'settings',
+        STAFF: 'staff',
+        AUDIT: 'audit',
+        CORRECT_ATTENDANCE: 'correct-attendance',
+        VIEW_CONTACTS: 'view-contacts'
+    },
+
+    // PBKDF2 rounds for new PIN hashes
+    PIN_ITERATIONS: 600000,
+
+    // Wrong PINs allowed before a PIN prompt is locked for a while
+    FREE_ATTEMPTS: 3,
+
+    // First lockout after the free attempts, doubling with each further wrong PIN up to the maximum
+    LOCKOUT_SECONDS: 30,
+    MAX_LOCKOUT_SECONDS: 15 * 60,
+
+    // Where the logged-in staff ID is kept for the browser session
+    SESSION_KEY: 'gym_staff_session',
+
+    // Recorded as the actor for check-ins made at an unattended kiosk
+    KIOSK_ACTOR: { id: 'kiosk', name: 'Kiosk' },
+
+    // Logged-in staff member
+    currentStaff: null,
+
+    /**
+     * Get the permissions granted to a role
+     * @param {string} role - Role code
+     * @returns {Array<string>} Permission codes
+     */
+    getRolePermissions: function(role) {
+        const p = this.PERMISSIONS;
+        const frontDesk = [p.REGISTER, p.RENEW, p.PAYMENTS, p.REMINDERS, p.BOOKINGS, p.VIEW_CONTACTS];
+        const manager = [
+            ...frontDesk, p.TRAINING, p.EDIT, p.ARCHIVE, p.PLANS, p.CLASSES, p.REPORTS, p.EXPORT, p.IMPORT, p.SETTINGS, p.AUDIT,
+            p.CORRECT_ATTENDANCE
+        ];
+
+        switch (role) {
+            case this.ROLES.FRONT_DESK: return frontDesk;
+            case this.ROLES.TRAINER: return [p.TRAINING];
+            case this.ROLES.MANAGER: return manager;
+            case this.ROLES.OWNER: return [...manager, p.STAFF];
+            default: return [];
+        }
+    },
+
+    /**
+     * Initialize the auth service
+     */
+    init: async function() {
+        this.setupEventListeners();
+
+        // An unattended kiosk runs without a staff login
+        if (await SettingsService.get('kioskActive')) {
+            this.setActor(this.KIOSK_ACTOR);
+            this.reveal();
+            return;
+        }
+
+        const staffId = sessionStorage.getItem(this.SESSION_KEY);
+        if (staffId) {
+            const staff = (await StorageService.getStaff()).find(s => s.id === staffId && s.active);
+            if (staff) {
+                this.startSession(staff);
+                return;
+            }
+        }
+
+        await this.showLogin();
+    },
+
+    /**
+     * Set up event listeners for login, first-run setup and logout
+     */
+    setupEventListeners: function() {
+        const loginForm = document.getElementById('login-form');
+        if (loginForm) {
+            loginForm.addEventListener('submit', this.handleLogin.bind(this));
+        }
+
+        const setupForm = document.getElementById('setup-form');
+        if (setupForm) {
+            setupForm.addEventListener('submit', this.handleSetup.bind(this));
+        }
+
+        const logoutBtn = document.getElementById('logout-btn');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', this.logout.bind(this));
+        }
+    },
+
+    /**
+     * Hash a PIN so it isn't stored in plain text
+     * Staff accounts are shared through sync, so the hash is deliberately slow to work
+     * backwards from: a 4-8 digit PIN is otherwise quick to guess.
+     * @param {string} pin - PIN to hash
+     * @param {string} salt - Per-account salt
+     * @param {number} [iterations] - PBKDF2 rounds
+     * @returns {Promise<string>} Hex-encoded PBKDF2-SHA-256 hash
+     */
+    hashPin: async function(pin, salt, iterations = this.PIN_ITERATIONS) {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', encoder.encode(pin), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: iterations },
+            key,
+            256
+        );
+        return Array.from(new Uint8Array(bits)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Hash a PIN the way accounts created before PBKDF2 were
+     * @param {string} pin - PIN to hash
+     * @param {string} salt - Per-account salt
+     * @returns {Promise<string>} Hex-encoded SHA-256 hash
+     */
+    legacyHashPin: async function(pin, salt) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}${pin}`));
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Build the stored PIN fields for an account
+     * @param {string} pin - New PIN
+     * @returns {Promise<Object>} { salt, pinHash, pinIterations }
+     */
+    pinFields: async function(pin) {
+        const salt = this.generateSalt();
+        return { salt: salt, pinHash: await this.hashPin(pin, salt), pinIterations: this.PIN_ITERATIONS };
+    },
+
+    /**
+     * Generate a random salt
+     * @returns {string} Hex-encoded salt
+     */
+    generateSalt: function() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Check a PIN against a staff account
+     * @param {Object|null} staff - Staff account
+     * @param {string} pin - PIN entered
+     * @returns {Promise<boolean>} True if the account is active and the PIN matches
+     */
+    verifyPin: async function(staff, pin) {
+        if (!staff || !staff.active) return false;
+        if (staff.pinIterations) {
+            return staff.pinHash === await this.hashPin(pin, staff.salt, staff.pinIterations);
+        }
+
+        // Accounts from before PBKDF2 move over the first time their PIN is entered
+        if (staff.pinHash !== await this.legacyHashPin(pin, staff.salt)) return false;
+        await StorageService.saveStaff({ ...staff, ...(await this.pinFields(pin)) }, 'PIN hash upgraded');
+        return true;
+    },
+
+    /**
+     * Work out how long a PIN prompt stays locked after a wrong PIN
+     * @param {number} failures - Wrong PINs in a row, including this one
+     * @returns {number} Seconds to wait, or 0 if another try is allowed straight away
+     */
+    lockoutSeconds: function(failures) {
+        if (failures < this.FREE_ATTEMPTS) return 0;
+        return Math.min(this.LOCKOUT_SECONDS * 2 ** (failures - this.FREE_ATTEMPTS), this.MAX_LOCKOUT_SECONDS);
+    },
+
+    /**
+     * Get the count of wrong PINs and any lockout for a PIN prompt
+     * Kept on this device in the meta store, apart from the settings, so wrong PINs are never
+     * written to the audit log or synced; the count survives a restart.
+     * @param {string} key - Meta key of the prompt, e.g. StorageService.META.LOGIN_LOCKOUT
+     * @returns {Promise<Object>} { failures, lockedUntil }
+     */
+    getLockout: async function(key) {
+        return (await StorageService.getMeta(key)) || { failures: 0, lockedUntil: null };
+    },
+
+    /**
+     * Get how long a PIN prompt is still locked for
+     * @param {string} key - Meta key of the prompt
+     * @param {Date} now - Current time
+     * @returns {Promise<number>} Seconds left, or 0 if the prompt is open
+     */
+    getLockedSeconds: async function(key, now) {
+        const lockout = await this.getLockout(key);
+        if (!lockout.lockedUntil || new Date(lockout.lockedUntil) <= now) return 0;
+        return Math.ceil((new Date(lockout.lockedUntil) - now) / 1000);
+    },
+
+    /**
+     * Count a wrong PIN at a prompt, locking it if that was one too many
+     * @param {string} key - Meta key of the prompt
+     * @param {Date} now - Current time
+     * @returns {Promise<number>} Seconds the prompt is now locked for, or 0
+     */
+    recordWrongPin: async function(key, now) {
+        const failures = (await this.getLockout(key)).failures + 1;
+        const seconds = this.lockoutSeconds(failures);
+        await StorageService.setMeta(key, {
+            failures: failures,
+            lockedUntil: seconds ? new Date(now.getTime() + seconds * 1000).toISOString() : null
+        });
+        return seconds;
+    },
+
+    /**
+     * Reset a PIN prompt's wrong PIN count after the right PIN
+     * @param {string} key - Meta key of the prompt
+     * @returns {Promise<void>}
+     */
+    clearLockout: function(key) {
+        return StorageService.setMeta(key, { failures: 0, lockedUntil: null });
+    },
+
+    /**
+     * Check whether a PIN is acceptable
+     * @param {string} pin - PIN to check
+     * @returns {boolean} True if 4 to 8 digits
+     */
+    isValidPin: function(pin) {
+        return /^\d{4,8}$/.test(pin);
+    },
+
+    /**
+     * Show the login screen, or first-run setup if no staff accounts exist
+     */
+    showLogin: async function() {
+        const staff = await StorageService.getStaff();
+        const needsSetup = staff.length === 0;
+
+        document.getElementById('main-content').classList.add('hidden');
+        document.getElementById('staff-bar').classList.add('hidden');
+        document.getElementById('login-screen').classList.remove('hidden');
+        document.getElementById('login-form').classList.toggle('hidden', needsSetup);
+        document.getElementById('setup-form').classList.toggle('hidden', !needsSetup);
+        document.getElementById('login-form').reset();
+    },
+
+    /**
+     * Handle login form submission
+     * Repeated wrong PINs lock the login form for longer each time, as at the kiosk.
+     * @param {Event} event - Form submit event
+     */
+    handleLogin: async function(event) {
+        event.preventDefault();
+
+        const key = StorageService.META.LOGIN_LOCKOUT;
+        const now = Clock.now();
+        const lockedSeconds = await this.getLockedSeconds(key, now);
+        if (lockedSeconds) {
+            App.showNotification(`Too many incorrect PINs. Try again in ${lockedSeconds} seconds.`, 'error');
+            document.getElementById('login-pin').value = '';
+            return;
+        }
+
+        const username = document.getElementById('login-username').value.trim().toLowerCase();
+        const pin = document.getElementById('login-pin').value;
+
+        const staff = await StorageService.getStaffByUsername(username);
+        if (!(await this.verifyPin(staff, pin))) {
+            const seconds = await this.recordWrongPin(key, now);
+            App.showNotification(
+                seconds ? `Incorrect username or PIN. Try again in ${seconds} seconds.` : 'Incorrect username or PIN',
+                'error'
+            );
+            document.getElementById('login-pin').value = '';
+            return;
+        }
+
+        await this.clearLockout(key);
+        this.startSession(staff);
+    },
+
+    /**
+     * Handle first-run setup: create the owner account
+     * @param {Event} event - Form submit event
+     */
+    handleSetup: async function(event) {
+        event.preventDefault();
+
+        const name = document.getElementById('setup-name').value.trim();
+        const username = document.getElementById('setup-username').value.trim().toLowerCase();
+        const pin = document.getElementById('setup-pin').value;
+
+        if (!name || !username) {
+            App.showNotification('Please fill in all required fields', 'error');
+            return;
+        }
+
+        if (!this.isValidPin(pin)) {
+            App.showNotification('PIN must be 4 to 8 digits', 'error');
+            return;
+        }
+
+        // Guard against a second device tab finishing setup first
+        if ((await StorageService.getStaff()).length > 0) {
+            await this.showLogin();
+            return;
+        }
+
+        const owner = await this.createStaff({ name, username, role: this.ROLES.OWNER, pin });
+        document.getElementById('setup-form').reset();
+        this.startSession(owner);
+    },
+
+    /**
+     * Create a staff account
+     * @param {Object} details - { name, username, role, pin, specialties }
+     * @returns {Promise<Object>} Saved staff object
+     */
+    createStaff: async function(details) {
+        return StorageService.saveStaff({
+            id: `staff-${Date.now()}`,
+            name: details.name,
+            username: details.username,
+            role: details.role,
+            specialties: details.specialties || '',
+            ...(await this.pinFields(details.pin)),
+            active: true,
+            createdAt: Clock.now().toISOString()
+        });
+    },
+
+    /**
+     * Log a staff member in and reveal the app
+     * @param {Object} staff - Staff object
+     */
+    startSession: function(staff) {
+        this.currentStaff = staff;
+        this.setActor(staff);
+        sessionStorage.setItem(this.SESSION_KEY, staff.id);
+
+        document.getElementById('staff-name').textContent = `${staff.name} (${this.formatRole(staff.role)})`;
+        document.getElementById('staff-bar').classList.remove('hidden');
+        this.reveal();
+    },
+
+    /**
+     * Show the app with only the tabs and sections the current staff member may use
+     */
+    reveal: function() {
+        document.getElementById('login-screen').classList.add('hidden');
+        document.getElementById('main-content').classList.remove('hidden');
+        this.applyPermissions();
+    },
+
+    /**
+     * Record who is performing changes
+     * @param {Object|null} staff - Staff object, or null when nobody is logged in
+     */
+    setActor: function(staff) {
+        StorageService.actor = staff ? { id: staff.id, name: staff.name } : null;
+    },
+
+    /**
+     * Log out and return to the login screen
+     */
+    logout: async function() {
+        this.currentStaff = null;
+        this.setActor(null);
+        sessionStorage.removeItem(this.SESSION_KEY);
+
+        MemberDetailService.close();
+        await this.showLogin();
+    },
+
+    /**
+     * Check whether the current staff member has a permission
+     * @param {string} permission - Permission code
+     * @returns {boolean} True if allowed
+     */
+    can: function(permission) {
+        return !!this.currentStaff && this.getRolePermissions(this.currentStaff.role).includes(permission);
+    },
+
+    /**
+     * Check a permission, telling the user if it's missing
+     * @param {string} permission - Permission code
+     * @returns {boolean} True if allowed
+     */
+    require: function(permission) {
+        if (this.can(permission)) return true;
+
+        App.showNotification('You do not have permission to do that.', 'error');
+        return false;
+    },
+
+    /**
+     * Hide tabs and sections marked with a data-permission the current staff member lacks
+     */
+    applyPermissions: function() {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.classList.toggle('no-permission', !this.can(element.getAttribute('data-permission')));
+        });
+
+        // Don't leave the user on a tab they can no longer see
+        const activeTab = document.querySelector('.tab-btn.active');
+        if (activeTab && activeTab.classList.contains('no-permission')) {
+            document.querySelector('.tab-btn[data-tab="attendance"]').click();
+        }
+    },
+
+    /**
+     * Format a role for display
+     * @param {string} role - Role code
+     * @returns {string} Formatted role
+     */
+    formatRole: function(role) {
+        switch (role) {
+            case this.ROLES.FRONT_DESK: return 'Front Desk';
+            case this.ROLES.TRAINER: return 'Trainer';
+            case this.ROLES.MANAGER: return 'Manager';
+            case this.ROLES.OWNER: return 'Owner';
+            default: return role;
+        }
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    AuthService.init();
+});
@@ -0,0 +1,70 @@
+/**
+ * Auto Check-Out Service
+ * Closes sessions left open past closing time or the maximum session length
+ */
+
+const AutoCheckoutService = {
+    // How often to look for forgotten sessions
+    CHECK_INTERVAL_MS: 60 * 1000,
+
+    /**
+     * Initialize the auto check-out service
+     */
+    init: function() {
+        this.run();
+        setInterval(() => this.run(), this.CHECK_INTERVAL_MS);
+    },
+
+    /**
+     * Work out when an open session should be closed automatically
+     * @param {string} checkInTime - ISO timestamp of the check-in
+     * @param {Object} settings - Current settings
+     * @returns {Date|null} Automatic check-out time, or null if no limit applies
+     */
+    getCutoff: function(checkInTime, settings) {
+        return MembershipRules.sessionCutoff(checkInTime, settings);
+    },
+
+    /**
+     * Close a member's session if it has run past its cutoff
+     * @param {Object} member - Member object
+     * @param {Date} [now] - Current time
+     * @returns {Promise<Object>} The member, updated if their session was closed
+     */
+    closeIfStale: async function(member, now = Clock.now()) {
+        if (StorageService.getMemberStatus(member) !== 'checked-in') return member;
+
+        const settings = await SettingsService.load();
+        const cutoff = this.getCutoff(member.lastCheckIn, settings);
+        if (!cutoff || cutoff > now) return member;
+
+        await StorageService.checkOut(member.id, { timestamp: cutoff, automatic: true });
+        return StorageService.getMemberById(member.id);
+    },
+
+    /**
+     * Close every open session that has run past its cutoff
+     * @returns {Promise<number>} Number of sessions closed
+     */
+    run: async function() {
+        const members = await StorageService.getMembers();
+        const now = Clock.now();
+        let closed = 0;
+
+        for (const member of members) {
+            const updated = await this.closeIfStale(member, now);
+            if (updated !== member) closed++;
+        }
+
+        if (closed > 0) {
+            MembersService.loadMembersList();
+            OccupancyService.render();
+        }
+        return closed;
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    AutoCheckoutService.init();
+});
@@ -0,0 +1,312 @@
+/**
+ * Branches Service
+ * Handles the gym's locations: adding, editing and retiring branches
+ */
+
+const BranchesService = {
+    // Branches keyed by ID, loaded from storage
+    branches: {},
+
+    // Cached load promise
+    loadPromise: null,
+
+    /**
+     * Initialize the branches service
+     */
+    init: function() {
+        this.setupEventListeners();
+        this.refresh();
+    },
+
+    /**
+     * Set up event listeners for branch management
+     */
+    setupEventListeners: function() {
+        const branchForm = document.getElementById('branch-form');
+        if (branchForm) {
+            branchForm.addEventListener('submit', this.handleSave.bind(this));
+        }
+
+        const cancelBtn = document.getElementById('branch-cancel-btn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', this.resetForm.bind(this));
+        }
+
+        // Edit, retire and restore buttons on branch cards
+        const branchesList = document.getElementById('branches-list');
+        if (branchesList) {
+            branchesList.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-action]');
+                if (!button) return;
+
+                const branchId = button.getAttribute('data-branch-id');
+                switch (button.getAttribute('data-action')) {
+                    case 'edit': this.editBranch(branchId); break;
+                    case 'retire': this.setRetired(branchId, true); break;
+                    case 'restore': this.setRetired(branchId, false); break;
+                }
+            });
+        }
+    },
+
+    /**
+     * Load branches into memory
+     * @returns {Promise<Object>} Branches keyed by ID
+     */
+    load: function() {
+        if (!this.loadPromise) {
+            this.loadPromise = StorageService.getBranches().then(branches => {
+                this.branches = {};
+                branches.forEach(branch => {
+                    this.branches[branch.id] = branch;
+                });
+                return this.branches;
+            });
+        }
+
+        return this.loadPromise;
+    },
+
+    /**
+     * Reload branches and re-render everything that lists them
+     */
+    refresh: async function() {
+        this.loadPromise = null;
+        await this.load();
+
+        this.renderBranchesList();
+
+        const settings = await SettingsService.load();
+        const deviceSelect = document.getElementById('setting-branch');
+        this.populateBranchSelect(deviceSelect, 'Not set', settings.branchId);
+        if (deviceSelect) deviceSelect.value = settings.branchId || '';
+
+        const homeSelect = document.getElementById('member-home-branch');
+        if (homeSelect) {
+            const selected = homeSelect.value || settings.branchId || '';
+            this.populateBranchSelect(homeSelect, 'No home branch');
+            homeSelect.value = this.branches[selected] ? selected : '';
+        }
+
+        const reportSelect = document.getElementById('report-branch');
+        if (reportSelect) {
+            const selected = reportSelect.value;
+            this.populateBranchSelect(reportSelect, 'All branches', selected || null, true);
+            reportSelect.value = selected;
+        }
+    },
+
+    /**
+     * Get branches that are open, sorted by name
+     * @returns {Array} Active branch objects
+     */
+    getActiveBranches: function() {
+        return Object.values(this.branches)
+            .filter(branch => !branch.retired)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Check whether the gym has more than one location set up
+     * @returns {boolean} True once any branch exists
+     */
+    hasBranches: function() {
+        return Object.keys(this.branches).length > 0;
+    },
+
+    /**
+     * Fill a select element with active branches
+     * @param {HTMLSelectElement} select - Select element to fill
+     * @param {string} emptyLabel - Label for the blank option
+     * @param {string} [includeId] - Branch to list even if retired, e.g. a member's home branch
+     * @param {boolean} [includeRetired] - List every branch, e.g. for filtering past records
+     */
+    populateBranchSelect: function(select, emptyLabel, includeId = null, includeRetired = false) {
+        if (!select) return;
+
+        const branches = includeRetired
+            ? Object.values(this.branches).sort((a, b) => a.name.localeCompare(b.name))
+            : this.getActiveBranches();
+        if (includeId && this.branches[includeId] && !branches.includes(this.branches[includeId])) {
+            branches.push(this.branches[includeId]);
+        }
+
+        select.innerHTML = '';
+        const blank = document.createElement('option');
+        blank.value = '';
+        blank.textContent = emptyLabel;
+        select.appendChild(blank);
+
+        branches.forEach(branch => {
+            const option = document.createElement('option');
+            option.value = branch.id;
+            option.textContent = this.formatBranch(branch.id);
+            select.appendChild(option);
+        });
+    },
+
+    /**
+     * Format a branch for display
+     * @param {string} id - Branch ID
+     * @returns {string} Branch name, or '-' if not set
+     */
+    formatBranch: function(id) {
+        if (!id) return '-';
+
+        const branch = this.branches[id];
+        if (!branch) return id;
+
+        return branch.retired ? `${branch.name} (Retired)` : branch.name;
+    },
+
+    /**
+     * Render the branch list in the Settings tab
+     */
+    renderBranchesList: function() {
+        const branchesList = document.getElementById('branches-list');
+        if (!branchesList) return;
+
+        branchesList.innerHTML = '';
+
+        const branches = Object.values(this.branches)
+            .sort((a, b) => (!!a.retired - !!b.retired) || a.name.localeCompare(b.name));
+
+        if (branches.length === 0) {
+            branchesList.innerHTML = '<p class="no-members">No branches yet. Everything belongs to a single gym.</p>';
+            return;
+        }
+
+        branches.forEach(branch => {
+            const branchCard = document.createElement('div');
+            branchCard.className = `plan-item${branch.retired ? ' retired' : ''}`;
+
+            const details = document.createElement('div');
+            details.className = 'member-details';
+
+            const title = document.createElement('h3');
+            title.textContent = this.formatBranch(branch.id);
+            details.appendChild(title);
+
+            if (branch.address) {
+                const line = document.createElement('p');
+                line.textContent = branch.address;
+                details.appendChild(line);
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'plan-actions';
+            actions.innerHTML = `
+                <button type="button" data-action="edit">Edit</button>
+                <button type="button" data-action="${branch.retired ? 'restore' : 'retire'}">${branch.retired ? 'Restore' : 'Retire'}</button>
+            `;
+            actions.querySelectorAll('button').forEach(button => button.setAttribute('data-branch-id', branch.id));
+            details.appendChild(actions);
+
+            branchCard.appendChild(details);
+            branchesList.appendChild(branchCard);
+        });
+    },
+
+    /**
+     * Load a branch into the form for editing
+     * @param {string} id - Branch ID
+     */
+    editBranch: function(id) {
+        const branch = this.branches[id];
+        if (!branch) return;
+
+        document.getElementById('branch-id').value = branch.id;
+        document.getElementById('branch-name').value = branch.name;
+        document.getElementById('branch-address').value = branch.address || '';
+        document.getElementById('branch-save-btn').textContent = 'Save Branch';
+    },
+
+    /**
+     * Clear the branch form back to "new branch" mode
+     */
+    resetForm: function() {
+        document.getElementById('branch-form').reset();
+        document.getElementById('branch-id').value = '';
+        document.getElementById('branch-save-btn').textContent = 'Add Branch';
+    },
+
+    /**
+     * Handle branch form submission
+     * @param {Event} event - Form submit event
+     */
+    handleSave: async function(event) {
+        event.preventDefault();
+
+        if (!AuthService.require(AuthService.PERMISSIONS.SETTINGS)) return;
+
+        const id = document.getElementById('branch-id').value;
+        const name = document.getElementById('branch-name').value.trim();
+        const address = document.getElementById('branch-address').value.trim();
+
+        // Validate inputs
+        if (!name) {
+            App.showNotification('Please enter a branch name', 'error');
+            return;
+        }
+
+        const clash = Object.values(this.branches)
+            .find(branch => branch.id !== id && branch.name.toLowerCase() === name.toLowerCase());
+        if (clash) {
+            App.showNotification(`There is already a branch called ${clash.name}`, 'error');
+            return;
+        }
+
+        const existing = id ? this.branches[id] : null;
+        const isFirst = !existing && !this.hasBranches();
+        const branch = {
+            ...existing,
+            id: id || `branch-${Date.now()}`,
+            name,
+            address,
+            retired: existing ? existing.retired : false,
+            createdAt: existing ? existing.createdAt : Clock.now().toISOString()
+        };
+
+        await StorageService.saveBranch(branch);
+
+        // The first branch is where everything so far happened, so this device sits there too
+        if (isFirst) {
+            await SettingsService.save({ branchId: branch.id });
+            App.showNotification(`${branch.name} added. Existing members, visits and payments now belong to it.`, 'success');
+        } else {
+            App.showNotification(existing ? 'Branch updated' : 'Branch added', 'success');
+        }
+
+        this.resetForm();
+        await this.refresh();
+        MembersService.loadMembersList();
+        OccupancyService.render();
+    },
+
+    /**
+     * Retire or restore a branch
+     * Retired branches keep their history but can't be chosen for devices or new members
+     * @param {string} id - Branch ID
+     * @param {boolean} retired - True to retire, false to restore
+     */
+    setRetired: async function(id, retired) {
+        if (!AuthService.require(AuthService.PERMISSIONS.SETTINGS)) return;
+
+        const branch = this.branches[id];
+        if (!branch) return;
+
+        if (retired && id === SettingsService.settings.branchId) {
+            App.showNotification('This device is set to that branch. Choose another branch for it first.', 'error');
+            return;
+        }
+
+        await StorageService.saveBranch({ ...branch, retired });
+        App.showNotification(retired ? `${branch.name} retired` : `${branch.name} restored`, 'success');
+        await this.refresh();
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    BranchesService.init();
+});
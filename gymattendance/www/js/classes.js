@@ -0,0 +1,607 @@
+/**
+ * Classes Service
+ * Handles the weekly group class schedule, session bookings with waitlists,
+ * marking class attendance at check-in and counting no-shows
+ */
+
+const ClassesService = {
+    // Day names, indexed like Date.getDay()
+    DAYS: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+
+    // How early before a class a desk check-in still counts as attending it
+    EARLY_CHECK_IN_MINUTES: 30,
+
+    // Classes keyed by ID, loaded from storage
+    classes: {},
+
+    // Cached load promise
+    loadPromise: null,
+
+    /**
+     * Initialize the classes service
+     */
+    init: function() {
+        this.setupEventListeners();
+
+        const sessionDate = document.getElementById('session-date');
+        if (sessionDate) {
+            sessionDate.value = ReportsService.toDateKey(Clock.now());
+        }
+        this.refresh();
+    },
+
+    /**
+     * Set up event listeners for the schedule and session bookings
+     */
+    setupEventListeners: function() {
+        // Bring the schedule and session rosters up to date whenever the tab is opened
+        const classesTabBtn = document.querySelector('.tab-btn[data-tab="classes"]');
+        if (classesTabBtn) {
+            classesTabBtn.addEventListener('click', this.refresh.bind(this));
+        }
+
+        const classForm = document.getElementById('class-form');
+        if (classForm) {
+            classForm.addEventListener('submit', this.handleSave.bind(this));
+        }
+
+        const cancelBtn = document.getElementById('class-cancel-btn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', this.resetForm.bind(this));
+        }
+
+        // Edit, retire and restore buttons on class cards
+        const classesList = document.getElementById('classes-list');
+        if (classesList) {
+            classesList.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-action]');
+                if (!button) return;
+
+                const classId = button.getAttribute('data-class-id');
+                switch (button.getAttribute('data-action')) {
+                    case 'edit': this.editClass(classId); break;
+                    case 'retire': this.setRetired(classId, true); break;
+                    case 'restore': this.setRetired(classId, false); break;
+                }
+            });
+        }
+
+        const sessionDate = document.getElementById('session-date');
+        if (sessionDate) {
+            sessionDate.addEventListener('change', this.renderSessions.bind(this));
+        }
+
+        // Book and cancel buttons on session rosters
+        const sessionsList = document.getElementById('sessions-list');
+        if (sessionsList) {
+            sessionsList.addEventListener('submit', (event) => {
+                event.preventDefault();
+                const form = event.target;
+                this.handleBooking(form.getAttribute('data-class-id'), form.querySelector('input').value.trim());
+            });
+
+            sessionsList.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-booking-id]');
+                if (button) {
+                    this.handleCancel(Number(button.getAttribute('data-booking-id')));
+                }
+            });
+        }
+    },
+
+    /**
+     * Load the class schedule into memory
+     * @returns {Promise<Object>} Classes keyed by ID
+     */
+    load: function() {
+        if (!this.loadPromise) {
+            this.loadPromise = StorageService.getClasses().then(classes => {
+                this.classes = {};
+                classes.forEach(cls => {
+                    this.classes[cls.id] = cls;
+                });
+                return this.classes;
+            });
+        }
+
+        return this.loadPromise;
+    },
+
+    /**
+     * Reload the schedule and re-render the Classes tab
+     */
+    refresh: async function() {
+        this.loadPromise = null;
+        await Promise.all([this.load(), TrainersService.load()]);
+
+        this.renderClassesList();
+        await this.renderSessions();
+    },
+
+    /**
+     * Get the classes that run on a date
+     * @param {string} sessionDate - Date key (YYYY-MM-DD)
+     * @returns {Array} Active classes on that weekday, earliest first
+     */
+    getClassesOn: function(sessionDate) {
+        const day = ReportsService.fromDateKey(sessionDate).getDay();
+        return Object.values(this.classes)
+            .filter(cls => !cls.retired && cls.dayOfWeek === day)
+            .sort((a, b) => a.startTime.localeCompare(b.startTime));
+    },
+
+    /**
+     * Work out when a session starts and ends
+     * @param {Object} cls - Class object
+     * @param {string} sessionDate - Date key (YYYY-MM-DD)
+     * @returns {Object} { start, end } as Dates
+     */
+    getSessionTimes: function(cls, sessionDate) {
+        const [hours, minutes] = cls.startTime.split(':').map(Number);
+        const start = ReportsService.fromDateKey(sessionDate);
+        start.setHours(hours, minutes, 0, 0);
+
+        return { start, end: new Date(start.getTime() + cls.durationMinutes * 60 * 1000) };
+    },
+
+    /**
+     * Check whether a booking was missed: still only booked after its session ended
+     * @param {Object} booking - Booking object
+     * @param {Date} [now] - Current time
+     * @returns {boolean} True if the member didn't turn up
+     */
+    isNoShow: function(booking, now = Clock.now()) {
+        const cls = this.classes[booking.classId];
+        if (!cls || booking.status !== StorageService.BOOKING_STATUS.BOOKED) return false;
+
+        return this.getSessionTimes(cls, booking.sessionDate).end <= now;
+    },
+
+    /**
+     * Count the sessions a member booked but didn't attend
+     * @param {string} memberId - Member ID
+     * @returns {Promise<number>} Number of no-shows
+     */
+    getNoShowCount: async function(memberId) {
+        await this.load();
+        const bookings = await StorageService.getMemberBookings(memberId);
+        const now = Clock.now();
+        return bookings.filter(booking => this.isNoShow(booking, now)).length;
+    },
+
+    /**
+     * Mark a member's booked classes as attended when they check in during the slot
+     * @param {string} memberId - Member ID
+     * @param {Date} checkInTime - Time of the check-in
+     * @returns {Promise<Array>} Classes marked as attended
+     */
+    markAttendance: async function(memberId, checkInTime) {
+        await this.load();
+        const sessionDate = ReportsService.toDateKey(checkInTime);
+        const bookings = (await StorageService.getMemberBookings(memberId)).filter(booking =>
+            booking.sessionDate === sessionDate && booking.status === StorageService.BOOKING_STATUS.BOOKED
+        );
+
+        const matched = bookings.filter(booking => {
+            const cls = this.classes[booking.classId];
+            if (!cls) return false;
+
+            const { start, end } = this.getSessionTimes(cls, sessionDate);
+            const opens = new Date(start.getTime() - this.EARLY_CHECK_IN_MINUTES * 60 * 1000);
+            return checkInTime >= opens && checkInTime < end;
+        });
+        if (matched.length === 0) return [];
+
+        await StorageService.markBookingsAttended(matched.map(booking => booking.id), checkInTime.toISOString());
+        this.renderSessions();
+        return matched.map(booking => this.classes[booking.classId]);
+    },
+
+    /**
+     * Render the schedule in the Classes tab
+     */
+    renderClassesList: function() {
+        const classesList = document.getElementById('classes-list');
+        if (!classesList) return;
+
+        // Keep the trainer choices current without losing a class being edited
+        const trainerSelect = document.getElementById('class-trainer');
+        const editing = this.classes[document.getElementById('class-id').value];
+        const selectedTrainer = trainerSelect.value;
+        TrainersService.populateTrainerSelect(trainerSelect, 'No trainer', editing ? editing.trainerId : null);
+        trainerSelect.value = selectedTrainer;
+
+        classesList.innerHTML = '';
+
+        const classes = Object.values(this.classes)
+            .sort((a, b) => (a.retired - b.retired) || (a.dayOfWeek - b.dayOfWeek) || a.startTime.localeCompare(b.startTime));
+
+        if (classes.length === 0) {
+            classesList.innerHTML = '<p class="no-members">No classes scheduled yet.</p>';
+            return;
+        }
+
+        classes.forEach(cls => {
+            const classCard = document.createElement('div');
+            classCard.className = `plan-item${cls.retired ? ' retired' : ''}`;
+
+            const details = document.createElement('div');
+            details.className = 'member-details';
+
+            const title = document.createElement('h3');
+            title.textContent = cls.retired ? `${cls.name} (Retired)` : cls.name;
+            details.appendChild(title);
+
+            [
+                `When: ${this.DAYS[cls.dayOfWeek]}s, ${this.formatSlot(cls)}`,
+                `Trainer: ${this.formatTrainer(cls)}`,
+                `Capacity: ${cls.capacity}`
+            ].forEach(text => {
+                const line = document.createElement('p');
+                line.textContent = text;
+                details.appendChild(line);
+            });
+
+            const actions = document.createElement('div');
+            actions.className = 'plan-actions';
+            actions.innerHTML = `
+                <button type="button" data-action="edit">Edit</button>
+                <button type="button" data-action="${cls.retired ? 'restore' : 'retire'}">${cls.retired ? 'Restore' : 'Retire'}</button>
+            `;
+            actions.querySelectorAll('button').forEach(button => button.setAttribute('data-class-id', cls.id));
+            details.appendChild(actions);
+
+            classCard.appendChild(details);
+            classesList.appendChild(classCard);
+        });
+    },
+
+    /**
+     * Render the sessions on the selected date with their rosters and waitlists
+     */
+    renderSessions: async function() {
+        const sessionsList = document.getElementById('sessions-list');
+        const sessionDate = document.getElementById('session-date');
+        if (!sessionsList || !sessionDate.value) return;
+
+        await this.load();
+        const classes = this.getClassesOn(sessionDate.value);
+        const [bookings, members] = await Promise.all([
+            StorageService.getBookingsForDate(sessionDate.value),
+            StorageService.getMembers()
+        ]);
+        const names = {};
+        members.forEach(member => {
+            names[member.id] = member.name;
+        });
+
+        sessionsList.innerHTML = '';
+
+        if (classes.length === 0) {
+            sessionsList.innerHTML = '<p class="no-members">No classes on this day.</p>';
+            return;
+        }
+
+        const now = Clock.now();
+        const status = StorageService.BOOKING_STATUS;
+
+        classes.forEach(cls => {
+            const roster = bookings
+                .filter(booking => booking.classId === cls.id && booking.status !== status.CANCELLED)
+                .sort((a, b) => a.id - b.id);
+            const waitlist = roster.filter(booking => booking.status === status.WAITLISTED);
+            const placesTaken = roster.length - waitlist.length;
+            const ended = this.getSessionTimes(cls, sessionDate.value).end <= now;
+
+            const section = document.createElement('div');
+            section.className = 'session-item';
+
+            const title = document.createElement('h3');
+            title.textContent = `${cls.name} · ${this.formatSlot(cls)}`;
+
+            const summary = document.createElement('p');
+            summary.textContent = [
+                `Trainer: ${this.formatTrainer(cls)}`,
+                `Booked: ${placesTaken} / ${cls.capacity}`,
+                `Waitlist: ${waitlist.length}`
+            ].join(' · ');
+
+            const list = document.createElement('ul');
+            list.className = 'history-list';
+            roster.forEach(booking => {
+                const item = document.createElement('li');
+                const text = document.createElement('span');
+                const position = booking.status === status.WAITLISTED ? ` #${waitlist.indexOf(booking) + 1}` : '';
+                text.textContent = `${names[booking.memberId] || 'Unknown member'} (${booking.memberId}) · ${this.formatStatus(booking, now)}${position}`;
+                item.appendChild(text);
+
+                if (!ended && booking.status !== status.ATTENDED) {
+                    const cancelBtn = document.createElement('button');
+                    cancelBtn.type = 'button';
+                    cancelBtn.textContent = 'Cancel';
+                    cancelBtn.setAttribute('data-booking-id', booking.id);
+                    cancelBtn.setAttribute('data-permission', AuthService.PERMISSIONS.BOOKINGS);
+                    item.append(' ', cancelBtn);
+                }
+                list.appendChild(item);
+            });
+
+            section.append(title, summary, list);
+
+            if (!ended) {
+                const form = document.createElement('form');
+                form.className = 'booking-form';
+                form.setAttribute('data-class-id', cls.id);
+                form.setAttribute('data-permission', AuthService.PERMISSIONS.BOOKINGS);
+
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.placeholder = 'Member ID';
+                input.setAttribute('aria-label', `Member ID to book into ${cls.name}`);
+
+                const bookBtn = document.createElement('button');
+                bookBtn.type = 'submit';
+                bookBtn.textContent = placesTaken >= cls.capacity ? 'Add to Waitlist' : 'Book';
+
+                form.append(input, ' ', bookBtn);
+                section.appendChild(form);
+            }
+
+            sessionsList.appendChild(section);
+        });
+
+        AuthService.applyPermissions();
+    },
+
+    /**
+     * Book a member into a session on the selected date
+     * @param {string} classId - Class ID
+     * @param {string} memberId - Member ID
+     */
+    handleBooking: async function(classId, memberId) {
+        if (!AuthService.require(AuthService.PERMISSIONS.BOOKINGS)) return;
+
+        const cls = this.classes[classId];
+        const sessionDate = document.getElementById('session-date').value;
+        if (!cls || !memberId) {
+            App.showNotification('Please enter a member ID', 'error');
+            return;
+        }
+
+        const member = await StorageService.getMemberById(memberId);
+        if (!member) {
+            App.showNotification('Member not found. Please check the ID and try again.', 'error');
+            return;
+        }
+
+        if (member.archived || StorageService.calculateDaysRemaining(member) <= 0) {
+            App.showNotification(`${member.name} does not have an active membership.`, 'error');
+            return;
+        }
+
+        let result;
+        try {
+            result = await StorageService.bookSession(cls, sessionDate, memberId);
+        } catch (error) {
+            console.error('Failed to book session', error);
+            App.showNotification('Could not book the session. Please try again.', 'error');
+            return;
+        }
+
+        const { booking, existing } = result;
+        if (existing) {
+            App.showNotification(`${member.name} is already on this session (${this.formatStatus(booking)}).`, 'error');
+        } else if (booking.status === StorageService.BOOKING_STATUS.WAITLISTED) {
+            App.showNotification(`${cls.name} is full. ${member.name} added to the waitlist.`, 'warning');
+        } else {
+            App.showNotification(`${member.name} booked into ${cls.name}`, 'success');
+        }
+
+        await this.renderSessions();
+    },
+
+    /**
+     * Cancel a booking
+     * @param {number} bookingId - Booking ID
+     */
+    handleCancel: async function(bookingId) {
+        if (!AuthService.require(AuthService.PERMISSIONS.BOOKINGS)) return;
+
+        let result;
+        try {
+            result = await StorageService.cancelBooking(bookingId);
+        } catch (error) {
+            console.error('Failed to cancel booking', error);
+            App.showNotification('Could not cancel the booking. Please try again.', 'error');
+            return;
+        }
+        if (!result) return;
+
+        if (result.promoted) {
+            const promoted = await StorageService.getMemberById(result.promoted.memberId);
+            App.showNotification(`Booking cancelled. ${promoted ? promoted.name : result.promoted.memberId} moved off the waitlist.`, 'success');
+        } else {
+            App.showNotification('Booking cancelled', 'success');
+        }
+
+        await this.renderSessions();
+    },
+
+    /**
+     * Load a class into the form for editing
+     * @param {string} id - Class ID
+     */
+    editClass: function(id) {
+        const cls = this.classes[id];
+        if (!cls) return;
+
+        document.getElementById('class-id').value = cls.id;
+        document.getElementById('class-name').value = cls.name;
+        const trainerSelect = document.getElementById('class-trainer');
+        TrainersService.populateTrainerSelect(trainerSelect, 'No trainer', cls.trainerId);
+        trainerSelect.value = cls.trainerId || '';
+        document.getElementById('class-day').value = cls.dayOfWeek;
+        document.getElementById('class-start').value = cls.startTime;
+        document.getElementById('class-duration').value = cls.durationMinutes;
+        document.getElementById('class-capacity').value = cls.capacity;
+        document.getElementById('class-save-btn').textContent = 'Save Class';
+    },
+
+    /**
+     * Clear the class form back to "new class" mode
+     */
+    resetForm: function() {
+        document.getElementById('class-form').reset();
+        document.getElementById('class-id').value = '';
+        document.getElementById('class-save-btn').textContent = 'Add Class';
+    },
+
+    /**
+     * Handle class form submission
+     * @param {Event} event - Form submit event
+     */
+    handleSave: async function(event) {
+        event.preventDefault();
+
+        if (!AuthService.require(AuthService.PERMISSIONS.CLASSES)) return;
+
+        const id = document.getElementById('class-id').value;
+        const name = document.getElementById('class-name').value.trim();
+        const trainerId = document.getElementById('class-trainer').value || null;
+        const dayOfWeek = parseInt(document.getElementById('class-day').value, 10);
+        const startTime = document.getElementById('class-start').value;
+        const durationMinutes = parseInt(document.getElementById('class-duration').value, 10);
+        const capacity = parseInt(document.getElementById('class-capacity').value, 10);
+
+        // Validate inputs
+        if (!name || isNaN(dayOfWeek) || !startTime) {
+            App.showNotification('Please enter a name, a day and a start time', 'error');
+            return;
+        }
+
+        if (!durationMinutes || durationMinutes < 1 || !capacity || capacity < 1) {
+            App.showNotification('Duration and capacity must be at least 1', 'error');
+            return;
+        }
+
+        const existing = id ? this.classes[id] : null;
+        const cls = {
+            ...existing,
+            id: id || `class-${Date.now()}`,
+            name,
+            trainerId,
+            dayOfWeek,
+            startTime,
+            durationMinutes,
+            capacity,
+            retired: existing ? existing.retired : false,
+            createdAt: existing ? existing.createdAt : Clock.now().toISOString()
+        };
+
+        try {
+            await StorageService.saveClass(cls);
+        } catch (error) {
+            console.error('Failed to save class', error);
+            App.showNotification('Could not save the class. Please try again.', 'error');
+            return;
+        }
+        App.showNotification(existing ? 'Class updated' : 'Class added', 'success');
+
+        this.resetForm();
+        await this.refresh();
+    },
+
+    /**
+     * Retire or restore a class
+     * Retired classes no longer appear in the schedule but their bookings are kept
+     * @param {string} id - Class ID
+     * @param {boolean} retired - True to retire, false to restore
+     */
+    setRetired: async function(id, retired) {
+        if (!AuthService.require(AuthService.PERMISSIONS.CLASSES)) return;
+
+        const cls = this.classes[id];
+        if (!cls) return;
+
+        await StorageService.saveClass({ ...cls, retired });
+        App.showNotification(retired ? `${cls.name} retired` : `${cls.name} restored`, 'success');
+        await this.refresh();
+    },
+
+    /**
+     * Render a member's bookings and no-show count in the member detail view
+     * @param {Object} member - Member object
+     */
+    renderMemberBookings: async function(member) {
+        await this.load();
+        const bookings = (await StorageService.getMemberBookings(member.id))
+            .filter(booking => booking.status !== StorageService.BOOKING_STATUS.CANCELLED)
+            .sort((a, b) => b.sessionDate.localeCompare(a.sessionDate));
+        const now = Clock.now();
+
+        document.getElementById('detail-no-shows').textContent = bookings.filter(booking => this.isNoShow(booking, now)).length;
+
+        const list = document.getElementById('member-bookings');
+        list.innerHTML = '';
+
+        if (bookings.length === 0) {
+            list.innerHTML = '<li class="no-history">No class bookings.</li>';
+            return;
+        }
+
+        bookings.forEach(booking => {
+            const cls = this.classes[booking.classId];
+            const item = document.createElement('li');
+            item.textContent = [
+                ReportsService.fromDateKey(booking.sessionDate).toLocaleDateString(),
+                cls ? `${cls.name} ${cls.startTime}` : booking.classId,
+                this.formatStatus(booking, now)
+            ].join(' · ');
+            list.appendChild(item);
+        });
+    },
+
+    /**
+     * Format a class's trainer for display
+     * Classes set up before trainer profiles keep their free-text trainer name
+     * @param {Object} cls - Class object
+     * @returns {string} Trainer name, or '-' if none
+     */
+    formatTrainer: function(cls) {
+        return cls.trainerId ? TrainersService.formatTrainer(cls.trainerId) : (cls.trainer || '-');
+    },
+
+    /**
+     * Format a class's time slot for display
+     * @param {Object} cls - Class object
+     * @returns {string} Slot such as "18:00 - 19:00"
+     */
+    formatSlot: function(cls) {
+        const { end } = this.getSessionTimes(cls, ReportsService.toDateKey(Clock.now()));
+        const endTime = `${String(end.getHours()).padStart(2, '0')}:${String(end.getMinutes()).padStart(2, '0')}`;
+        return `${cls.startTime} - ${endTime}`;
+    },
+
+    /**
+     * Format a booking's status for display
+     * @param {Object} booking - Booking object
+     * @param {Date} [now] - Current time, used to spot no-shows
+     * @returns {string} Formatted status
+     */
+    formatStatus: function(booking, now = Clock.now()) {
+        if (this.isNoShow(booking, now)) return 'No-show';
+
+        switch (booking.status) {
+            case StorageService.BOOKING_STATUS.BOOKED: return 'Booked';
+            case StorageService.BOOKING_STATUS.WAITLISTED: return 'Waitlisted';
+            case StorageService.BOOKING_STATUS.ATTENDED: return 'Attended';
+            case StorageService.BOOKING_STATUS.CANCELLED: return 'Cancelled';
+            default: return booking.status;
+        }
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    ClassesService.init();
+});
@@ -0,0 +1,33 @@
+/**
+ * Clock
+ * The app's single source of "now"
+ *
+ * Services read the time from here rather than calling new Date() directly, so tests can
+ * stand the whole app at a fixed moment, such as the night the clocks change.
+ */
+
+const Clock = {
+    // Fixed time set by set(), or null to follow the system clock
+    fixed: null,
+
+    /**
+     * Get the current time
+     * @returns {Date} Current time
+     */
+    now: function() {
+        return this.fixed ? new Date(this.fixed) : new Date();
+    },
+
+    /**
+     * Stop the clock at a given time, or pass null to follow the system clock again
+     * @param {Date|string|null} time - Time to report from now on
+     */
+    set: function(time) {
+        this.fixed = time ? new Date(time).getTime() : null;
+    }
+};
+
+// Also loadable from Node, for unit tests
+if (typeof module !== 'undefined') {
+    module.exports = Clock;
+}
@@ -0,0 +1,698 @@
+/**
+ * Data Transfer Service
+ * Handles CSV/JSON export and import of members and attendance
+ */
+
+const DataTransferService = {
+    // JSON backup format identifier and version
+    BACKUP_FORMAT: 'gym-attendance-backup',
+    BACKUP_VERSION: 2,
+
+    // CSV columns, in export order
+    MEMBER_COLUMNS: [
+        'id', 'name', 'email', 'phone', 'membershipType', 'membershipStartDate',
+        'membershipEndDate', 'registrationDate', 'lastCheckIn', 'lastCheckOut', 'archived', 'homeBranchId'
+    ],
+    ATTENDANCE_COLUMNS: [
+        'id', 'memberId', 'start', 'end', 'date', 'branchId', 'automatic',
+        'correctedAt', 'correctionReason', 'voidedAt', 'voidReason'
+    ],
+
+    // Record types in attendance exported before visits were kept as sessions
+    ATTENDANCE_TYPES: ['check-in', 'check-out'],
+
+    PAYMENT_METHODS: ['cash', 'card', 'upi'],
+
+    // Spreadsheets run a cell starting with one of these as a formula, so exported values get a leading '
+    FORMULA_PATTERN: /^[=+\-@\t\r]/,
+
+    // Member fields a JSON backup carries beyond the CSV columns; anything else in the file is left behind
+    BACKUP_MEMBER_FIELDS: [
+        'photo', 'registeredBy', 'updatedBy', 'archivedAt', 'frozenUntil', 'trainerId', 'ptSessionsRemaining', 'mergedFrom'
+    ],
+
+    /**
+     * Initialize the data transfer service
+     */
+    init: function() {
+        this.setupEventListeners();
+    },
+
+    /**
+     * Set up event listeners for export and import
+     */
+    setupEventListeners: function() {
+        const exportMembersBtn = document.getElementById('export-members-csv-btn');
+        if (exportMembersBtn) {
+            exportMembersBtn.addEventListener('click', this.exportMembersCsv.bind(this));
+        }
+
+        const exportAttendanceBtn = document.getElementById('export-attendance-csv-btn');
+        if (exportAttendanceBtn) {
+            exportAttendanceBtn.addEventListener('click', this.exportAttendanceCsv.bind(this));
+        }
+
+        const exportJsonBtn = document.getElementById('export-json-btn');
+        if (exportJsonBtn) {
+            exportJsonBtn.addEventListener('click', this.exportJson.bind(this));
+        }
+
+        const importForm = document.getElementById('import-form');
+        if (importForm) {
+            importForm.addEventListener('submit', this.handleImport.bind(this));
+        }
+    },
+
+    /**
+     * Export members as CSV
+     */
+    exportMembersCsv: async function() {
+        if (!AuthService.require(AuthService.PERMISSIONS.EXPORT)) return;
+
+        const members = await StorageService.getMembers();
+        this.download(this.toCsv(members, this.MEMBER_COLUMNS), `members-${this.timestamp()}.csv`, 'text/csv');
+    },
+
+    /**
+     * Export attendance sessions as CSV
+     */
+    exportAttendanceCsv: async function() {
+        if (!AuthService.require(AuthService.PERMISSIONS.EXPORT)) return;
+
+        const records = await StorageService.getAttendance();
+        this.download(this.toCsv(records, this.ATTENDANCE_COLUMNS), `attendance-${this.timestamp()}.csv`, 'text/csv');
+    },
+
+    /**
+     * Export a full JSON backup including photos
+     */
+    exportJson: async function() {
+        if (!AuthService.require(AuthService.PERMISSIONS.EXPORT)) return;
+
+        const backup = await this.buildBackup();
+        this.download(JSON.stringify(backup, null, 2), `gym-backup-${this.timestamp()}.json`, 'application/json');
+    },
+
+    /**
+     * Build a versioned backup of all data
+     * @returns {Promise<Object>} Backup object
+     */
+    buildBackup: async function() {
+        const [
+            members, photos, attendance, membershipHistory, plans, payments, classes, bookings, ptSessions, branches, counter
+        ] = await Promise.all([
+            StorageService.getMembers(),
+            StorageService.getAllPhotos(),
+            StorageService.getAttendance(),
+            StorageService.getAllMembershipHistory(),
+            StorageService.getPlans(),
+            StorageService.getPayments(),
+            StorageService.getClasses(),
+            StorageService.getBookings(),
+            StorageService.getPtSessions(),
+            StorageService.getBranches(),
+            StorageService.getCounter()
+        ]);
+
+        return {
+            format: this.BACKUP_FORMAT,
+            version: this.BACKUP_VERSION,
+            exportedAt: Clock.now().toISOString(),
+            counter: counter,
+            members: this.withoutSyncDetails(members).map(member => ({ ...member, photo: photos[member.id] || null })),
+            attendance: this.withoutSyncDetails(attendance),
+            membershipHistory: this.withoutSyncDetails(membershipHistory),
+            plans: this.withoutSyncDetails(plans),
+            payments: this.withoutSyncDetails(payments),
+            classes: this.withoutSyncDetails(classes),
+            bookings: this.withoutSyncDetails(bookings),
+            ptSessions: this.withoutSyncDetails(ptSessions),
+            branches: this.withoutSyncDetails(branches)
+        };
+    },
+
+    /**
+     * Copy records without the details sync keeps about them
+     * Those name the record on this device's sync server, so a backup restored elsewhere
+     * would otherwise overwrite whatever that server holds under the same ID.
+     * @param {Array} records - Stored records
+     * @returns {Array} Copies without _sync
+     */
+    withoutSyncDetails: function(records) {
+        return records.map(({ _sync, ...record }) => record);
+    },
+
+    /**
+     * Current time as a filename-safe string
+     * @returns {string} e.g. '2024-05-01T10-30-00'
+     */
+    timestamp: function() {
+        return Clock.now().toISOString().slice(0, 19).replace(/:/g, '-');
+    },
+
+    /**
+     * Offer text content as a file download
+     * @param {string} content - File content
+     * @param {string} filename - Suggested file name
+     * @param {string} type - MIME type
+     */
+    download: function(content, filename, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    /**
+     * Convert objects to CSV
+     * Values that a spreadsheet would run as a formula are written as text.
+     * @param {Array} rows - Objects to convert
+     * @param {Array<string>} columns - Properties to include, in order
+     * @returns {string} CSV text with a header row
+     */
+    toCsv: function(rows, columns) {
+        const escape = value => {
+            if (value === null || value === undefined) return '';
+            const text = this.FORMULA_PATTERN.test(String(value)) ? `'${value}` : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [columns.join(',')];
+        rows.forEach(row => lines.push(columns.map(column => escape(row[column])).join(',')));
+        return lines.join('\r\n');
+    },
+
+    /**
+     * Parse CSV text into rows of fields, honouring quoted fields
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows of field values
+     */
+    parseCsv: function(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(fields => fields.some(value => value.trim() !== ''));
+    },
+
+    /**
+     * Check whether a value is a parseable date
+     * @param {*} value - Value to check
+     * @returns {boolean} True if valid
+     */
+    isValidDate: function(value) {
+        return typeof value === 'string' && value !== '' && !isNaN(new Date(value).getTime());
+    },
+
+    /**
+     * Validate and normalise an imported member
+     * @param {Object} raw - Imported member fields
+     * @param {string} source - Row label for error messages
+     * @returns {Object} { record, errors }
+     */
+    validateMember: function(raw, source) {
+        const errors = [];
+        const text = value => (value === null || value === undefined ? '' : String(value).trim());
+
+        const record = {
+            id: text(raw.id),
+            name: text(raw.name),
+            email: text(raw.email),
+            phone: text(raw.phone),
+            membershipType: text(raw.membershipType),
+            membershipStartDate: text(raw.membershipStartDate),
+            membershipEndDate: text(raw.membershipEndDate),
+            registrationDate: text(raw.registrationDate) || Clock.now().toISOString(),
+            lastCheckIn: text(raw.lastCheckIn) || null,
+            lastCheckOut: text(raw.lastCheckOut) || null,
+            archived: raw.archived === true || text(raw.archived) === 'true',
+            homeBranchId: text(raw.homeBranchId) || null,
+            source: source
+        };
+
+        this.BACKUP_MEMBER_FIELDS.forEach(key => {
+            if (raw[key] !== undefined && raw[key] !== null) record[key] = raw[key];
+        });
+
+        if (!record.name) errors.push('name is required');
+        if (!record.email || !record.email.includes('@')) errors.push('email is missing or invalid');
+        if (!record.phone) errors.push('phone is required');
+        if (!record.membershipType) errors.push('membershipType is required');
+        if (!this.isValidDate(record.membershipStartDate)) errors.push('membershipStartDate is not a valid date');
+        if (!this.isValidDate(record.membershipEndDate)) errors.push('membershipEndDate is not a valid date');
+        if (!this.isValidDate(record.registrationDate)) errors.push('registrationDate is not a valid date');
+        if (record.lastCheckIn && !this.isValidDate(record.lastCheckIn)) errors.push('lastCheckIn is not a valid date');
+        if (record.lastCheckOut && !this.isValidDate(record.lastCheckOut)) errors.push('lastCheckOut is not a valid date');
+        if (raw.photo && !PhotoService.DATA_IMAGE_PATTERN.test(String(raw.photo))) {
+            errors.push('photo must be a PNG, JPEG, GIF, WebP or BMP data URL');
+        }
+        if (record.archivedAt && !this.isValidDate(record.archivedAt)) errors.push('archivedAt is not a valid date');
+        if (record.frozenUntil && !this.isValidDate(record.frozenUntil)) errors.push('frozenUntil is not a valid date');
+        if (record.ptSessionsRemaining !== undefined
+            && !(Number.isInteger(record.ptSessionsRemaining) && record.ptSessionsRemaining >= 0)) {
+            errors.push('ptSessionsRemaining must be a whole number of 0 or more');
+        }
+        if (record.mergedFrom !== undefined && !Array.isArray(record.mergedFrom)) errors.push('mergedFrom must be a list');
+
+        return { record, errors: errors.map(error => `${source}: ${error}`) };
+    },
+
+    /**
+     * Validate and normalise an imported attendance session
+     * Check-in and check-out records from older exports are validated as they are, to be paired up later.
+     * @param {Object} raw - Imported session or record fields
+     * @param {string} source - Row label for error messages
+     * @returns {Object} { record, errors }
+     */
+    validateAttendance: function(raw, source) {
+        if (raw.type !== undefined && raw.start === undefined) {
+            return this.validateAttendanceRecord(raw, source);
+        }
+
+        const errors = [];
+        const text = value => (value === null || value === undefined ? '' : String(value).trim());
+
+        const record = {
+            ...raw,
+            id: text(raw.id),
+            memberId: text(raw.memberId),
+            start: text(raw.start),
+            end: text(raw.end) || null,
+            branchId: text(raw.branchId) || null,
+            automatic: raw.automatic === true || text(raw.automatic) === 'true',
+            correctedAt: text(raw.correctedAt) || null,
+            correctionReason: text(raw.correctionReason) || null,
+            voidedAt: text(raw.voidedAt) || null,
+            voidReason: text(raw.voidReason) || null,
+            source: source
+        };
+
+        if (!record.memberId) errors.push('memberId is required');
+        if (!this.isValidDate(record.start)) {
+            errors.push('start is not a valid date');
+        } else {
+            record.start = new Date(record.start).toISOString();
+            record.date = MembershipRules.toDateKey(new Date(record.start));
+            if (!record.id) record.id = StorageService.createSessionId();
+        }
+        if (record.end && !this.isValidDate(record.end)) {
+            errors.push('end is not a valid date');
+        } else if (record.end) {
+            record.end = new Date(record.end).toISOString();
+            if (record.end < record.start) errors.push('end is before start');
+        }
+
+        return { record, errors: errors.map(error => `${source}: ${error}`) };
+    },
+
+    /**
+     * Validate and normalise a check-in or check-out record from an older export
+     * @param {Object} raw - Imported record fields
+     * @param {string} source - Row label for error messages
+     * @returns {Object} { record, errors }
+     */
+    validateAttendanceRecord: function(raw, source) {
+        const errors = [];
+        const text = value => (value === null || value === undefined ? '' : String(value).trim());
+
+        const record = {
+            ...raw,
+            id: text(raw.id),
+            memberId: text(raw.memberId),
+            type: text(raw.type),
+            timestamp: text(raw.timestamp),
+            branchId: text(raw.branchId) || null,
+            source: source
+        };
+
+        if (!record.memberId) errors.push('memberId is required');
+        if (!this.ATTENDANCE_TYPES.includes(record.type)) errors.push(`type must be one of ${this.ATTENDANCE_TYPES.join(', ')}`);
+        if (!this.isValidDate(record.timestamp)) {
+            errors.push('timestamp is not a valid date');
+        } else {
+            record.timestamp = new Date(record.timestamp).toISOString();
+            if (!record.id) record.id = StorageService.createSessionId();
+        }
+
+        return { record, errors: errors.map(error => `${source}: ${error}`) };
+    },
+
+    /**
+     * Turn validated attendance into sessions, pairing any check-in and check-out records from older exports
+     * @param {Array} records - Validated sessions and records
+     * @returns {Object} { sessions, errors } with an error for each check-out that had no check-in
+     */
+    toSessions: function(records) {
+        const legacy = records.filter(record => record.type);
+        const { sessions, unpaired } = MembershipRules.pairRecords(legacy);
+
+        // Sessions take their check-in's row label
+        const sources = {};
+        legacy.forEach(record => {
+            if (record.type === 'check-in') sources[record.id] = record.source;
+        });
+
+        return {
+            sessions: [
+                ...records.filter(record => !record.type),
+                ...sessions.map(session => ({ ...session, source: sources[session.id] }))
+            ],
+            errors: unpaired.map(record => `${record.source}: check-out has no matching check-in`)
+        };
+    },
+
+    /**
+     * Validate an imported payment
+     * @param {Object} raw - Imported payment fields
+     * @param {string} source - Row label for error messages
+     * @returns {Object} { record, errors }
+     */
+    validatePayment: function(raw, source) {
+        const errors = [];
+        const record = { ...raw, memberId: String(raw.memberId || '').trim(), amount: Number(raw.amount), source: source };
+
+        if (!record.memberId) errors.push('memberId is required');
+        if (!(record.amount > 0)) errors.push('amount must be greater than 0');
+        if (!this.PAYMENT_METHODS.includes(record.method)) errors.push(`method must be one of ${this.PAYMENT_METHODS.join(', ')}`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(record.date || '')) errors.push('date must be YYYY-MM-DD');
+
+        return { record, errors: errors.map(error => `${source}: ${error}`) };
+    },
+
+    /**
+     * Validate an imported membership history entry
+     * @param {Object} raw - Imported history entry fields
+     * @param {string} source - Row label for error messages
+     * @returns {Object} { record, errors }
+     */
+    validateHistory: function(raw, source) {
+        const errors = [];
+        const record = { ...raw, memberId: String(raw.memberId || '').trim(), source: source };
+        const actions = Object.values(MembershipService.ACTIONS);
+
+        if (!record.memberId) errors.push('memberId is required');
+        if (!actions.includes(record.action)) errors.push(`action must be one of ${actions.join(', ')}`);
+        if (!this.isValidDate(record.timestamp)) errors.push('timestamp is not a valid date');
+        if (record.charge !== undefined && record.charge !== null && !(Number(record.charge) >= 0)) {
+            errors.push('charge must be 0 or more');
+        }
+
+        return { record, errors: errors.map(error => `${source}: ${error}`) };
+    },
+
+    /**
+     * Validate an imported plan
+     * @param {Object} raw - Imported plan fields
+     * @param {string} source - Row label for error messages
+     * @returns {Object} { record, errors }
+     */
+    validatePlan: function(raw, source) {
+        const errors = [];
+        const record = { ...raw, id: String(raw.id || '').trim(), name: String(raw.name || '').trim(), price: Number(raw.price) };
+        const units = Object.values(MembershipRules.UNITS);
+
+        if (!record.id) errors.push('id is required');
+        if (!record.name) errors.push('name is required');
+        if (!(Number.isInteger(record.durationValue) && record.durationValue > 0)) {
+            errors.push('durationValue must be a whole number greater than 0');
+        }
+        if (!units.includes(record.durationUnit)) errors.push(`durationUnit must be one of ${units.join(', ')}`);
+        if (!(record.price >= 0)) errors.push('price must be 0 or more');
+        if (record.visitCap && !(Number.isInteger(record.visitCap) && record.visitCap > 0)) {
+            errors.push('visitCap must be a whole number greater than 0');
+        }
+
+        return { record, errors: errors.map(error => `${source}: ${error}`) };
+    },
+
+    /**
+     * Validate a list of raw records
+     * @param {Array} rows - Raw records
+     * @param {Function} validate - Validator returning { record, errors }
+     * @param {Function} sourceFn - Builds a row label from an index
+     * @returns {Object} { records, errors } with only valid records kept
+     */
+    validateAll: function(rows, validate, sourceFn) {
+        const records = [];
+        const errors = [];
+
+        rows.forEach((row, index) => {
+            if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                errors.push(`${sourceFn(index)}: not a record`);
+                return;
+            }
+
+            const result = validate.call(this, row, sourceFn(index));
+            if (result.errors.length) {
+                errors.push(...result.errors);
+            } else {
+                records.push(result.record);
+            }
+        });
+
+        return { records, errors };
+    },
+
+    /**
+     * Parse an import file into validated data
+     * @param {string} filename - Name of the chosen file
+     * @param {string} text - File content
+     * @returns {Object} { members, attendance, membershipHistory, plans, payments, classes, bookings, ptSessions, branches,
+     *     counter, errors }
+     */
+    parseImport: function(filename, text) {
+        const data = {
+            members: [], attendance: [], membershipHistory: [], plans: [], payments: [], classes: [], bookings: [], ptSessions: [],
+            branches: [], counter: null, errors: []
+        };
+
+        if (/\.json$/i.test(filename)) {
+            let backup;
+            try {
+                backup = JSON.parse(text);
+            } catch (error) {
+                data.errors.push('File is not valid JSON');
+                return data;
+            }
+
+            if (!backup || backup.format !== this.BACKUP_FORMAT) {
+                data.errors.push('File is not a gym attendance backup');
+                return data;
+            }
+            if (backup.version > this.BACKUP_VERSION) {
+                data.errors.push(`Backup version ${backup.version} is newer than this app supports`);
+                return data;
+            }
+
+            // Each list must really be a list; a missing one is just empty
+            const list = name => {
+                if (backup[name] === undefined || backup[name] === null) return [];
+                if (Array.isArray(backup[name])) return backup[name];
+                data.errors.push(`${name} is not a list`);
+                return [];
+            };
+
+            const members = this.validateAll(list('members'), this.validateMember, i => `members[${i}]`);
+            const attendance = this.validateAll(list('attendance'), this.validateAttendance, i => `attendance[${i}]`);
+            const sessions = this.toSessions(attendance.records);
+            const history = this.validateAll(list('membershipHistory'), this.validateHistory, i => `membershipHistory[${i}]`);
+            const plans = this.validateAll(list('plans'), this.validatePlan, i => `plans[${i}]`);
+            const payments = this.validateAll(list('payments'), this.validatePayment, i => `payments[${i}]`);
+
+            data.members = members.records;
+            data.attendance = sessions.sessions;
+            data.membershipHistory = history.records;
+            data.plans = plans.records;
+            data.payments = payments.records;
+            data.classes = list('classes').filter(cls => cls && cls.id && cls.name);
+            data.bookings = list('bookings').filter(booking => booking && booking.memberId && booking.classId && booking.sessionDate);
+            data.ptSessions = list('ptSessions')
+                .filter(session => session && session.memberId && session.trainerId && session.timestamp);
+            data.branches = list('branches').filter(branch => branch && branch.id && branch.name);
+            data.counter = parseInt(backup.counter, 10) || null;
+            data.errors = [
+                ...data.errors, ...members.errors, ...attendance.errors, ...sessions.errors, ...history.errors, ...plans.errors,
+                ...payments.errors
+            ];
+            return data;
+        }
+
+        const rows = this.parseCsv(text);
+        if (rows.length === 0) {
+            data.errors.push('File is empty');
+            return data;
+        }
+
+        // Work out which kind of CSV this is from its header
+        const header = rows[0].map(column => column.trim());
+        const objects = rows.slice(1).map(fields => {
+            const object = {};
+            header.forEach((column, index) => {
+                // Undo the leading ' that toCsv adds to formula-like values
+                const value = fields[index];
+                object[column] = value && value[0] === "'" && this.FORMULA_PATTERN.test(value.slice(1)) ? value.slice(1) : value;
+            });
+            return object;
+        });
+        const sourceFn = index => `Row ${index + 2}`;
+
+        if (header.includes('name') && header.includes('email')) {
+            const members = this.validateAll(objects, this.validateMember, sourceFn);
+            data.members = members.records;
+            data.errors = members.errors;
+        } else if (header.includes('memberId') && (header.includes('start') || header.includes('type'))) {
+            const attendance = this.validateAll(objects, this.validateAttendance, sourceFn);
+            const sessions = this.toSessions(attendance.records);
+            data.attendance = sessions.sessions;
+            data.errors = [...attendance.errors, ...sessions.errors];
+        } else {
+            data.errors.push('Unrecognised CSV header. Expected a members or attendance export.');
+        }
+
+        return data;
+    },
+
+    /**
+     * Handle import form submission
+     * @param {Event} event - Form submit event
+     */
+    handleImport: async function(event) {
+        event.preventDefault();
+
+        if (!AuthService.require(AuthService.PERMISSIONS.IMPORT)) return;
+
+        const fileInput = document.getElementById('import-file');
+        const mode = document.getElementById('import-mode').value;
+        const file = fileInput.files && fileInput.files[0];
+
+        if (!file) {
+            App.showNotification('Please choose a file to import', 'error');
+            return;
+        }
+
+        let data;
+        try {
+            data = this.parseImport(file.name, await file.text());
+        } catch (error) {
+            console.error('Reading import file failed', error);
+            App.showNotification('Could not read this file. No changes were made.', 'error');
+            return;
+        }
+
+        if (data.members.length === 0 && data.attendance.length === 0) {
+            this.renderImportResult(null, data.errors);
+            App.showNotification('Nothing to import', 'error');
+            return;
+        }
+
+        if (mode === 'replace' && !window.confirm('Replace ALL existing members and attendance with this file?')) {
+            return;
+        }
+
+        let summary;
+        try {
+            summary = await StorageService.importData(data, mode);
+        } catch (error) {
+            console.error('Import failed', error);
+            App.showNotification('Import failed. No changes were made.', 'error');
+            return;
+        }
+
+        this.renderImportResult(summary, [...data.errors, ...summary.errors]);
+        App.showNotification('Import complete', 'success');
+
+        // Backups may carry photos saved before they were resized on capture
+        PhotoService.compactStoredPhotos(true);
+
+        document.getElementById('import-form').reset();
+        await Promise.all([PlansService.refresh(), ClassesService.refresh(), BranchesService.refresh()]);
+        MembersService.loadMembersList();
+    },
+
+    /**
+     * Show the import summary and any row-level errors
+     * @param {Object|null} summary - Import summary, or null if nothing was imported
+     * @param {Array<string>} errors - Row-level error messages
+     */
+    renderImportResult: function(summary, errors) {
+        const result = document.getElementById('import-result');
+        result.innerHTML = '';
+
+        if (summary) {
+            const lines = [
+                `Members added: ${summary.membersAdded}`,
+                `Members given new IDs: ${summary.membersRenumbered}`,
+                `Members already present: ${summary.membersSkipped}`,
+                `Attendance records added: ${summary.attendanceAdded}`,
+                `Attendance records already present: ${summary.attendanceSkipped}`,
+                `Payments added: ${summary.paymentsAdded}`,
+                `Class bookings added: ${summary.bookingsAdded}`,
+                `Training sessions added: ${summary.ptSessionsAdded}`
+            ];
+            lines.forEach(text => {
+                const line = document.createElement('p');
+                line.textContent = text;
+                result.appendChild(line);
+            });
+        }
+
+        if (errors.length) {
+            const heading = document.createElement('h3');
+            heading.textContent = `${errors.length} row${errors.length === 1 ? '' : 's'} skipped`;
+            result.appendChild(heading);
+
+            const list = document.createElement('ul');
+            list.className = 'import-errors';
+            errors.forEach(error => {
+                const item = document.createElement('li');
+                item.textContent = error;
+                list.appendChild(item);
+            });
+            result.appendChild(list);
+        }
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    DataTransferService.init();
+});
@@ -0,0 +1,295 @@
+/**
+ * Duplicates Service
+ * Handles contact detail validation, duplicate member detection and merging duplicate records
+ */
+
+const DuplicatesService = {
+    // Names at least this similar (0-1) are flagged as possible duplicates
+    NAME_SIMILARITY_THRESHOLD: 0.85,
+
+    // Phone numbers are compared on their last digits so country codes don't hide a match
+    PHONE_MATCH_DIGITS: 10,
+
+    // Resolves the open duplicate prompt
+    pendingChoice: null,
+
+    /**
+     * Initialize the duplicates service
+     */
+    init: function() {
+        this.setupEventListeners();
+    },
+
+    /**
+     * Set up event listeners for the duplicate prompt and merge tool
+     */
+    setupEventListeners: function() {
+        const registerAnywayBtn = document.getElementById('duplicate-register-btn');
+        if (registerAnywayBtn) {
+            registerAnywayBtn.addEventListener('click', () => this.resolvePrompt({ action: 'register' }));
+        }
+
+        const cancelBtn = document.getElementById('duplicate-cancel-btn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.resolvePrompt({ action: 'cancel' }));
+        }
+
+        // "Open" buttons on listed matches
+        const matchList = document.getElementById('duplicate-matches');
+        if (matchList) {
+            matchList.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-member-id]');
+                if (button) {
+                    this.resolvePrompt({ action: 'open', memberId: button.getAttribute('data-member-id') });
+                }
+            });
+        }
+
+        const mergeForm = document.getElementById('merge-form');
+        if (mergeForm) {
+            mergeForm.addEventListener('submit', this.handleMerge.bind(this));
+        }
+    },
+
+    /**
+     * Normalise an email address for storage and comparison
+     * @param {string} email - Email as typed
+     * @returns {string} Trimmed, lower-case email
+     */
+    normalizeEmail: function(email) {
+        return (email || '').trim().toLowerCase();
+    },
+
+    /**
+     * Normalise a phone number for storage: digits only, keeping a leading +
+     * @param {string} phone - Phone number as typed
+     * @returns {string} Normalised phone number
+     */
+    normalizePhone: function(phone) {
+        const text = (phone || '').trim();
+        const digits = text.replace(/\D/g, '');
+        return text.startsWith('+') ? `+${digits}` : digits;
+    },
+
+    /**
+     * Check an email address
+     * @param {string} email - Normalised email
+     * @returns {boolean} True if it looks deliverable
+     */
+    isValidEmail: function(email) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email);
+    },
+
+    /**
+     * Check a phone number
+     * @param {string} phone - Normalised phone number
+     * @returns {boolean} True if it has a plausible number of digits
+     */
+    isValidPhone: function(phone) {
+        return /^\+?\d{7,15}$/.test(phone);
+    },
+
+    /**
+     * Validate and normalise contact details
+     * @param {Object} details - { name, email, phone } as typed
+     * @returns {Object} { values, error } with normalised values, or an error message
+     */
+    validateContact: function(details) {
+        const values = {
+            name: (details.name || '').trim().replace(/\s+/g, ' '),
+            email: this.normalizeEmail(details.email),
+            phone: this.normalizePhone(details.phone)
+        };
+
+        if (!values.name || !values.email || !values.phone) {
+            return { values, error: 'Please fill in all required fields' };
+        }
+        if (!this.isValidEmail(values.email)) {
+            return { values, error: 'Please enter a valid email address' };
+        }
+        if (!this.isValidPhone(values.phone)) {
+            return { values, error: 'Please enter a valid phone number (7 to 15 digits)' };
+        }
+
+        return { values, error: null };
+    },
+
+    /**
+     * Key used to compare phone numbers
+     * @param {string} phone - Phone number in any format
+     * @returns {string} Trailing digits
+     */
+    phoneKey: function(phone) {
+        return (phone || '').replace(/\D/g, '').slice(-this.PHONE_MATCH_DIGITS);
+    },
+
+    /**
+     * Reduce a name to lower-case words in alphabetical order, so "Smith, Bob" matches "Bob Smith"
+     * @param {string} name - Name
+     * @returns {string} Comparable name
+     */
+    nameKey: function(name) {
+        return (name || '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s]/gu, '')
+            .split(/\s+/)
+            .filter(Boolean)
+            .sort()
+            .join(' ');
+    },
+
+    /**
+     * Edit distance between two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Number of single-character edits needed
+     */
+    levenshtein: function(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    },
+
+    /**
+     * How alike two names are
+     * @param {string} a - First name
+     * @param {string} b - Second name
+     * @returns {number} Similarity from 0 (different) to 1 (same)
+     */
+    nameSimilarity: function(a, b) {
+        const keyA = this.nameKey(a);
+        const keyB = this.nameKey(b);
+        if (!keyA || !keyB) return 0;
+
+        const longest = Math.max(keyA.length, keyB.length);
+        return 1 - this.levenshtein(keyA, keyB) / longest;
+    },
+
+    /**
+     * Find existing members who may be the same person
+     * @param {Object} candidate - { name, email, phone }
+     * @param {Array} members - Members to compare against
+     * @param {string} [excludeId] - Member to leave out, e.g. the one being edited
+     * @returns {Array} Matches as { member, reasons }, strongest first
+     */
+    findDuplicates: function(candidate, members, excludeId = null) {
+        const email = this.normalizeEmail(candidate.email);
+        const phone = this.phoneKey(candidate.phone);
+
+        return members
+            .filter(member => member.id !== excludeId)
+            .map(member => {
+                const reasons = [];
+                if (phone && this.phoneKey(member.phone) === phone) reasons.push('same phone');
+                if (email && this.normalizeEmail(member.email) === email) reasons.push('same email');
+                if (this.nameSimilarity(candidate.name, member.name) >= this.NAME_SIMILARITY_THRESHOLD) reasons.push('similar name');
+                return { member, reasons };
+            })
+            .filter(match => match.reasons.length > 0)
+            .sort((a, b) => b.reasons.length - a.reasons.length);
+    },
+
+    /**
+     * Ask staff what to do about possible duplicates
+     * @param {Array} matches - Matches from findDuplicates
+     * @returns {Promise<Object>} { action: 'open' | 'register' | 'cancel', memberId }
+     */
+    showPrompt: function(matches) {
+        const matchList = document.getElementById('duplicate-matches');
+        matchList.innerHTML = '';
+
+        matches.forEach(({ member, reasons }) => {
+            const item = document.createElement('li');
+
+            const text = document.createElement('span');
+            text.textContent = `${member.name} (ID ${member.id}) · ${member.email} · ${member.phone}${member.archived ? ' · Archived' : ''} - ${reasons.join(', ')}`;
+
+            const openBtn = document.createElement('button');
+            openBtn.type = 'button';
+            openBtn.textContent = 'Open Existing Member';
+            openBtn.setAttribute('data-member-id', member.id);
+
+            item.append(text, ' ', openBtn);
+            matchList.appendChild(item);
+        });
+
+        document.getElementById('duplicate-prompt').classList.remove('hidden');
+
+        return new Promise(resolve => {
+            this.pendingChoice = resolve;
+        });
+    },
+
+    /**
+     * Close the duplicate prompt with the staff member's choice
+     * @param {Object} choice - { action, memberId }
+     */
+    resolvePrompt: function(choice) {
+        document.getElementById('duplicate-prompt').classList.add('hidden');
+
+        if (this.pendingChoice) {
+            this.pendingChoice(choice);
+            this.pendingChoice = null;
+        }
+    },
+
+    /**
+     * Handle merge form submission: fold another member into the one being viewed
+     * @param {Event} event - Form submit event
+     */
+    handleMerge: async function(event) {
+        event.preventDefault();
+
+        if (!AuthService.require(AuthService.PERMISSIONS.EDIT)) return;
+
+        const keep = MemberDetailService.currentMember;
+        const mergeId = document.getElementById('merge-member-id').value.trim();
+
+        if (!mergeId || mergeId === keep.id) {
+            App.showNotification('Please enter the ID of a different member to merge', 'error');
+            return;
+        }
+
+        const duplicate = await StorageService.getMemberById(mergeId);
+        if (!duplicate) {
+            App.showNotification('Member not found. Please check the ID and try again.', 'error');
+            return;
+        }
+
+        if ([keep, duplicate].some(member => StorageService.getMemberStatus(member) === 'checked-in')) {
+            App.showNotification('Check both members out before merging them.', 'error');
+            return;
+        }
+
+        if (!window.confirm(`Merge ${duplicate.name} (ID ${duplicate.id}) into ${keep.name} (ID ${keep.id})? ` +
+            `Their attendance, history and payments move to ID ${keep.id} and ID ${duplicate.id} is removed.`)) {
+            return;
+        }
+
+        let member;
+        try {
+            member = await StorageService.mergeMembers(keep.id, duplicate.id);
+        } catch (error) {
+            console.error('Merge failed', error);
+            App.showNotification('Merge failed. No changes were made.', 'error');
+            return;
+        }
+
+        App.showNotification(`${duplicate.name} merged into ID ${member.id}`, 'success');
+        await MemberDetailService.refresh(member);
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    DuplicatesService.init();
+});
@@ -92,7 +92,7 @@ const App = {
     /**
      * Show a notification message
      * @param {string} message - Message to display
-     * @param {string} type - Notification type ('success' or 'error')
+     * @param {string} type - Notification type ('success', 'warning' or 'error')
      */
     showNotification: function(message, type = 'success') {
         const notification = document.getElementById('notification');
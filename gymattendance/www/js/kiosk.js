@@ -0,0 +1,246 @@
+/**
+ * Kiosk Service
+ * Handles unattended front-desk mode: one ID entry or scan toggles check-in/out
+ */
+
+const KioskService = {
+    // Whether kiosk mode is currently on
+    active: false,
+
+    // Timer that clears the welcome/goodbye screen
+    resetTimer: null,
+
+    /**
+     * Initialize the kiosk service
+     */
+    init: async function() {
+        this.setupEventListeners();
+
+        // An unattended tablet should come back up in kiosk mode after a restart
+        if (await SettingsService.get('kioskActive')) {
+            this.enter();
+        }
+    },
+
+    /**
+     * Set up event listeners for kiosk mode
+     */
+    setupEventListeners: function() {
+        const startBtn = document.getElementById('kiosk-start-btn');
+        if (startBtn) {
+            startBtn.addEventListener('click', this.handleStart.bind(this));
+        }
+
+        const toggleBtn = document.getElementById('kiosk-toggle-btn');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', this.handleEntry.bind(this));
+        }
+
+        const exitBtn = document.getElementById('kiosk-exit-btn');
+        if (exitBtn) {
+            exitBtn.addEventListener('click', this.showPinPrompt.bind(this));
+        }
+
+        const pinForm = document.getElementById('kiosk-pin-form');
+        if (pinForm) {
+            pinForm.addEventListener('submit', this.handleExit.bind(this));
+        }
+
+        const pinCancelBtn = document.getElementById('kiosk-pin-cancel-btn');
+        if (pinCancelBtn) {
+            pinCancelBtn.addEventListener('click', this.hidePinPrompt.bind(this));
+        }
+
+        // Tapping the welcome screen dismisses it early
+        const overlay = document.getElementById('kiosk-overlay');
+        if (overlay) {
+            overlay.addEventListener('click', this.reset.bind(this));
+        }
+
+        // Stop the Android back button from leaving the app while in kiosk mode
+        document.addEventListener('backbutton', (event) => {
+            if (this.active) event.preventDefault();
+        }, false);
+    },
+
+    /**
+     * Handle the Start Kiosk Mode button
+     */
+    handleStart: async function() {
+        if (!AuthService.require(AuthService.PERMISSIONS.SETTINGS)) return;
+
+        await SettingsService.save({ kioskActive: true });
+
+        // The tablet is left unattended, so don't leave a staff member logged in
+        await AuthService.logout();
+        AuthService.setActor(AuthService.KIOSK_ACTOR);
+        AuthService.reveal();
+        this.enter();
+    },
+
+    /**
+     * Lock the app to the attendance view
+     */
+    enter: function() {
+        this.active = true;
+        document.body.classList.add('kiosk-mode');
+
+        // Switch to the attendance tab
+        const attendanceTabBtn = document.querySelector('.tab-btn[data-tab="attendance"]');
+        if (attendanceTabBtn) attendanceTabBtn.click();
+
+        document.getElementById('member-info').classList.add('hidden');
+        this.focusInput();
+    },
+
+    /**
+     * Unlock the app
+     */
+    leave: async function() {
+        this.active = false;
+        this.reset();
+        document.body.classList.remove('kiosk-mode');
+        await SettingsService.save({ kioskActive: false });
+    },
+
+    /**
+     * Put the cursor back in the member ID field, ready for the next person
+     */
+    focusInput: function() {
+        const input = document.getElementById('member-id');
+        input.value = '';
+        input.focus();
+    },
+
+    /**
+     * Check a member in or out depending on their current status
+     * Never rejects, since scans call this without waiting on it.
+     */
+    handleEntry: async function() {
+        const memberId = document.getElementById('member-id').value.trim();
+        if (!memberId) return;
+
+        try {
+            let member = await StorageService.getMemberById(memberId);
+            if (member) {
+                member = await AutoCheckoutService.closeIfStale(member);
+            }
+
+            const checkingOut = StorageService.getMemberStatus(member) === 'checked-in';
+            const updatedMember = checkingOut
+                ? await AttendanceService.handleCheckOut()
+                : await AttendanceService.handleCheckIn();
+
+            if (updatedMember) {
+                await this.showGreeting(updatedMember, checkingOut);
+            } else {
+                this.focusInput();
+            }
+        } catch (error) {
+            console.error('Kiosk check-in failed', error);
+            App.showNotification('Something went wrong. Please try again or ask at the desk.', 'error');
+            this.focusInput();
+        }
+    },
+
+    /**
+     * Show the large welcome or goodbye screen, then reset after a timeout
+     * @param {Object} member - Member who just checked in or out
+     * @param {boolean} checkingOut - True for goodbye, false for welcome
+     */
+    showGreeting: async function(member, checkingOut) {
+        const firstName = member.name.split(' ')[0];
+        const daysRemaining = StorageService.calculateDaysRemaining(member);
+
+        document.getElementById('kiosk-photo').src = member.hasPhoto
+            ? PhotoService.safeSource(await StorageService.getPhoto(member.id))
+            : StorageService.DEFAULT_PHOTO;
+        document.getElementById('kiosk-greeting').textContent = checkingOut
+            ? `Goodbye, ${firstName}!`
+            : `Welcome, ${firstName}!`;
+        document.getElementById('kiosk-days-remaining').textContent =
+            `${daysRemaining} day${daysRemaining === 1 ? '' : 's'} remaining on your membership`;
+
+        const overlay = document.getElementById('kiosk-overlay');
+        overlay.className = `kiosk-overlay ${checkingOut ? 'goodbye' : 'welcome'}`;
+
+        clearTimeout(this.resetTimer);
+        const seconds = await SettingsService.get('kioskResetSeconds');
+        this.resetTimer = setTimeout(() => this.reset(), seconds * 1000);
+    },
+
+    /**
+     * Clear the greeting and get ready for the next member
+     */
+    reset: function() {
+        clearTimeout(this.resetTimer);
+        this.resetTimer = null;
+
+        document.getElementById('kiosk-overlay').classList.add('hidden');
+        document.getElementById('member-info').classList.add('hidden');
+
+        if (this.active) this.focusInput();
+    },
+
+    /**
+     * Ask for a staff login before leaving kiosk mode
+     */
+    showPinPrompt: function() {
+        document.getElementById('kiosk-pin-form').reset();
+        document.getElementById('kiosk-pin-prompt').classList.remove('hidden');
+        document.getElementById('kiosk-username').focus();
+    },
+
+    /**
+     * Close the PIN prompt without leaving kiosk mode
+     */
+    hidePinPrompt: function() {
+        document.getElementById('kiosk-pin-prompt').classList.add('hidden');
+        this.focusInput();
+    },
+
+    /**
+     * Handle PIN form submission
+     * Repeated wrong PINs lock the prompt for longer each time; the count survives a restart.
+     * @param {Event} event - Form submit event
+     */
+    handleExit: async function(event) {
+        event.preventDefault();
+
+        const key = StorageService.META.KIOSK_LOCKOUT;
+        const now = Clock.now();
+        const lockedSeconds = await AuthService.getLockedSeconds(key, now);
+        if (lockedSeconds) {
+            App.showNotification(`Too many incorrect PINs. Try again in ${lockedSeconds} seconds.`, 'error');
+            document.getElementById('kiosk-pin').value = '';
+            return;
+        }
+
+        const username = document.getElementById('kiosk-username').value.trim().toLowerCase();
+        const pin = document.getElementById('kiosk-pin').value;
+        const staff = await StorageService.getStaffByUsername(username);
+
+        if (!(await AuthService.verifyPin(staff, pin))) {
+            const seconds = await AuthService.recordWrongPin(key, now);
+            App.showNotification(
+                seconds ? `Incorrect username or PIN. Try again in ${seconds} seconds.` : 'Incorrect username or PIN',
+                'error'
+            );
+            document.getElementById('kiosk-pin').value = '';
+            return;
+        }
+
+        await AuthService.clearLockout(key);
+        document.getElementById('kiosk-pin-prompt').classList.add('hidden');
+        await this.leave();
+        App.showNotification('Kiosk mode ended', 'success');
+
+        // Whoever unlocked the tablet is now the one using it
+        AuthService.startSession(staff);
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    KioskService.init();
+});
@@ -0,0 +1,93 @@
+/**
+ * Member Card
+ * Builds the member card shown in the Members List, search results and the attendance view
+ *
+ * Cards are put together from DOM nodes with every member field set as text, never as markup,
+ * so names and other fields typed in or imported can't inject HTML or script.
+ */
+
+const MemberCard = {
+    /**
+     * Build a card for a member
+     * @param {Object} member - Member object
+     * @param {Object} [options] - Card options
+     * @param {string} [options.className] - 'member-item' for list cards or 'member-card' for the attendance view
+     * @param {string} [options.status] - Attendance status to show instead of the member's current one
+     * @param {boolean} [options.linked] - True to open the member's details when the card is clicked
+     * @param {boolean} [options.lazy] - True to load the photo only once the card scrolls into view
+     * @returns {HTMLElement} Card element
+     */
+    create: function(member, options = {}) {
+        const { className = 'member-item', status = null, linked = false, lazy = true } = options;
+
+        const card = document.createElement('div');
+        card.className = member.archived ? `${className} archived` : className;
+        if (linked) {
+            card.setAttribute('data-member-id', member.id);
+        }
+
+        const photoFrame = document.createElement('div');
+        photoFrame.className = 'member-photo';
+        photoFrame.appendChild(this.createPhoto(member, lazy));
+        card.appendChild(photoFrame);
+
+        const details = document.createElement('div');
+        details.className = 'member-details';
+
+        const name = document.createElement('h3');
+        name.textContent = member.name;
+        details.appendChild(name);
+
+        [
+            ['ID', member.id],
+            ['Membership', PlansService.formatPlan(member.membershipType)],
+            ['Days Remaining', StorageService.calculateDaysRemaining(member)]
+        ].forEach(([label, value]) => details.appendChild(this.createLine(label, value)));
+
+        const memberStatus = status || StorageService.getMemberStatus(member);
+        const statusLine = this.createLine('Status', member.archived && !status ? 'Archived' : MembershipRules.formatStatus(memberStatus));
+        statusLine.lastChild.className = `member-status ${memberStatus}`;
+        details.appendChild(statusLine);
+
+        card.appendChild(details);
+        return card;
+    },
+
+    /**
+     * Build a labelled line of card details
+     * @param {string} label - Field label
+     * @param {*} value - Field value, shown as text
+     * @returns {HTMLParagraphElement} Line with the value in a span
+     */
+    createLine: function(label, value) {
+        const line = document.createElement('p');
+        const valueSpan = document.createElement('span');
+        valueSpan.textContent = value;
+        line.append(`${label}: `, valueSpan);
+        return line;
+    },
+
+    /**
+     * Build the member's photo, starting from the default photo
+     * @param {Object} member - Member object
+     * @param {boolean} lazy - True to wait until the image scrolls into view before loading it
+     * @returns {HTMLImageElement} Photo image
+     */
+    createPhoto: function(member, lazy) {
+        const img = document.createElement('img');
+        img.src = StorageService.DEFAULT_PHOTO;
+        img.alt = member.name;
+
+        // PhotoService only sets sources that pass its allowlist
+        if (member.hasPhoto) {
+            if (lazy) {
+                PhotoService.lazyLoad(img, member.id);
+            } else {
+                img.setAttribute('data-photo-member-id', member.id);
+                PhotoService.loadInto(img);
+            }
+        }
+
+        return img;
+    }
+};
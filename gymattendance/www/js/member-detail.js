@@ -0,0 +1,361 @@
+/**
+ * Member Detail Service
+ * Handles the member record view opened from the Members List
+ */
+
+const MemberDetailService = {
+    // Member currently shown in the detail view
+    currentMember: null,
+
+    /**
+     * Initialize the member detail service
+     */
+    init: function() {
+        this.setupEventListeners();
+    },
+
+    /**
+     * Set up event listeners for the member detail view
+     */
+    setupEventListeners: function() {
+        // Open a member's record from their card
+        const membersList = document.getElementById('members-list');
+        if (membersList) {
+            membersList.addEventListener('click', (event) => {
+                const card = event.target.closest('.member-item');
+                if (card) {
+                    this.open(card.getAttribute('data-member-id'));
+                }
+            });
+        }
+
+        const closeBtn = document.getElementById('member-detail-close');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', this.close.bind(this));
+        }
+
+        const profileForm = document.getElementById('profile-form');
+        if (profileForm) {
+            profileForm.addEventListener('submit', this.handleProfileSave.bind(this));
+        }
+
+        const archiveBtn = document.getElementById('archive-btn');
+        if (archiveBtn) {
+            archiveBtn.addEventListener('click', () => this.setArchived(true));
+        }
+
+        const restoreBtn = document.getElementById('restore-btn');
+        if (restoreBtn) {
+            restoreBtn.addEventListener('click', () => this.setArchived(false));
+        }
+
+        const renewForm = document.getElementById('renew-form');
+        if (renewForm) {
+            renewForm.addEventListener('submit', this.handleRenewal.bind(this));
+        }
+
+        const freezeForm = document.getElementById('freeze-form');
+        if (freezeForm) {
+            freezeForm.addEventListener('submit', this.handleFreeze.bind(this));
+        }
+    },
+
+    /**
+     * Open the detail view for a member
+     * @param {string} memberId - Member ID
+     */
+    open: async function(memberId) {
+        const member = await StorageService.getMemberById(memberId);
+        if (!member) {
+            App.showNotification('Member not found.', 'error');
+            return;
+        }
+
+        this.currentMember = member;
+        await PlansService.load();
+        await this.render();
+        document.getElementById('member-detail').classList.remove('hidden');
+    },
+
+    /**
+     * Close the detail view
+     */
+    close: function() {
+        this.currentMember = null;
+        document.getElementById('member-detail').classList.add('hidden');
+    },
+
+    /**
+     * Render the current member's details, profile form and membership history
+     */
+    render: async function() {
+        const member = this.currentMember;
+
+        document.getElementById('detail-photo').src = member.hasPhoto
+            ? PhotoService.safeSource(await StorageService.getPhoto(member.id))
+            : StorageService.DEFAULT_PHOTO;
+        document.getElementById('detail-name').textContent = member.name;
+        document.getElementById('detail-id').textContent = member.id;
+        document.getElementById('detail-membership').textContent = PlansService.formatPlan(member.membershipType);
+        document.getElementById('detail-end-date').textContent = new Date(member.membershipEndDate).toLocaleDateString();
+        document.getElementById('detail-days-remaining').textContent = StorageService.calculateDaysRemaining(member);
+        document.getElementById('detail-home-branch').textContent = BranchesService.formatBranch(member.homeBranchId);
+
+        QrService.showCard(member);
+
+        const frozenNote = document.getElementById('detail-frozen');
+        if (MembershipService.isFrozen(member)) {
+            frozenNote.textContent = `Frozen until ${new Date(member.frozenUntil).toLocaleDateString()}`;
+            frozenNote.classList.remove('hidden');
+        } else {
+            frozenNote.classList.add('hidden');
+        }
+
+        document.getElementById('profile-form').reset();
+        PhotoService.clear('edit-photo');
+        document.getElementById('edit-name').value = member.name;
+        // The form is only hidden from staff who can't edit, so keep contact details out of it too
+        if (AuthService.can(AuthService.PERMISSIONS.EDIT)) {
+            document.getElementById('edit-email').value = member.email;
+            document.getElementById('edit-phone').value = member.phone;
+        }
+
+        const homeBranch = document.getElementById('edit-home-branch');
+        BranchesService.populateBranchSelect(homeBranch, 'No home branch', member.homeBranchId);
+        homeBranch.value = member.homeBranchId || '';
+
+        document.getElementById('archive-description').textContent = member.archived
+            ? `Archived on ${new Date(member.archivedAt).toLocaleDateString()}. Attendance history is kept.`
+            : 'Archiving hides this member from check-in and the Members List. Attendance history is kept.';
+        document.getElementById('archive-btn').classList.toggle('hidden', !!member.archived);
+        document.getElementById('restore-btn').classList.toggle('hidden', !member.archived);
+
+        const renewPlan = document.getElementById('renew-plan');
+        PlansService.populatePlanSelect(renewPlan, member.membershipType);
+        renewPlan.value = member.membershipType;
+        document.getElementById('freeze-form').reset();
+        document.getElementById('merge-form').reset();
+
+        await Promise.all([
+            this.renderHistory(),
+            VisitsService.render(member),
+            PaymentsService.render(member),
+            ClassesService.renderMemberBookings(member),
+            TrainersService.render(member)
+        ]);
+    },
+
+    /**
+     * Render the current member's membership history
+     */
+    renderHistory: async function() {
+        const historyList = document.getElementById('membership-history');
+        const entries = await StorageService.getMembershipHistory(this.currentMember.id);
+
+        historyList.innerHTML = '';
+
+        if (entries.length === 0) {
+            historyList.innerHTML = '<li class="no-history">No membership changes recorded.</li>';
+            return;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            const parts = [
+                new Date(entry.timestamp).toLocaleDateString(),
+                MembershipService.formatAction(entry.action)
+            ];
+
+            if (entry.action === MembershipService.ACTIONS.PLAN_CHANGE) {
+                parts.push(`${PlansService.formatPlan(entry.previousType)} → ${PlansService.formatPlan(entry.newType)}`);
+            } else if (entry.action === MembershipService.ACTIONS.FREEZE) {
+                parts.push(`${entry.days} days`);
+            } else if (entry.action === MembershipService.ACTIONS.PT_PACK) {
+                parts.push(`${entry.sessions} sessions`);
+            } else {
+                parts.push(PlansService.formatPlan(entry.newType));
+            }
+
+            parts.push(`Ends ${new Date(entry.newEndDate).toLocaleDateString()}`);
+
+            item.textContent = parts.join(' · ');
+            historyList.appendChild(item);
+        });
+    },
+
+    /**
+     * Handle profile form submission
+     * @param {Event} event - Form submit event
+     */
+    handleProfileSave: async function(event) {
+        event.preventDefault();
+
+        if (!AuthService.require(AuthService.PERMISSIONS.EDIT)) return;
+
+        const { values, error } = DuplicatesService.validateContact({
+            name: document.getElementById('edit-name').value,
+            email: document.getElementById('edit-email').value,
+            phone: document.getElementById('edit-phone').value
+        });
+
+        // Validate inputs
+        if (error) {
+            App.showNotification(error, 'error');
+            return;
+        }
+
+        let member;
+        try {
+            member = await StorageService.updateMember(this.currentMember.id, {
+                ...values,
+                homeBranchId: document.getElementById('edit-home-branch').value || null
+            });
+        } catch (error) {
+            console.error('Failed to update member', error);
+            App.showNotification('Could not update member. Please try again.', 'error');
+            return;
+        }
+        if (!member) {
+            App.showNotification('Could not update member.', 'error');
+            return;
+        }
+
+        const photoData = await PhotoService.getSelected('edit-photo');
+        if (photoData) {
+            try {
+                member = await StorageService.savePhoto(member.id, photoData);
+            } catch (error) {
+                console.error('Failed to save photo', error);
+                App.showNotification('Member updated, but the photo could not be saved. Please try again.', 'error');
+                await this.refresh(member);
+                return;
+            }
+        }
+
+        App.showNotification('Member updated', 'success');
+        await this.refresh(member);
+    },
+
+    /**
+     * Archive or restore the current member
+     * Archived members are hidden from check-in and the list but keep their attendance history
+     * @param {boolean} archived - True to archive, false to restore
+     */
+    setArchived: async function(archived) {
+        if (!AuthService.require(AuthService.PERMISSIONS.ARCHIVE)) return;
+
+        let member;
+        try {
+            member = await StorageService.updateMember(this.currentMember.id, {
+                archived: archived,
+                archivedAt: archived ? Clock.now().toISOString() : null
+            });
+        } catch (error) {
+            console.error(archived ? 'Failed to archive member' : 'Failed to restore member', error);
+            App.showNotification('Could not update member. Please try again.', 'error');
+            return;
+        }
+        if (!member) {
+            App.showNotification('Could not update member.', 'error');
+            return;
+        }
+
+        App.showNotification(archived ? `${member.name} archived` : `${member.name} restored`, 'success');
+        await this.refresh(member);
+    },
+
+    /**
+     * Handle renewal form submission
+     * @param {Event} event - Form submit event
+     */
+    handleRenewal: async function(event) {
+        event.preventDefault();
+
+        if (!AuthService.require(AuthService.PERMISSIONS.RENEW)) return;
+
+        const planType = document.getElementById('renew-plan').value;
+        if (!planType) {
+            App.showNotification('Please select a membership plan', 'error');
+            return;
+        }
+
+        const daysLeft = StorageService.calculateDaysRemaining(this.currentMember);
+        if (planType !== this.currentMember.membershipType && daysLeft > 0
+            && !window.confirm(`The new plan starts today, giving up the ${daysLeft} days left on the current plan. Change plan?`)) {
+            return;
+        }
+
+        let member;
+        try {
+            member = await MembershipService.renew(this.currentMember, planType);
+        } catch (error) {
+            console.error('Failed to renew membership', error);
+            App.showNotification('Could not renew membership. Please try again.', 'error');
+            return;
+        }
+        if (!member) {
+            App.showNotification('Could not renew membership.', 'error');
+            return;
+        }
+
+        App.showNotification(`Membership renewed until ${new Date(member.membershipEndDate).toLocaleDateString()}`, 'success');
+        await this.refresh(member);
+    },
+
+    /**
+     * Handle freeze form submission
+     * @param {Event} event - Form submit event
+     */
+    handleFreeze: async function(event) {
+        event.preventDefault();
+
+        if (!AuthService.require(AuthService.PERMISSIONS.RENEW)) return;
+
+        const days = parseInt(document.getElementById('freeze-days').value, 10);
+        if (!days || days < 1) {
+            App.showNotification('Please enter the number of days to freeze', 'error');
+            return;
+        }
+
+        if (MembershipService.isFrozen(this.currentMember)) {
+            App.showNotification('Membership is already frozen.', 'error');
+            return;
+        }
+
+        if (StorageService.calculateDaysRemaining(this.currentMember) <= 0) {
+            App.showNotification('Membership has expired. Please renew it instead.', 'error');
+            return;
+        }
+
+        let member;
+        try {
+            member = await MembershipService.freeze(this.currentMember, days);
+        } catch (error) {
+            console.error('Failed to freeze membership', error);
+            App.showNotification('Could not freeze membership. Please try again.', 'error');
+            return;
+        }
+        if (!member) {
+            App.showNotification('Could not freeze membership.', 'error');
+            return;
+        }
+
+        App.showNotification(`Membership frozen for ${days} days`, 'success');
+        await this.refresh(member);
+    },
+
+    /**
+     * Re-render the detail view and members list after a change
+     * @param {Object} member - Updated member object
+     */
+    refresh: async function(member) {
+        this.currentMember = member;
+        await this.render();
+        MembersService.loadMembersList();
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    MemberDetailService.init();
+});
@@ -4,6 +4,44 @@
  */
 
 const MembersService = {
+    // Members shown per page of the list
+    PAGE_SIZE: 50,
+
+    // Pause in typing before the search runs
+    SEARCH_DELAY_MS: 250,
+
+    // Sort orders for the list
+    SORTS: {
+        NAME: 'name',
+        JOINED: 'joined',
+        DAYS_REMAINING: 'days-remaining',
+        LAST_VISIT: 'last-visit'
+    },
+
+    // Membership end windows the list can be filtered to
+    EXPIRY_WINDOWS: {
+        EXPIRED: 'expired',
+        WEEK: 'week',
+        MONTH: 'month',
+        LATER: 'later'
+    },
+
+    // Which members to list by archived flag
+    ARCHIVED_FILTERS: {
+        ACTIVE: 'active',
+        ARCHIVED: 'archived',
+        ALL: 'all'
+    },
+
+    // Every member, as last loaded from storage, with the text each is searched by
+    members: null,
+    searchKeys: new Map(),
+
+    // Page of the filtered list being shown, from 0
+    page: 0,
+
+    searchTimer: null,
+
     /**
      * Initialize the members service
      */
@@ -22,16 +60,29 @@ const MembersService = {
             registerForm.addEventListener('submit', this.handleRegistration.bind(this));
         }
 
-        // Photo upload preview
-        const photoInput = document.getElementById('member-photo');
-        if (photoInput) {
-            photoInput.addEventListener('change', this.handlePhotoPreview.bind(this));
+        // Search runs after a pause in typing; filters and sorting apply straight away
+        const filterForm = document.getElementById('member-filter-form');
+        if (filterForm) {
+            filterForm.addEventListener('input', (event) => {
+                if (event.target.id === 'search-member') this.handleSearch();
+            });
+            filterForm.addEventListener('change', (event) => {
+                if (event.target.tagName === 'SELECT') this.applyFilters();
+            });
+            filterForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.applyFilters();
+            });
+        }
+
+        const prevBtn = document.getElementById('members-prev-btn');
+        if (prevBtn) {
+            prevBtn.addEventListener('click', () => this.changePage(-1));
         }
 
-        // Search functionality
-        const searchInput = document.getElementById('search-member');
-        if (searchInput) {
-            searchInput.addEventListener('input', this.handleSearch.bind(this));
+        const nextBtn = document.getElementById('members-next-btn');
+        if (nextBtn) {
+            nextBtn.addEventListener('click', () => this.changePage(1));
         }
     },
 
@@ -39,58 +90,56 @@ const MembersService = {
      * Handle member registration form submission
      * @param {Event} event - Form submit event
      */
-    handleRegistration: function(event) {
+    handleRegistration: async function(event) {
         event.preventDefault();
+
+        if (!AuthService.require(AuthService.PERMISSIONS.REGISTER)) return;
         
         // Get form values
-        const name = document.getElementById('new-name').value.trim();
-        const email = document.getElementById('new-email').value.trim();
-        const phone = document.getElementById('new-phone').value.trim();
         const membershipType = document.getElementById('membership-type').value;
-        const photoInput = document.getElementById('member-photo');
+        const homeBranchId = document.getElementById('member-home-branch').value || null;
+        const { values, error } = DuplicatesService.validateContact({
+            name: document.getElementById('new-name').value,
+            email: document.getElementById('new-email').value,
+            phone: document.getElementById('new-phone').value
+        });
+        const { name, email, phone } = values;
         
         // Validate inputs
-        if (!name || !email || !phone || !membershipType) {
-            this.showNotification('Please fill in all required fields', 'error');
+        if (!membershipType) {
+            App.showNotification('Please fill in all required fields', 'error');
             return;
         }
         
-        // Calculate membership end date based on type
-        const startDate = new Date();
-        const endDate = new Date(startDate);
+        if (error) {
+            App.showNotification(error, 'error');
+            return;
+        }
         
-        switch (membershipType) {
-            case 'monthly':
-                endDate.setDate(endDate.getDate() + 30);
-                break;
-            case 'quarterly':
-                endDate.setDate(endDate.getDate() + 90);
-                break;
-            case 'halfyearly':
-                endDate.setDate(endDate.getDate() + 180);
-                break;
-            case 'annual':
-                endDate.setDate(endDate.getDate() + 365);
-                break;
-            default:
-                endDate.setDate(endDate.getDate() + 30);
+        // Archived members count too, so returning members are restored rather than registered twice
+        const matches = DuplicatesService.findDuplicates(values, await StorageService.getMembers());
+        if (matches.length > 0) {
+            const choice = await DuplicatesService.showPrompt(matches);
+            if (choice.action === 'open') {
+                MemberDetailService.open(choice.memberId);
+                return;
+            }
+            if (choice.action !== 'register') return;
         }
         
-        // Process photo if provided
-        let photoData = null;
-        if (photoInput.files && photoInput.files[0]) {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                photoData = e.target.result;
-                
-                // Create new member with photo
-                this.createMember(name, email, phone, membershipType, startDate, endDate, photoData);
-            };
-            reader.readAsDataURL(photoInput.files[0]);
-        } else {
-            // Create new member without photo
-            this.createMember(name, email, phone, membershipType, startDate, endDate, null);
+        const plan = await PlansService.getPlan(membershipType);
+        if (!plan || plan.retired) {
+            App.showNotification('Please select an available membership plan', 'error');
+            return;
         }
+        
+        // Calculate membership end date based on plan
+        const startDate = Clock.now();
+        const endDate = PlansService.calculateEndDate(plan, startDate);
+        
+        // Photo is cropped and resized by PhotoService as soon as it is chosen or taken
+        const photoData = await PhotoService.getSelected('member-photo');
+        await this.createMember(name, email, phone, membershipType, startDate, endDate, photoData, homeBranchId);
     },
 
     /**
@@ -102,8 +151,9 @@ const MembersService = {
      * @param {Date} startDate - Membership start date
      * @param {Date} endDate - Membership end date
      * @param {string|null} photoData - Base64 encoded photo data
+     * @param {string|null} homeBranchId - Branch the member joined at
      */
-    createMember: function(name, email, phone, membershipType, startDate, endDate, photoData) {
+    createMember: async function(name, email, phone, membershipType, startDate, endDate, photoData, homeBranchId) {
         const newMember = {
             name,
             email,
@@ -111,187 +161,250 @@ const MembersService = {
             membershipType,
             membershipStartDate: startDate.toISOString(),
             membershipEndDate: endDate.toISOString(),
-            photo: photoData || 'img/default-profile.png'
+            homeBranchId
         };
         
-        // Add member to storage
-        const member = StorageService.addMember(newMember);
+        // Add member and photo to storage
+        let member;
+        try {
+            member = await StorageService.addMember(newMember, photoData);
+        } catch (error) {
+            console.error('Failed to register member', error);
+            App.showNotification('Could not save member. Please try again.', 'error');
+            return;
+        }
+        
+        // Start the member's membership history
+        await MembershipService.recordJoin(member);
         
         // Show success notification
-        this.showNotification(`Member registered successfully! ID: ${member.id}`, 'success');
+        App.showNotification(`Member registered successfully! ID: ${member.id}`, 'success');
         
         // Reset form
         document.getElementById('register-form').reset();
-        document.getElementById('photo-preview-img').src = 'img/default-profile.png';
+        document.getElementById('member-home-branch').value = StorageService.branchId || '';
+        PhotoService.clear('member-photo');
+        document.getElementById('photo-preview-img').src = StorageService.DEFAULT_PHOTO;
         
         // Refresh members list
         this.loadMembersList();
     },
 
     /**
-     * Handle photo preview when a file is selected
-     * @param {Event} event - Change event from file input
+     * Load members from storage and display the list with the current search and filters
      */
-    handlePhotoPreview: function(event) {
-        const photoPreview = document.getElementById('photo-preview-img');
-        const file = event.target.files[0];
-        
-        if (file) {
-            const reader = new FileReader();
-            reader.onload = function(e) {
-                photoPreview.src = e.target.result;
-            };
-            reader.readAsDataURL(file);
-        } else {
-            photoPreview.src = 'img/default-profile.png';
-        }
+    loadMembersList: async function() {
+        if (!document.getElementById('members-list')) return;
+
+        const [members] = await Promise.all([StorageService.getMembers(), PlansService.load()]);
+        this.members = members;
+        this.searchKeys = new Map(members.map(member => [member.id, this.buildSearchKey(member)]));
+
+        this.populatePlanFilter();
+        this.renderMembersList();
     },
 
     /**
-     * Load and display the list of members
+     * Handle typing in the search field
+     * Waits for a pause in typing so the list isn't rebuilt on every keystroke
      */
-    loadMembersList: function() {
-        const membersList = document.getElementById('members-list');
-        if (!membersList) return;
-        
-        // Clear current list
-        membersList.innerHTML = '';
-        
-        // Get all members
-        const members = StorageService.getMembers();
-        
-        if (members.length === 0) {
-            membersList.innerHTML = '<p class="no-members">No members registered yet.</p>';
-            return;
-        }
-        
-        // Create member cards
-        members.forEach(member => {
-            // Get fresh calculation of days remaining
-            const daysRemaining = StorageService.calculateDaysRemaining(member);
-            const memberStatus = StorageService.getMemberStatus(member);
-            
-            const memberCard = document.createElement('div');
-            memberCard.className = 'member-item';
-            memberCard.innerHTML = `
-                <div class="member-photo">
-                    <img src="${member.photo}" alt="${member.name}">
-                </div>
-                <div class="member-details">
-                    <h3>${member.name}</h3>
-                    <p>ID: ${member.id}</p>
-                    <p>Membership: ${this.formatMembershipType(member.membershipType)}</p>
-                    <p>Days Remaining: ${daysRemaining}</p>
-                    <p>Status: ${this.formatStatus(memberStatus)}</p>
-                </div>
-            `;
-            
-            membersList.appendChild(memberCard);
-        });
+    handleSearch: function() {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.applyFilters(), this.SEARCH_DELAY_MS);
     },
 
     /**
-     * Handle member search
-     * @param {Event} event - Input event from search field
+     * Show the first page of members matching the current search, filters and sort
      */
-    handleSearch: function(event) {
-        const searchTerm = event.target.value.toLowerCase().trim();
-        const membersList = document.getElementById('members-list');
-        
-        if (!membersList) return;
-        
-        // Clear current list
-        membersList.innerHTML = '';
-        
-        // Get all members
-        const members = StorageService.getMembers();
-        
-        if (members.length === 0) {
-            membersList.innerHTML = '<p class="no-members">No members registered yet.</p>';
-            return;
-        }
-        
-        // Filter members by search term
-        const filteredMembers = members.filter(member => 
-            member.name.toLowerCase().includes(searchTerm) || 
-            member.id.includes(searchTerm)
-        );
-        
-        if (filteredMembers.length === 0) {
-            membersList.innerHTML = '<p class="no-members">No members found matching your search.</p>';
-            return;
+    applyFilters: function() {
+        clearTimeout(this.searchTimer);
+        this.page = 0;
+        this.renderMembersList();
+    },
+
+    /**
+     * Move to another page of the list
+     * @param {number} step - Pages to move by, e.g. -1 or 1
+     */
+    changePage: function(step) {
+        this.page += step;
+        this.renderMembersList();
+        document.getElementById('members-list').scrollIntoView({ block: 'start' });
+    },
+
+    /**
+     * Read the search, filter and sort fields
+     * @returns {Object} { search, plan, status, expiry, archived, sort }
+     */
+    getCriteria: function() {
+        const value = id => {
+            const field = document.getElementById(id);
+            return field ? field.value : '';
+        };
+
+        return {
+            search: value('search-member').trim(),
+            plan: value('filter-plan'),
+            status: value('filter-status'),
+            expiry: value('filter-expiry'),
+            archived: value('filter-archived') || this.ARCHIVED_FILTERS.ACTIVE,
+            sort: value('member-sort') || this.SORTS.NAME
+        };
+    },
+
+    /**
+     * Build the text a member is searched by
+     * @param {Object} member - Member object
+     * @returns {Object} { text, email, phone } with text and email lower-cased and phone reduced to digits
+     */
+    buildSearchKey: function(member) {
+        return {
+            text: [member.name, member.id].join('\n').toLowerCase(),
+            email: String(member.email || '').toLowerCase(),
+            phone: String(member.phone || '').replace(/\D/g, '')
+        };
+    },
+
+    /**
+     * Check whether a member matches a search term
+     * @param {Object} key - Search key from buildSearchKey
+     * @param {string} term - Lower-cased search term
+     * @param {string} digits - Digits in the search term, matched against the phone number
+     * @param {boolean} withContacts - Also search email and phone, for staff allowed to see them
+     * @returns {boolean} True if the name or ID, or the email or phone if searched, contains the term
+     */
+    matchesSearch: function(key, term, digits, withContacts) {
+        if (key.text.includes(term)) return true;
+        if (!withContacts) return false;
+        return key.email.includes(term) || (digits.length > 0 && key.phone.includes(digits));
+    },
+
+    /**
+     * Check whether a member's days remaining fall in an expiry window
+     * @param {number} daysRemaining - Days left on the membership
+     * @param {string} expiry - One of EXPIRY_WINDOWS
+     * @returns {boolean} True if inside the window
+     */
+    matchesExpiry: function(daysRemaining, expiry) {
+        switch (expiry) {
+            case this.EXPIRY_WINDOWS.EXPIRED: return daysRemaining <= 0;
+            case this.EXPIRY_WINDOWS.WEEK: return daysRemaining > 0 && daysRemaining <= 7;
+            case this.EXPIRY_WINDOWS.MONTH: return daysRemaining > 0 && daysRemaining <= 30;
+            case this.EXPIRY_WINDOWS.LATER: return daysRemaining > 30;
+            default: return true;
         }
-        
-        // Create member cards for filtered members
-        filteredMembers.forEach(member => {
-            const daysRemaining = StorageService.calculateDaysRemaining(member);
-            const memberStatus = StorageService.getMemberStatus(member);
-            
-            const memberCard = document.createElement('div');
-            memberCard.className = 'member-item';
-            memberCard.innerHTML = `
-                <div class="member-photo">
-                    <img src="${member.photo}" alt="${member.name}">
-                </div>
-                <div class="member-details">
-                    <h3>${member.name}</h3>
-                    <p>ID: ${member.id}</p>
-                    <p>Membership: ${this.formatMembershipType(member.membershipType)}</p>
-                    <p>Days Remaining: ${daysRemaining}</p>
-                    <p>Status: ${this.formatStatus(memberStatus)}</p>
-                </div>
-            `;
-            
-            membersList.appendChild(memberCard);
+    },
+
+    /**
+     * Filter and sort members
+     * @param {Array} members - Members to filter
+     * @param {Object} criteria - Criteria from getCriteria
+     * @returns {Array} Matching members in display order
+     */
+    filterMembers: function(members, criteria) {
+        const term = criteria.search.toLowerCase();
+
+        // Phone numbers are compared digit by digit, so "555-0100" finds "(555) 0100"
+        const digits = /^[\d\s()+.-]+$/.test(term) ? term.replace(/\D/g, '') : '';
+        const withContacts = AuthService.can(AuthService.PERMISSIONS.VIEW_CONTACTS);
+
+        // Worked out once per member, since sorting compares them repeatedly
+        const daysRemaining = new Map();
+        const daysFor = member => {
+            if (!daysRemaining.has(member.id)) {
+                daysRemaining.set(member.id, StorageService.calculateDaysRemaining(member));
+            }
+            return daysRemaining.get(member.id);
+        };
+
+        const matches = members.filter(member => {
+            if (criteria.archived === this.ARCHIVED_FILTERS.ACTIVE && member.archived) return false;
+            if (criteria.archived === this.ARCHIVED_FILTERS.ARCHIVED && !member.archived) return false;
+            if (criteria.plan && member.membershipType !== criteria.plan) return false;
+            if (criteria.status && StorageService.getMemberStatus(member) !== criteria.status) return false;
+            if (criteria.expiry && !this.matchesExpiry(daysFor(member), criteria.expiry)) return false;
+            if (term) {
+                const key = this.searchKeys.get(member.id) || this.buildSearchKey(member);
+                if (!this.matchesSearch(key, term, digits, withContacts)) return false;
+            }
+            return true;
         });
+
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        const compare = {
+            [this.SORTS.NAME]: byName,
+            [this.SORTS.JOINED]: (a, b) => (b.registrationDate || '').localeCompare(a.registrationDate || '') || byName(a, b),
+            [this.SORTS.DAYS_REMAINING]: (a, b) => (daysFor(a) - daysFor(b)) || byName(a, b),
+            [this.SORTS.LAST_VISIT]: (a, b) => (b.lastCheckIn || '').localeCompare(a.lastCheckIn || '') || byName(a, b)
+        }[criteria.sort] || byName;
+
+        return matches.sort(compare);
     },
 
     /**
-     * Format membership type for display
-     * @param {string} type - Membership type code
-     * @returns {string} Formatted membership type
+     * Render the current page of members matching the search, filters and sort
      */
-    formatMembershipType: function(type) {
-        switch (type) {
-            case 'monthly': return 'Monthly (30 days)';
-            case 'quarterly': return 'Quarterly (90 days)';
-            case 'halfyearly': return 'Half Yearly (180 days)';
-            case 'annual': return 'Annual (365 days)';
-            default: return type;
+    renderMembersList: function() {
+        const membersList = document.getElementById('members-list');
+        if (!membersList || !this.members) return;
+
+        const members = this.filterMembers(this.members, this.getCriteria());
+        const pageCount = Math.max(1, Math.ceil(members.length / this.PAGE_SIZE));
+        this.page = Math.min(Math.max(this.page, 0), pageCount - 1);
+
+        const start = this.page * this.PAGE_SIZE;
+        const pageMembers = members.slice(start, start + this.PAGE_SIZE);
+
+        membersList.innerHTML = '';
+
+        if (this.members.length === 0) {
+            membersList.innerHTML = '<p class="no-members">No members registered yet.</p>';
+        } else if (members.length === 0) {
+            membersList.innerHTML = '<p class="no-members">No members match your search and filters.</p>';
+        } else {
+            this.renderMemberCards(membersList, pageMembers);
         }
+
+        document.getElementById('members-count').textContent = members.length > 0
+            ? `Showing ${start + 1}-${start + pageMembers.length} of ${members.length} members`
+            : '';
+        document.getElementById('members-pager').classList.toggle('hidden', pageCount === 1);
+        document.getElementById('members-page-info').textContent = `Page ${this.page + 1} of ${pageCount}`;
+        document.getElementById('members-prev-btn').disabled = this.page === 0;
+        document.getElementById('members-next-btn').disabled = this.page === pageCount - 1;
     },
 
     /**
-     * Format member status for display
-     * @param {string} status - Member status code
-     * @returns {string} Formatted status
+     * Fill the plan filter with every plan, keeping the current choice
      */
-    formatStatus: function(status) {
-        switch (status) {
-            case 'checked-in': return 'Checked In';
-            case 'checked-out': return 'Checked Out';
-            case 'not-checked-in': return 'Not Checked In';
-            default: return status;
-        }
+    populatePlanFilter: function() {
+        const select = document.getElementById('filter-plan');
+        if (!select) return;
+
+        const selected = select.value;
+        select.innerHTML = '<option value="">All plans</option>';
+        Object.values(PlansService.plans)
+            .sort((a, b) => (!!a.retired - !!b.retired) || a.name.localeCompare(b.name))
+            .forEach(plan => {
+                const option = document.createElement('option');
+                option.value = plan.id;
+                option.textContent = plan.retired ? `${plan.name} (Retired)` : plan.name;
+                select.appendChild(option);
+            });
+        select.value = PlansService.plans[selected] ? selected : '';
     },
 
     /**
-     * Show a notification message
-     * @param {string} message - Message to display
-     * @param {string} type - Notification type ('success' or 'error')
+     * Append a card for each member to the list
+     * @param {HTMLElement} membersList - List container
+     * @param {Array} members - Members to render
      */
-    showNotification: function(message, type = 'success') {
-        const notification = document.getElementById('notification');
-        notification.textContent = message;
-        notification.className = `notification ${type}`;
-        
-        // Show notification
-        notification.classList.remove('hidden');
-        
-        // Hide after 3 seconds
-        setTimeout(() => {
-            notification.classList.add('hidden');
-        }, 3000);
+    renderMemberCards: function(membersList, members) {
+        const cards = document.createDocumentFragment();
+        members.forEach(member => {
+            cards.appendChild(MemberCard.create(member, { className: 'member-item', linked: true }));
+        });
+        membersList.appendChild(cards);
     }
 };
 
@@ -0,0 +1,471 @@
+/**
+ * Membership Rules
+ * Date math and attendance rules for memberships, free of storage and the DOM
+ *
+ * Every function that depends on the current time takes it as a "now" argument, so the rules
+ * can be checked against any moment: services pass Clock.now(), and tests pass fixed dates.
+ * Days are counted by calendar date in local time, so a 23 or 25 hour day when the clocks
+ * change still counts as one day.
+ */
+
+const MembershipRules = {
+    // Attendance statuses
+    STATUS: {
+        CHECKED_IN: 'checked-in',
+        CHECKED_OUT: 'checked-out',
+        NOT_CHECKED_IN: 'not-checked-in'
+    },
+
+    // Plan duration units
+    UNITS: {
+        DAYS: 'days',
+        MONTHS: 'months'
+    },
+
+    /**
+     * Format a date as a local YYYY-MM-DD key
+     * @param {Date} date - Date to format
+     * @returns {string} Date key
+     */
+    toDateKey: function(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    },
+
+    /**
+     * Count calendar days from one date to another, ignoring the time of day
+     * @param {Date} from - Start date
+     * @param {Date} to - End date
+     * @returns {number} Whole days; negative if "to" is earlier
+     */
+    calendarDaysBetween: function(from, to) {
+        // UTC has no clock changes, so every day there is exactly 24 hours long
+        const fromDay = Date.UTC(from.getFullYear(), from.getMonth(), from.getDate());
+        const toDay = Date.UTC(to.getFullYear(), to.getMonth(), to.getDate());
+        return Math.round((toDay - fromDay) / 86400000);
+    },
+
+    /**
+     * Calculate the end date of a membership period
+     * Month-long plans end on the same day of the month, clamped to the last day of shorter
+     * months (e.g. 31 Jan + 1 month = 28/29 Feb)
+     * @param {Object} plan - Plan with durationValue and durationUnit
+     * @param {Date} startDate - Period start date
+     * @returns {Date} Period end date, at the same time of day as the start
+     */
+    calculateEndDate: function(plan, startDate) {
+        const endDate = new Date(startDate);
+
+        if (plan.durationUnit === this.UNITS.MONTHS) {
+            const day = endDate.getDate();
+            endDate.setDate(1);
+            endDate.setMonth(endDate.getMonth() + plan.durationValue);
+
+            const lastDay = new Date(endDate.getFullYear(), endDate.getMonth() + 1, 0).getDate();
+            endDate.setDate(Math.min(day, lastDay));
+        } else {
+            endDate.setDate(endDate.getDate() + plan.durationValue);
+        }
+
+        return endDate;
+    },
+
+    /**
+     * Calculate the days left on a membership
+     * @param {Object} member - Member with membershipEndDate
+     * @param {Date} now - Current time
+     * @returns {number} Days until the end date, or 0 once it has been reached
+     */
+    daysRemaining: function(member, now) {
+        if (!member || !member.membershipEndDate) return 0;
+
+        return Math.max(0, this.calendarDaysBetween(now, new Date(member.membershipEndDate)));
+    },
+
+    /**
+     * Check whether a membership has run out
+     * A membership ending today has expired, matching daysRemaining reaching 0
+     * @param {Object} member - Member with membershipEndDate
+     * @param {Date} now - Current time
+     * @returns {boolean} True if expired
+     */
+    isExpired: function(member, now) {
+        return this.daysRemaining(member, now) <= 0;
+    },
+
+    /**
+     * Check whether a membership is currently frozen
+     * @param {Object} member - Member object
+     * @param {Date} now - Current time
+     * @returns {boolean} True if frozen
+     */
+    isFrozen: function(member, now) {
+        return !!member && !!member.frozenUntil && new Date(member.frozenUntil) > now;
+    },
+
+    /**
+     * Get the date a renewal should extend from: the current end date
+     * while the membership is active, otherwise now
+     * A change of plan always starts now, so the new plan's rules never cover days bought under the old one.
+     * @param {Object} member - Member object
+     * @param {Date} now - Current time
+     * @param {string} [planType] - Plan being renewed onto; defaults to the current plan
+     * @returns {Date} Renewal start date
+     */
+    renewalStartDate: function(member, now, planType = member.membershipType) {
+        if (planType !== member.membershipType) return new Date(now);
+        return this.daysRemaining(member, now) > 0 ? new Date(member.membershipEndDate) : new Date(now);
+    },
+
+    /**
+     * Get a member's attendance status
+     * A member is checked in while they have an open session, however long ago it started.
+     * Once it closes they show as checked out for the rest of that day.
+     * @param {Object} member - Member with openSessionId and lastCheckOut
+     * @param {Date} now - Current time
+     * @returns {string} One of STATUS
+     */
+    getStatus: function(member, now) {
+        if (!member) return this.STATUS.NOT_CHECKED_IN;
+
+        if (member.openSessionId) {
+            return this.STATUS.CHECKED_IN;
+        }
+        if (member.lastCheckOut && this.toDateKey(new Date(member.lastCheckOut)) === this.toDateKey(now)) {
+            return this.STATUS.CHECKED_OUT;
+        }
+        return this.STATUS.NOT_CHECKED_IN;
+    },
+
+    /**
+     * Format an attendance status for display
+     * @param {string} status - One of STATUS
+     * @returns {string} Formatted status
+     */
+    formatStatus: function(status) {
+        switch (status) {
+            case this.STATUS.CHECKED_IN: return 'Checked In';
+            case this.STATUS.CHECKED_OUT: return 'Checked Out';
+            case this.STATUS.NOT_CHECKED_IN: return 'Not Checked In';
+            default: return status;
+        }
+    },
+
+    /**
+     * Check the membership itself before letting a member check in
+     * Plan, dues and capacity rules are checked separately by their services.
+     * @param {Object} member - Member object
+     * @param {Date} now - Current time
+     * @returns {string|null} Reason check-in is refused, or null if allowed
+     */
+    checkInError: function(member, now) {
+        if (member.archived) {
+            return 'This member is archived. Restore them from the Members List to check in.';
+        }
+        if (this.isExpired(member, now)) {
+            return 'Membership has expired. Please renew to continue.';
+        }
+        if (this.isFrozen(member, now)) {
+            return `Membership is frozen until ${new Date(member.frozenUntil).toLocaleDateString()}.`;
+        }
+        if (this.getStatus(member, now) === this.STATUS.CHECKED_IN) {
+            return 'Member is already checked in.';
+        }
+        return null;
+    },
+
+    /**
+     * Check a member can check out
+     * @param {Object} member - Member object
+     * @param {Date} now - Current time
+     * @returns {string|null} Reason check-out is refused, or null if allowed
+     */
+    checkOutError: function(member, now) {
+        if (this.getStatus(member, now) !== this.STATUS.CHECKED_IN) {
+            return 'Member is not currently checked in.';
+        }
+        return null;
+    },
+
+    /**
+     * Start a session: one visit, from check-in to check-out
+     * @param {Object} fields - { id, memberId, start, branchId, checkedInBy }
+     * @returns {Object} Open session; start and end are UTC timestamps and date is the local YYYY-MM-DD it started on
+     */
+    startSession: function(fields) {
+        const start = new Date(fields.start);
+        return {
+            id: fields.id,
+            memberId: fields.memberId,
+            start: start.toISOString(),
+            end: null,
+            date: this.toDateKey(start),
+            branchId: fields.branchId || null,
+            checkedInBy: fields.checkedInBy || null,
+            checkedOutBy: null,
+            automatic: false
+        };
+    },
+
+    /**
+     * Close a session
+     * @param {Object} session - Open session
+     * @param {Date} end - Check-out time
+     * @param {Object} [fields] - { checkedOutBy, automatic }
+     * @returns {Object} Closed copy of the session
+     */
+    endSession: function(session, end, fields = {}) {
+        return {
+            ...session,
+            end: new Date(end).toISOString(),
+            checkedOutBy: fields.checkedOutBy || null,
+            automatic: !!fields.automatic
+        };
+    },
+
+    /**
+     * Get how long a session lasted
+     * @param {Object} session - Session
+     * @returns {number|null} Duration in milliseconds, or null while it is still open
+     */
+    sessionDuration: function(session) {
+        return session.end ? new Date(session.end) - new Date(session.start) : null;
+    },
+
+    /**
+     * Find the session a member is in the middle of
+     * Only their latest session counts; an older one left open was abandoned.
+     * @param {Array} sessions - The member's sessions
+     * @returns {Object|null} Open session, or null if the member is not checked in
+     */
+    findOpenSession: function(sessions) {
+        const latest = this.latestSession(sessions);
+        return latest && !latest.end ? latest : null;
+    },
+
+    /**
+     * Find a member's most recent visit, leaving out voided sessions
+     * @param {Array} sessions - The member's sessions
+     * @returns {Object|null} Latest counted session, or null if there is none
+     */
+    latestSession: function(sessions) {
+        return sessions
+            .filter(session => this.isCounted(session))
+            .reduce((last, session) => (!last || session.start > last.start ? session : last), null);
+    },
+
+    /**
+     * Check whether a session counts as a visit
+     * Voided sessions are kept for the record but left out of status, limits and reports.
+     * @param {Object} session - Session
+     * @returns {boolean} True unless the session was voided
+     */
+    isCounted: function(session) {
+        return !session.voidedAt;
+    },
+
+    /**
+     * Member fields to change when a session starts
+     * @param {Object} session - The new session
+     * @returns {Object} Member updates
+     */
+    checkInUpdates: function(session) {
+        return { openSessionId: session.id, lastCheckIn: session.start, lastCheckOut: null };
+    },
+
+    /**
+     * Member fields to change when a session ends
+     * @param {Object} session - The closed session
+     * @returns {Object} Member updates
+     */
+    checkOutUpdates: function(session) {
+        return { openSessionId: null, lastCheckOut: session.end };
+    },
+
+    /**
+     * Member fields that follow from their sessions, for use after a visit is corrected
+     * @param {Array} sessions - All of the member's sessions, after the correction
+     * @returns {Object} Member updates
+     */
+    attendanceFields: function(sessions) {
+        const latest = this.latestSession(sessions);
+        if (!latest) return { openSessionId: null, lastCheckIn: null, lastCheckOut: null };
+        if (!latest.end) return this.checkInUpdates(latest);
+        return { openSessionId: null, lastCheckIn: latest.start, lastCheckOut: latest.end };
+    },
+
+    /**
+     * Check a manager's correction to a member's visits before it is saved
+     * @param {Object} change - { start, end, reason } with start and end as Dates, end null for a visit still going on
+     * @param {Array} others - The member's other sessions
+     * @param {Date} now - Current time
+     * @returns {string|null} Reason the correction is refused, or null if allowed
+     */
+    correctionError: function(change, others, now) {
+        if (!(change.reason || '').trim()) {
+            return 'Please give a reason for the correction.';
+        }
+        if (change.start === undefined) return null;
+
+        const start = new Date(change.start);
+        const end = change.end ? new Date(change.end) : null;
+
+        if (isNaN(start) || (end && isNaN(end))) {
+            return 'Please enter when the visit started and ended.';
+        }
+        if (end && end <= start) {
+            return 'The visit must end after it starts.';
+        }
+        if ((end || start) > now) {
+            return 'Visits cannot be recorded in the future.';
+        }
+
+        // An open visit runs until now; an older one left open was abandoned, so takes no time
+        const latest = this.latestSession(others);
+        const span = session => ({
+            start: new Date(session.start),
+            end: session.end ? new Date(session.end) : (session === latest ? Infinity : new Date(session.start))
+        });
+        const overlap = others
+            .filter(session => this.isCounted(session))
+            .map(span)
+            .find(other => start < other.end && other.start < (end || Infinity));
+        if (overlap) {
+            return `That overlaps another visit on ${overlap.start.toLocaleString()}.`;
+        }
+        return null;
+    },
+
+    /**
+     * Change the times of a session, marking it as corrected
+     * @param {Object} session - Session to correct
+     * @param {Object} change - { start, end, reason } with end null to leave the session open
+     * @param {Object} fields - { correctedBy, correctedAt }
+     * @returns {Object} Corrected copy of the session
+     */
+    correctSession: function(session, change, fields) {
+        const start = new Date(change.start);
+        return {
+            ...session,
+            start: start.toISOString(),
+            end: change.end ? new Date(change.end).toISOString() : null,
+            date: this.toDateKey(start),
+            automatic: false,
+            correctedAt: new Date(fields.correctedAt).toISOString(),
+            correctedBy: fields.correctedBy || null,
+            correctionReason: change.reason.trim()
+        };
+    },
+
+    /**
+     * Void a session recorded in error
+     * @param {Object} session - Session to void
+     * @param {Object} change - { reason }
+     * @param {Object} fields - { voidedBy, voidedAt }
+     * @returns {Object} Voided copy of the session
+     */
+    voidSession: function(session, change, fields) {
+        return {
+            ...session,
+            voidedAt: new Date(fields.voidedAt).toISOString(),
+            voidedBy: fields.voidedBy || null,
+            voidReason: change.reason.trim()
+        };
+    },
+
+    /**
+     * Pair separate check-in and check-out records, as older versions stored them, into sessions
+     * Each session keeps its check-in's ID, so training sessions logged against a visit stay linked.
+     * @param {Array} records - { id, memberId, type, timestamp, branchId, performedBy, automatic }
+     * @returns {Object} { sessions, unpaired } with unpaired holding check-outs that had no check-in
+     */
+    pairRecords: function(records) {
+        // A check-in sorts before a check-out made in the same millisecond
+        const sorted = [...records].sort((a, b) =>
+            a.timestamp.localeCompare(b.timestamp) || (a.type === 'check-in' ? -1 : 1) - (b.type === 'check-in' ? -1 : 1)
+        );
+        const open = {};
+        const sessions = [];
+        const unpaired = [];
+
+        sorted.forEach(record => {
+            if (record.type === 'check-in') {
+                const session = this.startSession({
+                    id: record.id || `${record.memberId}-${Date.parse(record.timestamp)}`,
+                    memberId: record.memberId,
+                    start: record.timestamp,
+                    branchId: record.branchId,
+                    checkedInBy: record.performedBy
+                });
+                open[record.memberId] = sessions.push(session) - 1;
+            } else if (open[record.memberId] !== undefined) {
+                const index = open[record.memberId];
+                sessions[index] = this.endSession(sessions[index], record.timestamp, {
+                    checkedOutBy: record.performedBy,
+                    automatic: record.automatic
+                });
+                delete open[record.memberId];
+            } else {
+                unpaired.push(record);
+            }
+        });
+
+        return { sessions, unpaired };
+    },
+
+    /**
+     * Check whether a time falls within a plan's allowed hours
+     * @param {Object} plan - Plan object
+     * @param {Date} date - Time to check
+     * @returns {boolean} True if the plan allows entry at that time
+     */
+    isWithinAllowedHours: function(plan, date) {
+        if (!plan || !plan.allowedHours) return true;
+
+        const { start, end } = plan.allowedHours;
+        const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+        // Windows that wrap past midnight, e.g. 22:00-06:00
+        if (start > end) {
+            return time >= start || time < end;
+        }
+        return time >= start && time < end;
+    },
+
+    /**
+     * Work out when an open session should be closed automatically
+     * @param {string} checkInTime - ISO timestamp of the check-in
+     * @param {Object} settings - { maxSessionHours, closingTime }
+     * @returns {Date|null} Automatic check-out time, or null if no limit applies
+     */
+    sessionCutoff: function(checkInTime, settings) {
+        const checkIn = new Date(checkInTime);
+        const cutoffs = [];
+
+        if (settings.maxSessionHours) {
+            cutoffs.push(new Date(checkIn.getTime() + settings.maxSessionHours * 60 * 60 * 1000));
+        }
+
+        if (settings.closingTime) {
+            const [hours, minutes] = settings.closingTime.split(':').map(Number);
+            const closing = new Date(checkIn);
+            closing.setHours(hours, minutes, 0, 0);
+
+            // Checked in after closing time, so the next closing applies
+            if (closing <= checkIn) {
+                closing.setDate(closing.getDate() + 1);
+                closing.setHours(hours, minutes, 0, 0);
+            }
+            cutoffs.push(closing);
+        }
+
+        if (cutoffs.length === 0) return null;
+        return new Date(Math.min(...cutoffs));
+    }
+};
+
+// Also loadable from Node, for unit tests
+if (typeof module !== 'undefined') {
+    module.exports = MembershipRules;
+}
@@ -0,0 +1,158 @@
+/**
+ * Membership Service
+ * Handles membership renewal, plan changes, freezes and personal training packs
+ */
+
+const MembershipService = {
+    // History entry actions
+    ACTIONS: {
+        JOIN: 'join',
+        RENEWAL: 'renewal',
+        PLAN_CHANGE: 'plan-change',
+        FREEZE: 'freeze',
+        PT_PACK: 'pt-pack'
+    },
+
+    /**
+     * Get the date a renewal should extend from: the current end date
+     * while the membership is active, otherwise today, and always today for a change of plan
+     * @param {Object} member - Member object
+     * @param {string} [planType] - Plan being renewed onto; defaults to the current plan
+     * @returns {Date} Renewal start date
+     */
+    getRenewalStartDate: function(member, planType) {
+        return MembershipRules.renewalStartDate(member, Clock.now(), planType);
+    },
+
+    /**
+     * Check whether a membership is currently frozen
+     * @param {Object} member - Member object
+     * @returns {boolean} True if frozen
+     */
+    isFrozen: function(member) {
+        return MembershipRules.isFrozen(member, Clock.now());
+    },
+
+    /**
+     * Record the initial membership of a newly registered member
+     * The plan price is charged to the member's account
+     * @param {Object} member - Newly registered member
+     * @returns {Promise<number>} History entry ID
+     */
+    recordJoin: async function(member) {
+        const plan = await PlansService.getPlan(member.membershipType);
+
+        return StorageService.addMembershipHistory(member.id, {
+            action: this.ACTIONS.JOIN,
+            previousType: null,
+            newType: member.membershipType,
+            previousEndDate: null,
+            newEndDate: member.membershipEndDate,
+            charge: plan ? Number(plan.price) : 0
+        });
+    },
+
+    /**
+     * Renew a membership, optionally switching to a different plan
+     * The plan price is charged to the member's account. A new plan starts a fresh period today,
+     * giving up any days left on the old one.
+     * @param {Object} member - Member object
+     * @param {string} [planType] - Plan to renew onto; defaults to the current plan
+     * @returns {Promise<Object|null>} Updated member object, or null if the plan does not exist
+     */
+    renew: async function(member, planType = member.membershipType) {
+        const plan = await PlansService.getPlan(planType);
+        if (!plan) return null;
+
+        const startDate = this.getRenewalStartDate(member, planType);
+        const endDate = PlansService.calculateEndDate(plan, startDate);
+        const isPlanChange = planType !== member.membershipType;
+
+        const updates = {
+            membershipType: planType,
+            membershipEndDate: endDate.toISOString()
+        };
+
+        // A new plan or a lapsed membership starts a fresh period today
+        if (isPlanChange || StorageService.calculateDaysRemaining(member) <= 0) {
+            updates.membershipStartDate = startDate.toISOString();
+        }
+
+        return StorageService.updateMembership(member.id, updates, {
+            action: isPlanChange ? this.ACTIONS.PLAN_CHANGE : this.ACTIONS.RENEWAL,
+            previousType: member.membershipType,
+            newType: planType,
+            previousEndDate: member.membershipEndDate,
+            newEndDate: updates.membershipEndDate,
+            charge: Number(plan.price)
+        });
+    },
+
+    /**
+     * Freeze a membership from today, moving the end date out by the same number of days
+     * @param {Object} member - Member object
+     * @param {number} days - Number of days to freeze for
+     * @returns {Promise<Object|null>} Updated member object, or null if the membership has expired
+     */
+    freeze: async function(member, days) {
+        if (StorageService.calculateDaysRemaining(member) <= 0) return null;
+
+        const endDate = new Date(member.membershipEndDate);
+        endDate.setDate(endDate.getDate() + days);
+
+        const frozenUntil = Clock.now();
+        frozenUntil.setHours(0, 0, 0, 0);
+        frozenUntil.setDate(frozenUntil.getDate() + days);
+
+        return StorageService.updateMembership(member.id, {
+            membershipEndDate: endDate.toISOString(),
+            frozenUntil: frozenUntil.toISOString()
+        }, {
+            action: this.ACTIONS.FREEZE,
+            previousType: member.membershipType,
+            newType: member.membershipType,
+            previousEndDate: member.membershipEndDate,
+            newEndDate: endDate.toISOString(),
+            days: days
+        });
+    },
+
+    /**
+     * Sell a pack of prepaid personal training sessions
+     * The pack price is charged to the member's account
+     * @param {Object} member - Member object
+     * @param {number} sessions - Number of sessions in the pack
+     * @param {number} price - Pack price
+     * @returns {Promise<Object|null>} Updated member object
+     */
+    sellPtPack: function(member, sessions, price) {
+        // Added to the stored count, so sessions used elsewhere since this member was loaded are kept
+        return StorageService.updateMembership(member.id, stored => ({
+            ptSessionsRemaining: (stored.ptSessionsRemaining || 0) + sessions
+        }), {
+            action: this.ACTIONS.PT_PACK,
+            previousType: member.membershipType,
+            newType: member.membershipType,
+            previousEndDate: member.membershipEndDate,
+            newEndDate: member.membershipEndDate,
+            sessions: sessions,
+            charge: price
+        });
+    },
+
+    /**
+     * Format a history action for display
+     * @param {string} action - History action code
+     * @returns {string} Formatted action
+     */
+    formatAction: function(action) {
+        switch (action) {
+            case this.ACTIONS.JOIN: return 'Joined';
+            case this.ACTIONS.RENEWAL: return 'Renewed';
+            case this.ACTIONS.PLAN_CHANGE: return 'Plan Changed';
+            case this.ACTIONS.FREEZE: return 'Frozen';
+            case this.ACTIONS.PT_PACK: return 'PT Pack';
+            default: return action;
+        }
+    }
+};
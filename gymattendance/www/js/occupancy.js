@@ -0,0 +1,113 @@
+/**
+ * Occupancy Service
+ * Handles the live headcount panel and the gym's capacity limit
+ */
+
+const OccupancyService = {
+    // How often the panel's durations are brought up to date
+    REFRESH_INTERVAL_MS: 30 * 1000,
+
+    /**
+     * Initialize the occupancy service
+     */
+    init: function() {
+        this.render();
+        setInterval(() => this.render(), this.REFRESH_INTERVAL_MS);
+    },
+
+    /**
+     * Get the members currently inside
+     * With a branch set for this device, only members who checked in at that branch count
+     * @returns {Promise<Array>} Checked-in members, longest inside first
+     */
+    getInside: async function() {
+        const members = await StorageService.getMembers();
+        const branchId = StorageService.branchId;
+        return members
+            .filter(member => StorageService.getMemberStatus(member) === 'checked-in')
+            .filter(member => !branchId || (member.checkInBranchId || member.homeBranchId) === branchId)
+            .sort((a, b) => a.lastCheckIn.localeCompare(b.lastCheckIn));
+    },
+
+    /**
+     * Compare the current headcount with the configured capacity
+     * @returns {Promise<Object>} { count, capacity, full }; capacity is null when there is no limit
+     */
+    getStatus: async function() {
+        const [inside, settings] = await Promise.all([this.getInside(), SettingsService.load()]);
+        return this.summarize(inside.length, settings.capacity);
+    },
+
+    /**
+     * Work out whether a headcount has reached capacity
+     * @param {number} count - Members inside
+     * @param {number|null} capacity - Configured capacity, empty for no limit
+     * @returns {Object} { count, capacity, full }
+     */
+    summarize: function(count, capacity) {
+        capacity = capacity || null;
+        return { count: count, capacity: capacity, full: capacity !== null && count >= capacity };
+    },
+
+    /**
+     * Render the live occupancy panel
+     */
+    render: async function() {
+        const panel = document.getElementById('occupancy-panel');
+        if (!panel) return;
+
+        const [inside, settings] = await Promise.all([this.getInside(), SettingsService.load()]);
+        const status = this.summarize(inside.length, settings.capacity);
+
+        document.getElementById('occupancy-count').textContent = this.formatHeadcount(status);
+        document.getElementById('occupancy-warning').classList.toggle('hidden', !status.full);
+        panel.classList.toggle('full', status.full);
+
+        const list = document.getElementById('occupancy-list');
+        list.innerHTML = '';
+
+        if (inside.length === 0) {
+            list.innerHTML = '<li class="no-history">Nobody is checked in.</li>';
+            return;
+        }
+
+        const now = Clock.now();
+        inside.forEach(member => {
+            const checkedIn = new Date(member.lastCheckIn);
+            const item = document.createElement('li');
+            item.textContent = [
+                `${member.name} (${member.id})`,
+                `In since ${checkedIn.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`,
+                this.formatDuration(now - checkedIn)
+            ].join(' · ');
+            list.appendChild(item);
+        });
+    },
+
+    /**
+     * Format a headcount for display
+     * @param {Object} status - Status from summarize
+     * @returns {string} Headcount such as "12 / 50", or just "12" without a capacity
+     */
+    formatHeadcount: function(status) {
+        return status.capacity ? `${status.count} / ${status.capacity}` : String(status.count);
+    },
+
+    /**
+     * Format a length of time for display
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Duration such as "1h 05m" or "12m"
+     */
+    formatDuration: function(ms) {
+        const totalMinutes = Math.max(0, Math.floor(ms / 60000));
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+
+        return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    OccupancyService.init();
+});
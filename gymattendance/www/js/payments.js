@@ -0,0 +1,280 @@
+/**
+ * Payments Service
+ * Handles recording payments, member balances and printable receipts
+ */
+
+const PaymentsService = {
+    // Accepted payment methods
+    METHODS: {
+        CASH: 'cash',
+        CARD: 'card',
+        UPI: 'upi'
+    },
+
+    /**
+     * Initialize the payments service
+     */
+    init: function() {
+        this.setupEventListeners();
+    },
+
+    /**
+     * Set up event listeners for payments in the member detail view
+     */
+    setupEventListeners: function() {
+        const paymentForm = document.getElementById('payment-form');
+        if (paymentForm) {
+            paymentForm.addEventListener('submit', this.handlePayment.bind(this));
+        }
+
+        // Receipt buttons on listed payments
+        const paymentList = document.getElementById('payment-list');
+        if (paymentList) {
+            paymentList.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-payment-id]');
+                if (button) {
+                    this.printReceipt(Number(button.getAttribute('data-payment-id')));
+                }
+            });
+        }
+    },
+
+    /**
+     * Work out what a member has been charged, has paid and still owes
+     * Each join, renewal and plan change charges the plan price at the time
+     * @param {string} memberId - Member ID
+     * @returns {Promise<Object>} { charged, paid, due }
+     */
+    getBalance: async function(memberId) {
+        const [history, payments] = await Promise.all([
+            StorageService.getMembershipHistory(memberId),
+            StorageService.getMemberPayments(memberId)
+        ]);
+
+        return this.calculateBalance(history, payments);
+    },
+
+    /**
+     * Total up charges and payments
+     * @param {Array} history - Membership history entries
+     * @param {Array} payments - Payments
+     * @returns {Object} { charged, paid, due }
+     */
+    calculateBalance: function(history, payments) {
+        const charged = history.reduce((sum, entry) => sum + (Number(entry.charge) || 0), 0);
+        const paid = payments.reduce((sum, payment) => sum + Number(payment.amount), 0);
+
+        // Round to cents so repeated partial payments don't leave a tiny balance
+        const due = Math.round((charged - paid) * 100) / 100;
+        return { charged, paid, due };
+    },
+
+    /**
+     * Work out the balance of every member
+     * @returns {Promise<Object>} Balances keyed by member ID
+     */
+    getAllBalances: async function() {
+        const [history, payments] = await Promise.all([
+            StorageService.getAllMembershipHistory(),
+            StorageService.getPayments()
+        ]);
+
+        const byMember = {};
+        const entriesFor = memberId => {
+            if (!byMember[memberId]) byMember[memberId] = { history: [], payments: [] };
+            return byMember[memberId];
+        };
+        history.forEach(entry => entriesFor(entry.memberId).history.push(entry));
+        payments.forEach(payment => entriesFor(payment.memberId).payments.push(payment));
+
+        const balances = {};
+        Object.keys(byMember).forEach(memberId => {
+            balances[memberId] = this.calculateBalance(byMember[memberId].history, byMember[memberId].payments);
+        });
+        return balances;
+    },
+
+    /**
+     * Render the payments section of the member detail view
+     * @param {Object} member - Member object
+     */
+    render: async function(member) {
+        const [balance, payments] = await Promise.all([
+            this.getBalance(member.id),
+            StorageService.getMemberPayments(member.id)
+        ]);
+
+        document.getElementById('payment-balance').textContent =
+            `Charged ${this.formatAmount(balance.charged)} · Paid ${this.formatAmount(balance.paid)} · Due ${this.formatAmount(balance.due)}`;
+        document.getElementById('payment-balance').classList.toggle('dues', balance.due > 0);
+
+        // Default the form to settling the balance for the current period
+        document.getElementById('payment-form').reset();
+        document.getElementById('payment-amount').value = balance.due > 0 ? balance.due.toFixed(2) : '';
+        document.getElementById('payment-date').value = ReportsService.toDateKey(Clock.now());
+        document.getElementById('payment-period-start').value = member.membershipStartDate
+            ? ReportsService.toDateKey(new Date(member.membershipStartDate))
+            : '';
+        document.getElementById('payment-period-end').value = member.membershipEndDate
+            ? ReportsService.toDateKey(new Date(member.membershipEndDate))
+            : '';
+
+        const paymentList = document.getElementById('payment-list');
+        paymentList.innerHTML = '';
+
+        if (payments.length === 0) {
+            paymentList.innerHTML = '<li class="no-history">No payments recorded.</li>';
+            return;
+        }
+
+        payments.forEach(payment => {
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            text.textContent = [
+                ReportsService.fromDateKey(payment.date).toLocaleDateString(),
+                this.formatAmount(payment.amount),
+                this.formatMethod(payment.method),
+                `Receipt #${this.formatReceipt(payment)}`
+            ].join(' · ');
+
+            const receiptBtn = document.createElement('button');
+            receiptBtn.type = 'button';
+            receiptBtn.textContent = 'Receipt';
+            receiptBtn.setAttribute('data-payment-id', payment.id);
+
+            item.append(text, ' ', receiptBtn);
+            paymentList.appendChild(item);
+        });
+    },
+
+    /**
+     * Handle payment form submission
+     * @param {Event} event - Form submit event
+     */
+    handlePayment: async function(event) {
+        event.preventDefault();
+
+        if (!AuthService.require(AuthService.PERMISSIONS.PAYMENTS)) return;
+
+        const member = MemberDetailService.currentMember;
+        const amount = Math.round(parseFloat(document.getElementById('payment-amount').value) * 100) / 100;
+        const method = document.getElementById('payment-method').value;
+        const date = document.getElementById('payment-date').value;
+        const periodStart = document.getElementById('payment-period-start').value;
+        const periodEnd = document.getElementById('payment-period-end').value;
+
+        // Validate inputs
+        if (!amount || amount <= 0) {
+            App.showNotification('Please enter an amount greater than 0', 'error');
+            return;
+        }
+
+        if (!Object.values(this.METHODS).includes(method) || !date) {
+            App.showNotification('Please choose a payment method and date', 'error');
+            return;
+        }
+
+        if (periodStart && periodEnd && periodStart > periodEnd) {
+            App.showNotification('The period covered must end after it starts', 'error');
+            return;
+        }
+
+        let payment;
+        try {
+            payment = await StorageService.addPayment({
+                memberId: member.id,
+                amount: amount,
+                method: method,
+                date: date,
+                periodStart: periodStart || null,
+                periodEnd: periodEnd || null,
+                planId: member.membershipType
+            });
+        } catch (error) {
+            console.error('Failed to record payment', error);
+            App.showNotification('Could not record the payment. Please try again.', 'error');
+            return;
+        }
+
+        App.showNotification(`Payment of ${this.formatAmount(amount)} recorded. Receipt #${this.formatReceipt(payment)}`, 'success');
+        await this.render(member);
+    },
+
+    /**
+     * Fill in and print the receipt for a payment
+     * @param {number} paymentId - Payment ID
+     */
+    printReceipt: async function(paymentId) {
+        const member = MemberDetailService.currentMember;
+        const payments = await StorageService.getMemberPayments(member.id);
+        const payment = payments.find(p => p.id === paymentId);
+        if (!payment) return;
+
+        const [balance, staff] = await Promise.all([this.getBalance(member.id), StorageService.getStaff()]);
+        const recordedBy = staff.find(account => account.id === payment.performedBy);
+        const formatDateKey = key => ReportsService.fromDateKey(key).toLocaleDateString();
+
+        const lines = [
+            ['Receipt No.', `#${this.formatReceipt(payment)}`],
+            ['Date', formatDateKey(payment.date)],
+            ['Member', `${member.name} (ID ${member.id})`],
+            ['Plan', PlansService.formatPlan(payment.planId)],
+            ['Period', payment.periodStart && payment.periodEnd
+                ? `${formatDateKey(payment.periodStart)} - ${formatDateKey(payment.periodEnd)}`
+                : '-'],
+            ['Amount Paid', this.formatAmount(payment.amount)],
+            ['Method', this.formatMethod(payment.method)],
+            ['Balance Due', this.formatAmount(Math.max(0, balance.due))],
+            ['Received By', recordedBy ? recordedBy.name : '-']
+        ];
+
+        const table = document.getElementById('receipt-lines');
+        table.innerHTML = '';
+        lines.forEach(([label, value]) => {
+            const row = table.insertRow();
+            row.insertCell().textContent = label;
+            row.insertCell().textContent = value;
+        });
+
+        document.body.classList.add('printing-receipt');
+        window.print();
+        document.body.classList.remove('printing-receipt');
+    },
+
+    /**
+     * Format an amount of money for display
+     * @param {number} amount - Amount
+     * @returns {string} Amount with two decimal places
+     */
+    formatAmount: function(amount) {
+        return Number(amount).toFixed(2);
+    },
+
+    /**
+     * Format a payment's receipt number for display
+     * @param {Object} payment - Payment object
+     * @returns {string} Receipt number, after the issuing device's prefix if it has one
+     */
+    formatReceipt: function(payment) {
+        return payment.receiptPrefix ? `${payment.receiptPrefix}-${payment.receiptNumber}` : String(payment.receiptNumber);
+    },
+
+    /**
+     * Format a payment method for display
+     * @param {string} method - Method code
+     * @returns {string} Formatted method
+     */
+    formatMethod: function(method) {
+        switch (method) {
+            case this.METHODS.CASH: return 'Cash';
+            case this.METHODS.CARD: return 'Card';
+            case this.METHODS.UPI: return 'UPI';
+            default: return method;
+        }
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    PaymentsService.init();
+});
@@ -0,0 +1,335 @@
+/**
+ * Photo Service
+ * Handles capturing member photos from the camera or a file, cropping them square,
+ * downscaling them to a bounded size, and loading them lazily for display
+ */
+
+const PhotoService = {
+    // Stored photos are square, at most this many pixels per side
+    MAX_SIZE: 400,
+
+    // JPEG quality to start from, and the lowest it is lowered to while the photo is too large
+    QUALITY: 0.85,
+    MIN_QUALITY: 0.5,
+
+    // Largest data URL kept, in characters (about 75 KB of image data)
+    MAX_BYTES: 100000,
+
+    // Image sources the app will display: inline raster images, or image files shipped with the app.
+    // Anything else, such as a remote URL or markup smuggled in through an import, is replaced by the default photo.
+    DATA_IMAGE_PATTERN: /^data:image\/(?:png|jpeg|gif|webp|bmp);base64,[A-Za-z0-9+/=\s]*$/,
+    APP_IMAGE_PATTERN: /^(?:\.\/)?[\w-]+(?:\/[\w-]+)*\.(?:png|jpe?g|gif|webp|svg)$/i,
+
+    // Preview image shown for each photo input
+    PREVIEWS: {
+        'member-photo': 'photo-preview-img',
+        'edit-photo': 'detail-photo'
+    },
+
+    // Processed photos waiting to be saved, keyed by input ID; each is a promise of a data URL
+    selected: {},
+
+    // Input the open camera will fill in, and its video stream
+    cameraTarget: null,
+    cameraStream: null,
+
+    // Loads list photos as their cards scroll into view
+    observer: null,
+
+    /**
+     * Initialize the photo service
+     */
+    init: function() {
+        this.setupEventListeners();
+
+        if ('IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver(this.handleIntersection.bind(this), { rootMargin: '200px' });
+        }
+
+        this.compactStoredPhotos();
+    },
+
+    /**
+     * Set up event listeners for photo inputs and the camera
+     */
+    setupEventListeners: function() {
+        Object.keys(this.PREVIEWS).forEach(inputId => {
+            const input = document.getElementById(inputId);
+            if (input) {
+                input.addEventListener('change', () => this.handleFileChosen(inputId));
+            }
+        });
+
+        document.querySelectorAll('.camera-btn').forEach(button => {
+            button.addEventListener('click', () => this.openCamera(button.getAttribute('data-photo-input')));
+        });
+
+        const captureBtn = document.getElementById('camera-capture-btn');
+        if (captureBtn) {
+            captureBtn.addEventListener('click', this.capture.bind(this));
+        }
+
+        const cancelBtn = document.getElementById('camera-cancel-btn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', this.closeCamera.bind(this));
+        }
+    },
+
+    /**
+     * Process a newly chosen file and preview the result
+     * @param {string} inputId - ID of the file input
+     */
+    handleFileChosen: function(inputId) {
+        const file = document.getElementById(inputId).files[0];
+        if (!file) {
+            this.clear(inputId);
+            return;
+        }
+
+        this.select(inputId, this.processFile(file));
+    },
+
+    /**
+     * Remember a photo for an input and show it in the preview once ready
+     * @param {string} inputId - ID of the file input
+     * @param {Promise<string>} photo - Processed photo data URL
+     */
+    select: function(inputId, photo) {
+        this.selected[inputId] = photo;
+
+        photo.then(data => {
+            if (this.selected[inputId] === photo) {
+                document.getElementById(this.PREVIEWS[inputId]).src = data;
+            }
+        }).catch(error => {
+            console.error('Could not read photo', error);
+            if (this.selected[inputId] === photo) {
+                App.showNotification('Could not read that photo. Please try another image.', 'error');
+                this.clear(inputId);
+            }
+        });
+    },
+
+    /**
+     * Get the processed photo chosen for an input
+     * @param {string} inputId - ID of the file input
+     * @returns {Promise<string|null>} Photo data URL, or null if none was chosen
+     */
+    getSelected: async function(inputId) {
+        if (!this.selected[inputId]) return null;
+
+        try {
+            return await this.selected[inputId];
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Forget the photo chosen for an input
+     * @param {string} inputId - ID of the file input
+     */
+    clear: function(inputId) {
+        delete this.selected[inputId];
+        document.getElementById(inputId).value = '';
+    },
+
+    /**
+     * Crop, downscale and compress an image file
+     * @param {File} file - Image file
+     * @returns {Promise<string>} JPEG data URL
+     */
+    processFile: async function(file) {
+        const url = URL.createObjectURL(file);
+        try {
+            const image = await this.loadImage(url);
+            return this.toSquare(image, image.naturalWidth, image.naturalHeight);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    },
+
+    /**
+     * Load an image
+     * @param {string} src - Image URL
+     * @returns {Promise<HTMLImageElement>} Loaded image
+     */
+    loadImage: function(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Image could not be decoded'));
+            image.src = src;
+        });
+    },
+
+    /**
+     * Crop the centre square of an image or video frame, scale it down and compress it
+     * @param {CanvasImageSource} source - Image or video
+     * @param {number} width - Source width in pixels
+     * @param {number} height - Source height in pixels
+     * @returns {string} JPEG data URL no larger than MAX_BYTES where possible
+     */
+    toSquare: function(source, width, height) {
+        const side = Math.min(width, height);
+        const size = Math.min(side, this.MAX_SIZE);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        canvas.getContext('2d').drawImage(source, (width - side) / 2, (height - side) / 2, side, side, 0, 0, size, size);
+
+        let quality = this.QUALITY;
+        let data = canvas.toDataURL('image/jpeg', quality);
+        while (data.length > this.MAX_BYTES && quality > this.MIN_QUALITY) {
+            quality = Math.max(this.MIN_QUALITY, quality - 0.1);
+            data = canvas.toDataURL('image/jpeg', quality);
+        }
+        return data;
+    },
+
+    /**
+     * Open the camera to take a photo for an input
+     * @param {string} inputId - ID of the file input the photo replaces
+     */
+    openCamera: async function(inputId) {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            App.showNotification('No camera available. Please upload a photo instead.', 'error');
+            return;
+        }
+
+        try {
+            this.cameraStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'user' }, audio: false });
+        } catch (error) {
+            console.error('Camera unavailable', error);
+            App.showNotification('Could not start the camera. Please upload a photo instead.', 'error');
+            return;
+        }
+
+        this.cameraTarget = inputId;
+        const video = document.getElementById('camera-video');
+        video.srcObject = this.cameraStream;
+        document.getElementById('camera-modal').classList.remove('hidden');
+        await video.play();
+    },
+
+    /**
+     * Take the current camera frame as the photo
+     */
+    capture: function() {
+        const video = document.getElementById('camera-video');
+        if (!video.videoWidth) return;
+
+        const data = this.toSquare(video, video.videoWidth, video.videoHeight);
+        const inputId = this.cameraTarget;
+        this.closeCamera();
+
+        // A camera photo replaces any file picked earlier
+        document.getElementById(inputId).value = '';
+        this.select(inputId, Promise.resolve(data));
+    },
+
+    /**
+     * Close the camera and release it
+     */
+    closeCamera: function() {
+        if (this.cameraStream) {
+            this.cameraStream.getTracks().forEach(track => track.stop());
+            this.cameraStream = null;
+        }
+
+        document.getElementById('camera-video').srcObject = null;
+        document.getElementById('camera-modal').classList.add('hidden');
+        this.cameraTarget = null;
+    },
+
+    /**
+     * Show a member's photo in an image once it scrolls into view
+     * @param {HTMLImageElement} img - Image showing the default photo
+     * @param {string} memberId - Member whose photo to load
+     */
+    lazyLoad: function(img, memberId) {
+        img.setAttribute('data-photo-member-id', memberId);
+
+        if (this.observer) {
+            this.observer.observe(img);
+        } else {
+            this.loadInto(img);
+        }
+    },
+
+    /**
+     * Load photos for images that have come into view
+     * @param {Array<IntersectionObserverEntry>} entries - Observed images
+     */
+    handleIntersection: function(entries) {
+        entries.filter(entry => entry.isIntersecting).forEach(entry => {
+            this.observer.unobserve(entry.target);
+            this.loadInto(entry.target);
+        });
+    },
+
+    /**
+     * Load a member's photo into an image
+     * @param {HTMLImageElement} img - Image with a data-photo-member-id attribute
+     */
+    loadInto: async function(img) {
+        const memberId = img.getAttribute('data-photo-member-id');
+        const data = await StorageService.getPhoto(memberId);
+
+        // The image may have been reused for another member while loading
+        if (img.getAttribute('data-photo-member-id') === memberId) {
+            img.src = this.safeSource(data);
+        }
+    },
+
+    /**
+     * Check whether an image source is one the app will display
+     * @param {*} src - Photo data URL or path
+     * @returns {boolean} True for data:image URLs and app-relative image paths
+     */
+    isAllowedSource: function(src) {
+        return typeof src === 'string' && (this.DATA_IMAGE_PATTERN.test(src) || this.APP_IMAGE_PATTERN.test(src));
+    },
+
+    /**
+     * Get an image source that is safe to display
+     * @param {*} src - Photo data URL or path
+     * @returns {string} The source if allowed, otherwise the default photo
+     */
+    safeSource: function(src) {
+        return this.isAllowedSource(src) ? src : StorageService.DEFAULT_PHOTO;
+    },
+
+    /**
+     * Shrink oversized stored photos, such as those saved before photos were resized on capture
+     * Runs once unless forced; photos are read and resized one at a time so only one full-size image is in memory
+     * @param {boolean} [force] - Check again even if this has already run, e.g. after an import
+     */
+    compactStoredPhotos: async function(force = false) {
+        if (!force && await StorageService.getMeta(StorageService.META.PHOTOS_COMPACTED)) return;
+
+        const resized = {};
+        const memberIds = await StorageService.getPhotoMemberIds();
+
+        for (const memberId of memberIds) {
+            const data = await StorageService.getPhoto(memberId);
+            if (data.length <= this.MAX_BYTES) continue;
+
+            try {
+                const image = await this.loadImage(data);
+                resized[memberId] = this.toSquare(image, image.naturalWidth, image.naturalHeight);
+            } catch (error) {
+                console.error(`Could not resize photo for member ${memberId}`, error);
+            }
+        }
+
+        await StorageService.replacePhotos(resized);
+        await StorageService.setMeta(StorageService.META.PHOTOS_COMPACTED, true);
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    PhotoService.init();
+});
@@ -0,0 +1,384 @@
+/**
+ * Plans Service
+ * Handles the membership plan catalogue: creating, editing and retiring plans
+ */
+
+const PlansService = {
+    // Duration units a plan can be measured in
+    UNITS: MembershipRules.UNITS,
+
+    // Which branches a plan lets members use
+    BRANCH_ACCESS: {
+        HOME: 'home',
+        ALL: 'all'
+    },
+
+    // Plans keyed by ID, loaded from storage
+    plans: {},
+
+    // Cached load promise
+    loadPromise: null,
+
+    /**
+     * Initialize the plans service
+     */
+    init: function() {
+        this.setupEventListeners();
+        this.refresh();
+    },
+
+    /**
+     * Set up event listeners for plan management
+     */
+    setupEventListeners: function() {
+        const planForm = document.getElementById('plan-form');
+        if (planForm) {
+            planForm.addEventListener('submit', this.handleSave.bind(this));
+        }
+
+        const cancelBtn = document.getElementById('plan-cancel-btn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', this.resetForm.bind(this));
+        }
+
+        // Edit, retire and restore buttons on plan cards
+        const plansList = document.getElementById('plans-list');
+        if (plansList) {
+            plansList.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-action]');
+                if (!button) return;
+
+                const planId = button.getAttribute('data-plan-id');
+                switch (button.getAttribute('data-action')) {
+                    case 'edit': this.editPlan(planId); break;
+                    case 'retire': this.setRetired(planId, true); break;
+                    case 'restore': this.setRetired(planId, false); break;
+                }
+            });
+        }
+    },
+
+    /**
+     * Load the plan catalogue into memory
+     * @returns {Promise<Object>} Plans keyed by ID
+     */
+    load: function() {
+        if (!this.loadPromise) {
+            this.loadPromise = StorageService.getPlans().then(plans => {
+                this.plans = {};
+                plans.forEach(plan => {
+                    this.plans[plan.id] = plan;
+                });
+                return this.plans;
+            });
+        }
+
+        return this.loadPromise;
+    },
+
+    /**
+     * Reload the catalogue and re-render everything that lists plans
+     */
+    refresh: async function() {
+        this.loadPromise = null;
+        await this.load();
+
+        this.renderPlansList();
+        this.populatePlanSelect(document.getElementById('membership-type'));
+    },
+
+    /**
+     * Get a plan by ID
+     * @param {string} id - Plan ID
+     * @returns {Promise<Object|null>} Plan object or null if not found
+     */
+    getPlan: async function(id) {
+        await this.load();
+        return this.plans[id] || null;
+    },
+
+    /**
+     * Get plans that are open for new sign-ups, sorted by length
+     * @returns {Array} Active plan objects
+     */
+    getActivePlans: function() {
+        return Object.values(this.plans)
+            .filter(plan => !plan.retired)
+            .sort((a, b) => this.getApproximateDays(a) - this.getApproximateDays(b));
+    },
+
+    /**
+     * Approximate a plan's length in days, for sorting
+     * @param {Object} plan - Plan object
+     * @returns {number} Approximate length in days
+     */
+    getApproximateDays: function(plan) {
+        return plan.durationUnit === this.UNITS.MONTHS ? plan.durationValue * 30 : plan.durationValue;
+    },
+
+    /**
+     * Fill a select element with active plans
+     * @param {HTMLSelectElement} select - Select element to fill
+     * @param {string} [includeId] - Plan to list even if retired, e.g. a member's current plan
+     */
+    populatePlanSelect: function(select, includeId = null) {
+        if (!select) return;
+
+        const plans = this.getActivePlans();
+        if (includeId && this.plans[includeId] && this.plans[includeId].retired) {
+            plans.push(this.plans[includeId]);
+        }
+
+        select.innerHTML = '<option value="">Select Membership</option>';
+        plans.forEach(plan => {
+            const option = document.createElement('option');
+            option.value = plan.id;
+            option.textContent = this.formatPlan(plan.id);
+            select.appendChild(option);
+        });
+    },
+
+    /**
+     * Calculate the end date of a membership period
+     * @param {Object} plan - Plan object
+     * @param {Date} startDate - Period start date
+     * @returns {Date} Period end date
+     */
+    calculateEndDate: function(plan, startDate) {
+        return MembershipRules.calculateEndDate(plan, startDate);
+    },
+
+    /**
+     * Check whether a time falls within a plan's allowed hours
+     * @param {Object} plan - Plan object
+     * @param {Date} [date] - Time to check, defaults to now
+     * @returns {boolean} True if the plan allows entry at that time
+     */
+    isWithinAllowedHours: function(plan, date = Clock.now()) {
+        return MembershipRules.isWithinAllowedHours(plan, date);
+    },
+
+    /**
+     * Count a member's visits in their current membership period
+     * @param {Object} member - Member object
+     * @returns {Promise<number>} Number of sessions started since the period started, not counting voided ones
+     */
+    countPeriodVisits: async function(member) {
+        const sessions = await StorageService.getMemberAttendance(member.id);
+        return sessions
+            .filter(session => MembershipRules.isCounted(session) && session.start >= member.membershipStartDate)
+            .length;
+    },
+
+    /**
+     * Check a member's plan rules before letting them check in
+     * @param {Object} member - Member object
+     * @returns {Promise<string|null>} Reason check-in is refused, or null if allowed
+     */
+    validateCheckIn: async function(member) {
+        const plan = await this.getPlan(member.membershipType);
+
+        // Members on plans that no longer exist keep their basic access
+        if (!plan) return null;
+
+        // Home-only plans are checked once the device knows which branch it's in
+        const branchId = StorageService.branchId;
+        if (plan.branchAccess === this.BRANCH_ACCESS.HOME && branchId && member.homeBranchId
+            && member.homeBranchId !== branchId) {
+            return `${plan.name} plan only allows entry at ${BranchesService.formatBranch(member.homeBranchId)}.`;
+        }
+
+        if (!this.isWithinAllowedHours(plan)) {
+            return `${plan.name} plan only allows entry between ${plan.allowedHours.start} and ${plan.allowedHours.end}.`;
+        }
+
+        if (plan.visitCap) {
+            const visits = await this.countPeriodVisits(member);
+            if (visits >= plan.visitCap) {
+                return `Visit limit of ${plan.visitCap} reached for this membership period.`;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Format a plan for display
+     * @param {string} id - Plan ID
+     * @returns {string} Formatted plan name and length
+     */
+    formatPlan: function(id) {
+        const plan = this.plans[id];
+        if (!plan) return id;
+
+        return `${plan.name} (${this.formatDuration(plan)})`;
+    },
+
+    /**
+     * Format a plan's length for display
+     * @param {Object} plan - Plan object
+     * @returns {string} Formatted length, e.g. '30 days' or '1 month'
+     */
+    formatDuration: function(plan) {
+        const unit = plan.durationUnit === this.UNITS.MONTHS ? 'month' : 'day';
+        return `${plan.durationValue} ${unit}${plan.durationValue === 1 ? '' : 's'}`;
+    },
+
+    /**
+     * Render the plan catalogue in the Plans tab
+     */
+    renderPlansList: function() {
+        const plansList = document.getElementById('plans-list');
+        if (!plansList) return;
+
+        plansList.innerHTML = '';
+
+        const plans = Object.values(this.plans)
+            .sort((a, b) => (a.retired - b.retired) || (this.getApproximateDays(a) - this.getApproximateDays(b)));
+
+        plans.forEach(plan => {
+            const planCard = document.createElement('div');
+            planCard.className = `plan-item${plan.retired ? ' retired' : ''}`;
+
+            const details = document.createElement('div');
+            details.className = 'member-details';
+
+            const title = document.createElement('h3');
+            title.textContent = plan.retired ? `${plan.name} (Retired)` : plan.name;
+            details.appendChild(title);
+
+            [
+                `Duration: ${this.formatDuration(plan)}`,
+                `Price: ${Number(plan.price).toFixed(2)}`,
+                `Visit Cap: ${plan.visitCap || 'Unlimited'}`,
+                `Hours: ${plan.allowedHours ? `${plan.allowedHours.start} - ${plan.allowedHours.end}` : 'Any time'}`,
+                `Branches: ${plan.branchAccess === this.BRANCH_ACCESS.HOME ? 'Home branch only' : 'All branches'}`
+            ].forEach(text => {
+                const line = document.createElement('p');
+                line.textContent = text;
+                details.appendChild(line);
+            });
+
+            const actions = document.createElement('div');
+            actions.className = 'plan-actions';
+            actions.innerHTML = `
+                <button type="button" data-action="edit">Edit</button>
+                <button type="button" data-action="${plan.retired ? 'restore' : 'retire'}">${plan.retired ? 'Restore' : 'Retire'}</button>
+            `;
+            actions.querySelectorAll('button').forEach(button => button.setAttribute('data-plan-id', plan.id));
+            details.appendChild(actions);
+
+            planCard.appendChild(details);
+            plansList.appendChild(planCard);
+        });
+    },
+
+    /**
+     * Load a plan into the form for editing
+     * @param {string} id - Plan ID
+     */
+    editPlan: function(id) {
+        const plan = this.plans[id];
+        if (!plan) return;
+
+        document.getElementById('plan-id').value = plan.id;
+        document.getElementById('plan-name').value = plan.name;
+        document.getElementById('plan-duration-value').value = plan.durationValue;
+        document.getElementById('plan-duration-unit').value = plan.durationUnit;
+        document.getElementById('plan-price').value = plan.price;
+        document.getElementById('plan-visit-cap').value = plan.visitCap || '';
+        document.getElementById('plan-hours-start').value = plan.allowedHours ? plan.allowedHours.start : '';
+        document.getElementById('plan-hours-end').value = plan.allowedHours ? plan.allowedHours.end : '';
+        document.getElementById('plan-branch-access').value = plan.branchAccess || this.BRANCH_ACCESS.ALL;
+        document.getElementById('plan-save-btn').textContent = 'Save Plan';
+    },
+
+    /**
+     * Clear the plan form back to "new plan" mode
+     */
+    resetForm: function() {
+        document.getElementById('plan-form').reset();
+        document.getElementById('plan-id').value = '';
+        document.getElementById('plan-save-btn').textContent = 'Add Plan';
+    },
+
+    /**
+     * Handle plan form submission
+     * @param {Event} event - Form submit event
+     */
+    handleSave: async function(event) {
+        event.preventDefault();
+
+        if (!AuthService.require(AuthService.PERMISSIONS.PLANS)) return;
+
+        const id = document.getElementById('plan-id').value;
+        const name = document.getElementById('plan-name').value.trim();
+        const durationValue = parseInt(document.getElementById('plan-duration-value').value, 10);
+        const durationUnit = document.getElementById('plan-duration-unit').value;
+        const price = parseFloat(document.getElementById('plan-price').value);
+        const visitCap = parseInt(document.getElementById('plan-visit-cap').value, 10);
+        const hoursStart = document.getElementById('plan-hours-start').value;
+        const hoursEnd = document.getElementById('plan-hours-end').value;
+        const branchAccess = document.getElementById('plan-branch-access').value;
+
+        // Validate inputs
+        if (!name || !durationValue || durationValue < 1 || isNaN(price) || price < 0) {
+            App.showNotification('Please enter a name, a duration and a price', 'error');
+            return;
+        }
+
+        if (!!hoursStart !== !!hoursEnd || (hoursStart && hoursStart === hoursEnd)) {
+            App.showNotification('Please enter both a start and an end time for allowed hours', 'error');
+            return;
+        }
+
+        const existing = id ? this.plans[id] : null;
+        const plan = {
+            ...existing,
+            id: id || `plan-${Date.now()}`,
+            name,
+            durationValue,
+            durationUnit,
+            price,
+            visitCap: visitCap > 0 ? visitCap : null,
+            allowedHours: hoursStart ? { start: hoursStart, end: hoursEnd } : null,
+            branchAccess: branchAccess === this.BRANCH_ACCESS.HOME ? this.BRANCH_ACCESS.HOME : this.BRANCH_ACCESS.ALL,
+            retired: existing ? existing.retired : false,
+            createdAt: existing ? existing.createdAt : Clock.now().toISOString()
+        };
+
+        await StorageService.savePlan(plan);
+        App.showNotification(existing ? 'Plan updated' : 'Plan added', 'success');
+
+        this.resetForm();
+        await this.refresh();
+        MembersService.loadMembersList();
+    },
+
+    /**
+     * Retire or restore a plan
+     * Retired plans are hidden from registration but members on them keep working
+     * @param {string} id - Plan ID
+     * @param {boolean} retired - True to retire, false to restore
+     */
+    setRetired: async function(id, retired) {
+        if (!AuthService.require(AuthService.PERMISSIONS.PLANS)) return;
+
+        const plan = this.plans[id];
+        if (!plan) return;
+
+        if (retired && this.getActivePlans().length === 1) {
+            App.showNotification('At least one plan must stay available.', 'error');
+            return;
+        }
+
+        await StorageService.savePlan({ ...plan, retired });
+        App.showNotification(retired ? `${plan.name} plan retired` : `${plan.name} plan restored`, 'success');
+        await this.refresh();
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    PlansService.init();
+});
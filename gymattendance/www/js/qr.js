@@ -0,0 +1,352 @@
+/**
+ * QR Service
+ * Handles QR member cards and camera/file based check-in scanning
+ * Uses the bundled qrcode-generator and jsQR libraries, so it works offline
+ */
+
+const QrService = {
+    // Prefix that marks a QR code as one of our member cards
+    PAYLOAD_PREFIX: 'gym-member:',
+
+    // Ignore the same code seen again within this window, so one scan = one action
+    REPEAT_SCAN_MS: 5000,
+
+    // How often to sample camera frames
+    SCAN_INTERVAL_MS: 250,
+
+    // Member card image size in pixels
+    CARD_WIDTH: 600,
+    CARD_HEIGHT: 340,
+
+    // Camera state
+    stream: null,
+    scanTimer: null,
+    lastScan: { payload: null, time: 0 },
+
+    /**
+     * Initialize the QR service
+     */
+    init: function() {
+        this.setupEventListeners();
+    },
+
+    /**
+     * Set up event listeners for member cards and scanning
+     */
+    setupEventListeners: function() {
+        const printBtn = document.getElementById('print-card-btn');
+        if (printBtn) {
+            printBtn.addEventListener('click', this.printCard.bind(this));
+        }
+
+        const shareBtn = document.getElementById('share-card-btn');
+        if (shareBtn) {
+            shareBtn.addEventListener('click', this.shareCard.bind(this));
+        }
+
+        const startBtn = document.getElementById('scan-start-btn');
+        if (startBtn) {
+            startBtn.addEventListener('click', this.startCamera.bind(this));
+        }
+
+        const stopBtn = document.getElementById('scan-stop-btn');
+        if (stopBtn) {
+            stopBtn.addEventListener('click', this.stopCamera.bind(this));
+        }
+
+        const fileInput = document.getElementById('scan-file');
+        if (fileInput) {
+            fileInput.addEventListener('change', this.handleFileScan.bind(this));
+        }
+
+        // Release the camera when leaving the attendance tab
+        document.querySelectorAll('.tab-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                if (button.getAttribute('data-tab') !== 'attendance') {
+                    this.stopCamera();
+                }
+            });
+        });
+    },
+
+    /**
+     * Build the QR payload for a member
+     * @param {string} memberId - Member ID
+     * @returns {string} QR payload
+     */
+    buildPayload: function(memberId) {
+        return `${this.PAYLOAD_PREFIX}${memberId}`;
+    },
+
+    /**
+     * Extract a member ID from a scanned QR payload
+     * Bare numeric IDs are accepted too, for codes printed by other tools
+     * @param {string} payload - Decoded QR text
+     * @returns {string|null} Member ID, or null if the code isn't a member card
+     */
+    parsePayload: function(payload) {
+        const text = (payload || '').trim();
+
+        if (text.startsWith(this.PAYLOAD_PREFIX)) {
+            const id = text.slice(this.PAYLOAD_PREFIX.length).trim();
+            return id || null;
+        }
+
+        return /^\d+$/.test(text) ? text : null;
+    },
+
+    /**
+     * Create a QR code for a member
+     * @param {string} memberId - Member ID
+     * @returns {Object} qrcode-generator QR code
+     */
+    createCode: function(memberId) {
+        const code = qrcode(0, 'M');
+        code.addData(this.buildPayload(memberId));
+        code.make();
+        return code;
+    },
+
+    /**
+     * Draw a member card with name, ID and QR code
+     * @param {Object} member - Member object
+     * @returns {HTMLCanvasElement} Card canvas
+     */
+    renderCard: function(member) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.CARD_WIDTH;
+        canvas.height = this.CARD_HEIGHT;
+        const ctx = canvas.getContext('2d');
+
+        // Card background and header band
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#1e88e5';
+        ctx.fillRect(0, 0, canvas.width, 60);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 26px sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('Gym Membership Card', 24, 30);
+
+        // QR code on the right, sized to a whole number of pixels per module
+        const code = this.createCode(member.id);
+        const cellSize = Math.floor(240 / code.getModuleCount());
+        const qrSize = cellSize * code.getModuleCount();
+        ctx.save();
+        ctx.translate(canvas.width - qrSize - 24, 60 + (canvas.height - 60 - qrSize) / 2);
+        code.renderTo2dContext(ctx, cellSize);
+        ctx.restore();
+
+        // Member details on the left
+        ctx.fillStyle = '#000000';
+        ctx.textBaseline = 'alphabetic';
+        ctx.font = 'bold 28px sans-serif';
+        ctx.fillText(member.name, 24, 130, canvas.width - qrSize - 72);
+        ctx.font = '22px sans-serif';
+        ctx.fillText(`ID: ${member.id}`, 24, 175);
+        ctx.fillText(PlansService.formatPlan(member.membershipType), 24, 215, canvas.width - qrSize - 72);
+
+        return canvas;
+    },
+
+    /**
+     * Show the member card in the member detail view
+     * @param {Object} member - Member object
+     */
+    showCard: function(member) {
+        const image = document.getElementById('qr-card-image');
+        if (!image) return;
+
+        image.src = this.renderCard(member).toDataURL('image/png');
+        image.alt = `Member card for ${member.name}`;
+    },
+
+    /**
+     * Print just the member card
+     */
+    printCard: function() {
+        document.body.classList.add('printing-card');
+        window.print();
+        document.body.classList.remove('printing-card');
+    },
+
+    /**
+     * Share the member card image, or download it where sharing files isn't supported
+     */
+    shareCard: async function() {
+        const member = MemberDetailService.currentMember;
+        if (!member) return;
+
+        const canvas = this.renderCard(member);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        const file = new File([blob], `member-card-${member.id}.png`, { type: 'image/png' });
+
+        if (navigator.canShare && navigator.canShare({ files: [file] })) {
+            try {
+                await navigator.share({ files: [file], title: `Member card for ${member.name}` });
+            } catch (error) {
+                // Dismissing the share sheet isn't an error worth reporting
+                if (error.name !== 'AbortError') {
+                    App.showNotification('Could not share member card.', 'error');
+                }
+            }
+            return;
+        }
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    /**
+     * Decode a QR code from image pixels
+     * @param {ImageData} imageData - Pixels to scan
+     * @returns {string|null} Decoded text, or null if no code found
+     */
+    decode: function(imageData) {
+        const result = jsQR(imageData.data, imageData.width, imageData.height, { inversionAttempts: 'dontInvert' });
+        return result ? result.data : null;
+    },
+
+    /**
+     * Start scanning from the device camera
+     */
+    startCamera: async function() {
+        if (this.stream) return;
+
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            App.showNotification('Camera is not available. Try scanning an image instead.', 'error');
+            return;
+        }
+
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: 'environment' },
+                audio: false
+            });
+        } catch (error) {
+            App.showNotification('Could not open the camera. Please check permissions.', 'error');
+            return;
+        }
+
+        const video = document.getElementById('scan-video');
+        video.srcObject = this.stream;
+        await video.play();
+
+        document.getElementById('scan-preview').classList.remove('hidden');
+        document.getElementById('scan-start-btn').classList.add('hidden');
+        document.getElementById('scan-stop-btn').classList.remove('hidden');
+
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+        this.scanTimer = setInterval(() => {
+            if (video.readyState < video.HAVE_ENOUGH_DATA) return;
+
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+            const payload = this.decode(ctx.getImageData(0, 0, canvas.width, canvas.height));
+            if (payload) {
+                this.handleScan(payload);
+            }
+        }, this.SCAN_INTERVAL_MS);
+    },
+
+    /**
+     * Stop scanning and release the camera
+     */
+    stopCamera: function() {
+        clearInterval(this.scanTimer);
+        this.scanTimer = null;
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+
+        const preview = document.getElementById('scan-preview');
+        if (preview) {
+            document.getElementById('scan-video').srcObject = null;
+            preview.classList.add('hidden');
+            document.getElementById('scan-start-btn').classList.remove('hidden');
+            document.getElementById('scan-stop-btn').classList.add('hidden');
+        }
+    },
+
+    /**
+     * Scan a QR code from a chosen image file
+     * @param {Event} event - Change event from file input
+     */
+    handleFileScan: async function(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        let payload = null;
+        try {
+            const bitmap = await createImageBitmap(file);
+            const canvas = document.createElement('canvas');
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(bitmap, 0, 0);
+            payload = this.decode(ctx.getImageData(0, 0, canvas.width, canvas.height));
+        } catch (error) {
+            console.error('Could not read image', error);
+        }
+
+        event.target.value = '';
+
+        if (!payload) {
+            App.showNotification('No QR code found in that image.', 'error');
+            return;
+        }
+
+        // A deliberate file scan should always act, even if it repeats the last code
+        this.lastScan = { payload: null, time: 0 };
+        this.handleScan(payload);
+    },
+
+    /**
+     * Run the selected attendance action for a scanned code
+     * In kiosk mode the scan toggles check-in/out instead
+     * @param {string} payload - Decoded QR text
+     */
+    handleScan: function(payload) {
+        const now = Date.now();
+        if (payload === this.lastScan.payload && now - this.lastScan.time < this.REPEAT_SCAN_MS) return;
+        this.lastScan = { payload, time: now };
+
+        const memberId = this.parsePayload(payload);
+        if (!memberId) {
+            App.showNotification('That QR code is not a member card.', 'error');
+            return;
+        }
+
+        document.getElementById('member-id').value = memberId;
+
+        if (KioskService.active) {
+            KioskService.handleEntry();
+            return;
+        }
+
+        const action = document.querySelector('input[name="scan-action"]:checked');
+        if (action && action.value === 'check-out') {
+            AttendanceService.handleCheckOut();
+        } else {
+            AttendanceService.handleCheckIn();
+        }
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    QrService.init();
+});
@@ -0,0 +1,247 @@
+/**
+ * Reminders Service
+ * Handles the follow-up dashboard: members about to lapse, recently lapsed or no longer visiting,
+ * with prepared email, SMS and WhatsApp reminder messages
+ */
+
+const RemindersService = {
+    // Dashboard lists and the template each one uses
+    LISTS: {
+        EXPIRING: 'expiring',
+        EXPIRED: 'expired',
+        INACTIVE: 'inactive'
+    },
+
+    // Placeholders that can be used in message templates
+    PLACEHOLDERS: ['name', 'firstName', 'id', 'plan', 'endDate', 'daysRemaining', 'daysSinceExpiry', 'daysSinceVisit'],
+
+    /**
+     * Initialize the reminders service
+     */
+    init: function() {
+        this.setupEventListeners();
+    },
+
+    /**
+     * Set up event listeners for the reminders dashboard
+     */
+    setupEventListeners: function() {
+        // Rebuild whenever the tab is opened so the lists are current
+        const remindersTabBtn = document.querySelector('.tab-btn[data-tab="reminders"]');
+        if (remindersTabBtn) {
+            remindersTabBtn.addEventListener('click', this.handleOpen.bind(this));
+        }
+
+        const filterForm = document.getElementById('reminder-filter-form');
+        if (filterForm) {
+            filterForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.generate();
+            });
+        }
+    },
+
+    /**
+     * Fill the day windows from settings and build the dashboard
+     */
+    handleOpen: async function() {
+        const settings = await SettingsService.load();
+        document.getElementById('reminder-expiring-days').value = settings.reminderExpiringDays;
+        document.getElementById('reminder-expired-days').value = settings.reminderExpiredDays;
+        document.getElementById('reminder-inactive-days').value = settings.reminderInactiveDays;
+
+        await this.generate();
+    },
+
+    /**
+     * Whole days from one date to another, counting calendar days
+     * @param {Date} from - Start date
+     * @param {Date} to - End date
+     * @returns {number} Calendar days between the two, negative if to is earlier
+     */
+    daysBetween: function(from, to) {
+        return MembershipRules.calendarDaysBetween(from, to);
+    },
+
+    /**
+     * Build the expiring, expired and inactive lists
+     * @param {Object} windows - { expiringDays, expiredDays, inactiveDays }
+     * @returns {Promise<Object>} Lists keyed by LISTS value, each an array of { member, daysRemaining, daysSinceExpiry, daysSinceVisit }
+     */
+    buildLists: async function(windows) {
+        const today = Clock.now();
+        const members = (await StorageService.getMembers()).filter(member => !member.archived);
+        const lists = { [this.LISTS.EXPIRING]: [], [this.LISTS.EXPIRED]: [], [this.LISTS.INACTIVE]: [] };
+
+        // Read attendance once rather than once per member
+        const sessionsByMember = new Map();
+        (await StorageService.getAttendance()).forEach(session => {
+            if (!sessionsByMember.has(session.memberId)) sessionsByMember.set(session.memberId, []);
+            sessionsByMember.get(session.memberId).push(session);
+        });
+
+        for (const member of members) {
+            const daysToEnd = this.daysBetween(today, new Date(member.membershipEndDate));
+            const entry = { member, daysRemaining: Math.max(0, daysToEnd), daysSinceExpiry: null, daysSinceVisit: null };
+
+            if (daysToEnd <= 0) {
+                entry.daysSinceExpiry = -daysToEnd;
+                if (entry.daysSinceExpiry <= windows.expiredDays) {
+                    lists[this.LISTS.EXPIRED].push(entry);
+                }
+                continue;
+            }
+
+            if (daysToEnd <= windows.expiringDays) {
+                lists[this.LISTS.EXPIRING].push(entry);
+            }
+
+            // Frozen members are expected to stay away
+            if (MembershipService.isFrozen(member)) continue;
+
+            const lastSession = MembershipRules.latestSession(sessionsByMember.get(member.id) || []);
+            const lastVisit = new Date(lastSession ? lastSession.start : member.registrationDate);
+            entry.daysSinceVisit = this.daysBetween(lastVisit, today);
+
+            if (entry.daysSinceVisit >= windows.inactiveDays) {
+                lists[this.LISTS.INACTIVE].push(entry);
+            }
+        }
+
+        lists[this.LISTS.EXPIRING].sort((a, b) => a.daysRemaining - b.daysRemaining);
+        lists[this.LISTS.EXPIRED].sort((a, b) => a.daysSinceExpiry - b.daysSinceExpiry);
+        lists[this.LISTS.INACTIVE].sort((a, b) => b.daysSinceVisit - a.daysSinceVisit);
+        return lists;
+    },
+
+    /**
+     * Build and render the dashboard for the selected day windows
+     */
+    generate: async function() {
+        if (!AuthService.require(AuthService.PERMISSIONS.REMINDERS)) return;
+
+        const windows = {
+            expiringDays: parseInt(document.getElementById('reminder-expiring-days').value, 10),
+            expiredDays: parseInt(document.getElementById('reminder-expired-days').value, 10),
+            inactiveDays: parseInt(document.getElementById('reminder-inactive-days').value, 10)
+        };
+
+        if (Object.values(windows).some(days => isNaN(days) || days < 1)) {
+            App.showNotification('Please enter day windows of at least 1 day', 'error');
+            return;
+        }
+
+        await PlansService.load();
+        const [lists, settings] = await Promise.all([this.buildLists(windows), SettingsService.load()]);
+
+        this.renderList('reminder-expiring', lists[this.LISTS.EXPIRING], settings.reminderTemplateExpiring,
+            entry => `Expires ${new Date(entry.member.membershipEndDate).toLocaleDateString()} (${entry.daysRemaining} days)`);
+        this.renderList('reminder-expired', lists[this.LISTS.EXPIRED], settings.reminderTemplateExpired,
+            entry => `Expired ${new Date(entry.member.membershipEndDate).toLocaleDateString()} (${entry.daysSinceExpiry} days ago)`);
+        this.renderList('reminder-inactive', lists[this.LISTS.INACTIVE], settings.reminderTemplateInactive,
+            entry => `Last visit ${entry.daysSinceVisit} days ago`);
+    },
+
+    /**
+     * Render one dashboard list with reminder links for each member
+     * @param {string} containerId - ID of the element to render into
+     * @param {Array} entries - List entries from buildLists
+     * @param {string} template - Message template
+     * @param {Function} describe - Builds the status line for an entry
+     */
+    renderList: function(containerId, entries, template, describe) {
+        const container = document.getElementById(containerId);
+        container.innerHTML = '';
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="no-members">No members in this list.</p>';
+            return;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'reminder-list';
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+
+            const name = document.createElement('strong');
+            name.textContent = `${entry.member.name} (${entry.member.id})`;
+
+            const status = document.createElement('span');
+            status.textContent = ` · ${describe(entry)}`;
+
+            const links = document.createElement('div');
+            links.className = 'reminder-links';
+            const message = this.fillTemplate(template, entry);
+            this.buildLinks(entry.member, message).forEach(({ label, href }) => {
+                const link = document.createElement('a');
+                link.href = href;
+                link.target = '_blank';
+                link.rel = 'noopener';
+                link.textContent = label;
+                links.appendChild(link);
+            });
+
+            item.append(name, status, links);
+            list.appendChild(item);
+        });
+
+        container.appendChild(list);
+    },
+
+    /**
+     * Fill a message template with a member's details
+     * Unknown placeholders are left as written
+     * @param {string} template - Template with {placeholder} markers
+     * @param {Object} entry - List entry from buildLists
+     * @returns {string} Message text
+     */
+    fillTemplate: function(template, entry) {
+        const member = entry.member;
+        const values = {
+            name: member.name,
+            firstName: member.name.split(' ')[0],
+            id: member.id,
+            plan: PlansService.formatPlan(member.membershipType),
+            endDate: new Date(member.membershipEndDate).toLocaleDateString(),
+            daysRemaining: entry.daysRemaining,
+            daysSinceExpiry: entry.daysSinceExpiry,
+            daysSinceVisit: entry.daysSinceVisit
+        };
+
+        return (template || '').replace(/\{(\w+)\}/g, (match, key) =>
+            this.PLACEHOLDERS.includes(key) && values[key] !== null && values[key] !== undefined ? String(values[key]) : match
+        );
+    },
+
+    /**
+     * Build email, SMS and WhatsApp links for a message
+     * @param {Object} member - Member object
+     * @param {string} message - Message text
+     * @returns {Array<Object>} Links as { label, href }, skipping channels without contact details
+     */
+    buildLinks: function(member, message) {
+        const links = [];
+        const text = encodeURIComponent(message);
+
+        if (member.email) {
+            const subject = encodeURIComponent('Your gym membership');
+            links.push({ label: 'Email', href: `mailto:${member.email.trim()}?subject=${subject}&body=${text}` });
+        }
+
+        const phone = (member.phone || '').replace(/[^\d+]/g, '');
+        if (phone) {
+            links.push({ label: 'SMS', href: `sms:${phone}?body=${text}` });
+
+            // wa.me wants the full international number as digits only
+            links.push({ label: 'WhatsApp', href: `https://wa.me/${phone.replace(/\D/g, '')}?text=${text}` });
+        }
+
+        return links;
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    RemindersService.init();
+});
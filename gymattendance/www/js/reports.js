@@ -0,0 +1,402 @@
+/**
+ * Reports Service
+ * Handles attendance history and visit reports
+ */
+
+const ReportsService = {
+    // Default report range, in days up to and including today
+    DEFAULT_RANGE_DAYS: 30,
+
+    /**
+     * Initialize the reports service
+     */
+    init: function() {
+        this.setDefaultRange();
+        this.setupEventListeners();
+    },
+
+    /**
+     * Set up event listeners for the reports tab
+     */
+    setupEventListeners: function() {
+        // Regenerate whenever the tab is opened so new visits show up
+        const reportsTabBtn = document.querySelector('.tab-btn[data-tab="reports"]');
+        if (reportsTabBtn) {
+            reportsTabBtn.addEventListener('click', this.generate.bind(this));
+        }
+
+        const filterForm = document.getElementById('report-filter-form');
+        if (filterForm) {
+            filterForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.generate();
+            });
+        }
+
+        const timelineForm = document.getElementById('timeline-form');
+        if (timelineForm) {
+            timelineForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.showMemberTimeline();
+            });
+        }
+    },
+
+    /**
+     * Fill the date range filters with the default range
+     */
+    setDefaultRange: function() {
+        const from = document.getElementById('report-from');
+        const to = document.getElementById('report-to');
+        if (!from || !to) return;
+
+        const start = Clock.now();
+        start.setDate(start.getDate() - (this.DEFAULT_RANGE_DAYS - 1));
+
+        from.value = this.toDateKey(start);
+        to.value = this.toDateKey(Clock.now());
+    },
+
+    /**
+     * Read the selected date range
+     * @returns {Object|null} { start, end } with end exclusive, or null if invalid
+     */
+    getSelectedRange: function() {
+        const from = document.getElementById('report-from').value;
+        const to = document.getElementById('report-to').value;
+        if (!from || !to || from > to) return null;
+
+        // Date inputs give YYYY-MM-DD; build local midnights
+        const start = this.fromDateKey(from);
+        const end = this.fromDateKey(to);
+        end.setDate(end.getDate() + 1);
+
+        return { start, end };
+    },
+
+    /**
+     * Read the selected branch filter
+     * @returns {string|null} Branch ID, or null for all branches
+     */
+    getSelectedBranch: function() {
+        const select = document.getElementById('report-branch');
+        return (select && select.value) || null;
+    },
+
+    /**
+     * Keep only records made at a branch
+     * @param {Array} records - Attendance sessions, payments or training sessions
+     * @param {string|null} branchId - Branch ID, or null to keep everything
+     * @returns {Array} Matching records
+     */
+    filterByBranch: function(records, branchId) {
+        return branchId ? records.filter(record => record.branchId === branchId) : records;
+    },
+
+    /**
+     * Format a date as a local YYYY-MM-DD key
+     * @param {Date} date - Date to format
+     * @returns {string} Date key
+     */
+    toDateKey: function(date) {
+        return MembershipRules.toDateKey(date);
+    },
+
+    /**
+     * Parse a YYYY-MM-DD key as local midnight
+     * @param {string} key - Date key
+     * @returns {Date} Local midnight on that date
+     */
+    fromDateKey: function(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    /**
+     * Get the Monday that starts the week containing a date
+     * @param {Date} date - Any date
+     * @returns {string} Date key of the week's Monday
+     */
+    toWeekKey: function(date) {
+        const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+        return this.toDateKey(monday);
+    },
+
+    /**
+     * Count visits by a grouping key
+     * @param {Array} sessions - Attendance sessions
+     * @param {Function} keyFn - Maps a session to its group key
+     * @returns {Object} Counts keyed by group
+     */
+    countVisits: function(sessions, keyFn) {
+        const counts = {};
+        sessions.forEach(session => {
+            const key = keyFn(session);
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        return counts;
+    },
+
+    /**
+     * Calculate the average length of completed sessions
+     * Sessions closed by automatic check-out are left out, since their real length is unknown
+     * @param {Array} sessions - Attendance sessions
+     * @returns {number|null} Average duration in milliseconds, or null if none completed
+     */
+    averageDuration: function(sessions) {
+        const completed = sessions.filter(session => session.end && !session.automatic);
+        if (completed.length === 0) return null;
+
+        const total = completed.reduce((sum, session) => sum + MembershipRules.sessionDuration(session), 0);
+        return total / completed.length;
+    },
+
+    /**
+     * Format a duration for display
+     * @param {number|null} ms - Duration in milliseconds
+     * @returns {string} Formatted duration, e.g. '1h 25m'
+     */
+    formatDuration: function(ms) {
+        if (ms === null) return '-';
+
+        const minutes = Math.round(ms / 60000);
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+    },
+
+    /**
+     * Generate all reports for the selected date range
+     */
+    generate: async function() {
+        if (!AuthService.require(AuthService.PERMISSIONS.REPORTS)) return;
+
+        const range = this.getSelectedRange();
+        if (!range) {
+            App.showNotification('Please select a valid date range', 'error');
+            return;
+        }
+
+        const branchId = this.getSelectedBranch();
+        const sessions = this.filterByBranch(await StorageService.getAttendanceBetween(range.start, range.end), branchId)
+            .filter(session => MembershipRules.isCounted(session));
+        const uniqueMembers = new Set(sessions.map(session => session.memberId));
+
+        document.getElementById('report-total-visits').textContent = sessions.length;
+        document.getElementById('report-unique-members').textContent = uniqueMembers.size;
+        document.getElementById('report-average-duration').textContent = this.formatDuration(this.averageDuration(sessions));
+
+        const daily = this.countVisits(sessions, session => session.date);
+        this.renderCountTable('report-daily', daily, key => this.fromDateKey(key).toLocaleDateString());
+
+        const weekly = this.countVisits(sessions, session => this.toWeekKey(new Date(session.start)));
+        this.renderCountTable('report-weekly', weekly, key => `Week of ${this.fromDateKey(key).toLocaleDateString()}`);
+
+        const hourly = this.countVisits(sessions, session => new Date(session.start).getHours());
+        this.renderPeakHours(hourly);
+
+        await Promise.all([this.renderRevenue(branchId), TrainersService.renderReport(range, branchId)]);
+
+        // Keep an open member timeline in step with the range
+        if (document.getElementById('report-member-id').value.trim()) {
+            await this.showMemberTimeline();
+        }
+    },
+
+    /**
+     * Render a two-column table of counts, newest first
+     * @param {string} containerId - ID of the element to render into
+     * @param {Object} counts - Counts keyed by date key
+     * @param {Function} labelFn - Formats a key for display
+     * @param {string} [emptyText] - Message shown when there is nothing to list
+     */
+    renderCountTable: function(containerId, counts, labelFn, emptyText = 'No visits in this range.') {
+        const container = document.getElementById(containerId);
+        container.innerHTML = '';
+
+        const keys = Object.keys(counts).sort().reverse();
+        if (keys.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'no-members';
+            empty.textContent = emptyText;
+            container.appendChild(empty);
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'report-table';
+        keys.forEach(key => {
+            const row = table.insertRow();
+            row.insertCell().textContent = labelFn(key);
+            row.insertCell().textContent = counts[key];
+        });
+        container.appendChild(table);
+    },
+
+    /**
+     * Render check-ins per hour of day as a bar chart
+     * @param {Object} hourly - Check-in counts keyed by hour (0-23)
+     */
+    renderPeakHours: function(hourly) {
+        const container = document.getElementById('report-peak-hours');
+        container.innerHTML = '';
+
+        const max = Math.max(0, ...Object.values(hourly));
+        if (max === 0) {
+            container.innerHTML = '<p class="no-members">No visits in this range.</p>';
+            return;
+        }
+
+        for (let hour = 0; hour < 24; hour++) {
+            const count = hourly[hour] || 0;
+            if (count === 0) continue;
+
+            const row = document.createElement('div');
+            row.className = count === max ? 'hour-row peak' : 'hour-row';
+
+            const label = document.createElement('span');
+            label.className = 'hour-label';
+            label.textContent = `${String(hour).padStart(2, '0')}:00`;
+
+            const bar = document.createElement('span');
+            bar.className = 'hour-bar';
+            bar.style.width = `${Math.round((count / max) * 100)}%`;
+
+            const value = document.createElement('span');
+            value.className = 'hour-count';
+            value.textContent = count;
+
+            row.append(label, bar, value);
+            container.appendChild(row);
+        }
+    },
+
+    /**
+     * Render payments received in the selected range, and members who still owe money
+     * @param {string|null} branchId - Only count payments taken at this branch, or null for all
+     */
+    renderRevenue: async function(branchId) {
+        const from = document.getElementById('report-from').value;
+        const to = document.getElementById('report-to').value;
+        const [allPayments, balances, members] = await Promise.all([
+            StorageService.getPaymentsBetween(from, to),
+            PaymentsService.getAllBalances(),
+            StorageService.getMembers()
+        ]);
+        const payments = this.filterByBranch(allPayments, branchId);
+
+        const total = payments.reduce((sum, payment) => sum + Number(payment.amount), 0);
+        document.getElementById('report-revenue-total').textContent = PaymentsService.formatAmount(total);
+
+        const byMethod = {};
+        const byMonth = {};
+        payments.forEach(payment => {
+            const method = PaymentsService.formatMethod(payment.method);
+            const month = payment.date.slice(0, 7);
+            byMethod[method] = (byMethod[method] || 0) + Number(payment.amount);
+            byMonth[month] = (byMonth[month] || 0) + Number(payment.amount);
+        });
+
+        document.getElementById('report-revenue-methods').textContent = Object.keys(byMethod).length
+            ? Object.entries(byMethod).map(([method, amount]) => `${method}: ${PaymentsService.formatAmount(amount)}`).join(' · ')
+            : '-';
+
+        Object.keys(byMonth).forEach(month => {
+            byMonth[month] = PaymentsService.formatAmount(byMonth[month]);
+        });
+        this.renderCountTable('report-revenue-monthly', byMonth, key => {
+            const [year, month] = key.split('-').map(Number);
+            return new Date(year, month - 1, 1).toLocaleDateString(undefined, { year: 'numeric', month: 'long' });
+        }, 'No payments in this range.');
+
+        // Outstanding dues don't depend on the range or branch
+        const container = document.getElementById('report-dues');
+        container.innerHTML = '';
+
+        const owing = members
+            .filter(member => balances[member.id] && balances[member.id].due > 0)
+            .sort((a, b) => balances[b.id].due - balances[a.id].due);
+
+        if (owing.length === 0) {
+            container.innerHTML = '<p class="no-members">No outstanding dues.</p>';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'report-table';
+        owing.forEach(member => {
+            const row = table.insertRow();
+            row.insertCell().textContent = `${member.name} (${member.id})`;
+            row.insertCell().textContent = PaymentsService.formatAmount(balances[member.id].due);
+        });
+        container.appendChild(table);
+    },
+
+    /**
+     * Show every visit in the selected range for one member
+     */
+    showMemberTimeline: async function() {
+        if (!AuthService.require(AuthService.PERMISSIONS.REPORTS)) return;
+
+        const memberId = document.getElementById('report-member-id').value.trim();
+        const container = document.getElementById('report-timeline');
+        const range = this.getSelectedRange();
+
+        if (!memberId) {
+            App.showNotification('Please enter a member ID', 'error');
+            return;
+        }
+
+        const member = await StorageService.getMemberById(memberId);
+        if (!member) {
+            App.showNotification('Member not found. Please check the ID and try again.', 'error');
+            return;
+        }
+
+        const sessions = this.filterByBranch(await StorageService.getMemberAttendance(memberId), this.getSelectedBranch())
+            .filter(session => MembershipRules.isCounted(session))
+            .filter(session =>
+                !range || (session.start >= range.start.toISOString() && session.start < range.end.toISOString())
+            )
+            .reverse();
+
+        container.innerHTML = '';
+
+        const heading = document.createElement('h3');
+        heading.textContent = `${member.name} (${member.id}) - ${sessions.length} visits, average ${this.formatDuration(this.averageDuration(sessions))}`;
+        container.appendChild(heading);
+
+        if (sessions.length === 0) {
+            container.insertAdjacentHTML('beforeend', '<p class="no-members">No visits in this range.</p>');
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'report-table';
+        const header = table.createTHead().insertRow();
+        ['Date', 'Check In', 'Check Out', 'Duration', 'Notes'].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        sessions.forEach(session => {
+            const row = body.insertRow();
+            row.insertCell().textContent = this.fromDateKey(session.date).toLocaleDateString();
+            row.insertCell().textContent = new Date(session.start).toLocaleTimeString();
+            row.insertCell().textContent = session.end
+                ? `${new Date(session.end).toLocaleTimeString()}${session.automatic ? ' (auto)' : ''}`
+                : '-';
+            row.insertCell().textContent = session.automatic ? '-' : this.formatDuration(MembershipRules.sessionDuration(session));
+            row.insertCell().textContent = session.correctedAt ? `Corrected: ${session.correctionReason}` : '';
+            row.classList.toggle('corrected', !!session.correctedAt);
+        });
+        container.appendChild(table);
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    ReportsService.init();
+});
@@ -0,0 +1,214 @@
+/**
+ * Settings Service
+ * Handles app-wide configuration stored on this device
+ */
+
+const SettingsService = {
+    // Values used until staff change them
+    DEFAULTS: {
+        closingTime: '22:00',
+        maxSessionHours: 4,
+        kioskResetSeconds: 5,
+        kioskActive: false,
+        duesCheckMode: 'off',
+        capacity: null,
+        capacityMode: 'warn',
+        reminderExpiringDays: 7,
+        reminderExpiredDays: 30,
+        reminderInactiveDays: 14,
+        reminderTemplateExpiring: 'Hi {firstName}, your {plan} membership ends on {endDate}. Renew at the front desk to keep training without a break.',
+        reminderTemplateExpired: 'Hi {firstName}, your membership ended on {endDate}. We miss you! Renew at the front desk any time.',
+        reminderTemplateInactive: "Hi {firstName}, we haven't seen you in {daysSinceVisit} days. Your membership is active until {endDate} - come back soon!",
+        syncUrl: '',
+        syncToken: '',
+        branchId: null
+    },
+
+    // What check-in does when a member has unpaid dues
+    DUES_CHECK_MODES: ['off', 'warn', 'block'],
+
+    // What check-in does once the gym is at capacity
+    CAPACITY_MODES: ['warn', 'block'],
+
+    // Current settings, defaults merged with saved values
+    settings: null,
+
+    // Cached load promise
+    loadPromise: null,
+
+    /**
+     * Initialize the settings service
+     */
+    init: async function() {
+        this.setupEventListeners();
+        await this.load();
+        this.renderForm();
+    },
+
+    /**
+     * Set up event listeners for the settings form
+     */
+    setupEventListeners: function() {
+        const settingsForm = document.getElementById('settings-form');
+        if (settingsForm) {
+            settingsForm.addEventListener('submit', this.handleSave.bind(this));
+        }
+    },
+
+    /**
+     * Load settings from storage
+     * @returns {Promise<Object>} Current settings
+     */
+    load: function() {
+        if (!this.loadPromise) {
+            this.loadPromise = StorageService.getSettings().then(saved => {
+                // Staff accounts replaced the shared kiosk PIN; drop its hash on the next save
+                const { kioskPinHash, kioskPinSalt, ...current } = saved || {};
+                this.settings = { ...this.DEFAULTS, ...current };
+                StorageService.branchId = this.settings.branchId;
+                return this.settings;
+            });
+        }
+
+        return this.loadPromise;
+    },
+
+    /**
+     * Get a single setting
+     * @param {string} key - Setting name
+     * @returns {Promise<*>} Setting value
+     */
+    get: async function(key) {
+        const settings = await this.load();
+        return settings[key];
+    },
+
+    /**
+     * Save changes to settings
+     * @param {Object} updates - Settings to change
+     * @returns {Promise<Object>} Updated settings
+     */
+    save: async function(updates) {
+        const settings = { ...(await this.load()), ...updates };
+        await StorageService.saveSettings(settings);
+
+        this.settings = settings;
+        this.loadPromise = Promise.resolve(settings);
+        StorageService.branchId = settings.branchId;
+        return settings;
+    },
+
+    /**
+     * Fill the settings form with current values
+     */
+    renderForm: function() {
+        if (!document.getElementById('settings-form')) return;
+
+        document.getElementById('setting-closing-time').value = this.settings.closingTime || '';
+        document.getElementById('setting-max-session').value = this.settings.maxSessionHours || '';
+        document.getElementById('setting-kiosk-reset').value = this.settings.kioskResetSeconds;
+        document.getElementById('setting-dues-check').value = this.settings.duesCheckMode;
+        document.getElementById('setting-capacity').value = this.settings.capacity || '';
+        document.getElementById('setting-capacity-mode').value = this.settings.capacityMode;
+        document.getElementById('setting-reminder-expiring-days').value = this.settings.reminderExpiringDays;
+        document.getElementById('setting-reminder-expired-days').value = this.settings.reminderExpiredDays;
+        document.getElementById('setting-reminder-inactive-days').value = this.settings.reminderInactiveDays;
+        document.getElementById('setting-template-expiring').value = this.settings.reminderTemplateExpiring;
+        document.getElementById('setting-template-expired').value = this.settings.reminderTemplateExpired;
+        document.getElementById('setting-template-inactive').value = this.settings.reminderTemplateInactive;
+        document.getElementById('setting-sync-url').value = this.settings.syncUrl;
+        document.getElementById('setting-sync-token').value = this.settings.syncToken;
+        document.getElementById('setting-branch').value = this.settings.branchId || '';
+    },
+
+    /**
+     * Handle settings form submission
+     * @param {Event} event - Form submit event
+     */
+    handleSave: async function(event) {
+        event.preventDefault();
+
+        if (!AuthService.require(AuthService.PERMISSIONS.SETTINGS)) return;
+
+        const closingTime = document.getElementById('setting-closing-time').value;
+        const maxSessionHours = parseFloat(document.getElementById('setting-max-session').value);
+
+        const kioskResetSeconds = parseInt(document.getElementById('setting-kiosk-reset').value, 10);
+        const duesCheckMode = document.getElementById('setting-dues-check').value;
+        const capacity = parseInt(document.getElementById('setting-capacity').value, 10);
+        const capacityMode = document.getElementById('setting-capacity-mode').value;
+
+        const reminderExpiringDays = parseInt(document.getElementById('setting-reminder-expiring-days').value, 10);
+        const reminderExpiredDays = parseInt(document.getElementById('setting-reminder-expired-days').value, 10);
+        const reminderInactiveDays = parseInt(document.getElementById('setting-reminder-inactive-days').value, 10);
+        const reminderTemplateExpiring = document.getElementById('setting-template-expiring').value.trim();
+        const reminderTemplateExpired = document.getElementById('setting-template-expired').value.trim();
+        const reminderTemplateInactive = document.getElementById('setting-template-inactive').value.trim();
+        const syncUrl = document.getElementById('setting-sync-url').value.trim();
+        const syncToken = document.getElementById('setting-sync-token').value.trim();
+        const branchId = document.getElementById('setting-branch').value || null;
+
+        if (!isNaN(maxSessionHours) && maxSessionHours <= 0) {
+            App.showNotification('Maximum session length must be more than 0 hours', 'error');
+            return;
+        }
+
+        if (!kioskResetSeconds || kioskResetSeconds < 1) {
+            App.showNotification('Kiosk reset time must be at least 1 second', 'error');
+            return;
+        }
+
+        if (!isNaN(capacity) && capacity < 1) {
+            App.showNotification('Capacity must be at least 1, or left empty for no limit', 'error');
+            return;
+        }
+
+        if ([reminderExpiringDays, reminderExpiredDays, reminderInactiveDays].some(days => !days || days < 1)) {
+            App.showNotification('Reminder windows must be at least 1 day', 'error');
+            return;
+        }
+
+        if (!reminderTemplateExpiring || !reminderTemplateExpired || !reminderTemplateInactive) {
+            App.showNotification('Please fill in all reminder templates', 'error');
+            return;
+        }
+
+        if (syncUrl && !SyncService.isAllowedUrl(syncUrl)) {
+            App.showNotification('Sync server address must start with https:// (http:// only for localhost)', 'error');
+            return;
+        }
+
+        const updates = {
+            closingTime: closingTime || null,
+            maxSessionHours: isNaN(maxSessionHours) ? null : maxSessionHours,
+            kioskResetSeconds: kioskResetSeconds,
+            duesCheckMode: this.DUES_CHECK_MODES.includes(duesCheckMode) ? duesCheckMode : this.DEFAULTS.duesCheckMode,
+            capacity: isNaN(capacity) ? null : capacity,
+            capacityMode: this.CAPACITY_MODES.includes(capacityMode) ? capacityMode : this.DEFAULTS.capacityMode,
+            reminderExpiringDays,
+            reminderExpiredDays,
+            reminderInactiveDays,
+            reminderTemplateExpiring,
+            reminderTemplateExpired,
+            reminderTemplateInactive,
+            syncUrl,
+            syncToken,
+            branchId
+        };
+
+        await this.save(updates);
+
+        App.showNotification('Settings saved', 'success');
+
+        // Apply the new limits straight away
+        AutoCheckoutService.run();
+        OccupancyService.render();
+        BranchesService.refresh();
+        SyncService.configure();
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    SettingsService.init();
+});
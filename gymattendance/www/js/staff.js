@@ -0,0 +1,241 @@
+/**
+ * Staff Service
+ * Handles staff account management: adding, editing and deactivating accounts
+ */
+
+const StaffService = {
+    // Staff accounts, loaded from storage
+    staff: [],
+
+    /**
+     * Initialize the staff service
+     */
+    init: function() {
+        this.setupEventListeners();
+    },
+
+    /**
+     * Set up event listeners for staff management
+     */
+    setupEventListeners: function() {
+        // Reload whenever the tab is opened
+        const staffTabBtn = document.querySelector('.tab-btn[data-tab="staff"]');
+        if (staffTabBtn) {
+            staffTabBtn.addEventListener('click', this.refresh.bind(this));
+        }
+
+        const staffForm = document.getElementById('staff-form');
+        if (staffForm) {
+            staffForm.addEventListener('submit', this.handleSave.bind(this));
+        }
+
+        const cancelBtn = document.getElementById('staff-cancel-btn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', this.resetForm.bind(this));
+        }
+
+        // Edit, deactivate and reactivate buttons on staff cards
+        const staffList = document.getElementById('staff-list');
+        if (staffList) {
+            staffList.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-action]');
+                if (!button) return;
+
+                const staffId = button.getAttribute('data-staff-id');
+                switch (button.getAttribute('data-action')) {
+                    case 'edit': this.editStaff(staffId); break;
+                    case 'deactivate': this.setActive(staffId, false); break;
+                    case 'reactivate': this.setActive(staffId, true); break;
+                }
+            });
+        }
+    },
+
+    /**
+     * Reload staff accounts and re-render the list
+     */
+    refresh: async function() {
+        this.staff = await StorageService.getStaff();
+        this.renderStaffList();
+    },
+
+    /**
+     * Count active owners, optionally ignoring one account
+     * @param {string} [exceptId] - Staff ID to leave out
+     * @returns {number} Active owner count
+     */
+    countActiveOwners: function(exceptId = null) {
+        return this.staff.filter(staff =>
+            staff.active && staff.role === AuthService.ROLES.OWNER && staff.id !== exceptId
+        ).length;
+    },
+
+    /**
+     * Render the list of staff accounts
+     */
+    renderStaffList: function() {
+        const staffList = document.getElementById('staff-list');
+        if (!staffList) return;
+
+        staffList.innerHTML = '';
+
+        const staff = [...this.staff].sort((a, b) => (b.active - a.active) || a.name.localeCompare(b.name));
+
+        staff.forEach(account => {
+            const staffCard = document.createElement('div');
+            staffCard.className = `plan-item${account.active ? '' : ' retired'}`;
+
+            const details = document.createElement('div');
+            details.className = 'member-details';
+
+            const title = document.createElement('h3');
+            title.textContent = account.active ? account.name : `${account.name} (Deactivated)`;
+            details.appendChild(title);
+
+            [
+                `Username: ${account.username}`,
+                `Role: ${AuthService.formatRole(account.role)}`,
+                account.specialties ? `Specialties: ${account.specialties}` : null
+            ].filter(Boolean).forEach(text => {
+                const line = document.createElement('p');
+                line.textContent = text;
+                details.appendChild(line);
+            });
+
+            const actions = document.createElement('div');
+            actions.className = 'plan-actions';
+            actions.innerHTML = `
+                <button type="button" data-action="edit">Edit</button>
+                <button type="button" data-action="${account.active ? 'deactivate' : 'reactivate'}">${account.active ? 'Deactivate' : 'Reactivate'}</button>
+            `;
+            actions.querySelectorAll('button').forEach(button => button.setAttribute('data-staff-id', account.id));
+            details.appendChild(actions);
+
+            staffCard.appendChild(details);
+            staffList.appendChild(staffCard);
+        });
+    },
+
+    /**
+     * Load a staff account into the form for editing
+     * @param {string} id - Staff ID
+     */
+    editStaff: function(id) {
+        const account = this.staff.find(staff => staff.id === id);
+        if (!account) return;
+
+        document.getElementById('staff-id').value = account.id;
+        document.getElementById('staff-name-input').value = account.name;
+        document.getElementById('staff-username').value = account.username;
+        document.getElementById('staff-role').value = account.role;
+        document.getElementById('staff-specialties').value = account.specialties || '';
+        document.getElementById('staff-pin').value = '';
+        document.getElementById('staff-pin').required = false;
+        document.getElementById('staff-save-btn').textContent = 'Save Staff Member';
+    },
+
+    /**
+     * Clear the staff form back to "new account" mode
+     */
+    resetForm: function() {
+        document.getElementById('staff-form').reset();
+        document.getElementById('staff-id').value = '';
+        document.getElementById('staff-pin').required = true;
+        document.getElementById('staff-save-btn').textContent = 'Add Staff Member';
+    },
+
+    /**
+     * Handle staff form submission
+     * @param {Event} event - Form submit event
+     */
+    handleSave: async function(event) {
+        event.preventDefault();
+
+        if (!AuthService.require(AuthService.PERMISSIONS.STAFF)) return;
+
+        const id = document.getElementById('staff-id').value;
+        const name = document.getElementById('staff-name-input').value.trim();
+        const username = document.getElementById('staff-username').value.trim().toLowerCase();
+        const role = document.getElementById('staff-role').value;
+        const specialties = document.getElementById('staff-specialties').value.trim();
+        const pin = document.getElementById('staff-pin').value;
+
+        // Validate inputs
+        if (!name || !username || !role) {
+            App.showNotification('Please fill in all required fields', 'error');
+            return;
+        }
+
+        if ((!id || pin) && !AuthService.isValidPin(pin)) {
+            App.showNotification('PIN must be 4 to 8 digits', 'error');
+            return;
+        }
+
+        const taken = await StorageService.getStaffByUsername(username);
+        if (taken && taken.id !== id) {
+            App.showNotification('That username is already in use', 'error');
+            return;
+        }
+
+        const existing = id ? this.staff.find(staff => staff.id === id) : null;
+
+        if (!existing) {
+            await AuthService.createStaff({ name, username, role, pin, specialties });
+            App.showNotification('Staff member added', 'success');
+        } else {
+            if (existing.active && existing.role === AuthService.ROLES.OWNER && role !== AuthService.ROLES.OWNER &&
+                this.countActiveOwners(existing.id) === 0) {
+                App.showNotification('There must always be at least one owner.', 'error');
+                return;
+            }
+
+            let account = { ...existing, name, username, role, specialties };
+            if (pin) {
+                account = { ...account, ...(await AuthService.pinFields(pin)) };
+            }
+
+            await StorageService.saveStaff(account);
+            App.showNotification('Staff member updated', 'success');
+
+            // Keep the header and permissions in step when editing your own account
+            if (account.id === AuthService.currentStaff.id) {
+                AuthService.startSession(account);
+            }
+        }
+
+        this.resetForm();
+        await Promise.all([this.refresh(), TrainersService.refresh()]);
+    },
+
+    /**
+     * Deactivate or reactivate a staff account
+     * Deactivated accounts can't log in but stay on record for past actions
+     * @param {string} id - Staff ID
+     * @param {boolean} active - True to reactivate, false to deactivate
+     */
+    setActive: async function(id, active) {
+        if (!AuthService.require(AuthService.PERMISSIONS.STAFF)) return;
+
+        const account = this.staff.find(staff => staff.id === id);
+        if (!account) return;
+
+        if (!active && account.role === AuthService.ROLES.OWNER && this.countActiveOwners(account.id) === 0) {
+            App.showNotification('There must always be at least one owner.', 'error');
+            return;
+        }
+
+        if (!active && account.id === AuthService.currentStaff.id) {
+            App.showNotification('You cannot deactivate your own account.', 'error');
+            return;
+        }
+
+        await StorageService.saveStaff({ ...account, active });
+        App.showNotification(active ? `${account.name} reactivated` : `${account.name} deactivated`, 'success');
+        await Promise.all([this.refresh(), TrainersService.refresh()]);
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    StaffService.init();
+});
@@ -1,257 +1,2462 @@
 /**
  * Storage Service
- * Handles all local storage operations for the gym attendance system
+ * Handles all IndexedDB operations for the gym attendance system
  */
 
 const StorageService = {
-    // Storage keys
+    // Database settings
+    DB_NAME: 'gym_attendance',
+    DB_VERSION: 11,
+
+    // Object store names
+    STORES: {
+        MEMBERS: 'members',
+        ATTENDANCE: 'attendance',
+        PHOTOS: 'photos',
+        META: 'meta',
+        MEMBERSHIP_HISTORY: 'membershipHistory',
+        PLANS: 'plans',
+        STAFF: 'staff',
+        AUDIT_LOG: 'auditLog',
+        PAYMENTS: 'payments',
+        CLASSES: 'classes',
+        BOOKINGS: 'bookings',
+        PT_SESSIONS: 'ptSessions',
+        SYNC_QUEUE: 'syncQueue',
+        BRANCHES: 'branches'
+    },
+
+    // Stores shared with other devices through sync; meta and the sync queue stay on this device
+    SYNCED_STORES: [
+        'members', 'attendance', 'photos', 'membershipHistory', 'plans', 'staff',
+        'auditLog', 'payments', 'classes', 'bookings', 'ptSessions', 'branches'
+    ],
+
+    // Legacy localStorage keys (migrated on first launch)
     KEYS: {
         MEMBERS: 'gym_members',
         ATTENDANCE: 'gym_attendance',
         COUNTER: 'member_id_counter'
     },
 
+    // Meta store keys
+    META: {
+        COUNTER: 'member_id_counter',
+        MIGRATED: 'migrated_from_local_storage',
+        SETTINGS: 'settings',
+        RECEIPT_COUNTER: 'receipt_counter',
+        PHOTOS_COMPACTED: 'photos_compacted',
+        DEVICE_ID: 'device_id',
+        SYNC_CURSOR: 'sync_cursor',
+        SYNC_SEEDED_URL: 'sync_seeded_url',
+        KIOSK_LOCKOUT: 'kiosk_lockout',
+        LOGIN_LOCKOUT: 'login_lockout'
+    },
+
+    // Audit log action types
+    AUDIT_ACTIONS: {
+        CREATE: 'create',
+        UPDATE: 'update',
+        DELETE: 'delete',
+        CHECK_IN: 'check-in',
+        CHECK_OUT: 'check-out',
+        IMPORT: 'import',
+        MERGE: 'merge',
+        CORRECT: 'correct',
+        VOID: 'void'
+    },
+
+    // Class booking states; booked and waitlisted bookings still hold a place in the session
+    BOOKING_STATUS: {
+        BOOKED: 'booked',
+        WAITLISTED: 'waitlisted',
+        ATTENDED: 'attended',
+        CANCELLED: 'cancelled'
+    },
+
+    // Fields never copied into the audit log
+    AUDIT_HIDDEN_FIELDS: ['pinHash', 'salt', 'kioskPinHash', 'syncToken'],
+
+    // Member IDs start from 1000
+    INITIAL_COUNTER: 1000,
+
+    DEFAULT_PHOTO: 'img/default-profile.png',
+
+    // Cached database connection promise
+    dbPromise: null,
+
+    // True while sync is configured; writes to synced stores are then queued for pushing
+    syncTracking: false,
+
+    // This device's sync ID, created when sync is first configured
+    deviceId: null,
+
+    // Called after a transaction that may have queued changes, set by SyncService
+    onQueued: null,
+
+    // Staff member performing changes, set by AuthService; stamped onto records as performedBy
+    actor: null,
+
+    // Branch this device sits in, set by SettingsService; stamped onto visits and payments as branchId
+    branchId: null,
+
+    /**
+     * Open the database, creating or upgrading object stores as needed
+     * and migrating any legacy localStorage data
+     * @returns {Promise<IDBDatabase>} Open database connection
+     */
+    open: function() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+                request.onupgradeneeded = (event) => {
+                    this.upgrade(request.result, event.oldVersion, request.transaction);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).then(db => this.migrateFromLocalStorage(db)
+                .then(() => this.loadSyncState(db))
+                .then(() => db));
+        }
+
+        return this.dbPromise;
+    },
+
     /**
-     * Initialize storage with default values if not already set
+     * Create object stores and indexes for each schema version
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {number} oldVersion - Version before the upgrade
+     * @param {IDBTransaction} tx - Upgrade transaction, for changing existing stores
      */
-    init: function() {
-        if (!localStorage.getItem(this.KEYS.MEMBERS)) {
-            localStorage.setItem(this.KEYS.MEMBERS, JSON.stringify([]));
+    upgrade: function(db, oldVersion, tx) {
+        if (oldVersion < 1) {
+            db.createObjectStore(this.STORES.MEMBERS, { keyPath: 'id' });
+
+            const attendance = db.createObjectStore(this.STORES.ATTENDANCE, { keyPath: 'id' });
+            attendance.createIndex('memberId', 'memberId');
+            attendance.createIndex('date', 'date');
+            attendance.createIndex('timestamp', 'timestamp');
+
+            db.createObjectStore(this.STORES.PHOTOS, { keyPath: 'memberId' });
+            db.createObjectStore(this.STORES.META, { keyPath: 'key' });
+        }
+
+        if (oldVersion < 2) {
+            const history = db.createObjectStore(this.STORES.MEMBERSHIP_HISTORY, { keyPath: 'id', autoIncrement: true });
+            history.createIndex('memberId', 'memberId');
+        }
+
+        if (oldVersion < 3) {
+            // Seed the catalogue with the plans members were registered on so far
+            const plans = db.createObjectStore(this.STORES.PLANS, { keyPath: 'id' });
+            const createdAt = Clock.now().toISOString();
+            [
+                { id: 'monthly', name: 'Monthly', durationValue: 30 },
+                { id: 'quarterly', name: 'Quarterly', durationValue: 90 },
+                { id: 'halfyearly', name: 'Half Yearly', durationValue: 180 },
+                { id: 'annual', name: 'Annual', durationValue: 365 }
+            ].forEach(plan => plans.put({
+                ...plan,
+                durationUnit: 'days',
+                price: 0,
+                visitCap: null,
+                allowedHours: null,
+                retired: false,
+                createdAt: createdAt
+            }));
         }
-        
-        if (!localStorage.getItem(this.KEYS.ATTENDANCE)) {
-            localStorage.setItem(this.KEYS.ATTENDANCE, JSON.stringify([]));
+
+        if (oldVersion < 4) {
+            const staff = db.createObjectStore(this.STORES.STAFF, { keyPath: 'id' });
+            staff.createIndex('username', 'username', { unique: true });
+        }
+
+        if (oldVersion < 5) {
+            const auditLog = db.createObjectStore(this.STORES.AUDIT_LOG, { keyPath: 'id', autoIncrement: true });
+            auditLog.createIndex('memberId', 'memberId');
+            auditLog.createIndex('timestamp', 'timestamp');
+        }
+
+        if (oldVersion < 6) {
+            const payments = db.createObjectStore(this.STORES.PAYMENTS, { keyPath: 'id', autoIncrement: true });
+            payments.createIndex('memberId', 'memberId');
+            payments.createIndex('date', 'date');
+        }
+
+        if (oldVersion < 7) {
+            db.createObjectStore(this.STORES.CLASSES, { keyPath: 'id' });
+
+            const bookings = db.createObjectStore(this.STORES.BOOKINGS, { keyPath: 'id', autoIncrement: true });
+            bookings.createIndex('memberId', 'memberId');
+            bookings.createIndex('sessionDate', 'sessionDate');
         }
-        
-        if (!localStorage.getItem(this.KEYS.COUNTER)) {
-            localStorage.setItem(this.KEYS.COUNTER, '1000'); // Start member IDs from 1000
+
+        if (oldVersion < 8) {
+            const ptSessions = db.createObjectStore(this.STORES.PT_SESSIONS, { keyPath: 'id', autoIncrement: true });
+            ptSessions.createIndex('memberId', 'memberId');
+            ptSessions.createIndex('timestamp', 'timestamp');
+        }
+
+        if (oldVersion < 9) {
+            db.createObjectStore(this.STORES.SYNC_QUEUE, { keyPath: 'key' });
+
+            // Records pulled into auto-numbered stores get a local key, so find them by their sync ID
+            this.SYNCED_STORES
+                .filter(name => db.objectStoreNames.contains(name))
+                .map(name => tx.objectStore(name))
+                .filter(store => store.autoIncrement)
+                .forEach(store => store.createIndex('syncId', '_sync.id'));
+        }
+
+        if (oldVersion < 10) {
+            db.createObjectStore(this.STORES.BRANCHES, { keyPath: 'id' });
+        }
+
+        if (oldVersion < 11) {
+            // Attendance holds one session per visit, from check-in to check-out
+            const attendance = tx.objectStore(this.STORES.ATTENDANCE);
+            attendance.deleteIndex('timestamp');
+            attendance.createIndex('start', 'start');
+
+            if (oldVersion > 0) {
+                this.migrateToSessions(tx);
+            }
         }
     },
 
     /**
-     * Get all members from storage
-     * @returns {Array} Array of member objects
+     * Pair the separate check-in and check-out records older versions kept into sessions,
+     * and point each member who is checked in at their open session
+     * Check-outs without a check-in are dropped; reports never counted them. On a device that has
+     * synced, the old records are queued for deletion and the sessions for pushing, so the server
+     * and devices pulling from it afresh get sessions too.
+     * @param {IDBTransaction} tx - Upgrade transaction
      */
-    getMembers: function() {
-        return JSON.parse(localStorage.getItem(this.KEYS.MEMBERS) || '[]');
+    migrateToSessions: function(tx) {
+        const attendance = tx.objectStore(this.STORES.ATTENDANCE);
+        const members = tx.objectStore(this.STORES.MEMBERS);
+        const queueStore = tx.objectStore(this.STORES.SYNC_QUEUE);
+
+        tx.objectStore(this.STORES.META).get(this.META.DEVICE_ID).onsuccess = deviceEvent => {
+            const synced = !!deviceEvent.target.result;
+
+            attendance.getAll().onsuccess = event => {
+                const records = event.target.result;
+                const { sessions } = MembershipRules.pairRecords(records);
+                const sessionIds = new Set(sessions.map(session => session.id));
+                const byId = {};
+                const byMember = {};
+                records.forEach(record => {
+                    byId[record.id] = record;
+                });
+
+                attendance.clear();
+                sessions.forEach(session => {
+                    // Each session takes over its check-in record's place on the server
+                    const checkIn = byId[session.id];
+                    const stored = checkIn && checkIn._sync ? { ...session, _sync: checkIn._sync } : session;
+                    attendance.put(stored);
+                    if (synced) this.queueChange(queueStore, attendance, session.id, false, stored);
+                    (byMember[session.memberId] = byMember[session.memberId] || []).push(session);
+                });
+                if (synced) {
+                    records
+                        .filter(record => !sessionIds.has(record.id))
+                        .forEach(record => this.queueChange(queueStore, attendance, record.id, true, record));
+                }
+
+                members.getAll().onsuccess = membersEvent => {
+                    membersEvent.target.result.forEach(member => {
+                        const session = MembershipRules.findOpenSession(byMember[member.id] || []);
+                        const updated = { ...member, openSessionId: session ? session.id : null };
+                        members.put(updated);
+                        if (synced) this.queueChange(queueStore, members, member.id, false, updated);
+                    });
+                };
+            };
+        };
+    },
+
+    /**
+     * Get the ID of the staff member performing changes
+     * @returns {string|null} Staff ID, or null if nobody is logged in
+     */
+    getActorId: function() {
+        return this.actor ? this.actor.id : null;
+    },
+
+    /**
+     * Append an entry to the audit log
+     * Called from inside the transaction making the change, so the two commit or fail together
+     * @param {Object} stores - Stores from a readwrite transaction that includes the audit log
+     * @param {Object} entry - { action, entityType, entityId, memberId, before, after, note }
+     */
+    writeAudit: function(stores, entry) {
+        stores[this.STORES.AUDIT_LOG].add({
+            timestamp: Clock.now().toISOString(),
+            actorId: this.getActorId(),
+            actorName: this.actor ? this.actor.name : null,
+            action: entry.action,
+            entityType: entry.entityType,
+            entityId: entry.entityId,
+            memberId: entry.memberId || null,
+            before: this.redactForAudit(entry.before),
+            after: this.redactForAudit(entry.after),
+            note: entry.note || null
+        });
+    },
+
+    /**
+     * Copy a record for the audit log, masking PINs and other secrets
+     * @param {Object|null} record - Record to copy
+     * @returns {Object|null} Copy safe to keep in the log
+     */
+    redactForAudit: function(record) {
+        if (!record) return null;
+
+        const copy = { ...record };
+        this.AUDIT_HIDDEN_FIELDS.forEach(field => {
+            if (copy[field]) copy[field] = '(hidden)';
+        });
+        return copy;
+    },
+
+    /**
+     * Copy members, attendance and the ID counter out of localStorage
+     * the first time the database is opened, then free the old keys
+     * @param {IDBDatabase} db - Open database connection
+     * @returns {Promise} Resolves once migration is complete
+     */
+    migrateFromLocalStorage: async function(db) {
+        const migrated = await this.runTransaction(db, [this.STORES.META], 'readonly', stores =>
+            this.promisify(stores[this.STORES.META].get(this.META.MIGRATED))
+        );
+        if (migrated) return;
+
+        const members = JSON.parse(localStorage.getItem(this.KEYS.MEMBERS) || '[]');
+        const records = JSON.parse(localStorage.getItem(this.KEYS.ATTENDANCE) || '[]');
+        const counter = parseInt(localStorage.getItem(this.KEYS.COUNTER) || this.INITIAL_COUNTER);
+
+        // Visits were kept as separate check-in and check-out records
+        const { sessions } = MembershipRules.pairRecords(records);
+        const openSession = member => MembershipRules.findOpenSession(sessions.filter(session => session.memberId === member.id));
+
+        const storeNames = [this.STORES.MEMBERS, this.STORES.ATTENDANCE, this.STORES.PHOTOS, this.STORES.META];
+        await this.runTransaction(db, storeNames, 'readwrite', stores => {
+            members.forEach(member => {
+                const { photo, ...rest } = member;
+                const hasPhoto = !!photo && photo !== this.DEFAULT_PHOTO;
+                const session = openSession(member);
+
+                stores[this.STORES.MEMBERS].put({ ...rest, hasPhoto, openSessionId: session ? session.id : null });
+                if (hasPhoto) {
+                    stores[this.STORES.PHOTOS].put({ memberId: member.id, data: photo });
+                }
+            });
+
+            sessions.forEach(session => stores[this.STORES.ATTENDANCE].put(session));
+
+            stores[this.STORES.META].put({ key: this.META.COUNTER, value: counter });
+            stores[this.STORES.META].put({ key: this.META.MIGRATED, value: Clock.now().toISOString() });
+        });
+
+        // Only clear the legacy keys once the data is safely committed
+        localStorage.removeItem(this.KEYS.MEMBERS);
+        localStorage.removeItem(this.KEYS.ATTENDANCE);
+        localStorage.removeItem(this.KEYS.COUNTER);
+    },
+
+    /**
+     * Turn on change tracking before anything is written if this device syncs
+     * @param {IDBDatabase} db - Open database connection
+     * @returns {Promise} Resolves once the sync state is known
+     */
+    loadSyncState: async function(db) {
+        const [settings, device] = await this.runTransaction(db, [this.STORES.META], 'readonly', stores => Promise.all([
+            this.promisify(stores[this.STORES.META].get(this.META.SETTINGS)),
+            this.promisify(stores[this.STORES.META].get(this.META.DEVICE_ID))
+        ]));
+
+        this.syncTracking = !!(settings && settings.value.syncUrl && device);
+        this.deviceId = device ? device.value : null;
+    },
+
+    /**
+     * Wrap an IDBRequest in a promise
+     * @param {IDBRequest} request - Request to wait for
+     * @returns {Promise} Resolves with the request result
+     */
+    promisify: function(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Run work inside a single transaction
+     * @param {IDBDatabase} db - Open database connection
+     * @param {Array<string>} storeNames - Object stores to include
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Called with a map of store name to IDBObjectStore
+     * @returns {Promise} Resolves with the work result once the transaction completes
+     */
+    runTransaction: function(db, storeNames, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = {};
+            storeNames.forEach(name => {
+                stores[name] = tx.objectStore(name);
+            });
+
+            let result;
+            Promise.resolve(work(stores, tx)).then(value => {
+                result = value;
+            }, error => {
+                tx.abort();
+                reject(error);
+            });
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Open the database and run work inside a transaction
+     * @param {Array<string>} storeNames - Object stores to include
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Called with a map of store name to IDBObjectStore
+     * @returns {Promise} Resolves with the work result
+     */
+    transaction: async function(storeNames, mode, work) {
+        const db = await this.open();
+
+        const tracked = mode === 'readwrite' && this.syncTracking &&
+            storeNames.some(name => this.SYNCED_STORES.includes(name));
+        if (!tracked) {
+            return this.runTransaction(db, storeNames, mode, work);
+        }
+
+        const result = await this.runTransaction(db, [...storeNames, this.STORES.SYNC_QUEUE], mode, (stores, tx) => {
+            const queueStore = stores[this.STORES.SYNC_QUEUE];
+            const workStores = {};
+            storeNames.forEach(name => {
+                workStores[name] = this.SYNCED_STORES.includes(name)
+                    ? this.trackStore(stores[name], queueStore)
+                    : stores[name];
+            });
+            return work(workStores, tx);
+        });
+
+        if (this.onQueued) this.onQueued();
+        return result;
+    },
+
+    /**
+     * Wrap an object store so every write is also queued for sync
+     * Reads pass straight through to the store
+     * @param {IDBObjectStore} store - Synced store from a readwrite transaction
+     * @param {IDBObjectStore} queueStore - Sync queue from the same transaction
+     * @returns {Object} Store with tracked put, add, delete and clear
+     */
+    trackStore: function(store, queueStore) {
+        const queue = (record, key, deleted) => {
+            this.queueChange(queueStore, store, this.getSyncId(store, record, key), deleted, record);
+        };
+
+        const write = method => (value, key) => {
+            // Records rebuilt from scratch lose their sync details; carry them over from the stored copy
+            const recordKey = key !== undefined ? key : value[store.keyPath];
+            let previous = null;
+            if (!value._sync && recordKey !== undefined) {
+                const lookup = store.get(recordKey);
+                lookup.addEventListener('success', () => {
+                    previous = lookup.result ? lookup.result._sync : null;
+                });
+            }
+
+            const request = store[method](value, key);
+            request.addEventListener('success', () => {
+                const stamped = previous ? { ...value, _sync: previous } : value;
+                if (previous) store.put(stamped, key);
+                queue(stamped, request.result, false);
+            });
+            return request;
+        };
+
+        const tracked = {
+            put: write('put'),
+            add: write('add'),
+
+            // Read the record first, while it still exists, so the deletion can name it
+            delete: key => {
+                const lookup = store.get(key);
+                lookup.addEventListener('success', () => {
+                    if (lookup.result) queue(lookup.result, key, true);
+                });
+                return store.delete(key);
+            },
+
+            clear: () => {
+                const lookup = store.getAll();
+                lookup.addEventListener('success', () => {
+                    lookup.result.forEach(record => queue(record, record[store.keyPath], true));
+                });
+                return store.clear();
+            }
+        };
+
+        return new Proxy(store, {
+            get: (target, property) => {
+                if (property in tracked) return tracked[property];
+                const value = target[property];
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+        });
+    },
+
+    /**
+     * Work out the ID a record is known by on every device
+     * Natural keys are shared as they are; auto-numbered keys are only unique on the device
+     * that created the record, so they're prefixed with its device ID
+     * @param {IDBObjectStore} store - Store holding the record
+     * @param {Object} record - Record
+     * @param {*} key - Record's key in this store
+     * @returns {string} Sync ID
+     */
+    getSyncId: function(store, record, key) {
+        if (record && record._sync && record._sync.id) return record._sync.id;
+        return store.autoIncrement ? `${this.deviceId}:${key}` : key;
+    },
+
+    /**
+     * Find the local key of a record from its sync ID
+     * @param {IDBObjectStore} store - Store holding the record
+     * @param {string} syncId - Sync ID
+     * @returns {Promise<*>} Local key, or undefined if the record isn't here
+     */
+    findLocalKey: async function(store, syncId) {
+        if (!store.autoIncrement) return syncId;
+
+        const ownPrefix = `${this.deviceId}:`;
+        if (syncId.startsWith(ownPrefix)) {
+            return Number(syncId.slice(ownPrefix.length));
+        }
+        return this.promisify(store.index('syncId').getKey(syncId));
+    },
+
+    /**
+     * Note that a record needs pushing
+     * One entry is kept per record, so repeated edits are pushed once
+     * @param {IDBObjectStore} queueStore - Sync queue
+     * @param {IDBObjectStore} store - Store holding the record
+     * @param {string} syncId - Record's sync ID
+     * @param {boolean} deleted - True if the record was deleted
+     * @param {Object} [record] - Record as written, for the server version it was based on
+     * @param {number} [baseVersion] - Server version the change is based on, if not taken from the record
+     */
+    queueChange: function(queueStore, store, syncId, deleted, record, baseVersion) {
+        queueStore.put({
+            key: `${store.name}/${syncId}`,
+            store: store.name,
+            syncId: syncId,
+            deleted: deleted,
+            baseVersion: baseVersion !== undefined ? baseVersion : (record && record._sync ? record._sync.version : 0),
+            modifiedAt: Clock.now().toISOString()
+        });
     },
 
     /**
-     * Save members to storage
-     * @param {Array} members - Array of member objects
+     * Get all members from storage
+     * @returns {Promise<Array>} Array of member objects
      */
-    saveMembers: function(members) {
-        localStorage.setItem(this.KEYS.MEMBERS, JSON.stringify(members));
+    getMembers: function() {
+        return this.transaction([this.STORES.MEMBERS], 'readonly', stores =>
+            this.promisify(stores[this.STORES.MEMBERS].getAll())
+        );
     },
 
     /**
      * Get a member by ID
      * @param {string} id - Member ID
-     * @returns {Object|null} Member object or null if not found
+     * @returns {Promise<Object|null>} Member object or null if not found
      */
-    getMemberById: function(id) {
-        const members = this.getMembers();
-        return members.find(member => member.id === id) || null;
+    getMemberById: async function(id) {
+        const member = await this.transaction([this.STORES.MEMBERS], 'readonly', stores =>
+            this.promisify(stores[this.STORES.MEMBERS].get(id))
+        );
+        return member || null;
     },
 
     /**
      * Add a new member
      * @param {Object} member - Member object without ID
-     * @returns {Object} Member object with generated ID
-     */
-    addMember: function(member) {
-        const members = this.getMembers();
-        const newId = this.generateMemberId();
-        
-        const newMember = {
-            ...member,
-            id: newId,
-            registrationDate: new Date().toISOString(),
-            lastCheckIn: null,
-            lastCheckOut: null
-        };
-        
-        members.push(newMember);
-        this.saveMembers(members);
-        return newMember;
+     * @param {string|null} [photoData] - Base64 encoded photo data
+     * @returns {Promise<Object>} Member object with generated ID
+     */
+    addMember: function(member, photoData = null) {
+        const storeNames = [this.STORES.MEMBERS, this.STORES.PHOTOS, this.STORES.META, this.STORES.AUDIT_LOG];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const newId = await this.generateMemberId(stores[this.STORES.META]);
+
+            const newMember = {
+                ...member,
+                id: newId,
+                hasPhoto: !!photoData,
+                registrationDate: Clock.now().toISOString(),
+                registeredBy: this.getActorId(),
+                lastCheckIn: null,
+                lastCheckOut: null,
+                openSessionId: null
+            };
+
+            stores[this.STORES.MEMBERS].put(newMember);
+            if (photoData) {
+                stores[this.STORES.PHOTOS].put({ memberId: newId, data: photoData });
+            }
+
+            this.writeAudit(stores, {
+                action: this.AUDIT_ACTIONS.CREATE,
+                entityType: 'member',
+                entityId: newId,
+                memberId: newId,
+                after: newMember
+            });
+            return newMember;
+        });
     },
 
     /**
      * Update an existing member
      * @param {string} id - Member ID
      * @param {Object} updates - Object with properties to update
-     * @returns {Object|null} Updated member object or null if not found
+     * @returns {Promise<Object|null>} Updated member object or null if not found
      */
     updateMember: function(id, updates) {
-        const members = this.getMembers();
-        const index = members.findIndex(member => member.id === id);
-        
-        if (index === -1) return null;
-        
-        members[index] = { ...members[index], ...updates };
-        this.saveMembers(members);
-        return members[index];
+        const storeNames = [this.STORES.MEMBERS, this.STORES.AUDIT_LOG];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const member = await this.promisify(stores[this.STORES.MEMBERS].get(id));
+            if (!member) return null;
+
+            const updatedMember = { ...member, ...updates, updatedBy: this.getActorId() };
+            stores[this.STORES.MEMBERS].put(updatedMember);
+            this.writeAudit(stores, {
+                action: this.AUDIT_ACTIONS.UPDATE,
+                entityType: 'member',
+                entityId: id,
+                memberId: id,
+                before: member,
+                after: updatedMember
+            });
+            return updatedMember;
+        });
     },
 
     /**
-     * Delete a member
+     * Delete a member along with their photo, membership history, payments, class bookings and training sessions
      * @param {string} id - Member ID
-     * @returns {boolean} True if deleted, false if not found
+     * @returns {Promise<boolean>} True if deleted, false if not found
      */
     deleteMember: function(id) {
-        const members = this.getMembers();
-        const initialLength = members.length;
-        const filteredMembers = members.filter(member => member.id !== id);
-        
-        if (filteredMembers.length === initialLength) return false;
-        
-        this.saveMembers(filteredMembers);
-        return true;
+        const storeNames = [
+            this.STORES.MEMBERS,
+            this.STORES.PHOTOS,
+            this.STORES.MEMBERSHIP_HISTORY,
+            this.STORES.PAYMENTS,
+            this.STORES.BOOKINGS,
+            this.STORES.PT_SESSIONS,
+            this.STORES.AUDIT_LOG
+        ];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const member = await this.promisify(stores[this.STORES.MEMBERS].get(id));
+            if (!member) return false;
+
+            this.writeAudit(stores, {
+                action: this.AUDIT_ACTIONS.DELETE,
+                entityType: 'member',
+                entityId: id,
+                memberId: id,
+                before: member
+            });
+
+            stores[this.STORES.MEMBERS].delete(id);
+            stores[this.STORES.PHOTOS].delete(id);
+
+            const historyKeys = await this.promisify(
+                stores[this.STORES.MEMBERSHIP_HISTORY].index('memberId').getAllKeys(id)
+            );
+            historyKeys.forEach(key => stores[this.STORES.MEMBERSHIP_HISTORY].delete(key));
+
+            const paymentKeys = await this.promisify(
+                stores[this.STORES.PAYMENTS].index('memberId').getAllKeys(id)
+            );
+            paymentKeys.forEach(key => stores[this.STORES.PAYMENTS].delete(key));
+
+            const bookingKeys = await this.promisify(
+                stores[this.STORES.BOOKINGS].index('memberId').getAllKeys(id)
+            );
+            bookingKeys.forEach(key => stores[this.STORES.BOOKINGS].delete(key));
+
+            const ptSessionKeys = await this.promisify(
+                stores[this.STORES.PT_SESSIONS].index('memberId').getAllKeys(id)
+            );
+            ptSessionKeys.forEach(key => stores[this.STORES.PT_SESSIONS].delete(key));
+            return true;
+        });
     },
 
     /**
-     * Generate a unique member ID
-     * @returns {string} New unique member ID
+     * Merge a duplicate member into another, moving their attendance, membership history,
+     * payments, class bookings, training sessions and photo across and deleting the duplicate
+     * A session both were booked into keeps only one booking.
+     * @param {string} keepId - ID of the member to keep
+     * @param {string} mergeId - ID of the duplicate to fold in
+     * @returns {Promise<Object|null>} Merged member object or null if either is not found
      */
-    generateMemberId: function() {
-        let counter = parseInt(localStorage.getItem(this.KEYS.COUNTER) || '1000');
-        counter++;
-        localStorage.setItem(this.KEYS.COUNTER, counter.toString());
-        return counter.toString();
+    mergeMembers: function(keepId, mergeId) {
+        const storeNames = [
+            this.STORES.MEMBERS,
+            this.STORES.ATTENDANCE,
+            this.STORES.PHOTOS,
+            this.STORES.MEMBERSHIP_HISTORY,
+            this.STORES.PAYMENTS,
+            this.STORES.BOOKINGS,
+            this.STORES.PT_SESSIONS,
+            this.STORES.AUDIT_LOG
+        ];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const [keep, duplicate] = await Promise.all([
+                this.promisify(stores[this.STORES.MEMBERS].get(keepId)),
+                this.promisify(stores[this.STORES.MEMBERS].get(mergeId))
+            ]);
+            if (!keep || !duplicate) return null;
+
+            const later = (a, b) => (!a ? b : !b ? a : (a > b ? a : b));
+            const earlier = (a, b) => (!a ? b : !b ? a : (a < b ? a : b));
+
+            // The membership that runs longest wins; contact details fill in where the kept record is blank
+            const membership = duplicate.membershipEndDate > keep.membershipEndDate ? duplicate : keep;
+            const merged = {
+                ...keep,
+                email: keep.email || duplicate.email,
+                phone: keep.phone || duplicate.phone,
+                membershipType: membership.membershipType,
+                membershipStartDate: membership.membershipStartDate,
+                membershipEndDate: membership.membershipEndDate,
+                frozenUntil: membership.frozenUntil || null,
+                registrationDate: earlier(keep.registrationDate, duplicate.registrationDate),
+                lastCheckIn: later(keep.lastCheckIn, duplicate.lastCheckIn),
+                lastCheckOut: later(keep.lastCheckOut, duplicate.lastCheckOut),
+                openSessionId: keep.openSessionId || duplicate.openSessionId || null,
+                hasPhoto: keep.hasPhoto || duplicate.hasPhoto,
+                archived: !!(keep.archived && duplicate.archived),
+                archivedAt: keep.archived && duplicate.archived ? keep.archivedAt : null,
+                trainerId: keep.trainerId || duplicate.trainerId || null,
+                ptSessionsRemaining: (keep.ptSessionsRemaining || 0) + (duplicate.ptSessionsRemaining || 0),
+                mergedFrom: [...(keep.mergedFrom || []), duplicate.id],
+                updatedBy: this.getActorId()
+            };
+
+            // Move every record that belongs to the duplicate
+            const moved = [
+                this.STORES.ATTENDANCE,
+                this.STORES.MEMBERSHIP_HISTORY,
+                this.STORES.PAYMENTS,
+                this.STORES.PT_SESSIONS
+            ];
+            for (const storeName of moved) {
+                const records = await this.promisify(stores[storeName].index('memberId').getAll(mergeId));
+                records.forEach(record => stores[storeName].put({ ...record, memberId: keepId }));
+            }
+
+            // Where both were booked into the same session, the further-along booking stays and the other
+            // is cancelled, which may free a place for the waitlist
+            const bookings = stores[this.STORES.BOOKINGS];
+            const status = this.BOOKING_STATUS;
+            const rank = [status.WAITLISTED, status.BOOKED, status.ATTENDED];
+            const kept = (await this.promisify(bookings.index('memberId').getAll(keepId)))
+                .filter(booking => booking.status !== status.CANCELLED);
+
+            for (const booking of await this.promisify(bookings.index('memberId').getAll(mergeId))) {
+                const movedBooking = { ...booking, memberId: keepId };
+                const clash = booking.status !== status.CANCELLED && kept.find(other =>
+                    other.classId === booking.classId && other.sessionDate === booking.sessionDate
+                );
+
+                if (!clash) {
+                    bookings.put(movedBooking);
+                } else if (rank.indexOf(booking.status) > rank.indexOf(clash.status)) {
+                    bookings.put(movedBooking);
+                    kept.splice(kept.indexOf(clash), 1, movedBooking);
+                    await this.cancelBookingIn(stores, clash, `duplicate of ${mergeId}`);
+                } else {
+                    await this.cancelBookingIn(stores, movedBooking, `duplicate of ${keepId}`);
+                }
+            }
+
+            if (!keep.hasPhoto && duplicate.hasPhoto) {
+                const photo = await this.promisify(stores[this.STORES.PHOTOS].get(mergeId));
+                if (photo) {
+                    stores[this.STORES.PHOTOS].put({ ...photo, memberId: keepId });
+                }
+            }
+
+            stores[this.STORES.PHOTOS].delete(mergeId);
+            stores[this.STORES.MEMBERS].delete(mergeId);
+            stores[this.STORES.MEMBERS].put(merged);
+
+            this.writeAudit(stores, {
+                action: this.AUDIT_ACTIONS.MERGE,
+                entityType: 'member',
+                entityId: keepId,
+                memberId: keepId,
+                before: keep,
+                after: merged,
+                note: `merged ${mergeId}`
+            });
+            this.writeAudit(stores, {
+                action: this.AUDIT_ACTIONS.MERGE,
+                entityType: 'member',
+                entityId: mergeId,
+                memberId: mergeId,
+                before: duplicate,
+                note: `merged into ${keepId}`
+            });
+            return merged;
+        });
     },
 
     /**
-     * Get all attendance records
-     * @returns {Array} Array of attendance records
+     * Update a member's membership and append an entry to their membership history
+     * @param {string} id - Member ID
+     * @param {Object|Function} updates - Membership properties to update, or a function building them from the
+     *     stored member, for updates that add to what is already there
+     * @param {Object} entry - History entry describing the change
+     * @returns {Promise<Object|null>} Updated member object or null if not found
      */
-    getAttendance: function() {
-        return JSON.parse(localStorage.getItem(this.KEYS.ATTENDANCE) || '[]');
+    updateMembership: function(id, updates, entry) {
+        const storeNames = [this.STORES.MEMBERS, this.STORES.MEMBERSHIP_HISTORY, this.STORES.AUDIT_LOG];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const member = await this.promisify(stores[this.STORES.MEMBERS].get(id));
+            if (!member) return null;
+
+            const changes = typeof updates === 'function' ? updates(member) : updates;
+            const updatedMember = { ...member, ...changes, updatedBy: this.getActorId() };
+            stores[this.STORES.MEMBERS].put(updatedMember);
+            stores[this.STORES.MEMBERSHIP_HISTORY].add({
+                ...entry,
+                memberId: id,
+                timestamp: Clock.now().toISOString(),
+                performedBy: this.getActorId()
+            });
+            this.writeAudit(stores, {
+                action: this.AUDIT_ACTIONS.UPDATE,
+                entityType: 'member',
+                entityId: id,
+                memberId: id,
+                before: member,
+                after: updatedMember,
+                note: entry.action
+            });
+            return updatedMember;
+        });
     },
 
     /**
-     * Save attendance records
-     * @param {Array} records - Array of attendance records
+     * Add an entry to a member's membership history
+     * @param {string} memberId - Member ID
+     * @param {Object} entry - History entry describing the change
+     * @returns {Promise<number>} Generated history entry ID
      */
-    saveAttendance: function(records) {
-        localStorage.setItem(this.KEYS.ATTENDANCE, JSON.stringify(records));
+    addMembershipHistory: function(memberId, entry) {
+        return this.transaction([this.STORES.MEMBERSHIP_HISTORY], 'readwrite', stores =>
+            this.promisify(stores[this.STORES.MEMBERSHIP_HISTORY].add({
+                ...entry,
+                memberId: memberId,
+                timestamp: Clock.now().toISOString(),
+                performedBy: this.getActorId()
+            }))
+        );
     },
 
     /**
-     * Get attendance records for a specific member
+     * Get a member's membership history
      * @param {string} memberId - Member ID
-     * @returns {Array} Array of attendance records for the member
+     * @returns {Promise<Array>} History entries, newest first
      */
-    getMemberAttendance: function(memberId) {
-        const records = this.getAttendance();
-        return records.filter(record => record.memberId === memberId);
+    getMembershipHistory: async function(memberId) {
+        const entries = await this.transaction([this.STORES.MEMBERSHIP_HISTORY], 'readonly', stores =>
+            this.promisify(stores[this.STORES.MEMBERSHIP_HISTORY].index('memberId').getAll(memberId))
+        );
+        return entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
     },
 
     /**
-     * Record a check-in
-     * @param {string} memberId - Member ID
-     * @returns {Object} Check-in record
+     * Get every member's membership history
+     * @returns {Promise<Array>} All history entries
      */
-    checkIn: function(memberId) {
-        const member = this.getMemberById(memberId);
-        if (!member) return null;
-        
-        const now = new Date();
-        const checkInRecord = {
-            id: Date.now().toString(),
-            memberId: memberId,
-            type: 'check-in',
-            timestamp: now.toISOString(),
-            date: now.toLocaleDateString()
-        };
-        
-        // Update member's last check-in
-        this.updateMember(memberId, { 
-            lastCheckIn: now.toISOString(),
-            lastCheckOut: null // Reset check-out when checking in
+    getAllMembershipHistory: function() {
+        return this.transaction([this.STORES.MEMBERSHIP_HISTORY], 'readonly', stores =>
+            this.promisify(stores[this.STORES.MEMBERSHIP_HISTORY].getAll())
+        );
+    },
+
+    /**
+     * Record a payment and give it the next receipt number
+     * Every device counts receipts from 1, so a device that syncs also stamps them with part of its ID.
+     * @param {Object} payment - { memberId, amount, method, date, periodStart, periodEnd, planId }
+     * @returns {Promise<Object>} Saved payment with ID and receipt number
+     */
+    addPayment: function(payment) {
+        const storeNames = [this.STORES.PAYMENTS, this.STORES.META, this.STORES.AUDIT_LOG];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const entry = await this.promisify(stores[this.STORES.META].get(this.META.RECEIPT_COUNTER));
+            const receiptNumber = (entry ? entry.value : 0) + 1;
+            stores[this.STORES.META].put({ key: this.META.RECEIPT_COUNTER, value: receiptNumber });
+
+            const newPayment = {
+                ...payment,
+                branchId: this.branchId,
+                receiptNumber: receiptNumber,
+                receiptPrefix: this.deviceId ? this.deviceId.slice(-6).toUpperCase() : null,
+                recordedAt: Clock.now().toISOString(),
+                performedBy: this.getActorId()
+            };
+            newPayment.id = await this.promisify(stores[this.STORES.PAYMENTS].add(newPayment));
+
+            this.writeAudit(stores, {
+                action: this.AUDIT_ACTIONS.CREATE,
+                entityType: 'payment',
+                entityId: newPayment.id,
+                memberId: payment.memberId,
+                after: newPayment
+            });
+            return newPayment;
         });
-        
-        // Save attendance record
-        const records = this.getAttendance();
-        records.push(checkInRecord);
-        this.saveAttendance(records);
-        
-        return checkInRecord;
     },
 
     /**
-     * Record a check-out
+     * Get a member's payments
      * @param {string} memberId - Member ID
-     * @returns {Object} Check-out record
-     */
-    checkOut: function(memberId) {
-        const member = this.getMemberById(memberId);
-        if (!member) return null;
-        
-        const now = new Date();
-        const checkOutRecord = {
-            id: Date.now().toString(),
-            memberId: memberId,
-            type: 'check-out',
-            timestamp: now.toISOString(),
-            date: now.toLocaleDateString()
-        };
-        
-        // Update member's last check-out
-        this.updateMember(memberId, { lastCheckOut: now.toISOString() });
-        
-        // Save attendance record
-        const records = this.getAttendance();
-        records.push(checkOutRecord);
-        this.saveAttendance(records);
-        
-        return checkOutRecord;
+     * @returns {Promise<Array>} Payments, newest first
+     */
+    getMemberPayments: async function(memberId) {
+        const payments = await this.transaction([this.STORES.PAYMENTS], 'readonly', stores =>
+            this.promisify(stores[this.STORES.PAYMENTS].index('memberId').getAll(memberId))
+        );
+        return payments.sort((a, b) => b.date.localeCompare(a.date) || b.id - a.id);
     },
 
     /**
-     * Calculate days remaining in membership
-     * @param {Object} member - Member object
-     * @returns {number} Number of days remaining
+     * Get all payments
+     * @returns {Promise<Array>} Array of payments
      */
-    calculateDaysRemaining: function(member) {
-        if (!member || !member.membershipEndDate) return 0;
-        
-        // Get current date with time set to midnight for accurate day calculation
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        const endDate = new Date(member.membershipEndDate);
-        endDate.setHours(0, 0, 0, 0);
-        
-        // Calculate difference in days
-        const diffTime = endDate - today;
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-        
-        return Math.max(0, diffDays); // Don't return negative days
+    getPayments: function() {
+        return this.transaction([this.STORES.PAYMENTS], 'readonly', stores =>
+            this.promisify(stores[this.STORES.PAYMENTS].getAll())
+        );
     },
 
     /**
-     * Get member's current attendance status
-     * @param {Object} member - Member object
-     * @returns {string} Status: 'checked-in', 'checked-out', or 'not-checked-in'
+     * Get payments dated within a range
+     * @param {string} from - First date key, YYYY-MM-DD (inclusive)
+     * @param {string} to - Last date key, YYYY-MM-DD (inclusive)
+     * @returns {Promise<Array>} Payments, oldest first
      */
-    getMemberStatus: function(member) {
-        if (!member) return 'not-checked-in';
-        
-        if (member.lastCheckIn && !member.lastCheckOut) {
-            return 'checked-in';
-        } else if (member.lastCheckOut) {
-            // Check if last check-out is from today
-            const lastCheckOut = new Date(member.lastCheckOut);
-            const today = new Date();
-            
-            if (lastCheckOut.toDateString() === today.toDateString()) {
-                return 'checked-out';
+    getPaymentsBetween: function(from, to) {
+        return this.transaction([this.STORES.PAYMENTS], 'readonly', stores =>
+            this.promisify(stores[this.STORES.PAYMENTS].index('date').getAll(IDBKeyRange.bound(from, to)))
+        );
+    },
+
+    /**
+     * Get saved app settings
+     * @returns {Promise<Object>} Saved settings, or an empty object if none saved
+     */
+    getSettings: async function() {
+        const entry = await this.transaction([this.STORES.META], 'readonly', stores =>
+            this.promisify(stores[this.STORES.META].get(this.META.SETTINGS))
+        );
+        return entry ? entry.value : {};
+    },
+
+    /**
+     * Save app settings
+     * @param {Object} settings - Complete settings object
+     * @returns {Promise<Object>} Saved settings
+     */
+    saveSettings: function(settings) {
+        const storeNames = [this.STORES.META, this.STORES.AUDIT_LOG];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const entry = await this.promisify(stores[this.STORES.META].get(this.META.SETTINGS));
+
+            stores[this.STORES.META].put({ key: this.META.SETTINGS, value: settings });
+            this.writeAudit(stores, {
+                action: this.AUDIT_ACTIONS.UPDATE,
+                entityType: 'settings',
+                entityId: this.META.SETTINGS,
+                before: entry ? entry.value : {},
+                after: settings
+            });
+            return settings;
+        });
+    },
+
+    /**
+     * Get all membership plans, including retired ones
+     * @returns {Promise<Array>} Array of plan objects
+     */
+    getPlans: function() {
+        return this.transaction([this.STORES.PLANS], 'readonly', stores =>
+            this.promisify(stores[this.STORES.PLANS].getAll())
+        );
+    },
+
+    /**
+     * Add or replace a membership plan
+     * @param {Object} plan - Plan object with ID
+     * @returns {Promise<Object>} Saved plan object
+     */
+    savePlan: function(plan) {
+        const storeNames = [this.STORES.PLANS, this.STORES.AUDIT_LOG];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const existing = await this.promisify(stores[this.STORES.PLANS].get(plan.id));
+
+            const savedPlan = { ...plan, updatedBy: this.getActorId() };
+            stores[this.STORES.PLANS].put(savedPlan);
+            this.writeAudit(stores, {
+                action: existing ? this.AUDIT_ACTIONS.UPDATE : this.AUDIT_ACTIONS.CREATE,
+                entityType: 'plan',
+                entityId: plan.id,
+                before: existing,
+                after: savedPlan
+            });
+            return savedPlan;
+        });
+    },
+
+    /**
+     * Get all branches, including retired ones
+     * @returns {Promise<Array>} Array of branch objects
+     */
+    getBranches: function() {
+        return this.transaction([this.STORES.BRANCHES], 'readonly', stores =>
+            this.promisify(stores[this.STORES.BRANCHES].getAll())
+        );
+    },
+
+    /**
+     * Add or replace a branch
+     * The first branch added takes over everything recorded while the gym had a single location:
+     * existing visits, payments and training sessions are assigned to it and it becomes every member's home branch.
+     * @param {Object} branch - Branch object with ID
+     * @returns {Promise<Object>} Saved branch object
+     */
+    saveBranch: function(branch) {
+        const storeNames = [
+            this.STORES.BRANCHES,
+            this.STORES.MEMBERS,
+            this.STORES.ATTENDANCE,
+            this.STORES.PAYMENTS,
+            this.STORES.PT_SESSIONS,
+            this.STORES.AUDIT_LOG
+        ];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const existing = await this.promisify(stores[this.STORES.BRANCHES].get(branch.id));
+            const branchCount = await this.promisify(stores[this.STORES.BRANCHES].count());
+
+            const savedBranch = { ...branch, updatedBy: this.getActorId() };
+            stores[this.STORES.BRANCHES].put(savedBranch);
+            this.writeAudit(stores, {
+                action: existing ? this.AUDIT_ACTIONS.UPDATE : this.AUDIT_ACTIONS.CREATE,
+                entityType: 'branch',
+                entityId: branch.id,
+                before: existing,
+                after: savedBranch
+            });
+
+            if (branchCount === 0) {
+                const assign = async (storeName, field) => {
+                    const records = await this.promisify(stores[storeName].getAll());
+                    records
+                        .filter(record => !record[field])
+                        .forEach(record => stores[storeName].put({ ...record, [field]: branch.id }));
+                };
+                await assign(this.STORES.MEMBERS, 'homeBranchId');
+                await assign(this.STORES.MEMBERS, 'checkInBranchId');
+                await assign(this.STORES.ATTENDANCE, 'branchId');
+                await assign(this.STORES.PAYMENTS, 'branchId');
+                await assign(this.STORES.PT_SESSIONS, 'branchId');
             }
-        }
-        
-        return 'not-checked-in';
-    }
-};
 
-// Initialize storage when the script loads
-StorageService.init();
\ No newline at end of file
+            return savedBranch;
+        });
+    },
+
+    /**
+     * Get all scheduled classes, including retired ones
+     * @returns {Promise<Array>} Array of class objects
+     */
+    getClasses: function() {
+        return this.transaction([this.STORES.CLASSES], 'readonly', stores =>
+            this.promisify(stores[this.STORES.CLASSES].getAll())
+        );
+    },
+
+    /**
+     * Add or replace a scheduled class
+     * @param {Object} cls - Class object with ID
+     * @returns {Promise<Object>} Saved class object
+     */
+    saveClass: function(cls) {
+        const storeNames = [this.STORES.CLASSES, this.STORES.AUDIT_LOG];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const existing = await this.promisify(stores[this.STORES.CLASSES].get(cls.id));
+
+            const savedClass = { ...cls, updatedBy: this.getActorId() };
+            stores[this.STORES.CLASSES].put(savedClass);
+            this.writeAudit(stores, {
+                action: existing ? this.AUDIT_ACTIONS.UPDATE : this.AUDIT_ACTIONS.CREATE,
+                entityType: 'class',
+                entityId: cls.id,
+                before: existing,
+                after: savedClass
+            });
+            return savedClass;
+        });
+    },
+
+    /**
+     * Get all class bookings
+     * @returns {Promise<Array>} Array of booking objects
+     */
+    getBookings: function() {
+        return this.transaction([this.STORES.BOOKINGS], 'readonly', stores =>
+            this.promisify(stores[this.STORES.BOOKINGS].getAll())
+        );
+    },
+
+    /**
+     * Get bookings for sessions on a date
+     * @param {string} sessionDate - Date key (YYYY-MM-DD)
+     * @returns {Promise<Array>} Bookings, oldest first
+     */
+    getBookingsForDate: function(sessionDate) {
+        return this.transaction([this.STORES.BOOKINGS], 'readonly', stores =>
+            this.promisify(stores[this.STORES.BOOKINGS].index('sessionDate').getAll(sessionDate))
+        );
+    },
+
+    /**
+     * Get a member's class bookings
+     * @param {string} memberId - Member ID
+     * @returns {Promise<Array>} Bookings, oldest first
+     */
+    getMemberBookings: function(memberId) {
+        return this.transaction([this.STORES.BOOKINGS], 'readonly', stores =>
+            this.promisify(stores[this.STORES.BOOKINGS].index('memberId').getAll(memberId))
+        );
+    },
+
+    /**
+     * Book a member into a class session, or onto its waitlist once the session is full
+     * Places are counted in the same transaction so two bookings can't take the last place
+     * @param {Object} cls - Class object
+     * @param {string} sessionDate - Date key (YYYY-MM-DD) of the session
+     * @param {string} memberId - Member ID
+     * @returns {Promise<Object>} { booking, existing }; existing is true if the member already held a place
+     */
+    bookSession: function(cls, sessionDate, memberId) {
+        const storeNames = [this.STORES.BOOKINGS, this.STORES.AUDIT_LOG];
+        const status = this.BOOKING_STATUS;
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const sessionBookings = (await this.promisify(
+                stores[this.STORES.BOOKINGS].index('sessionDate').getAll(sessionDate)
+            )).filter(booking => booking.classId === cls.id && booking.status !== status.CANCELLED);
+
+            const held = sessionBookings.find(booking => booking.memberId === memberId);
+            if (held) return { booking: held, existing: true };
+
+            const taken = sessionBookings.filter(booking => booking.status !== status.WAITLISTED).length;
+            const booking = {
+                classId: cls.id,
+                sessionDate: sessionDate,
+                memberId: memberId,
+                status: taken >= cls.capacity ? status.WAITLISTED : status.BOOKED,
+                bookedAt: Clock.now().toISOString(),
+                bookedBy: this.getActorId()
+            };
+            booking.id = await this.promisify(stores[this.STORES.BOOKINGS].add(booking));
+
+            this.writeAudit(stores, {
+                action: this.AUDIT_ACTIONS.CREATE,
+                entityType: 'booking',
+                entityId: booking.id,
+                memberId: memberId,
+                after: booking
+            });
+            return { booking, existing: false };
+        });
+    },
+
+    /**
+     * Cancel a booking; a freed place goes to the first member on the waitlist
+     * @param {number} id - Booking ID
+     * @returns {Promise<Object|null>} { booking, promoted } with the promoted booking or null, or null if not found
+     */
+    cancelBooking: function(id) {
+        const storeNames = [this.STORES.BOOKINGS, this.STORES.AUDIT_LOG];
+        const status = this.BOOKING_STATUS;
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const booking = await this.promisify(stores[this.STORES.BOOKINGS].get(id));
+            if (!booking || booking.status === status.CANCELLED) return null;
+
+            return this.cancelBookingIn(stores, booking, 'cancelled');
+        });
+    },
+
+    /**
+     * Cancel a booking inside a transaction and give a freed place to the first member on the waitlist
+     * @param {Object} stores - Stores from a readwrite transaction that includes bookings and the audit log
+     * @param {Object} booking - Booking to cancel
+     * @param {string} note - Audit note for the cancellation
+     * @returns {Promise<Object>} { booking, promoted } with the promoted booking or null
+     */
+    cancelBookingIn: async function(stores, booking, note) {
+        const status = this.BOOKING_STATUS;
+
+        const cancelled = { ...booking, status: status.CANCELLED, cancelledAt: Clock.now().toISOString(), updatedBy: this.getActorId() };
+        stores[this.STORES.BOOKINGS].put(cancelled);
+        this.writeAudit(stores, {
+            action: this.AUDIT_ACTIONS.UPDATE,
+            entityType: 'booking',
+            entityId: booking.id,
+            memberId: booking.memberId,
+            before: booking,
+            after: cancelled,
+            note: note
+        });
+
+        if (booking.status !== status.BOOKED) return { booking: cancelled, promoted: null };
+
+        const next = (await this.promisify(
+            stores[this.STORES.BOOKINGS].index('sessionDate').getAll(booking.sessionDate)
+        ))
+            .filter(other => other.classId === booking.classId && other.status === status.WAITLISTED)
+            .sort((a, b) => a.id - b.id)[0];
+        if (!next) return { booking: cancelled, promoted: null };
+
+        const promoted = { ...next, status: status.BOOKED, updatedBy: this.getActorId() };
+        stores[this.STORES.BOOKINGS].put(promoted);
+        this.writeAudit(stores, {
+            action: this.AUDIT_ACTIONS.UPDATE,
+            entityType: 'booking',
+            entityId: next.id,
+            memberId: next.memberId,
+            before: next,
+            after: promoted,
+            note: 'off waitlist'
+        });
+        return { booking: cancelled, promoted: promoted };
+    },
+
+    /**
+     * Mark bookings as attended
+     * @param {Array<number>} ids - Booking IDs
+     * @param {string} attendedAt - ISO timestamp of the check-in
+     * @returns {Promise<Array>} Updated bookings
+     */
+    markBookingsAttended: function(ids, attendedAt) {
+        const storeNames = [this.STORES.BOOKINGS, this.STORES.AUDIT_LOG];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const updated = [];
+            for (const id of ids) {
+                const booking = await this.promisify(stores[this.STORES.BOOKINGS].get(id));
+                if (!booking) continue;
+
+                const attended = { ...booking, status: this.BOOKING_STATUS.ATTENDED, attendedAt: attendedAt, updatedBy: this.getActorId() };
+                stores[this.STORES.BOOKINGS].put(attended);
+                this.writeAudit(stores, {
+                    action: this.AUDIT_ACTIONS.UPDATE,
+                    entityType: 'booking',
+                    entityId: id,
+                    memberId: booking.memberId,
+                    before: booking,
+                    after: attended,
+                    note: 'attended'
+                });
+                updated.push(attended);
+            }
+            return updated;
+        });
+    },
+
+    /**
+     * Log a personal training session against a visit, using one of the member's prepaid sessions
+     * @param {Object} session - { memberId, trainerId, attendanceId, durationMinutes, notes }
+     * @returns {Promise<Object>} { session, member, error }; error explains why nothing was logged
+     */
+    logPtSession: function(session) {
+        const storeNames = [this.STORES.MEMBERS, this.STORES.ATTENDANCE, this.STORES.PT_SESSIONS, this.STORES.AUDIT_LOG];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const member = await this.promisify(stores[this.STORES.MEMBERS].get(session.memberId));
+            if (!member) return { session: null, member: null, error: 'Member not found.' };
+
+            const remaining = member.ptSessionsRemaining || 0;
+            if (remaining < 1) {
+                return { session: null, member, error: 'No prepaid training sessions left. Sell a session pack first.' };
+            }
+
+            const logged = (await this.promisify(stores[this.STORES.PT_SESSIONS].index('memberId').getAll(session.memberId)))
+                .some(other => other.attendanceId === session.attendanceId);
+            if (logged) {
+                return { session: null, member, error: 'A training session is already logged for that visit.' };
+            }
+
+            const visit = await this.promisify(stores[this.STORES.ATTENDANCE].get(session.attendanceId));
+            if (!visit || visit.memberId !== session.memberId || !MembershipRules.isCounted(visit)) {
+                return { session: null, member, error: 'That visit is not one of this member\'s, or has been voided.' };
+            }
+
+            // The session counts towards the branch the visit was at
+            const newSession = {
+                ...session,
+                branchId: visit.branchId || null,
+                timestamp: Clock.now().toISOString(),
+                loggedBy: this.getActorId()
+            };
+            newSession.id = await this.promisify(stores[this.STORES.PT_SESSIONS].add(newSession));
+
+            const updatedMember = { ...member, ptSessionsRemaining: remaining - 1, updatedBy: this.getActorId() };
+            stores[this.STORES.MEMBERS].put(updatedMember);
+
+            this.writeAudit(stores, {
+                action: this.AUDIT_ACTIONS.CREATE,
+                entityType: 'pt-session',
+                entityId: newSession.id,
+                memberId: session.memberId,
+                after: newSession
+            });
+            this.writeAudit(stores, {
+                action: this.AUDIT_ACTIONS.UPDATE,
+                entityType: 'member',
+                entityId: member.id,
+                memberId: member.id,
+                before: member,
+                after: updatedMember,
+                note: 'pt-session'
+            });
+            return { session: newSession, member: updatedMember, error: null };
+        });
+    },
+
+    /**
+     * Get a member's personal training sessions
+     * @param {string} memberId - Member ID
+     * @returns {Promise<Array>} Sessions, oldest first
+     */
+    getMemberPtSessions: async function(memberId) {
+        const sessions = await this.transaction([this.STORES.PT_SESSIONS], 'readonly', stores =>
+            this.promisify(stores[this.STORES.PT_SESSIONS].index('memberId').getAll(memberId))
+        );
+        return sessions.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    },
+
+    /**
+     * Get all personal training sessions
+     * @returns {Promise<Array>} Sessions, oldest first
+     */
+    getPtSessions: function() {
+        return this.transaction([this.STORES.PT_SESSIONS], 'readonly', stores =>
+            this.promisify(stores[this.STORES.PT_SESSIONS].index('timestamp').getAll())
+        );
+    },
+
+    /**
+     * Get personal training sessions logged within a time range
+     * @param {Date} start - Range start (inclusive)
+     * @param {Date} end - Range end (exclusive)
+     * @returns {Promise<Array>} Sessions, oldest first
+     */
+    getPtSessionsBetween: function(start, end) {
+        const range = IDBKeyRange.bound(start.toISOString(), end.toISOString(), false, true);
+
+        return this.transaction([this.STORES.PT_SESSIONS], 'readonly', stores =>
+            this.promisify(stores[this.STORES.PT_SESSIONS].index('timestamp').getAll(range))
+        );
+    },
+
+    /**
+     * Get every stored photo
+     * @returns {Promise<Object>} Photo data URLs keyed by member ID
+     */
+    getAllPhotos: async function() {
+        const entries = await this.transaction([this.STORES.PHOTOS], 'readonly', stores =>
+            this.promisify(stores[this.STORES.PHOTOS].getAll())
+        );
+
+        const photos = {};
+        entries.forEach(entry => {
+            photos[entry.memberId] = entry.data;
+        });
+        return photos;
+    },
+
+    /**
+     * Get the IDs of members who have a stored photo, without loading the photos
+     * @returns {Promise<Array<string>>} Member IDs
+     */
+    getPhotoMemberIds: function() {
+        return this.transaction([this.STORES.PHOTOS], 'readonly', stores =>
+            this.promisify(stores[this.STORES.PHOTOS].getAllKeys())
+        );
+    },
+
+    /**
+     * Replace stored photo images, e.g. with resized copies
+     * The member records are unchanged, so the audit log gets a single summary entry
+     * @param {Object} photos - Photo data URLs keyed by member ID
+     * @returns {Promise<number>} Number of photos replaced
+     */
+    replacePhotos: function(photos) {
+        const memberIds = Object.keys(photos);
+        if (memberIds.length === 0) return Promise.resolve(0);
+
+        const storeNames = [this.STORES.PHOTOS, this.STORES.AUDIT_LOG];
+
+        return this.transaction(storeNames, 'readwrite', stores => {
+            memberIds.forEach(memberId => stores[this.STORES.PHOTOS].put({ memberId: memberId, data: photos[memberId] }));
+            this.writeAudit(stores, {
+                action: this.AUDIT_ACTIONS.UPDATE,
+                entityType: 'photo',
+                entityId: null,
+                note: `resized ${memberIds.length} photos`
+            });
+            return memberIds.length;
+        });
+    },
+
+    /**
+     * Read a value from the meta store
+     * @param {string} key - One of META
+     * @returns {Promise<*>} Stored value, or null if unset
+     */
+    getMeta: async function(key) {
+        const entry = await this.transaction([this.STORES.META], 'readonly', stores =>
+            this.promisify(stores[this.STORES.META].get(key))
+        );
+        return entry ? entry.value : null;
+    },
+
+    /**
+     * Write a value to the meta store
+     * @param {string} key - One of META
+     * @param {*} value - Value to store
+     * @returns {Promise<void>}
+     */
+    setMeta: function(key, value) {
+        return this.transaction([this.STORES.META], 'readwrite', stores => {
+            stores[this.STORES.META].put({ key: key, value: value });
+        });
+    },
+
+    /**
+     * Get the last issued member ID number
+     * @returns {Promise<number>} Current member ID counter
+     */
+    getCounter: async function() {
+        const entry = await this.transaction([this.STORES.META], 'readonly', stores =>
+            this.promisify(stores[this.STORES.META].get(this.META.COUNTER))
+        );
+        return entry ? entry.value : this.INITIAL_COUNTER;
+    },
+
+    /**
+     * Get this device's sync ID, creating it the first time
+     * @returns {Promise<string>} Device ID
+     */
+    getDeviceId: function() {
+        return this.transaction([this.STORES.META], 'readwrite', async stores => {
+            const entry = await this.promisify(stores[this.STORES.META].get(this.META.DEVICE_ID));
+            if (entry) return entry.value;
+
+            const bytes = crypto.getRandomValues(new Uint8Array(6));
+            const deviceId = `device-${Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')}`;
+            stores[this.STORES.META].put({ key: this.META.DEVICE_ID, value: deviceId });
+            return deviceId;
+        });
+    },
+
+    /**
+     * Count changes waiting to be pushed
+     * @returns {Promise<number>} Queued change count
+     */
+    countQueuedChanges: function() {
+        return this.transaction([this.STORES.SYNC_QUEUE], 'readonly', stores =>
+            this.promisify(stores[this.STORES.SYNC_QUEUE].count())
+        );
+    },
+
+    /**
+     * Queue every synced record for pushing, e.g. when this device first joins a sync server
+     * Records already on the server keep their version, so only genuine differences conflict
+     * @returns {Promise<number>} Records queued
+     */
+    queueAllForSync: function() {
+        const storeNames = [...this.SYNCED_STORES, this.STORES.SYNC_QUEUE];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            let queued = 0;
+            for (const name of this.SYNCED_STORES) {
+                const store = stores[name];
+                const records = await this.promisify(store.getAll());
+                records.forEach(record => {
+                    const syncId = this.getSyncId(store, record, record[store.keyPath]);
+                    this.queueChange(stores[this.STORES.SYNC_QUEUE], store, syncId, false, record);
+                    queued++;
+                });
+            }
+            return queued;
+        });
+    },
+
+    /**
+     * Read a batch of queued changes along with the records they refer to
+     * @param {string|null} afterKey - Queue key to continue after, or null to start from the beginning
+     * @param {number} limit - Largest batch to return
+     * @returns {Promise<Array>} Changes in the form the sync server accepts, each with its queue key
+     */
+    getQueuedChanges: function(afterKey, limit) {
+        const storeNames = [...this.SYNCED_STORES, this.STORES.SYNC_QUEUE];
+        const range = afterKey === null ? null : IDBKeyRange.lowerBound(afterKey, true);
+
+        return this.transaction(storeNames, 'readonly', async stores => {
+            const entries = await this.promisify(stores[this.STORES.SYNC_QUEUE].getAll(range, limit));
+            const changes = [];
+
+            for (const entry of entries) {
+                const store = stores[entry.store];
+                const localKey = entry.deleted ? undefined : await this.findLocalKey(store, entry.syncId);
+                const record = localKey === undefined ? null : await this.promisify(store.get(localKey));
+
+                // Strip the local key and sync details; other devices keep their own
+                let payload = null;
+                if (record) {
+                    const { _sync, ...rest } = record;
+                    if (store.autoIncrement) delete rest[store.keyPath];
+                    payload = rest;
+                }
+
+                changes.push({
+                    queueKey: entry.key,
+                    store: entry.store,
+                    id: entry.syncId,
+                    baseVersion: entry.baseVersion,
+                    deleted: !record,
+                    record: payload,
+                    modifiedAt: entry.modifiedAt
+                });
+            }
+            return changes;
+        });
+    },
+
+    /**
+     * Record the versions the server gave to pushed changes
+     * A change edited again while the push was in flight stays queued, now based on the new version
+     * @param {Array} sent - Changes as pushed, from getQueuedChanges
+     * @param {Array} accepted - { store, id, version } for each change the server accepted
+     * @returns {Promise<void>}
+     */
+    acknowledgeChanges: async function(sent, accepted) {
+        const storeNames = [...this.SYNCED_STORES, this.STORES.SYNC_QUEUE];
+        const db = await this.open();
+
+        // Bypass tracking: stamping versions isn't a change to push
+        return this.runTransaction(db, storeNames, 'readwrite', async stores => {
+            const queueStore = stores[this.STORES.SYNC_QUEUE];
+
+            for (const result of accepted) {
+                const change = sent.find(item => item.store === result.store && item.id === result.id);
+                if (!change) continue;
+
+                const entry = await this.promisify(queueStore.get(change.queueKey));
+                if (entry && entry.modifiedAt === change.modifiedAt) {
+                    queueStore.delete(change.queueKey);
+                } else if (entry) {
+                    queueStore.put({ ...entry, baseVersion: result.version });
+                }
+
+                const store = stores[result.store];
+                const localKey = await this.findLocalKey(store, result.id);
+                const record = localKey === undefined ? null : await this.promisify(store.get(localKey));
+                if (record) {
+                    store.put({ ...record, _sync: { id: result.id, version: result.version } });
+                }
+            }
+        });
+    },
+
+    /**
+     * Apply changes pulled from the sync server and save the new cursor
+     * A record with a queued local change keeps whichever side changed last. A member this device
+     * registered but never pushed loses its ID to one already on the server and is renumbered.
+     * Likewise a local staff account whose username arrives from another device is renamed.
+     * Audit log entries are only ever added, never edited or deleted.
+     * @param {Array} changes - { store, id, version, deleted, record, modifiedAt, deviceId }
+     * @param {number} cursor - Server cursor after these changes
+     * @returns {Promise<Object>} { renumbered, renamed }, each a list of { name, from, to }
+     */
+    applyRemoteChanges: async function(changes, cursor) {
+        const storeNames = [...this.SYNCED_STORES, this.STORES.SYNC_QUEUE, this.STORES.META];
+        const db = await this.open();
+
+        // Bypass tracking: pulled changes are already on the server
+        return this.runTransaction(db, storeNames, 'readwrite', async stores => {
+            const queueStore = stores[this.STORES.SYNC_QUEUE];
+            const metaStore = stores[this.STORES.META];
+            const renumbered = [];
+            const renamed = [];
+
+            // Keep new registrations clear of member IDs issued on other devices
+            const counterEntry = await this.promisify(metaStore.get(this.META.COUNTER));
+            const counter = changes
+                .filter(change => change.store === this.STORES.MEMBERS)
+                .map(change => parseInt(change.id, 10))
+                .filter(id => !isNaN(id))
+                .reduce((max, id) => Math.max(max, id), counterEntry ? counterEntry.value : this.INITIAL_COUNTER);
+            metaStore.put({ key: this.META.COUNTER, value: counter });
+
+            for (const change of changes) {
+                if (!this.SYNCED_STORES.includes(change.store)) continue;
+                const store = stores[change.store];
+
+                let localKey = await this.findLocalKey(store, change.id);
+                let local = localKey === undefined ? null : await this.promisify(store.get(localKey));
+                const entry = await this.promisify(queueStore.get(`${change.store}/${change.id}`));
+
+                // The audit log only grows: an entry, once here, is never changed or removed from elsewhere
+                if (change.store === this.STORES.AUDIT_LOG && (change.deleted || local)) continue;
+
+                if (entry) {
+                    if (entry.baseVersion >= change.version) continue;
+
+                    const idCollision = change.store === this.STORES.MEMBERS && entry.baseVersion === 0 &&
+                        local && !entry.deleted && !change.deleted && change.deviceId !== this.deviceId;
+
+                    if (idCollision) {
+                        renumbered.push(await this.renumberMember(stores, local));
+                        local = null;
+                    } else if (entry.modifiedAt > change.modifiedAt) {
+                        // The local change is newer: keep it and push it again on top of the remote version
+                        queueStore.put({ ...entry, baseVersion: change.version });
+                        if (local) {
+                            store.put({ ...local, _sync: { id: change.id, version: change.version } });
+                        }
+                        continue;
+                    } else {
+                        queueStore.delete(entry.key);
+                    }
+                }
+
+                if (change.deleted) {
+                    if (local) store.delete(localKey);
+                    continue;
+                }
+
+                // A device still on separate check-in and check-out records pushed this one
+                if (change.store === this.STORES.ATTENDANCE && change.record.start === undefined) {
+                    await this.applyLegacyAttendance(stores, change);
+                    continue;
+                }
+
+                const record = { ...change.record, _sync: { id: change.id, version: change.version } };
+                if (store.autoIncrement) {
+                    delete record[store.keyPath];
+                    if (local) record[store.keyPath] = localKey;
+                }
+
+                // Members from devices before sessions don't say which session they are in
+                if (change.store === this.STORES.MEMBERS && record.openSessionId === undefined) {
+                    const sessions = await this.promisify(stores[this.STORES.ATTENDANCE].index('memberId').getAll(record.id));
+                    const open = MembershipRules.findOpenSession(sessions);
+                    record.openSessionId = open ? open.id : null;
+                }
+
+                // Usernames are unique, so a clashing local account steps aside
+                if (change.store === this.STORES.STAFF) {
+                    const clash = await this.promisify(store.index('username').get(record.username));
+                    if (clash && clash.id !== record.id) {
+                        const username = `${clash.username}-${clash.id.slice(-4)}`;
+                        store.put({ ...clash, username });
+                        this.queueChange(queueStore, store, clash.id, false, clash);
+                        renamed.push({ name: clash.name, from: clash.username, to: username });
+                    }
+                }
+
+                store.put(record);
+            }
+
+            metaStore.put({ key: this.META.SYNC_CURSOR, value: cursor });
+            return { renumbered, renamed };
+        });
+    },
+
+    /**
+     * Turn a pulled check-in or check-out record, in the format versions before sessions used, into a session
+     * A check-in starts a session under its own ID; a check-out closes the member's open session and
+     * is then deleted. The sessions and the member's status are queued, so the server ends up holding them too.
+     * @param {Object} stores - Stores from the applyRemoteChanges transaction
+     * @param {Object} change - Pulled change whose record has a type and timestamp rather than a start
+     */
+    applyLegacyAttendance: async function(stores, change) {
+        const attendance = stores[this.STORES.ATTENDANCE];
+        const queueStore = stores[this.STORES.SYNC_QUEUE];
+        const record = change.record;
+
+        const sessions = await this.promisify(attendance.index('memberId').getAll(record.memberId));
+        if (record.type === 'check-in') {
+            if (sessions.some(session => session.id === change.id)) return;
+
+            const session = MembershipRules.startSession({
+                id: change.id,
+                memberId: record.memberId,
+                start: record.timestamp,
+                branchId: record.branchId,
+                checkedInBy: record.performedBy
+            });
+            attendance.put({ ...session, _sync: { id: change.id, version: change.version } });
+            this.queueChange(queueStore, attendance, change.id, false, null, change.version);
+            sessions.push(session);
+        } else {
+            this.queueChange(queueStore, attendance, change.id, true, null, change.version);
+
+            // Check-outs without a check-in are dropped, as when this device moved to sessions
+            const open = MembershipRules.findOpenSession(sessions);
+            if (!open || open.start > record.timestamp) return;
+
+            const closed = MembershipRules.endSession(open, record.timestamp, {
+                checkedOutBy: record.performedBy,
+                automatic: record.automatic
+            });
+            attendance.put(closed);
+            this.queueChange(queueStore, attendance, closed.id, false, closed);
+            sessions.splice(sessions.indexOf(open), 1, closed);
+        }
+
+        // The member's record on the server doesn't say which session they are in either
+        const member = await this.promisify(stores[this.STORES.MEMBERS].get(record.memberId));
+        if (member) {
+            const updated = { ...member, ...MembershipRules.attendanceFields(sessions) };
+            stores[this.STORES.MEMBERS].put(updated);
+            this.queueChange(queueStore, stores[this.STORES.MEMBERS], member.id, false, updated);
+        }
+    },
+
+    /**
+     * Move a member this device registered, but never pushed, to a new ID
+     * Their visits, history, payments, bookings, training sessions, audit entries and photo move
+     * with them. Only records still queued here are moved; anything already pulled for the old ID
+     * belongs to the member on the server.
+     * @param {Object} stores - Stores from the applyRemoteChanges transaction
+     * @param {Object} member - Member to renumber
+     * @returns {Promise<Object>} { name, from, to }
+     */
+    renumberMember: async function(stores, member) {
+        const queueStore = stores[this.STORES.SYNC_QUEUE];
+        const oldId = member.id;
+        const newId = await this.generateMemberId(stores[this.STORES.META]);
+
+        const isQueued = async (store, record) => {
+            const syncId = this.getSyncId(store, record, record[store.keyPath]);
+            return !!(await this.promisify(queueStore.get(`${store.name}/${syncId}`)));
+        };
+
+        const membersStore = stores[this.STORES.MEMBERS];
+        membersStore.delete(oldId);
+        queueStore.delete(`${this.STORES.MEMBERS}/${oldId}`);
+        const { _sync, ...memberFields } = member;
+        membersStore.put({ ...memberFields, id: newId });
+        this.queueChange(queueStore, membersStore, newId, false, null, 0);
+
+        const photosStore = stores[this.STORES.PHOTOS];
+        const photo = await this.promisify(photosStore.get(oldId));
+        if (photo && await isQueued(photosStore, photo)) {
+            photosStore.delete(oldId);
+            queueStore.delete(`${this.STORES.PHOTOS}/${oldId}`);
+            photosStore.put({ memberId: newId, data: photo.data });
+            this.queueChange(queueStore, photosStore, newId, false, null, 0);
+        }
+
+        const related = [
+            this.STORES.ATTENDANCE,
+            this.STORES.MEMBERSHIP_HISTORY,
+            this.STORES.PAYMENTS,
+            this.STORES.BOOKINGS,
+            this.STORES.PT_SESSIONS,
+            this.STORES.AUDIT_LOG
+        ];
+        for (const name of related) {
+            const store = stores[name];
+            const records = await this.promisify(store.index('memberId').getAll(oldId));
+            for (const record of records) {
+                if (!(await isQueued(store, record))) continue;
+
+                store.put({ ...record, memberId: newId });
+                this.queueChange(queueStore, store, this.getSyncId(store, record, record[store.keyPath]), false, record);
+            }
+        }
+
+        return { name: member.name, from: oldId, to: newId };
+    },
+
+    /**
+     * Import validated members and attendance records in a single transaction
+     * In 'merge' mode, a member whose ID is already taken by a different member is given
+     * a new ID from the counter and their attendance is remapped to it. A member with the
+     * same registration date and name is treated as already imported and left untouched,
+     * as is an attendance session with the same member and start time.
+     * In 'replace' mode all existing members, photos, attendance, history, payments, bookings and
+     * training sessions are cleared first; the audit log is never cleared.
+     * Plans, classes and branches are added only when none with the same ID exists.
+     * Any sync details in the file are dropped, so imported records sync as new ones.
+     * @param {Object} data - { members, attendance, membershipHistory, plans, payments, classes, bookings,
+     *     ptSessions, branches, counter }; members may carry a photo data URL and records a source
+     *     label used in error messages
+     * @param {string} mode - 'merge' or 'replace'
+     * @returns {Promise<Object>} Summary of what was added, renumbered and skipped
+     */
+    importData: function(data, mode) {
+        const storeNames = [
+            this.STORES.MEMBERS,
+            this.STORES.ATTENDANCE,
+            this.STORES.PHOTOS,
+            this.STORES.META,
+            this.STORES.MEMBERSHIP_HISTORY,
+            this.STORES.PLANS,
+            this.STORES.PAYMENTS,
+            this.STORES.CLASSES,
+            this.STORES.BOOKINGS,
+            this.STORES.PT_SESSIONS,
+            this.STORES.BRANCHES,
+            this.STORES.AUDIT_LOG
+        ];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const summary = {
+                membersAdded: 0,
+                membersRenumbered: 0,
+                membersSkipped: 0,
+                attendanceAdded: 0,
+                attendanceSkipped: 0,
+                paymentsAdded: 0,
+                bookingsAdded: 0,
+                ptSessionsAdded: 0,
+                errors: []
+            };
+
+            if (mode === 'replace') {
+                stores[this.STORES.MEMBERS].clear();
+                stores[this.STORES.ATTENDANCE].clear();
+                stores[this.STORES.PHOTOS].clear();
+                stores[this.STORES.MEMBERSHIP_HISTORY].clear();
+                stores[this.STORES.PAYMENTS].clear();
+                stores[this.STORES.BOOKINGS].clear();
+                stores[this.STORES.PT_SESSIONS].clear();
+            }
+
+            // Members are recognised across devices by registration time and name,
+            // since their ID may have been renumbered by an earlier import
+            const identity = member => `${member.registrationDate}|${member.name}`;
+            const existingMembers = {};
+            const existingIdentities = {};
+            if (mode !== 'replace') {
+                const members = await this.promisify(stores[this.STORES.MEMBERS].getAll());
+                members.forEach(member => {
+                    existingMembers[member.id] = member;
+                    existingIdentities[identity(member)] = member.id;
+                });
+            }
+
+            const counterEntry = await this.promisify(stores[this.STORES.META].get(this.META.COUNTER));
+            let counter = Math.max(
+                counterEntry && mode !== 'replace' ? counterEntry.value : this.INITIAL_COUNTER,
+                data.counter || this.INITIAL_COUNTER
+            );
+
+            // Keep the counter ahead of every numeric ID so new members never collide
+            const numericIds = data.members.map(member => parseInt(member.id, 10)).filter(id => !isNaN(id));
+            Object.keys(existingMembers).forEach(id => {
+                if (!isNaN(parseInt(id, 10))) numericIds.push(parseInt(id, 10));
+            });
+            counter = Math.max(counter, ...numericIds);
+
+            const idMap = {};
+            const addedIds = new Set();
+            data.members.forEach(imported => {
+                const { photo, source, _sync, ...member } = imported;
+                const existing = existingMembers[member.id];
+                const knownId = existingIdentities[identity(member)];
+
+                if (knownId) {
+                    idMap[member.id] = knownId;
+                    summary.membersSkipped++;
+                    return;
+                }
+
+                let id = member.id;
+                if (!id || existing) {
+                    counter++;
+                    id = counter.toString();
+                    summary.membersRenumbered++;
+                }
+                idMap[member.id] = id;
+
+                const hasPhoto = !!photo && photo !== this.DEFAULT_PHOTO;
+                const newMember = { ...member, id, hasPhoto };
+                existingMembers[id] = newMember;
+                addedIds.add(id);
+                existingIdentities[identity(newMember)] = id;
+
+                stores[this.STORES.MEMBERS].put(newMember);
+                if (hasPhoto) {
+                    stores[this.STORES.PHOTOS].put({ memberId: id, data: photo });
+                }
+                summary.membersAdded++;
+            });
+
+            const existingRecords = mode === 'replace'
+                ? []
+                : await this.promisify(stores[this.STORES.ATTENDANCE].getAll());
+            const existingRecordIds = new Set(existingRecords.map(record => record.id));
+            const existingRecordKeys = new Set(existingRecords.map(record => `${record.memberId}|${record.start}`));
+            const importedSessions = {};
+
+            data.attendance.forEach(imported => {
+                const memberId = idMap[imported.memberId] || (existingMembers[imported.memberId] ? imported.memberId : null);
+                if (!memberId) {
+                    summary.errors.push(`${imported.source}: member ${imported.memberId} does not exist`);
+                    return;
+                }
+
+                const { source, _sync, ...record } = imported;
+                if (existingRecordKeys.has(`${memberId}|${record.start}`)) {
+                    summary.attendanceSkipped++;
+                    return;
+                }
+
+                let id = record.id;
+                while (existingRecordIds.has(id)) {
+                    id = `${record.id}-${Math.random().toString(36).slice(2, 8)}`;
+                }
+                existingRecordIds.add(id);
+                existingRecordKeys.add(`${memberId}|${record.start}`);
+
+                const session = { ...record, id, memberId };
+                stores[this.STORES.ATTENDANCE].put(session);
+                (importedSessions[memberId] = importedSessions[memberId] || []).push(session);
+                summary.attendanceAdded++;
+            });
+
+            // Imported members are checked in only if their open session came with them
+            addedIds.forEach(id => {
+                const session = MembershipRules.findOpenSession(importedSessions[id] || []);
+                stores[this.STORES.MEMBERS].put({ ...existingMembers[id], openSessionId: session ? session.id : null });
+            });
+
+            (data.membershipHistory || []).forEach(imported => {
+                const { id, source, _sync, ...entry } = imported;
+                const memberId = idMap[entry.memberId];
+
+                // History of skipped members is already stored
+                if (addedIds.has(memberId)) {
+                    stores[this.STORES.MEMBERSHIP_HISTORY].add({ ...entry, memberId });
+                }
+            });
+
+            // Payments of skipped members are already stored too; receipt numbers are kept as issued
+            (data.payments || []).forEach(imported => {
+                const { id, source, _sync, ...payment } = imported;
+                const memberId = idMap[payment.memberId];
+
+                if (addedIds.has(memberId)) {
+                    stores[this.STORES.PAYMENTS].add({ ...payment, memberId });
+                    summary.paymentsAdded++;
+                }
+            });
+
+            // Keep new receipt numbers ahead of imported ones
+            const receiptEntry = await this.promisify(stores[this.STORES.META].get(this.META.RECEIPT_COUNTER));
+            const receiptCounter = Math.max(
+                receiptEntry ? receiptEntry.value : 0,
+                ...(data.payments || []).map(payment => Number(payment.receiptNumber) || 0)
+            );
+            stores[this.STORES.META].put({ key: this.META.RECEIPT_COUNTER, value: receiptCounter });
+
+            const existingPlanIds = new Set(await this.promisify(stores[this.STORES.PLANS].getAllKeys()));
+            (data.plans || []).forEach(({ _sync, ...plan }) => {
+                if (!existingPlanIds.has(plan.id)) {
+                    stores[this.STORES.PLANS].put(plan);
+                }
+            });
+
+            const existingBranchIds = new Set(await this.promisify(stores[this.STORES.BRANCHES].getAllKeys()));
+            (data.branches || []).forEach(({ _sync, ...branch }) => {
+                if (!existingBranchIds.has(branch.id)) {
+                    stores[this.STORES.BRANCHES].put(branch);
+                }
+            });
+
+            const existingClassIds = new Set(await this.promisify(stores[this.STORES.CLASSES].getAllKeys()));
+            (data.classes || []).forEach(({ _sync, ...cls }) => {
+                if (!existingClassIds.has(cls.id)) {
+                    stores[this.STORES.CLASSES].put(cls);
+                }
+            });
+
+            // As with payments, bookings are only added for members added by this import
+            (data.bookings || []).forEach(imported => {
+                const { id, source, _sync, ...booking } = imported;
+                const memberId = idMap[booking.memberId];
+
+                if (addedIds.has(memberId)) {
+                    stores[this.STORES.BOOKINGS].add({ ...booking, memberId });
+                    summary.bookingsAdded++;
+                }
+            });
+
+            (data.ptSessions || []).forEach(imported => {
+                const { id, source, _sync, ...session } = imported;
+                const memberId = idMap[session.memberId];
+
+                if (addedIds.has(memberId)) {
+                    stores[this.STORES.PT_SESSIONS].add({ ...session, memberId });
+                    summary.ptSessionsAdded++;
+                }
+            });
+
+            stores[this.STORES.META].put({ key: this.META.COUNTER, value: counter });
+
+            // One entry for the whole import; the imported records themselves are in the file
+            const { errors, ...counts } = summary;
+            this.writeAudit(stores, {
+                action: this.AUDIT_ACTIONS.IMPORT,
+                entityType: 'data',
+                entityId: null,
+                after: { ...counts, errors: errors.length },
+                note: mode
+            });
+            return summary;
+        });
+    },
+
+    /**
+     * Get all staff accounts
+     * @returns {Promise<Array>} Array of staff objects
+     */
+    getStaff: function() {
+        return this.transaction([this.STORES.STAFF], 'readonly', stores =>
+            this.promisify(stores[this.STORES.STAFF].getAll())
+        );
+    },
+
+    /**
+     * Get a staff account by username
+     * @param {string} username - Login username
+     * @returns {Promise<Object|null>} Staff object or null if not found
+     */
+    getStaffByUsername: async function(username) {
+        const staff = await this.transaction([this.STORES.STAFF], 'readonly', stores =>
+            this.promisify(stores[this.STORES.STAFF].index('username').get(username))
+        );
+        return staff || null;
+    },
+
+    /**
+     * Add or replace a staff account
+     * @param {Object} staff - Staff object with ID
+     * @param {string} [note] - Audit note, if the change needs explaining
+     * @returns {Promise<Object>} Saved staff object
+     */
+    saveStaff: function(staff, note = null) {
+        const storeNames = [this.STORES.STAFF, this.STORES.AUDIT_LOG];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const existing = await this.promisify(stores[this.STORES.STAFF].get(staff.id));
+
+            const savedStaff = { ...staff, updatedBy: this.getActorId() };
+            stores[this.STORES.STAFF].put(savedStaff);
+            this.writeAudit(stores, {
+                action: existing ? this.AUDIT_ACTIONS.UPDATE : this.AUDIT_ACTIONS.CREATE,
+                entityType: 'staff',
+                entityId: staff.id,
+                before: existing,
+                after: savedStaff,
+                note: note || (existing && existing.pinHash !== savedStaff.pinHash ? 'PIN changed' : null)
+            });
+            return savedStaff;
+        });
+    },
+
+    /**
+     * Generate a unique member ID
+     * @param {IDBObjectStore} metaStore - Meta store from a readwrite transaction
+     * @returns {Promise<string>} New unique member ID
+     */
+    generateMemberId: async function(metaStore) {
+        const entry = await this.promisify(metaStore.get(this.META.COUNTER));
+        const counter = (entry ? entry.value : this.INITIAL_COUNTER) + 1;
+
+        metaStore.put({ key: this.META.COUNTER, value: counter });
+        return counter.toString();
+    },
+
+    /**
+     * Get a member's photo
+     * @param {string} memberId - Member ID
+     * @returns {Promise<string>} Photo data URL, or the default profile image
+     */
+    getPhoto: async function(memberId) {
+        const entry = await this.transaction([this.STORES.PHOTOS], 'readonly', stores =>
+            this.promisify(stores[this.STORES.PHOTOS].get(memberId))
+        );
+        return entry ? entry.data : this.DEFAULT_PHOTO;
+    },
+
+    /**
+     * Save a member's photo
+     * @param {string} memberId - Member ID
+     * @param {string} photoData - Base64 encoded photo data
+     * @returns {Promise<Object|null>} Updated member object or null if not found
+     */
+    savePhoto: function(memberId, photoData) {
+        const storeNames = [this.STORES.MEMBERS, this.STORES.PHOTOS, this.STORES.AUDIT_LOG];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const member = await this.promisify(stores[this.STORES.MEMBERS].get(memberId));
+            if (!member) return null;
+
+            const updatedMember = { ...member, hasPhoto: true, updatedBy: this.getActorId() };
+            stores[this.STORES.MEMBERS].put(updatedMember);
+            stores[this.STORES.PHOTOS].put({ memberId: memberId, data: photoData });
+
+            // The image itself is too large to keep in the log
+            this.writeAudit(stores, {
+                action: this.AUDIT_ACTIONS.UPDATE,
+                entityType: 'member',
+                entityId: memberId,
+                memberId: memberId,
+                before: member,
+                after: updatedMember,
+                note: 'photo'
+            });
+            return updatedMember;
+        });
+    },
+
+    /**
+     * Get all attendance sessions
+     * @returns {Promise<Array>} Sessions, oldest first
+     */
+    getAttendance: function() {
+        return this.transaction([this.STORES.ATTENDANCE], 'readonly', stores =>
+            this.promisify(stores[this.STORES.ATTENDANCE].index('start').getAll())
+        );
+    },
+
+    /**
+     * Get a member's attendance sessions
+     * @param {string} memberId - Member ID
+     * @returns {Promise<Array>} Sessions for the member, oldest first
+     */
+    getMemberAttendance: async function(memberId) {
+        const sessions = await this.transaction([this.STORES.ATTENDANCE], 'readonly', stores =>
+            this.promisify(stores[this.STORES.ATTENDANCE].index('memberId').getAll(memberId))
+        );
+        return sessions.sort((a, b) => a.start.localeCompare(b.start));
+    },
+
+    /**
+     * Get attendance sessions that started within a time range
+     * @param {Date} start - Range start (inclusive)
+     * @param {Date} end - Range end (exclusive)
+     * @returns {Promise<Array>} Sessions, oldest first
+     */
+    getAttendanceBetween: function(start, end) {
+        const range = IDBKeyRange.bound(start.toISOString(), end.toISOString(), false, true);
+
+        return this.transaction([this.STORES.ATTENDANCE], 'readonly', stores =>
+            this.promisify(stores[this.STORES.ATTENDANCE].index('start').getAll(range))
+        );
+    },
+
+    /**
+     * Get audit log entries, newest first
+     * @param {Object} [filters] - Optional filters
+     * @param {string} [filters.memberId] - Only entries about this member
+     * @param {string} [filters.action] - Only entries with this action
+     * @returns {Promise<Array>} Audit log entries
+     */
+    getAuditLog: async function(filters = {}) {
+        const entries = await this.transaction([this.STORES.AUDIT_LOG], 'readonly', stores => {
+            const store = stores[this.STORES.AUDIT_LOG];
+            return this.promisify(filters.memberId ? store.index('memberId').getAll(filters.memberId) : store.getAll());
+        });
+
+        return entries
+            .filter(entry => !filters.action || entry.action === filters.action)
+            .sort((a, b) => b.id - a.id);
+    },
+
+    /**
+     * Create a unique session ID
+     * Random rather than time-based, so two visits started in the same millisecond,
+     * here or on another device, never share an ID.
+     * @returns {string} Session ID
+     */
+    createSessionId: function() {
+        const bytes = crypto.getRandomValues(new Uint8Array(8));
+        return `session-${Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')}`;
+    },
+
+    /**
+     * Start a session for a member and mark them checked in, in one transaction
+     * The open session is checked again here, so a check-in racing another tab, a repeated scan
+     * or a synced check-in never leaves a second session open.
+     * @param {string} memberId - Member ID
+     * @returns {Promise<Object|null>} New session, or null if the member is not found or already checked in
+     */
+    checkIn: function(memberId) {
+        const storeNames = [this.STORES.MEMBERS, this.STORES.ATTENDANCE, this.STORES.AUDIT_LOG];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const member = await this.promisify(stores[this.STORES.MEMBERS].get(memberId));
+            if (!member || member.openSessionId) return null;
+
+            const session = MembershipRules.startSession({
+                id: this.createSessionId(),
+                memberId: memberId,
+                start: Clock.now(),
+                branchId: this.branchId,
+                checkedInBy: this.getActorId()
+            });
+
+            stores[this.STORES.MEMBERS].put({
+                ...member,
+                ...MembershipRules.checkInUpdates(session),
+                checkInBranchId: this.branchId
+            });
+            stores[this.STORES.ATTENDANCE].put(session);
+            this.writeAudit(stores, {
+                action: this.AUDIT_ACTIONS.CHECK_IN,
+                entityType: 'attendance',
+                entityId: session.id,
+                memberId: memberId,
+                after: session
+            });
+            return session;
+        });
+    },
+
+    /**
+     * Close a member's open session and mark them checked out, in one transaction
+     * The session stays with the branch it started in, even when closed from elsewhere.
+     * @param {string} memberId - Member ID
+     * @param {Object} [options] - Check-out options
+     * @param {Date} [options.timestamp] - Check-out time, defaults to now
+     * @param {boolean} [options.automatic] - True if closed by the system rather than the member
+     * @returns {Promise<Object|null>} Closed session, or null if the member has no open session. If the session
+     *     has not synced here yet, the member is still checked out and this is { id, memberId, end, unsynced: true }.
+     */
+    checkOut: function(memberId, options = {}) {
+        const storeNames = [this.STORES.MEMBERS, this.STORES.ATTENDANCE, this.STORES.AUDIT_LOG];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const member = await this.promisify(stores[this.STORES.MEMBERS].get(memberId));
+            if (!member || !member.openSessionId) return null;
+
+            const session = await this.promisify(stores[this.STORES.ATTENDANCE].get(member.openSessionId));
+            const end = options.timestamp || Clock.now();
+
+            // The session itself may not have synced here yet; the member is checked out regardless
+            const closed = session
+                ? MembershipRules.endSession(session, end, {
+                    checkedOutBy: options.automatic ? null : this.getActorId(),
+                    automatic: options.automatic
+                })
+                : { id: member.openSessionId, memberId: memberId, end: end.toISOString(), unsynced: true };
+
+            stores[this.STORES.MEMBERS].put({ ...member, ...MembershipRules.checkOutUpdates(closed) });
+            if (session) {
+                stores[this.STORES.ATTENDANCE].put(closed);
+            }
+
+            this.writeAudit(stores, {
+                action: this.AUDIT_ACTIONS.CHECK_OUT,
+                entityType: 'attendance',
+                entityId: closed.id,
+                memberId: memberId,
+                before: session,
+                after: closed,
+                note: [options.automatic ? 'automatic' : null, session ? null : 'visit not synced here yet']
+                    .filter(Boolean).join('; ') || null
+            });
+            return closed;
+        });
+    },
+
+    /**
+     * Add a visit after the fact, for a member who could not check in at the time
+     * @param {string} memberId - Member ID
+     * @param {Object} change - { start, end, reason } with end null if the member is still here
+     * @returns {Promise<Object>} { session, member, error }; error explains why nothing was saved
+     */
+    addVisit: function(memberId, change) {
+        return this.correctVisit(memberId, null, change, (session, fields) => MembershipRules.correctSession(
+            MembershipRules.startSession({
+                id: this.createSessionId(),
+                memberId: memberId,
+                start: change.start,
+                branchId: this.branchId,
+                checkedInBy: fields.correctedBy
+            }),
+            change,
+            fields
+        ));
+    },
+
+    /**
+     * Change the start and end times of a visit
+     * @param {string} sessionId - Session ID
+     * @param {Object} change - { start, end, reason } with end null to leave the visit open
+     * @returns {Promise<Object>} { session, member, error }; error explains why nothing was saved
+     */
+    editVisit: function(sessionId, change) {
+        return this.correctVisit(null, sessionId, change, (session, fields) =>
+            MembershipRules.correctSession(session, change, fields)
+        );
+    },
+
+    /**
+     * Void a visit recorded in error
+     * The session is kept, marked void, so the history still shows it. Any training session logged
+     * against it is removed and returned to the member's pack.
+     * @param {string} sessionId - Session ID
+     * @param {Object} change - { reason }
+     * @returns {Promise<Object>} { session, member, error }; error explains why nothing was saved
+     */
+    voidVisit: function(sessionId, change) {
+        return this.correctVisit(null, sessionId, change, (session, fields) =>
+            MembershipRules.voidSession(session, change, { voidedBy: fields.correctedBy, voidedAt: fields.correctedAt })
+        );
+    },
+
+    /**
+     * Save a correction to a member's visits and bring their check-in status into line, in one transaction
+     * @param {string|null} memberId - Member ID, when adding a visit
+     * @param {string|null} sessionId - Session to change, when editing or voiding
+     * @param {Object} change - { start, end, reason }; start is left out when voiding
+     * @param {Function} apply - Builds the new session from (session, { correctedBy, correctedAt })
+     * @returns {Promise<Object>} { session, member, error }
+     */
+    correctVisit: function(memberId, sessionId, change, apply) {
+        const storeNames = [this.STORES.MEMBERS, this.STORES.ATTENDANCE, this.STORES.PT_SESSIONS, this.STORES.AUDIT_LOG];
+
+        return this.transaction(storeNames, 'readwrite', async stores => {
+            const attendance = stores[this.STORES.ATTENDANCE];
+            const existing = sessionId ? await this.promisify(attendance.get(sessionId)) : null;
+            if (sessionId && (!existing || existing.voidedAt)) {
+                return { session: null, member: null, error: 'Visit not found.' };
+            }
+
+            const member = await this.promisify(stores[this.STORES.MEMBERS].get(existing ? existing.memberId : memberId));
+            if (!member) return { session: null, member: null, error: 'Member not found.' };
+
+            const others = (await this.promisify(attendance.index('memberId').getAll(member.id)))
+                .filter(session => session.id !== sessionId);
+            const now = Clock.now();
+
+            const error = MembershipRules.correctionError(change, others, now);
+            if (error) return { session: null, member, error };
+
+            const session = apply(existing, { correctedBy: this.getActorId(), correctedAt: now });
+            attendance.put(session);
+
+            const updatedMember = { ...member, ...MembershipRules.attendanceFields([...others, session]) };
+
+            // Training logged against a voided visit never took place, so its prepaid session goes back on the pack
+            if (existing && session.voidedAt) {
+                const ptSessions = stores[this.STORES.PT_SESSIONS];
+                const trained = (await this.promisify(ptSessions.index('memberId').getAll(member.id)))
+                    .filter(ptSession => ptSession.attendanceId === session.id);
+
+                trained.forEach(ptSession => {
+                    ptSessions.delete(ptSession.id);
+                    this.writeAudit(stores, {
+                        action: this.AUDIT_ACTIONS.DELETE,
+                        entityType: 'pt-session',
+                        entityId: ptSession.id,
+                        memberId: member.id,
+                        before: ptSession,
+                        note: change.reason.trim()
+                    });
+                });
+                if (trained.length) {
+                    updatedMember.ptSessionsRemaining = (member.ptSessionsRemaining || 0) + trained.length;
+                }
+            }
+
+            stores[this.STORES.MEMBERS].put(updatedMember);
+
+            let action = this.AUDIT_ACTIONS.CORRECT;
+            if (!existing) action = this.AUDIT_ACTIONS.CREATE;
+            else if (session.voidedAt) action = this.AUDIT_ACTIONS.VOID;
+
+            this.writeAudit(stores, {
+                action: action,
+                entityType: 'attendance',
+                entityId: session.id,
+                memberId: member.id,
+                before: existing,
+                after: session,
+                note: change.reason.trim()
+            });
+            return { session, member: updatedMember, error: null };
+        });
+    },
+
+    /**
+     * Calculate days remaining in membership
+     * @param {Object} member - Member object
+     * @returns {number} Number of days remaining
+     */
+    calculateDaysRemaining: function(member) {
+        return MembershipRules.daysRemaining(member, Clock.now());
+    },
+
+    /**
+     * Get member's current attendance status
+     * @param {Object} member - Member object
+     * @returns {string} Status: 'checked-in', 'checked-out', or 'not-checked-in'
+     */
+    getMemberStatus: function(member) {
+        return MembershipRules.getStatus(member, Clock.now());
+    }
+};
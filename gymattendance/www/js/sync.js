@@ -0,0 +1,350 @@
+/**
+ * Sync Service
+ * Shares data between devices through a self-hosted REST endpoint
+ *
+ * Changes are queued on the device as they're made and pushed when the server can be reached,
+ * so the app keeps working offline. The server speaks two requests, relative to the configured URL:
+ *
+ *   GET  changes?since=<cursor>&limit=<n>
+ *        -> { changes: [{ store, id, version, deleted, record, modifiedAt, deviceId }], cursor, hasMore }
+ *   POST changes  { deviceId, changes: [{ store, id, baseVersion, deleted, record, modifiedAt }] }
+ *        -> { accepted: [{ store, id, version }], conflicts: [{ store, id, version }] }
+ *
+ * The server gives each record a version counter and only accepts a change based on the version
+ * it currently holds. A rejected change is settled on the device after pulling the newer version:
+ * whichever side changed the record last wins. scripts/mock-sync-server.js implements the protocol
+ * for local testing.
+ */
+
+const SyncService = {
+    // How often to sync while the app is open
+    SYNC_INTERVAL_MS: 60 * 1000,
+
+    // Wait after a change before pushing, so bursts of edits go together
+    PUSH_DELAY_MS: 2000,
+
+    // Largest number of changes sent or received per request
+    BATCH_SIZE: 50,
+
+    // Hosts a plain http:// sync address may point at; anything else must use https://
+    LOCAL_HOSTS: ['localhost', '127.0.0.1', '[::1]'],
+
+    // Header status states
+    STATUS: {
+        OFF: 'off',
+        SYNCED: 'synced',
+        PENDING: 'pending',
+        SYNCING: 'syncing',
+        OFFLINE: 'offline',
+        ERROR: 'error'
+    },
+
+    // Current status and details for the header
+    status: 'off',
+    lastSyncedAt: null,
+    lastError: null,
+
+    // Sync run in progress, shared by callers that ask for a sync meanwhile
+    running: null,
+
+    intervalTimer: null,
+    pushTimer: null,
+
+    /**
+     * Initialize the sync service
+     */
+    init: async function() {
+        this.setupEventListeners();
+        StorageService.onQueued = this.schedulePush.bind(this);
+        await this.configure();
+    },
+
+    /**
+     * Set up event listeners for connectivity changes and the header status
+     */
+    setupEventListeners: function() {
+        window.addEventListener('online', () => this.sync());
+        window.addEventListener('offline', () => this.renderStatus());
+
+        const statusBtn = document.getElementById('sync-status');
+        if (statusBtn) {
+            statusBtn.addEventListener('click', () => this.sync());
+        }
+    },
+
+    /**
+     * Start or stop syncing to match the current settings
+     * Joining a server for the first time queues everything on this device and pulls from the start
+     */
+    configure: async function() {
+        const settings = await SettingsService.load();
+        clearInterval(this.intervalTimer);
+
+        if (!settings.syncUrl) {
+            // Changes made while sync is off aren't queued, so start afresh if it's turned back on
+            StorageService.syncTracking = false;
+            await StorageService.setMeta(StorageService.META.SYNC_SEEDED_URL, null);
+            this.setStatus(this.STATUS.OFF);
+            return;
+        }
+
+        // Staff records and PIN hashes travel with the data, so never send them in the clear
+        if (!this.isAllowedUrl(settings.syncUrl)) {
+            StorageService.syncTracking = false;
+            this.lastError = 'The sync server address must use https://';
+            this.setStatus(this.STATUS.ERROR);
+            return;
+        }
+
+        StorageService.deviceId = await StorageService.getDeviceId();
+        StorageService.syncTracking = true;
+
+        if (await StorageService.getMeta(StorageService.META.SYNC_SEEDED_URL) !== settings.syncUrl) {
+            await StorageService.queueAllForSync();
+            await StorageService.setMeta(StorageService.META.SYNC_CURSOR, 0);
+            await StorageService.setMeta(StorageService.META.SYNC_SEEDED_URL, settings.syncUrl);
+        }
+
+        this.intervalTimer = setInterval(() => this.sync(), this.SYNC_INTERVAL_MS);
+        await this.sync();
+    },
+
+    /**
+     * Check a sync server address is safe to send data to
+     * @param {string} url - Sync server address
+     * @returns {boolean} True for https://, or http:// on this machine for local testing
+     */
+    isAllowedUrl: function(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return false;
+        }
+
+        if (parsed.protocol === 'https:') return true;
+        return parsed.protocol === 'http:' && this.LOCAL_HOSTS.includes(parsed.hostname);
+    },
+
+    /**
+     * Push shortly after a change, unless sync is off
+     */
+    schedulePush: function() {
+        if (!StorageService.syncTracking) return;
+
+        this.renderStatus();
+        clearTimeout(this.pushTimer);
+        this.pushTimer = setTimeout(() => this.sync(), this.PUSH_DELAY_MS);
+    },
+
+    /**
+     * Pull and push changes now
+     * @returns {Promise<void>} Resolves once this run, or the one already in progress, is over
+     */
+    sync: function() {
+        if (!StorageService.syncTracking) return Promise.resolve();
+
+        if (!this.running) {
+            this.running = this.run().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    },
+
+    /**
+     * Run one sync: pull, push, and go round once more if the server turned anything away
+     */
+    run: async function() {
+        if (!navigator.onLine) {
+            this.setStatus(this.STATUS.OFFLINE);
+            return;
+        }
+
+        this.setStatus(this.STATUS.SYNCING);
+
+        try {
+            await this.pull();
+            if (await this.push() > 0) {
+                await this.pull();
+                await this.push();
+            }
+
+            this.lastSyncedAt = Clock.now();
+            this.lastError = null;
+            this.setStatus(this.STATUS.SYNCED);
+        } catch (error) {
+            console.error('Sync failed:', error);
+            this.lastError = error.message;
+            this.setStatus(this.STATUS.ERROR);
+        }
+    },
+
+    /**
+     * Send a request to the sync server
+     * @param {string} method - 'GET' or 'POST'
+     * @param {string} path - Path relative to the sync URL
+     * @param {Object} [body] - JSON body
+     * @returns {Promise<Object>} Parsed response
+     */
+    request: async function(method, path, body) {
+        const settings = await SettingsService.load();
+        const headers = { 'Content-Type': 'application/json' };
+        if (settings.syncToken) {
+            headers.Authorization = `Bearer ${settings.syncToken}`;
+        }
+
+        const response = await fetch(`${settings.syncUrl.replace(/\/+$/, '')}/${path}`, {
+            method: method,
+            headers: headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        if (!response.ok) {
+            throw new Error(`Sync server responded ${response.status}`);
+        }
+        return response.json();
+    },
+
+    /**
+     * Pull changes made on other devices since the last pull
+     */
+    pull: async function() {
+        let cursor = await StorageService.getMeta(StorageService.META.SYNC_CURSOR) || 0;
+        let pulled = 0;
+        let hasMore = true;
+
+        while (hasMore) {
+            const result = await this.request('GET', `changes?since=${cursor}&limit=${this.BATCH_SIZE}`);
+            const { renumbered, renamed } = await StorageService.applyRemoteChanges(result.changes, result.cursor);
+
+            renumbered.forEach(member => {
+                App.showNotification(
+                    `Member ID ${member.from} was already taken on another device, so ${member.name} is now ${member.to}. Please reprint their card.`,
+                    'warning'
+                );
+            });
+            renamed.forEach(staff => {
+                App.showNotification(
+                    `Username ${staff.from} was already taken on another device, so ${staff.name} now logs in as ${staff.to}.`,
+                    'warning'
+                );
+            });
+
+            pulled += result.changes.length;
+            cursor = result.cursor;
+            hasMore = result.hasMore && result.changes.length > 0;
+        }
+
+        if (pulled > 0) {
+            await this.refreshViews();
+        }
+    },
+
+    /**
+     * Push queued changes
+     * @returns {Promise<number>} Changes the server turned away as conflicts
+     */
+    push: async function() {
+        let afterKey = null;
+        let conflicts = 0;
+
+        while (true) {
+            const changes = await StorageService.getQueuedChanges(afterKey, this.BATCH_SIZE);
+            if (changes.length === 0) break;
+
+            const result = await this.request('POST', 'changes', {
+                deviceId: StorageService.deviceId,
+                changes: changes.map(({ queueKey, ...change }) => change)
+            });
+            await StorageService.acknowledgeChanges(changes, result.accepted);
+
+            conflicts += result.conflicts.length;
+            afterKey = changes[changes.length - 1].queueKey;
+        }
+
+        return conflicts;
+    },
+
+    /**
+     * Bring open views up to date after pulling changes
+     */
+    refreshViews: async function() {
+        await Promise.all([
+            PlansService.refresh(),
+            ClassesService.refresh(),
+            TrainersService.refresh(),
+            BranchesService.refresh()
+        ]);
+        MembersService.loadMembersList();
+        OccupancyService.render();
+
+        const member = MemberDetailService.currentMember;
+        if (member) {
+            const current = await StorageService.getMemberById(member.id);
+            if (current) {
+                await MemberDetailService.refresh(current);
+            } else {
+                MemberDetailService.close();
+            }
+        }
+    },
+
+    /**
+     * Change the status and update the header
+     * @param {string} status - One of STATUS
+     */
+    setStatus: function(status) {
+        this.status = status;
+        this.renderStatus();
+    },
+
+    /**
+     * Show the sync status in the header
+     */
+    renderStatus: async function() {
+        const statusBtn = document.getElementById('sync-status');
+        if (!statusBtn) return;
+
+        statusBtn.classList.toggle('hidden', this.status === this.STATUS.OFF);
+        if (this.status === this.STATUS.OFF) return;
+
+        const pending = await StorageService.countQueuedChanges();
+        let status = this.status;
+        if (!navigator.onLine) {
+            status = this.STATUS.OFFLINE;
+        } else if (status === this.STATUS.SYNCED && pending > 0) {
+            status = this.STATUS.PENDING;
+        }
+
+        statusBtn.className = `sync-status ${status}`;
+        statusBtn.textContent = this.formatStatus(status, pending);
+        statusBtn.title = this.lastError
+            ? `Last error: ${this.lastError}. Click to retry.`
+            : 'Click to sync now';
+    },
+
+    /**
+     * Format a sync status for display
+     * @param {string} status - One of STATUS
+     * @param {number} pending - Changes waiting to be pushed
+     * @returns {string} Status text
+     */
+    formatStatus: function(status, pending) {
+        const waiting = pending > 0 ? ` · ${pending} waiting` : '';
+
+        switch (status) {
+            case this.STATUS.SYNCING: return 'Syncing…';
+            case this.STATUS.OFFLINE: return `Offline${waiting}`;
+            case this.STATUS.ERROR: return `Sync failed${waiting}`;
+            case this.STATUS.PENDING: return `${pending} waiting to sync`;
+            default: return this.lastSyncedAt
+                ? `Synced ${this.lastSyncedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                : 'Synced';
+        }
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    SyncService.init();
+});
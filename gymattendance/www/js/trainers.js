@@ -0,0 +1,377 @@
+/**
+ * Trainers Service
+ * Handles trainer assignments, personal training session packs and session logging
+ */
+
+const TrainersService = {
+    // Visits offered when logging a session, newest first
+    RECENT_VISITS: 10,
+
+    // Active trainer accounts, loaded from storage
+    trainers: [],
+
+    // Every staff account, so past sessions still show a deactivated trainer's name
+    staff: [],
+
+    // Pending load, shared by callers that need trainers before rendering
+    loadPromise: null,
+
+    /**
+     * Initialize the trainers service
+     */
+    init: function() {
+        this.setupEventListeners();
+        this.load();
+    },
+
+    /**
+     * Set up event listeners for the personal training section of the member detail view
+     */
+    setupEventListeners: function() {
+        const assignForm = document.getElementById('trainer-assign-form');
+        if (assignForm) {
+            assignForm.addEventListener('submit', this.handleAssign.bind(this));
+        }
+
+        const packForm = document.getElementById('pt-pack-form');
+        if (packForm) {
+            packForm.addEventListener('submit', this.handleSellPack.bind(this));
+        }
+
+        const sessionForm = document.getElementById('pt-session-form');
+        if (sessionForm) {
+            sessionForm.addEventListener('submit', this.handleLogSession.bind(this));
+        }
+    },
+
+    /**
+     * Load trainer accounts from storage, once
+     * @returns {Promise<Array>} Active trainers
+     */
+    load: function() {
+        if (!this.loadPromise) {
+            this.loadPromise = StorageService.getStaff().then(staff => {
+                this.staff = staff;
+                this.trainers = staff
+                    .filter(account => account.active && account.role === AuthService.ROLES.TRAINER)
+                    .sort((a, b) => a.name.localeCompare(b.name));
+                return this.trainers;
+            });
+        }
+        return this.loadPromise;
+    },
+
+    /**
+     * Reload trainer accounts, e.g. after staff changes
+     * @returns {Promise<Array>} Active trainers
+     */
+    refresh: function() {
+        this.loadPromise = null;
+        return this.load();
+    },
+
+    /**
+     * Fill a select element with active trainers
+     * @param {HTMLSelectElement} select - Select element to fill
+     * @param {string} emptyLabel - Label for the blank option
+     * @param {string} [includeId] - Trainer to list even if deactivated, e.g. a member's current trainer
+     */
+    populateTrainerSelect: function(select, emptyLabel, includeId = null) {
+        if (!select) return;
+
+        const trainers = [...this.trainers];
+        const included = includeId && !trainers.some(trainer => trainer.id === includeId)
+            ? this.staff.find(account => account.id === includeId)
+            : null;
+        if (included) {
+            trainers.push(included);
+        }
+
+        select.innerHTML = '';
+        const blank = document.createElement('option');
+        blank.value = '';
+        blank.textContent = emptyLabel;
+        select.appendChild(blank);
+
+        trainers.forEach(trainer => {
+            const option = document.createElement('option');
+            option.value = trainer.id;
+            option.textContent = trainer.specialties ? `${trainer.name} (${trainer.specialties})` : trainer.name;
+            select.appendChild(option);
+        });
+    },
+
+    /**
+     * Format a trainer for display
+     * @param {string} id - Staff ID
+     * @returns {string} Trainer name, or '-' if unknown
+     */
+    formatTrainer: function(id) {
+        const account = this.staff.find(staff => staff.id === id);
+        return account ? account.name : '-';
+    },
+
+    /**
+     * Render the personal training section of the member detail view
+     * @param {Object} member - Member object
+     */
+    render: async function(member) {
+        await this.load();
+
+        const [attendance, sessions] = await Promise.all([
+            StorageService.getMemberAttendance(member.id),
+            StorageService.getMemberPtSessions(member.id)
+        ]);
+
+        const assignSelect = document.getElementById('member-trainer');
+        this.populateTrainerSelect(assignSelect, 'No trainer', member.trainerId);
+        assignSelect.value = member.trainerId || '';
+
+        document.getElementById('pt-remaining').textContent = member.ptSessionsRemaining || 0;
+        document.getElementById('pt-pack-form').reset();
+        document.getElementById('pt-session-form').reset();
+
+        // Default to the member's own trainer, or to the logged-in trainer
+        const trainerSelect = document.getElementById('pt-trainer');
+        const currentStaff = AuthService.currentStaff;
+        const defaultTrainer = member.trainerId
+            || (currentStaff && currentStaff.role === AuthService.ROLES.TRAINER ? currentStaff.id : '');
+        this.populateTrainerSelect(trainerSelect, 'Select Trainer', defaultTrainer);
+        trainerSelect.value = defaultTrainer;
+
+        // Only visits without a session can have one logged against them
+        const loggedVisits = new Set(sessions.map(session => session.attendanceId));
+        const visitSelect = document.getElementById('pt-visit');
+        visitSelect.innerHTML = '<option value="">Select Visit</option>';
+        attendance
+            .filter(visit => MembershipRules.isCounted(visit) && !loggedVisits.has(visit.id))
+            .reverse()
+            .slice(0, this.RECENT_VISITS)
+            .forEach(visit => {
+                const option = document.createElement('option');
+                option.value = visit.id;
+                option.textContent = new Date(visit.start).toLocaleString();
+                visitSelect.appendChild(option);
+            });
+
+        const sessionList = document.getElementById('pt-session-list');
+        sessionList.innerHTML = '';
+
+        if (sessions.length === 0) {
+            sessionList.innerHTML = '<li class="no-history">No training sessions logged.</li>';
+            return;
+        }
+
+        const visits = {};
+        attendance.forEach(visit => {
+            visits[visit.id] = visit;
+        });
+
+        [...sessions].reverse().forEach(session => {
+            const visit = visits[session.attendanceId];
+            const item = document.createElement('li');
+            item.textContent = [
+                new Date(visit ? visit.start : session.timestamp).toLocaleDateString(),
+                this.formatTrainer(session.trainerId),
+                `${session.durationMinutes} min`,
+                session.notes
+            ].filter(Boolean).join(' · ');
+            sessionList.appendChild(item);
+        });
+    },
+
+    /**
+     * Handle trainer assignment form submission
+     * @param {Event} event - Form submit event
+     */
+    handleAssign: async function(event) {
+        event.preventDefault();
+
+        if (!AuthService.require(AuthService.PERMISSIONS.TRAINING)) return;
+
+        const member = MemberDetailService.currentMember;
+        const trainerId = document.getElementById('member-trainer').value || null;
+
+        let updated;
+        try {
+            updated = await StorageService.updateMember(member.id, { trainerId });
+        } catch (error) {
+            console.error('Failed to assign trainer', error);
+            App.showNotification('Could not update member. Please try again.', 'error');
+            return;
+        }
+        if (!updated) {
+            App.showNotification('Could not update member.', 'error');
+            return;
+        }
+
+        App.showNotification(trainerId
+            ? `${member.name} assigned to ${this.formatTrainer(trainerId)}`
+            : `${member.name} no longer has a trainer`, 'success');
+        await MemberDetailService.refresh(updated);
+    },
+
+    /**
+     * Handle session pack form submission
+     * @param {Event} event - Form submit event
+     */
+    handleSellPack: async function(event) {
+        event.preventDefault();
+
+        if (!AuthService.require(AuthService.PERMISSIONS.RENEW)) return;
+
+        const member = MemberDetailService.currentMember;
+        const sessions = parseInt(document.getElementById('pt-pack-sessions').value, 10);
+        const price = Math.round(parseFloat(document.getElementById('pt-pack-price').value) * 100) / 100;
+
+        // Validate inputs
+        if (!sessions || sessions < 1) {
+            App.showNotification('Please enter the number of sessions in the pack', 'error');
+            return;
+        }
+
+        if (isNaN(price) || price < 0) {
+            App.showNotification('Please enter a valid pack price', 'error');
+            return;
+        }
+
+        let updated;
+        try {
+            updated = await MembershipService.sellPtPack(member, sessions, price);
+        } catch (error) {
+            console.error('Failed to sell session pack', error);
+            App.showNotification('Could not sell session pack. Please try again.', 'error');
+            return;
+        }
+        if (!updated) {
+            App.showNotification('Could not sell session pack.', 'error');
+            return;
+        }
+
+        App.showNotification(`${sessions} training sessions added. ${updated.ptSessionsRemaining} remaining.`, 'success');
+        await MemberDetailService.refresh(updated);
+    },
+
+    /**
+     * Handle training session form submission
+     * @param {Event} event - Form submit event
+     */
+    handleLogSession: async function(event) {
+        event.preventDefault();
+
+        if (!AuthService.require(AuthService.PERMISSIONS.TRAINING)) return;
+
+        const member = MemberDetailService.currentMember;
+        const attendanceId = document.getElementById('pt-visit').value;
+        const trainerId = document.getElementById('pt-trainer').value;
+        const durationMinutes = parseInt(document.getElementById('pt-duration').value, 10);
+        const notes = document.getElementById('pt-notes').value.trim();
+
+        // Validate inputs
+        if (!attendanceId || !trainerId) {
+            App.showNotification('Please choose the visit and the trainer', 'error');
+            return;
+        }
+
+        if (!durationMinutes || durationMinutes < 1) {
+            App.showNotification('Please enter the session length in minutes', 'error');
+            return;
+        }
+
+        let result;
+        try {
+            result = await StorageService.logPtSession({
+                memberId: member.id,
+                trainerId,
+                attendanceId,
+                durationMinutes,
+                notes
+            });
+        } catch (error) {
+            console.error('Failed to log training session', error);
+            App.showNotification('Could not log the training session. Please try again.', 'error');
+            return;
+        }
+
+        if (result.error) {
+            App.showNotification(result.error, 'error');
+            return;
+        }
+
+        const remaining = result.member.ptSessionsRemaining;
+        App.showNotification(`Training session logged. ${remaining} remaining.`, remaining > 0 ? 'success' : 'warning');
+        await MemberDetailService.refresh(result.member);
+    },
+
+    /**
+     * Render sessions delivered and active clients per trainer for the selected report range
+     * @param {Object} range - { start, end } with end exclusive
+     * @param {string|null} branchId - Only count sessions and clients at this branch, or null for all
+     */
+    renderReport: async function(range, branchId) {
+        await this.refresh();
+
+        const [allSessions, allMembers] = await Promise.all([
+            StorageService.getPtSessionsBetween(range.start, range.end),
+            StorageService.getMembers()
+        ]);
+        const sessions = ReportsService.filterByBranch(allSessions, branchId);
+        const members = branchId ? allMembers.filter(member => member.homeBranchId === branchId) : allMembers;
+
+        const rows = {};
+        const rowFor = trainerId => {
+            if (!rows[trainerId]) rows[trainerId] = { sessions: 0, minutes: 0, trained: new Set(), activeClients: 0 };
+            return rows[trainerId];
+        };
+
+        this.trainers.forEach(trainer => rowFor(trainer.id));
+
+        sessions.forEach(session => {
+            const row = rowFor(session.trainerId);
+            row.sessions++;
+            row.minutes += Number(session.durationMinutes) || 0;
+            row.trained.add(session.memberId);
+        });
+
+        // Active clients are assigned members whose membership is still running
+        members
+            .filter(member => member.trainerId && !member.archived && StorageService.calculateDaysRemaining(member) > 0)
+            .forEach(member => rowFor(member.trainerId).activeClients++);
+
+        const container = document.getElementById('report-trainers');
+        container.innerHTML = '';
+
+        const trainerIds = Object.keys(rows).sort((a, b) => this.formatTrainer(a).localeCompare(this.formatTrainer(b)));
+        if (trainerIds.length === 0) {
+            container.innerHTML = '<p class="no-members">No trainers set up.</p>';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'report-table';
+
+        const header = table.createTHead().insertRow();
+        ['Trainer', 'Sessions', 'Hours', 'Clients Trained', 'Active Clients'].forEach(label => {
+            const cell = document.createElement('th');
+            cell.textContent = label;
+            header.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        trainerIds.forEach(trainerId => {
+            const row = rows[trainerId];
+            const tableRow = body.insertRow();
+            tableRow.insertCell().textContent = this.formatTrainer(trainerId);
+            tableRow.insertCell().textContent = row.sessions;
+            tableRow.insertCell().textContent = (row.minutes / 60).toFixed(1);
+            tableRow.insertCell().textContent = row.trained.size;
+            tableRow.insertCell().textContent = row.activeClients;
+        });
+        container.appendChild(table);
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    TrainersService.init();
+});
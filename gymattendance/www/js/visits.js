@@ -0,0 +1,276 @@
+/**
+ * Visits Service
+ * Handles a member's visit history in the member detail view, and manager corrections:
+ * back-dated visits, changed check-in and check-out times and voided visits
+ */
+
+const VisitsService = {
+    // Visits listed in the member detail view, newest first; Reports has the full history
+    RECENT_VISITS: 20,
+
+    /**
+     * Initialize the visits service
+     */
+    init: function() {
+        this.setupEventListeners();
+    },
+
+    /**
+     * Set up event listeners for the visits section of the member detail view
+     */
+    setupEventListeners: function() {
+        const visitForm = document.getElementById('visit-form');
+        if (visitForm) {
+            visitForm.addEventListener('submit', this.handleSave.bind(this));
+        }
+
+        const voidBtn = document.getElementById('visit-void-btn');
+        if (voidBtn) {
+            voidBtn.addEventListener('click', this.handleVoid.bind(this));
+        }
+
+        const cancelBtn = document.getElementById('visit-cancel-btn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', this.resetForm.bind(this));
+        }
+
+        // Edit buttons on listed visits
+        const visitList = document.getElementById('visit-list');
+        if (visitList) {
+            visitList.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-session-id]');
+                if (button) {
+                    this.editVisit(button.getAttribute('data-session-id'));
+                }
+            });
+        }
+    },
+
+    /**
+     * Render the visits section of the member detail view
+     * @param {Object} member - Member object
+     */
+    render: async function(member) {
+        const sessions = (await StorageService.getMemberAttendance(member.id)).reverse();
+        const canCorrect = AuthService.can(AuthService.PERMISSIONS.CORRECT_ATTENDANCE);
+
+        this.resetForm();
+
+        const visitList = document.getElementById('visit-list');
+        visitList.innerHTML = '';
+
+        if (sessions.length === 0) {
+            visitList.innerHTML = '<li class="no-history">No visits recorded.</li>';
+            return;
+        }
+
+        sessions.slice(0, this.RECENT_VISITS).forEach(session => {
+            const item = document.createElement('li');
+            item.classList.toggle('voided', !!session.voidedAt);
+
+            const text = document.createElement('span');
+            text.textContent = this.describe(session);
+            item.appendChild(text);
+
+            const flag = this.formatCorrection(session);
+            if (flag) {
+                const note = document.createElement('span');
+                note.className = 'visit-flag';
+                note.textContent = flag;
+                item.append(' ', note);
+            }
+
+            if (canCorrect && !session.voidedAt) {
+                const editBtn = document.createElement('button');
+                editBtn.type = 'button';
+                editBtn.textContent = 'Edit';
+                editBtn.setAttribute('data-session-id', session.id);
+                item.append(' ', editBtn);
+            }
+
+            visitList.appendChild(item);
+        });
+
+        if (sessions.length > this.RECENT_VISITS) {
+            const more = document.createElement('li');
+            more.className = 'no-history';
+            more.textContent = `Showing the latest ${this.RECENT_VISITS} of ${sessions.length} visits. See Reports for the full history.`;
+            visitList.appendChild(more);
+        }
+    },
+
+    /**
+     * Describe a visit for the history list
+     * @param {Object} session - Attendance session
+     * @returns {string} e.g. '6/14/2026 · 9:00 AM - 10:30 AM · 1h 30m · Downtown'
+     */
+    describe: function(session) {
+        const time = value => new Date(value).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        const parts = [
+            ReportsService.fromDateKey(session.date).toLocaleDateString(),
+            `${time(session.start)} - ${session.end ? time(session.end) : 'now'}${session.automatic ? ' (auto)' : ''}`
+        ];
+
+        if (session.end && !session.automatic) {
+            parts.push(ReportsService.formatDuration(MembershipRules.sessionDuration(session)));
+        }
+        if (session.branchId) {
+            parts.push(BranchesService.formatBranch(session.branchId));
+        }
+        return parts.join(' · ');
+    },
+
+    /**
+     * Describe how a visit was corrected
+     * @param {Object} session - Attendance session
+     * @returns {string} e.g. 'Corrected: tablet was down', or '' if never corrected
+     */
+    formatCorrection: function(session) {
+        if (session.voidedAt) return `Voided: ${session.voidReason}`;
+        if (session.correctedAt) return `Corrected: ${session.correctionReason}`;
+        return '';
+    },
+
+    /**
+     * Format a time as the value of a time input
+     * @param {Date} date - Time
+     * @returns {string} Local time as HH:MM
+     */
+    toTimeValue: function(date) {
+        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    },
+
+    /**
+     * Read the visit form
+     * A check-out time earlier than the check-in time is taken to be after midnight.
+     * @returns {Object} { start, end, reason } with end null if left blank
+     */
+    readForm: function() {
+        const date = document.getElementById('visit-date').value;
+        const startTime = document.getElementById('visit-start').value;
+        const endTime = document.getElementById('visit-end').value;
+        const reason = document.getElementById('visit-reason').value;
+
+        const at = (time, dayOffset) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            const when = ReportsService.fromDateKey(date);
+            when.setDate(when.getDate() + dayOffset);
+            when.setHours(hours, minutes, 0, 0);
+            return when;
+        };
+
+        if (!date || !startTime) return { start: new Date(NaN), end: null, reason };
+        return {
+            start: at(startTime, 0),
+            end: endTime ? at(endTime, endTime <= startTime ? 1 : 0) : null,
+            reason
+        };
+    },
+
+    /**
+     * Load a visit into the form for editing
+     * @param {string} sessionId - Session ID
+     */
+    editVisit: async function(sessionId) {
+        const member = MemberDetailService.currentMember;
+        const session = (await StorageService.getMemberAttendance(member.id)).find(s => s.id === sessionId);
+        if (!session) return;
+
+        document.getElementById('visit-id').value = session.id;
+        document.getElementById('visit-date').value = session.date;
+        document.getElementById('visit-start').value = this.toTimeValue(new Date(session.start));
+        document.getElementById('visit-end').value = session.end ? this.toTimeValue(new Date(session.end)) : '';
+        document.getElementById('visit-reason').value = '';
+        document.getElementById('visit-save-btn').textContent = 'Save Visit';
+        document.getElementById('visit-void-btn').classList.remove('hidden');
+        document.getElementById('visit-cancel-btn').classList.remove('hidden');
+    },
+
+    /**
+     * Clear the visit form back to "add visit" mode
+     */
+    resetForm: function() {
+        document.getElementById('visit-form').reset();
+        document.getElementById('visit-id').value = '';
+        document.getElementById('visit-date').value = ReportsService.toDateKey(Clock.now());
+        document.getElementById('visit-save-btn').textContent = 'Add Visit';
+        document.getElementById('visit-void-btn').classList.add('hidden');
+        document.getElementById('visit-cancel-btn').classList.add('hidden');
+    },
+
+    /**
+     * Handle visit form submission, adding a back-dated visit or saving new times for an existing one
+     * @param {Event} event - Form submit event
+     */
+    handleSave: async function(event) {
+        event.preventDefault();
+
+        if (!AuthService.require(AuthService.PERMISSIONS.CORRECT_ATTENDANCE)) return;
+
+        const member = MemberDetailService.currentMember;
+        const sessionId = document.getElementById('visit-id').value;
+        const change = this.readForm();
+
+        let result;
+        try {
+            result = sessionId
+                ? await StorageService.editVisit(sessionId, change)
+                : await StorageService.addVisit(member.id, change);
+        } catch (error) {
+            console.error('Failed to save visit', error);
+            App.showNotification('Could not save the visit. No changes were made.', 'error');
+            return;
+        }
+
+        if (result.error) {
+            App.showNotification(result.error, 'error');
+            return;
+        }
+
+        App.showNotification(sessionId ? 'Visit corrected' : 'Visit added', 'success');
+        await this.refresh(result.member);
+    },
+
+    /**
+     * Void the visit loaded in the form
+     */
+    handleVoid: async function() {
+        if (!AuthService.require(AuthService.PERMISSIONS.CORRECT_ATTENDANCE)) return;
+
+        const sessionId = document.getElementById('visit-id').value;
+        if (!sessionId) return;
+
+        let result;
+        try {
+            result = await StorageService.voidVisit(sessionId, {
+                reason: document.getElementById('visit-reason').value
+            });
+        } catch (error) {
+            console.error('Failed to void visit', error);
+            App.showNotification('Could not void the visit. No changes were made.', 'error');
+            return;
+        }
+
+        if (result.error) {
+            App.showNotification(result.error, 'error');
+            return;
+        }
+
+        App.showNotification('Visit voided', 'success');
+        await this.refresh(result.member);
+    },
+
+    /**
+     * Re-render after a correction, which may have checked the member in or out
+     * @param {Object} member - Updated member object
+     */
+    refresh: async function(member) {
+        await MemberDetailService.refresh(member);
+        OccupancyService.render();
+    }
+};
+
+// Initialize when document is ready
+document.addEventListener('DOMContentLoaded', () => {
+    VisitsService.init();
+});